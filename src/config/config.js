@@ -1,9 +1,35 @@
+const os = require('os');
 const dotenv = require('dotenv');
 
 // Load environment variables
 dotenv.config();
 
-module.exports = {
+// Parse a JSON object from an environment variable, falling back when unset or invalid
+const parseJsonEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`Ignoring invalid JSON in ${name}: ${error.message}`);
+    return fallback;
+  }
+};
+
+// Field encryption keys: always ENCRYPTION_MASTER_KEY in production, a generated key file in development
+const defaultKeyProvider = () => {
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  if (process.env.ENCRYPTION_MASTER_KEY || process.env.NODE_ENV === 'production') return 'config';
+  return 'local';
+};
+
+// Mail is only printed in development: the messages carry live reset and verification tokens
+const defaultMailTransport = () => {
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  return 'console';
+};
+
+const config = {
   // Server
   nodeEnv: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 3001,
@@ -26,6 +52,79 @@ module.exports = {
     rounds: parseInt(process.env.BCRYPT_ROUNDS) || 10,
   },
 
+  // Email verification and password reset links
+  accountTokens: {
+    emailVerificationTtlMs: parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) || 48 * 60 * 60 * 1000, // 48 hours
+    passwordResetTtlMs: parseInt(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000, // 1 hour
+  },
+
+  // Outgoing email
+  mail: {
+    // smtp, file (writes messages to fileDir), console (development only), or memory (kept in-process, tests only)
+    transport: process.env.MAIL_TRANSPORT || defaultMailTransport(),
+    from: process.env.MAIL_FROM || 'CA Management <no-reply@localhost>',
+    // Frontend base URL used in links (verify email, reset password)
+    appUrl: process.env.APP_URL || 'http://localhost:3000',
+    fileDir: process.env.MAIL_FILE_DIR || './tmp/mail',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // true for port 465
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+
+  // TOTP two-factor authentication
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'CA Management', // name shown in authenticator apps
+    challengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m', // time to enter the code after the password
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+    // Roles that must use 2FA until a Super Admin saves a policy (comma-separated, e.g. "SUPER_ADMIN,CA")
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean),
+  },
+
+  // Brute-force protection for sign-in (per account and per IP)
+  loginProtection: {
+    windowMs: parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60 * 1000, // failures older than this are forgotten
+    freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3, // failures before delays start
+    delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000, // doubles with each further failure
+    delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS) || 60 * 1000,
+    accountMaxFailures: parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 10, // failures that lock an account
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50, // failures that lock an IP address
+    lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS) || 30 * 60 * 1000, // 30 minutes
+    knownDevices: parseInt(process.env.LOGIN_KNOWN_DEVICES) || 20, // devices remembered per user for new-device alerts
+  },
+
+  // Field-level encryption of financial data at rest (analysis results and notes)
+  encryption: {
+    // config (ENCRYPTION_MASTER_KEY), local (generated key file, development only) or memory (per process, tests only)
+    keyProvider: process.env.ENCRYPTION_KEY_PROVIDER || defaultKeyProvider(),
+    masterKey: process.env.ENCRYPTION_MASTER_KEY, // 32 random bytes, base64
+    // Master keys being rotated out (comma-separated, base64); only used to unwrap data keys
+    previousMasterKeys: (process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean),
+    keyFile: process.env.ENCRYPTION_KEY_FILE || './.keys/master.key',
+    dataKeyCacheMs: parseInt(process.env.ENCRYPTION_DATA_KEY_CACHE_MS) || 5 * 60 * 1000, // how long a company's active key is reused before re-reading
+  },
+
+  // Signed-in devices (one refresh-token family each)
+  sessions: {
+    maxPerUser: parseInt(process.env.SESSION_MAX_PER_USER) || 10, // oldest are signed out beyond this
+    legacyTokensUntil: process.env.SESSION_LEGACY_TOKENS_UNTIL ? new Date(process.env.SESSION_LEGACY_TOKENS_UNTIL) : null, // access tokens without a session are rejected from then (always, when unset)
+  },
+
+  // Service-to-service authentication (signed requests from the Python microservice)
+  serviceAuth: {
+    requestMaxAgeMs: parseInt(process.env.SERVICE_REQUEST_MAX_AGE_MS) || 5 * 60 * 1000, // 5 minutes
+    streamMaxAgeMs: parseInt(process.env.SERVICE_STREAM_MAX_AGE_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+  },
+
   // Rate Limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -37,6 +136,54 @@ module.exports = {
     origin: process.env.CORS_ORIGIN || 'http://localhost:3001',
   },
 
+  // Analysis Microservice
+  analysis: {
+    serviceUrl: process.env.PYTHON_SERVICE_URL || 'http://localhost:8000',
+    jobTimeoutMs: parseInt(process.env.ANALYSIS_JOB_TIMEOUT_MS) || 30 * 60 * 1000, // 30 minutes
+    sweepIntervalMs: parseInt(process.env.ANALYSIS_SWEEP_INTERVAL_MS) || 60 * 1000, // 1 minute
+    // Minimum % change before a metric counts as improving/declining in comparisons
+    significanceThresholdPct: parseFloat(process.env.METRIC_SIGNIFICANCE_THRESHOLD_PCT) || 5,
+    // Per-metric overrides, e.g. {"debt_to_equity": 10, "days_sales_outstanding": 15}
+    metricThresholds: parseJsonEnv('METRIC_SIGNIFICANCE_THRESHOLDS', {}),
+  },
+
+  // Peer-group benchmarks derived from platform data
+  peerBenchmarks: {
+    // Groups (and individual metrics) with fewer companies than this are not published
+    minCohortSize: parseInt(process.env.PEER_BENCHMARK_MIN_COHORT) || 5,
+    refreshIntervalMs: parseInt(process.env.PEER_BENCHMARK_REFRESH_INTERVAL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  },
+
+  // CA invitations to companies
+  caInvitations: {
+    ttlMs: parseInt(process.env.CA_INVITATION_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+  },
+
+  // Invitations for CAs to join a firm
+  firmInvitations: {
+    ttlMs: parseInt(process.env.FIRM_INVITATION_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+  },
+
+  // Redis
+  redis: {
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+  },
+
+  // Analysis result streams (Redis Streams consumer group)
+  analysisStreams: {
+    completed: process.env.ANALYSIS_COMPLETED_STREAM || 'analysis:completed',
+    failed: process.env.ANALYSIS_FAILED_STREAM || 'analysis:failed',
+    progress: process.env.ANALYSIS_PROGRESS_STREAM || 'analysis:progress',
+    deadLetter: process.env.ANALYSIS_DEAD_LETTER_STREAM || 'analysis:dead-letter',
+    consumerGroup: process.env.ANALYSIS_CONSUMER_GROUP || 'ca-backend',
+    consumerName: process.env.ANALYSIS_CONSUMER_NAME || `${os.hostname()}-${process.pid}`,
+    batchSize: parseInt(process.env.ANALYSIS_STREAM_BATCH_SIZE) || 10,
+    blockMs: parseInt(process.env.ANALYSIS_STREAM_BLOCK_MS) || 5000,
+    claimIdleMs: parseInt(process.env.ANALYSIS_CLAIM_IDLE_MS) || 60 * 1000, // 1 minute
+    consumerIdleMs: parseInt(process.env.ANALYSIS_CONSUMER_IDLE_MS) || 60 * 60 * 1000, // consumers of stopped replicas are removed after 1 hour
+    maxDeliveries: parseInt(process.env.ANALYSIS_MAX_DELIVERIES) || 5,
+  },
+
   // Storage Configuration
   storage: {
     type: process.env.STORAGE_TYPE || 'local', // 'local' or 's3'
@@ -48,3 +195,27 @@ module.exports = {
     s3SecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
   },
 };
+
+/**
+ * Refuse to start in production with settings that only make sense in development:
+ * each replica would generate its own encryption key (lost on redeploy), and printed
+ * mail would put live password-reset links in the logs.
+ */
+const assertProductionConfig = ({ nodeEnv, encryption, mail }) => {
+  if (nodeEnv !== 'production') return;
+
+  if (['console', 'memory'].includes(mail.transport)) {
+    throw new Error(`MAIL_TRANSPORT=${mail.transport} is not allowed in production; use smtp`);
+  }
+
+  if (encryption.keyProvider !== 'config') {
+    throw new Error(`ENCRYPTION_KEY_PROVIDER=${encryption.keyProvider} is not allowed in production; set ENCRYPTION_MASTER_KEY`);
+  }
+  if (!encryption.masterKey || Buffer.from(encryption.masterKey.trim(), 'base64').length !== 32) {
+    throw new Error('ENCRYPTION_MASTER_KEY must be set to 32 random bytes, base64 encoded, in production');
+  }
+};
+
+assertProductionConfig(config);
+
+module.exports = config;
@@ -0,0 +1,77 @@
+/**
+ * Email templates rendered by services/mailService.js. `{{name}}` placeholders are
+ * filled from the values passed to send(); values are HTML-escaped in the html part.
+ */
+
+const layout = (body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+    ${body}
+    <p style="color: #7b8794; font-size: 12px;">CA Management System</p>
+  </body>
+</html>`;
+
+const MAIL_TEMPLATES = {
+  verify_email: {
+    subject: 'Verify your email address',
+    text: `Hi {{name}},
+
+Please confirm that {{email}} is your email address by opening the link below:
+
+{{link}}
+
+The link expires in {{expiresIn}}. If you did not create an account, you can ignore this email.`,
+    html: layout(`
+    <p>Hi {{name}},</p>
+    <p>Please confirm that <strong>{{email}}</strong> is your email address.</p>
+    <p><a href="{{link}}">Verify email address</a></p>
+    <p>The link expires in {{expiresIn}}. If you did not create an account, you can ignore this email.</p>`),
+  },
+
+  password_reset: {
+    subject: 'Reset your password',
+    text: `Hi {{name}},
+
+We received a request to reset the password for your account. Open the link below to choose a new password:
+
+{{link}}
+
+The link expires in {{expiresIn}} and can be used once. If you did not ask for a reset, you can ignore this email; your password stays the same.`,
+    html: layout(`
+    <p>Hi {{name}},</p>
+    <p>We received a request to reset the password for your account.</p>
+    <p><a href="{{link}}">Choose a new password</a></p>
+    <p>The link expires in {{expiresIn}} and can be used once. If you did not ask for a reset, you can ignore this email; your password stays the same.</p>`),
+  },
+
+  password_changed: {
+    subject: 'Your password was changed',
+    text: `Hi {{name}},
+
+The password for your account was changed on {{changedAt}} and your other devices were signed out.
+
+If this wasn't you, reset your password straight away: {{link}}`,
+    html: layout(`
+    <p>Hi {{name}},</p>
+    <p>The password for your account was changed on {{changedAt}} and your other devices were signed out.</p>
+    <p>If this wasn't you, <a href="{{link}}">reset your password</a> straight away.</p>`),
+  },
+
+  ca_invitation: {
+    subject: 'Invitation to {{company}}',
+    text: `Hi {{name}},
+
+You have been invited to work with {{company}} as {{role}}. Sign in and open the link below to accept or decline:
+
+{{link}}
+
+The invitation expires in {{expiresIn}} and the link can be used once.`,
+    html: layout(`
+    <p>Hi {{name}},</p>
+    <p>You have been invited to work with <strong>{{company}}</strong> as {{role}}.</p>
+    <p><a href="{{link}}">Accept or decline the invitation</a></p>
+    <p>The invitation expires in {{expiresIn}} and the link can be used once.</p>`),
+  },
+};
+
+module.exports = { MAIL_TEMPLATES };
@@ -0,0 +1,297 @@
+const config = require('./config');
+
+/**
+ * Catalogue of financial metrics reported in calculated_metrics.
+ *
+ * polarity tells comparisons which direction is an improvement:
+ *   higher_is_better - e.g. current ratio, margins, interest coverage
+ *   lower_is_better  - e.g. debt-to-equity, days sales outstanding
+ *   neutral          - movement is reported but never labelled good or bad
+ *
+ * significanceThreshold is the minimum % change (YoY or CAGR) before a movement is
+ * reported; it can be overridden per metric with METRIC_SIGNIFICANCE_THRESHOLDS.
+ * benchmarkPath points at the matching thresholds on the Benchmark model, if any.
+ */
+const METRIC_CATALOGUE = {
+  // Liquidity
+  current_ratio: {
+    label: 'Current Ratio',
+    category: 'liquidity',
+    unit: 'x',
+    polarity: 'higher_is_better',
+    benchmarkPath: 'liquidityRatios.currentRatio'
+  },
+  quick_ratio: {
+    label: 'Quick Ratio',
+    category: 'liquidity',
+    unit: 'x',
+    polarity: 'higher_is_better',
+    aliases: ['acid_test_ratio'],
+    benchmarkPath: 'liquidityRatios.quickRatio'
+  },
+  cash_ratio: {
+    label: 'Cash Ratio',
+    category: 'liquidity',
+    unit: 'x',
+    polarity: 'higher_is_better',
+    benchmarkPath: 'liquidityRatios.cashRatio'
+  },
+  working_capital: {
+    label: 'Working Capital',
+    category: 'liquidity',
+    unit: 'currency',
+    polarity: 'higher_is_better',
+    significanceThreshold: 10
+  },
+
+  // Profitability
+  gross_margin: {
+    label: 'Gross Margin',
+    category: 'profitability',
+    unit: '%',
+    polarity: 'higher_is_better',
+    aliases: ['gross_profit_margin'],
+    benchmarkPath: 'profitabilityRatios.grossMargin'
+  },
+  operating_margin: {
+    label: 'Operating Margin',
+    category: 'profitability',
+    unit: '%',
+    polarity: 'higher_is_better',
+    aliases: ['operating_profit_margin', 'ebit_margin'],
+    benchmarkPath: 'profitabilityRatios.operatingMargin'
+  },
+  ebitda_margin: {
+    label: 'EBITDA Margin',
+    category: 'profitability',
+    unit: '%',
+    polarity: 'higher_is_better'
+  },
+  net_margin: {
+    label: 'Net Profit Margin',
+    category: 'profitability',
+    unit: '%',
+    polarity: 'higher_is_better',
+    aliases: ['net_profit_margin'],
+    benchmarkPath: 'profitabilityRatios.netMargin'
+  },
+  roa: {
+    label: 'Return on Assets',
+    category: 'profitability',
+    unit: '%',
+    polarity: 'higher_is_better',
+    aliases: ['return_on_assets', 'return_on_assets_roa'],
+    benchmarkPath: 'profitabilityRatios.roa'
+  },
+  roe: {
+    label: 'Return on Equity',
+    category: 'profitability',
+    unit: '%',
+    polarity: 'higher_is_better',
+    aliases: ['return_on_equity', 'return_on_equity_roe'],
+    benchmarkPath: 'profitabilityRatios.roe'
+  },
+  roce: {
+    label: 'Return on Capital Employed',
+    category: 'profitability',
+    unit: '%',
+    polarity: 'higher_is_better',
+    aliases: ['return_on_capital_employed']
+  },
+
+  // Leverage
+  debt_to_equity: {
+    label: 'Debt to Equity',
+    category: 'leverage',
+    unit: 'x',
+    polarity: 'lower_is_better',
+    aliases: ['debt_equity_ratio'],
+    benchmarkPath: 'leverageRatios.debtToEquity'
+  },
+  debt_to_assets: {
+    label: 'Debt to Assets',
+    category: 'leverage',
+    unit: '%',
+    polarity: 'lower_is_better',
+    aliases: ['debt_ratio'],
+    benchmarkPath: 'leverageRatios.debtToAssets'
+  },
+  equity_multiplier: {
+    label: 'Equity Multiplier',
+    category: 'leverage',
+    unit: 'x',
+    polarity: 'lower_is_better'
+  },
+  interest_coverage: {
+    label: 'Interest Coverage',
+    category: 'leverage',
+    unit: 'x',
+    polarity: 'higher_is_better',
+    aliases: ['interest_coverage_ratio'],
+    benchmarkPath: 'leverageRatios.interestCoverage'
+  },
+  debt_service_coverage: {
+    label: 'Debt Service Coverage',
+    category: 'leverage',
+    unit: 'x',
+    polarity: 'higher_is_better',
+    aliases: ['debt_service_coverage_ratio', 'dscr']
+  },
+
+  // Efficiency
+  asset_turnover: {
+    label: 'Asset Turnover',
+    category: 'efficiency',
+    unit: 'x',
+    polarity: 'higher_is_better',
+    aliases: ['asset_turnover_ratio'],
+    benchmarkPath: 'efficiencyRatios.assetTurnover'
+  },
+  inventory_turnover: {
+    label: 'Inventory Turnover',
+    category: 'efficiency',
+    unit: 'x',
+    polarity: 'higher_is_better',
+    aliases: ['inventory_turnover_ratio'],
+    benchmarkPath: 'efficiencyRatios.inventoryTurnover'
+  },
+  receivables_turnover: {
+    label: 'Receivables Turnover',
+    category: 'efficiency',
+    unit: 'x',
+    polarity: 'higher_is_better',
+    aliases: ['receivables_turnover_ratio', 'debtors_turnover'],
+    benchmarkPath: 'efficiencyRatios.receivablesTurnover'
+  },
+  days_sales_outstanding: {
+    label: 'Days Sales Outstanding',
+    category: 'efficiency',
+    unit: 'days',
+    polarity: 'lower_is_better',
+    aliases: ['dso', 'debtor_days'],
+    significanceThreshold: 10
+  },
+  days_inventory_outstanding: {
+    label: 'Days Inventory Outstanding',
+    category: 'efficiency',
+    unit: 'days',
+    polarity: 'lower_is_better',
+    aliases: ['dio', 'inventory_days'],
+    significanceThreshold: 10
+  },
+  days_payable_outstanding: {
+    label: 'Days Payable Outstanding',
+    category: 'efficiency',
+    unit: 'days',
+    // Longer payment terms help cash flow but can signal stress, so no direction is implied
+    polarity: 'neutral',
+    aliases: ['dpo', 'creditor_days'],
+    significanceThreshold: 10
+  },
+  cash_conversion_cycle: {
+    label: 'Cash Conversion Cycle',
+    category: 'efficiency',
+    unit: 'days',
+    polarity: 'lower_is_better',
+    significanceThreshold: 10
+  },
+
+  // Growth
+  revenue_growth: {
+    label: 'Revenue Growth',
+    category: 'growth',
+    unit: '%',
+    polarity: 'higher_is_better'
+  },
+  net_income_growth: {
+    label: 'Net Income Growth',
+    category: 'growth',
+    unit: '%',
+    polarity: 'higher_is_better',
+    aliases: ['profit_growth']
+  },
+
+  // Cash flow
+  operating_cash_flow: {
+    label: 'Operating Cash Flow',
+    category: 'cash_flow',
+    unit: 'currency',
+    polarity: 'higher_is_better',
+    significanceThreshold: 10
+  },
+  free_cash_flow: {
+    label: 'Free Cash Flow',
+    category: 'cash_flow',
+    unit: 'currency',
+    polarity: 'higher_is_better',
+    significanceThreshold: 10
+  },
+  operating_cash_flow_ratio: {
+    label: 'Operating Cash Flow Ratio',
+    category: 'cash_flow',
+    unit: 'x',
+    polarity: 'higher_is_better'
+  }
+};
+
+const POLARITIES = ['higher_is_better', 'lower_is_better', 'neutral'];
+
+// alias -> catalogue key
+const ALIASES = Object.entries(METRIC_CATALOGUE).reduce((map, [key, definition]) => {
+  map[key] = key;
+  (definition.aliases || []).forEach(alias => { map[alias] = key; });
+  return map;
+}, {});
+
+/**
+ * Significance threshold for a metric: env override, then the definition, then the global default
+ */
+const resolveSignificanceThreshold = (key, definition = {}) =>
+  config.analysis.metricThresholds[key] ??
+  definition.significanceThreshold ??
+  config.analysis.significanceThresholdPct;
+
+/**
+ * Look up a built-in metric by name or alias. Returns null for metrics not in the catalogue;
+ * use services/metricRegistry to include custom metrics.
+ */
+const getMetricDefinition = (name) => {
+  const key = ALIASES[String(name).toLowerCase()];
+  if (!key) return null;
+
+  const definition = METRIC_CATALOGUE[key];
+  return {
+    key,
+    ...definition,
+    builtIn: true,
+    significanceThreshold: resolveSignificanceThreshold(key, definition)
+  };
+};
+
+/**
+ * Classify a % change in a metric.
+ * Returns 'improving', 'declining', 'stable' (below the significance threshold) or,
+ * for neutral and uncatalogued metrics, 'increased'/'decreased' without a judgement.
+ */
+const classifyMetricChange = (name, change, definition = getMetricDefinition(name)) => {
+  if (change === null || change === undefined || !Number.isFinite(change)) return null;
+
+  const threshold = definition ? definition.significanceThreshold : config.analysis.significanceThresholdPct;
+
+  if (Math.abs(change) < threshold) return 'stable';
+
+  if (!definition || definition.polarity === 'neutral') {
+    return change > 0 ? 'increased' : 'decreased';
+  }
+
+  const better = definition.polarity === 'higher_is_better' ? change > 0 : change < 0;
+  return better ? 'improving' : 'declining';
+};
+
+module.exports = {
+  METRIC_CATALOGUE,
+  POLARITIES,
+  resolveSignificanceThreshold,
+  getMetricDefinition,
+  classifyMetricChange
+};
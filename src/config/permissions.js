@@ -0,0 +1,82 @@
+/**
+ * Named permissions checked by authorize() in middleware/rbac.js, and the permission
+ * bundle each built-in role grants. Custom roles (models/Role.js) replace the bundle of
+ * their base role with their own list.
+ *
+ * Permissions describe what a user may do; which companies they may do it to is still
+ * decided by company access (CA engagements, company membership), and which firm a firm
+ * member may manage by their firm role (middleware/rbac.js hasFirmRole).
+ */
+
+const PERMISSIONS = {
+  'companies:create': 'Create companies',
+  'companies:update': 'Edit the profile of a company the user administers',
+  'companies:delete': 'Delete companies',
+  'company_admins:manage': 'Add and remove company admins',
+  'engagements:manage': 'Invite, re-send, revoke and remove CAs on a company',
+  'documents:upload': 'Upload financial documents',
+  'documents:delete': 'Delete documents',
+  'documents:update_status': 'Update the processing status of documents',
+  'analysis:trigger': 'Trigger financial analyses',
+  'notes:write': 'Create, edit and delete analysis notes',
+  'notes:view_private': 'See private analysis notes',
+  'benchmarks:manage': 'Create, edit, delete and import benchmarks',
+  'benchmarks:manage_all': 'See and edit every user\'s benchmarks, and manage the default benchmarks',
+  'benchmarks:refresh_peer_groups': 'Recompute peer-group benchmarks',
+  'metrics:manage': 'Create, edit and delete custom metric definitions',
+  'reports:export': 'Export analysis reports as PDF',
+  'users:manage': 'Edit, activate and deactivate users',
+  'users:delete': 'Delete users',
+  'roles:manage': 'Create, edit and delete custom roles',
+  'roles:assign': 'Change user roles and assign custom roles',
+  'admin:access': 'Platform administration: CA management and analytics',
+  'service_credentials:manage': 'Issue and revoke service credentials',
+  'ca_workspace:access': 'Use the CA dashboard and answer company invitations',
+  'firms:manage': 'Create and manage any CA firm, and engage firms with companies',
+  'security:manage': 'Set the security policy, reset users\' two-factor authentication and lift sign-in lockouts',
+  'audit:view': 'View, export and verify the audit log',
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Work on any company the user can access
+const COMPANY_WORK = [
+  'documents:upload',
+  'documents:delete',
+  'documents:update_status',
+  'analysis:trigger',
+  'reports:export',
+];
+
+const ROLE_PERMISSIONS = {
+  SUPER_ADMIN: PERMISSION_KEYS,
+  CA: [
+    ...COMPANY_WORK,
+    'ca_workspace:access',
+    'notes:write',
+    'notes:view_private',
+    'benchmarks:manage',
+    'metrics:manage',
+  ],
+  COMPANY_ADMIN: [
+    ...COMPANY_WORK,
+    'companies:update',
+    'engagements:manage',
+    'users:manage',
+  ],
+  COMPANY_USER: [
+    ...COMPANY_WORK,
+  ],
+};
+
+const BUILT_IN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const isPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  ROLE_PERMISSIONS,
+  BUILT_IN_ROLES,
+  isPermission,
+};
@@ -53,12 +53,14 @@ const options = {
               type: 'string',
               description: 'Company ID (for company-level users)',
             },
-            invitedCompanies: {
-              type: 'array',
-              items: {
-                type: 'string',
-              },
-              description: 'List of company IDs CA is invited to',
+            firm: {
+              type: 'string',
+              description: 'Firm ID (for CAs in a firm)',
+            },
+            firmRole: {
+              type: 'string',
+              enum: ['partner', 'manager', 'staff'],
+              description: 'Role within the firm',
             },
             isActive: {
               type: 'boolean',
@@ -68,6 +70,14 @@ const options = {
               type: 'boolean',
               description: 'Email verification status',
             },
+            twoFactor: {
+              type: 'object',
+              description: 'Two-factor authentication status (secrets are never returned)',
+              properties: {
+                enabled: { type: 'boolean' },
+                enabledAt: { type: 'string', format: 'date-time' },
+              },
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -126,16 +136,12 @@ const options = {
               },
               description: 'Array of company admin user IDs',
             },
-            invitedCAs: {
+            engagements: {
               type: 'array',
               items: {
-                type: 'object',
-                properties: {
-                  ca: { type: 'string' },
-                  invitedAt: { type: 'string', format: 'date-time' },
-                  invitedBy: { type: 'string' },
-                },
+                $ref: '#/components/schemas/Engagement',
               },
+              description: 'Current CA engagements (populated on request)',
             },
             isActive: {
               type: 'boolean',
@@ -153,6 +159,99 @@ const options = {
             },
           },
         },
+        Engagement: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Engagement ID',
+            },
+            ca: {
+              type: 'string',
+              description: 'CA user ID (absent on firm engagements)',
+            },
+            firm: {
+              type: 'string',
+              description: 'Firm ID, for firm engagements',
+            },
+            assignedByFirm: {
+              type: 'string',
+              description: 'Firm that assigned one of its clients to this CA',
+            },
+            company: {
+              type: 'string',
+              description: 'Company ID',
+            },
+            role: {
+              type: 'string',
+              enum: ['lead', 'reviewer'],
+              description: 'lead: the CA responsible for the company; reviewer: any other CA with access',
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'active', 'declined', 'revoked', 'expired', 'ended'],
+              description: 'pending/declined/revoked/expired: invitation not (yet) accepted; active: CA has access',
+            },
+            startDate: {
+              type: 'string',
+              format: 'date-time',
+            },
+            endDate: {
+              type: 'string',
+              format: 'date-time',
+            },
+            grantedBy: {
+              type: 'string',
+            },
+            endedBy: {
+              type: 'string',
+            },
+            endReason: {
+              type: 'string',
+            },
+            invitation: {
+              type: 'object',
+              properties: {
+                expiresAt: { type: 'string', format: 'date-time' },
+                lastSentAt: { type: 'string', format: 'date-time' },
+                sendCount: { type: 'integer' },
+                respondedAt: { type: 'string', format: 'date-time' },
+                declineReason: { type: 'string' },
+              },
+            },
+          },
+        },
+        Firm: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Firm ID',
+            },
+            name: {
+              type: 'string',
+            },
+            registrationNumber: {
+              type: 'string',
+              description: 'ICAI firm registration number',
+            },
+            description: {
+              type: 'string',
+            },
+            address: {
+              type: 'object',
+            },
+            contactInfo: {
+              type: 'object',
+            },
+            isActive: {
+              type: 'boolean',
+            },
+            createdBy: {
+              type: 'string',
+            },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
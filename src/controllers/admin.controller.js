@@ -1,7 +1,13 @@
 const User = require('../models/User');
 const Company = require('../models/Company');
+const Firm = require('../models/Firm');
 const Analysis = require('../models/Analysis');
 const Document = require('../models/Document');
+const engagementService = require('../services/engagementService');
+const accountService = require('../services/accountService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const loginProtectionService = require('../services/loginProtectionService');
 const { AppError } = require('../middleware/errorHandler');
 
 /**
@@ -26,8 +32,8 @@ const getDashboardAnalytics = async (req, res, next) => {
       User.countDocuments({ role: 'CA' }),
       Analysis.countDocuments(),
       Document.countDocuments(),
-      Company.countDocuments({ status: 'active' }),
-      Company.countDocuments({ status: 'inactive' }),
+      Company.countDocuments({ isActive: true }),
+      Company.countDocuments({ isActive: false }),
       User.countDocuments({ role: 'CA', isActive: true }),
       User.countDocuments({ role: 'CA', isActive: false }),
       Analysis.countDocuments({
@@ -50,7 +56,8 @@ const getDashboardAnalytics = async (req, res, next) => {
     const companiesByIndustry = await Company.aggregate([
       {
         $group: {
-          _id: '$industry',
+          // Companies created before profiles existed count as General
+          _id: { $ifNull: ['$industry', 'General'] },
           count: { $sum: 1 }
         }
       },
@@ -58,22 +65,24 @@ const getDashboardAnalytics = async (req, res, next) => {
       { $limit: 10 }
     ]);
 
-    // Get top active CAs (by number of assigned companies)
+    // Get top active CAs (by number of companies they are engaged with)
     const topCAs = await User.aggregate([
       { $match: { role: 'CA', isActive: true } },
       {
         $lookup: {
-          from: 'companies',
+          from: 'engagements',
           localField: '_id',
-          foreignField: 'assignedCA',
-          as: 'assignedCompanies'
+          foreignField: 'ca',
+          as: 'engagements'
         }
       },
       {
         $project: {
           name: 1,
           email: 1,
-          companyCount: { $size: '$assignedCompanies' },
+          companyCount: {
+            $size: { $filter: { input: '$engagements', cond: { $eq: ['$$this.status', 'active'] } } }
+          },
           createdAt: 1
         }
       },
@@ -93,8 +102,8 @@ const getDashboardAnalytics = async (req, res, next) => {
     const systemHealth = {
       totalStorage: 0, // TODO: Calculate from documents
       activeUsers: await User.countDocuments({ isActive: true }),
-      pendingAnalyses: await Analysis.countDocuments({ status: 'processing' }),
-      failedAnalyses: await Analysis.countDocuments({ status: 'failed' })
+      pendingAnalyses: await Analysis.countDocuments({ status: { $in: Analysis.IN_FLIGHT_STATUSES } }),
+      failedAnalyses: await Analysis.countDocuments({ status: { $in: Analysis.FAILED_STATUSES } })
     };
 
     res.status(200).json({
@@ -151,8 +160,7 @@ const getAllCAs = async (req, res, next) => {
     }
 
     const cas = await User.find(query)
-      .select('-password -refreshToken') // Exclude sensitive fields
-      .populate('invitedCompanies', 'name')
+      .select('-password') // Exclude sensitive fields
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ createdAt: -1 })
@@ -161,15 +169,15 @@ const getAllCAs = async (req, res, next) => {
     // Enrich with company count
     const enrichedCAs = await Promise.all(
       cas.map(async (ca) => {
-        const assignedCompanies = await Company.countDocuments({ assignedCA: ca._id });
+        const engagements = await engagementService.countsForCA(ca._id);
         const totalAnalyses = await Analysis.countDocuments({ uploadedBy: ca._id });
 
         return {
           ...ca,
           // All professional fields are already included from the query
           stats: {
-            assignedCompanies,
-            invitedCompanies: ca.invitedCompanies?.length || 0,
+            assignedCompanies: engagements.lead,
+            invitedCompanies: engagements.total,
             totalAnalyses
           }
         };
@@ -205,6 +213,7 @@ const createCA = async (req, res, next) => {
       caLicenseNumber,
       registrationYear,
       firm,
+      firmRole = 'staff',
       specialization,
       yearsOfExperience,
       address
@@ -221,6 +230,10 @@ const createCA = async (req, res, next) => {
       return next(new AppError('User with this email already exists', 400));
     }
 
+    if (firm && !(await Firm.exists({ _id: firm }))) {
+      return next(new AppError('Firm not found', 404));
+    }
+
     // Create CA user with all professional details
     const ca = await User.create({
       name,
@@ -230,7 +243,8 @@ const createCA = async (req, res, next) => {
       phone,
       caLicenseNumber,
       registrationYear,
-      firm,
+      firm: firm || null,
+      firmRole: firm ? firmRole : undefined,
       specialization: Array.isArray(specialization) ? specialization : [],
       yearsOfExperience,
       address: address || {},
@@ -239,6 +253,8 @@ const createCA = async (req, res, next) => {
       emailVerified: false
     });
 
+    await accountService.sendVerification(ca);
+
     // Remove password from response
     const caResponse = ca.toObject();
     delete caResponse.password;
@@ -263,14 +279,15 @@ const updateCA = async (req, res, next) => {
 
     // Don't allow updating sensitive fields
     delete updates.password;
-    delete updates.refreshToken;
     delete updates.role;
+    delete updates.firm; // Firm membership is managed through /api/firms
+    delete updates.firmRole;
 
     const ca = await User.findOneAndUpdate(
       { _id: caId, role: 'CA' },
       updates,
       { new: true, runValidators: true }
-    ).populate('invitedCompanies', 'name');
+    );
 
     if (!ca) {
       return next(new AppError('CA not found', 404));
@@ -299,12 +316,12 @@ const deleteCA = async (req, res, next) => {
       return next(new AppError('CA not found', 404));
     }
 
-    // Check if CA is assigned to any companies
-    const assignedCompanies = await Company.countDocuments({ assignedCA: caId });
+    // Check if CA is engaged with any companies
+    const { total: engagedCompanies } = await engagementService.countsForCA(ca._id);
 
-    if (assignedCompanies > 0) {
+    if (engagedCompanies > 0) {
       return next(new AppError(
-        `Cannot delete CA. They are currently assigned to ${assignedCompanies} company/companies. Please reassign or remove the assignments first.`,
+        `Cannot delete CA. They are currently engaged with ${engagedCompanies} company/companies. Please reassign or remove the engagements first.`,
         400
       ));
     }
@@ -321,12 +338,12 @@ const deleteCA = async (req, res, next) => {
 };
 
 /**
- * Assign CA to companies
+ * Assign CA to companies (as lead by default)
  */
 const assignCAToCompanies = async (req, res, next) => {
   try {
     const { caId } = req.params;
-    const { companyIds } = req.body;
+    const { companyIds, role = 'lead' } = req.body;
 
     if (!companyIds || !Array.isArray(companyIds) || companyIds.length === 0) {
       return next(new AppError('Company IDs array is required', 400));
@@ -345,20 +362,29 @@ const assignCAToCompanies = async (req, res, next) => {
       return next(new AppError('One or more companies not found', 404));
     }
 
-    // Update CA's invited companies
-    ca.invitedCompanies = [...new Set([...ca.invitedCompanies, ...companyIds])];
-    await ca.save();
+    if (!['lead', 'reviewer'].includes(role)) {
+      return next(new AppError('Role must be lead or reviewer', 400));
+    }
 
-    // Update companies' assigned CA
-    await Company.updateMany(
-      { _id: { $in: companyIds } },
-      { $set: { assignedCA: caId } }
-    );
+    // A lead assignment replaces the company's previous lead
+    for (const companyId of companyIds) {
+      const { engagement, created, previousRole } = await engagementService.grant({ caId, companyId, role, grantedBy: req.user._id });
+
+      req.audit({
+        action: 'engagement.assign',
+        targetType: 'Engagement',
+        targetId: engagement._id,
+        company: companyId,
+        before: created ? {} : { ca: caId, role: previousRole, status: 'active' },
+        after: { ca: caId, role, status: 'active' },
+        metadata: { caEmail: ca.email }
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: `CA assigned to ${companyIds.length} company/companies successfully`,
-      data: { ca: await ca.populate('invitedCompanies', 'name') }
+      data: { ca, engagements: await engagementService.listForCA(ca._id) }
     });
   } catch (error) {
     next(error);
@@ -383,22 +409,26 @@ const removeCAFromCompanies = async (req, res, next) => {
       return next(new AppError('CA not found', 404));
     }
 
-    // Remove companies from CA's invited list
-    ca.invitedCompanies = ca.invitedCompanies.filter(
-      companyId => !companyIds.includes(companyId.toString())
-    );
-    await ca.save();
+    // End the engagements (history is kept)
+    await engagementService.endAll({ ca: ca._id, company: { $in: companyIds } }, {
+      endedBy: req.user._id,
+      reason: req.body.reason
+    });
 
-    // Remove CA assignment from companies
-    await Company.updateMany(
-      { _id: { $in: companyIds }, assignedCA: caId },
-      { $unset: { assignedCA: 1 } }
-    );
+    for (const companyId of companyIds) {
+      req.audit({
+        action: 'engagement.remove',
+        targetType: 'User',
+        targetId: ca._id,
+        company: companyId,
+        metadata: { caEmail: ca.email, reason: req.body.reason }
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: `CA removed from ${companyIds.length} company/companies successfully`,
-      data: { ca: await ca.populate('invitedCompanies', 'name') }
+      data: { ca, engagements: await engagementService.listForCA(ca._id) }
     });
   } catch (error) {
     next(error);
@@ -412,18 +442,18 @@ const getCADetails = async (req, res, next) => {
   try {
     const { caId } = req.params;
 
-    const ca = await User.findOne({ _id: caId, role: 'CA' })
-      .populate('invitedCompanies', 'name industry status')
-      .lean();
+    const ca = await User.findOne({ _id: caId, role: 'CA' }).lean();
 
     if (!ca) {
       return next(new AppError('CA not found', 404));
     }
 
-    // Get assigned companies (where this CA is the primary assignedCA)
-    const assignedCompanies = await Company.find({ assignedCA: caId })
-      .select('name industry status')
-      .lean();
+    // Companies the CA is engaged with; assigned companies are those where they are lead
+    const engagements = await engagementService.listForCA(ca._id);
+    const engagedCompanies = engagements.filter(engagement => engagement.company).map(engagement => engagement.company);
+    const assignedCompanies = engagements
+      .filter(engagement => engagement.company && engagement.role === 'lead')
+      .map(engagement => engagement.company);
 
     // Get analyses created by this CA
     const analyses = await Analysis.find({ uploadedBy: caId })
@@ -442,11 +472,12 @@ const getCADetails = async (req, res, next) => {
       success: true,
       data: {
         ca,
+        engagements,
         assignedCompanies,
-        invitedCompanies: ca.invitedCompanies || [],
+        invitedCompanies: engagedCompanies,
         stats: {
           totalAssignedCompanies: assignedCompanies.length,
-          totalInvitedCompanies: ca.invitedCompanies?.length || 0,
+          totalInvitedCompanies: engagedCompanies.length,
           totalAnalyses,
           recentAnalyses
         },
@@ -458,6 +489,130 @@ const getCADetails = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the platform security policy
+ */
+const getSecurityPolicy = async (req, res, next) => {
+  try {
+    const policy = await twoFactorService.getPolicy();
+
+    res.status(200).json({
+      success: true,
+      data: { policy }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the platform security policy (which roles must use two-factor authentication)
+ */
+const updateSecurityPolicy = async (req, res, next) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+
+    const previous = await twoFactorService.getPolicy();
+    const before = { twoFactorRequiredRoles: [...previous.twoFactorRequiredRoles] };
+    const policy = await twoFactorService.updatePolicy({ twoFactorRequiredRoles }, req.user._id);
+
+    req.audit({
+      action: 'security_policy.update',
+      targetType: 'SecurityPolicy',
+      before,
+      after: { twoFactorRequiredRoles: policy.twoFactorRequiredRoles }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Security policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset a user's two-factor authentication (lost device). Signs out their sessions;
+ * if their role requires 2FA they must enrol again on next login.
+ */
+const resetUserTwoFactor = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    await twoFactorService.reset(userId);
+    await sessionService.revokeAll(userId);
+
+    req.audit({ action: 'user.two_factor_reset', targetType: 'User', targetId: userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the accounts and IP addresses currently locked out of sign-in
+ */
+const getLockouts = async (req, res, next) => {
+  try {
+    const lockouts = await loginProtectionService.listLockouts();
+
+    res.status(200).json({
+      success: true,
+      data: { lockouts }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lift a sign-in lockout (account or IP address)
+ */
+const removeLockout = async (req, res, next) => {
+  try {
+    const lockout = await loginProtectionService.unlock(req.params.lockoutId);
+
+    if (!lockout) {
+      return next(new AppError('Lockout not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lockout lifted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lift any sign-in lockout on a user's account
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const unlocked = await loginProtectionService.unlockUser(user);
+
+    res.status(200).json({
+      success: true,
+      message: unlocked ? 'Account unlocked successfully' : 'Account was not locked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getDashboardAnalytics,
   getAllCAs,
@@ -466,5 +621,11 @@ module.exports = {
   deleteCA,
   assignCAToCompanies,
   removeCAFromCompanies,
-  getCADetails
+  getCADetails,
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  resetUserTwoFactor,
+  getLockouts,
+  removeLockout,
+  unlockUser
 };
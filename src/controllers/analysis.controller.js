@@ -1,6 +1,21 @@
+const mongoose = require('mongoose');
 const Analysis = require('../models/Analysis');
+const Benchmark = require('../models/Benchmark');
 const Company = require('../models/Company');
 const Document = require('../models/Document');
+const analysisJobService = require('../services/analysisJobService');
+const benchmarkGradingService = require('../services/benchmarkGradingService');
+const permissionService = require('../services/permissionService');
+const { normalizeAnalysisPayload, AnalysisPayloadError } = require('../utils/analysisPayload');
+const {
+  buildMetricSeries,
+  computeGrowth,
+  resolveAnalysisYears,
+  fiscalYearKey,
+  SERIES_SECTIONS
+} = require('../utils/metricSeries');
+const { classifyMetricChange } = require('../config/metricCatalogue');
+const metricRegistry = require('../services/metricRegistry');
 const { v4: uuidv4 } = require('uuid');
 
 // Store analysis result from Python microservice
@@ -8,10 +23,12 @@ exports.storeAnalysis = async (req, res) => {
   try {
     const {
       jobId,
+      analysisId,
       companyId,
       documentIds,
       analysisData,
-      uploadedBy
+      uploadedBy,
+      schemaVersion
     } = req.body;
 
     // Validate required fields
@@ -22,6 +39,30 @@ exports.storeAnalysis = async (req, res) => {
       });
     }
 
+    // Validate against the payload contract and normalise into the canonical shape
+    let payload;
+    try {
+      payload = normalizeAnalysisPayload(analysisData, { schemaVersion });
+    } catch (error) {
+      if (!(error instanceof AnalysisPayloadError)) throw error;
+
+      await analysisJobService.rejectPayload({
+        source: 'rest',
+        error,
+        analysisId,
+        jobId,
+        companyId,
+        schemaVersion: schemaVersion ?? analysisData?.schema_version,
+        payload: req.body
+      });
+
+      return res.status(422).json({
+        success: false,
+        message: 'Analysis payload does not match the expected schema',
+        errors: error.errors
+      });
+    }
+
     // Verify company exists
     const company = await Company.findById(companyId);
     if (!company) {
@@ -42,56 +83,56 @@ exports.storeAnalysis = async (req, res) => {
       }));
     }
 
-    // Create analysis record with new dual extraction structure
-    const analysis = new Analysis({
+    // Complete the job record created at trigger time, or create one if none exists
+    const existingJob = await analysisJobService.findJob({ analysisId, jobId });
+    if (existingJob && existingJob.company.toString() !== String(companyId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'companyId does not match the company the analysis was started for'
+      });
+    }
+    if (existingJob && Analysis.TERMINAL_STATUSES.includes(existingJob.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Analysis is already ${existingJob.status}`
+      });
+    }
+
+    const analysis = existingJob || new Analysis({
       analysisId: uuidv4(),
       company: companyId,
-      uploadedBy: uploadedBy || req.user?._id,
-      jobId,
-      documents,
-      documentCount: documents.length,
-      totalPagesProcessed: analysisData.metadata?.total_pages_processed || 0,
-
-      // Store the complete analysis data in consolidatedData
-      consolidatedData: {
-        company_information: analysisData.company_information || {},
-
-        // NEW: Dual extraction data
-        extracted_fields: analysisData.extracted_fields || {},  // ALL original fields
-        standardized_fields: analysisData.standardized_fields || {},  // Mapped fields
-        calculated_metrics: analysisData.calculated_metrics || {},  // Smart ratios
-
-        // Legacy support (keep for backward compatibility)
-        balance_sheet_data: analysisData.balance_sheet_data || {},
-        income_statement_data: analysisData.income_statement_data || {},
-        cash_flow_data: analysisData.cash_flow_data || {},
-        comprehensive_financial_metrics: analysisData.comprehensive_financial_metrics || {},
-
-        trend_analysis: analysisData.trend_analysis || {},
-        risk_assessment: analysisData.risk_assessment || {},
-        industry_benchmarking: analysisData.industry_benchmarking || {},
-        future_outlook: analysisData.future_outlook || {},
-        executive_summary: analysisData.executive_summary || {},
-        detailed_analysis: analysisData.detailed_analysis || {},
-        graphical_data: analysisData.graphical_data || {},
-        strategic_recommendations: analysisData.strategic_recommendations || [],
-        key_findings: analysisData.key_findings || {},
-        analysis_metadata: analysisData.analysis_metadata || {},
-        consolidation_metadata: analysisData.consolidation_metadata || {}
-      },
-
-      // Store health analysis separately as expected by the model
-      healthAnalysis: analysisData.financial_health_analysis || {},
+      uploadedBy: uploadedBy || req.user?._id
+    });
 
-      status: 'completed'
+    // Store analysis result with new dual extraction structure
+    analysis.set({
+      jobId,
+      ...(documents.length > 0 && { documents, documentCount: documents.length }),
+      totalPagesProcessed: payload.totalPagesProcessed,
+      schemaVersion: payload.schemaVersion,
+      consolidatedData: payload.consolidatedData,
+      healthAnalysis: payload.healthAnalysis
     });
 
-    await analysis.save();
+    // Only save over the job as it was loaded, not one that timed out meanwhile
+    if (existingJob) analysis.$where = { status: existingJob.status };
+    analysis.transitionTo('completed');
+
+    try {
+      await analysis.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.DocumentNotFoundError)) throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'Analysis finished while the result was being stored'
+      });
+    }
 
     // Update document statuses
-    if (documentIds && documentIds.length > 0) {
+    const analyzedDocumentIds = analysis.documents.map(d => d.documentId);
+    if (analyzedDocumentIds.length > 0) {
       await Document.updateMany(
-        { _id: { $in: documentIds } },
+        { _id: { $in: analyzedDocumentIds } },
         {
           status: 'analyzed',
           analysisId: analysis.analysisId
@@ -172,6 +213,8 @@ exports.getAnalysis = async (req, res) => {
         strategic_recommendations: consolidatedData.strategic_recommendations || [],
 
         // Metadata
+        status: analysis.status,
+        error: analysis.error,
         document_count: analysis.documentCount,
         total_pages_processed: analysis.totalPagesProcessed,
         created_at: analysis.createdAt,
@@ -190,6 +233,81 @@ exports.getAnalysis = async (req, res) => {
   }
 };
 
+// Grade a stored analysis against a benchmark (defaults to the benchmark it was run with)
+exports.gradeAnalysis = async (req, res) => {
+  try {
+    const { analysisId } = req.params;
+    const { benchmarkId, benchmarkVersion, fiscalYear } = req.query;
+
+    const analysis = await Analysis.findOne({ analysisId })
+      .populate('company', 'name industry')
+      .lean();
+
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Analysis not found'
+      });
+    }
+
+    if (analysis.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: `Analysis is ${analysis.status}; only completed analyses can be graded`
+      });
+    }
+
+    if (benchmarkId && !mongoose.isValidObjectId(benchmarkId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid benchmark ID'
+      });
+    }
+
+    const benchmark = await benchmarkGradingService.resolveBenchmark({
+      benchmarkId,
+      benchmarkVersion,
+      analysis,
+      industry: analysis.company?.industry
+    });
+
+    if (!benchmark) {
+      return res.status(404).json({
+        success: false,
+        message: benchmarkId ? 'Benchmark or benchmark version not found' : 'No default benchmark found'
+      });
+    }
+
+    // Same visibility rule as the benchmark routes
+    const permissions = await permissionService.permissionsFor(req.user);
+    if (benchmarkId && !Benchmark.isVisibleTo(benchmark, req.user, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const grading = await benchmarkGradingService.gradeAnalysis(analysis, benchmark, { fiscalYear });
+
+    res.json({
+      success: true,
+      data: {
+        company_id: analysis.company._id,
+        company_name: analysis.company.name,
+        ...grading
+      }
+    });
+
+  } catch (error) {
+    console.error('Grade analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grade analysis',
+      error: error.message
+    });
+  }
+};
+
 // Get company analysis history
 exports.getCompanyHistory = async (req, res) => {
   try {
@@ -235,7 +353,7 @@ exports.getCompanyHistory = async (req, res) => {
         latest_grade: formattedAnalyses[0]?.health_status || 'N/A',
         grade_trend: calculateTrend(formattedAnalyses),
         analyses: formattedAnalyses,
-        trend_data: {}
+        trend_data: buildMetricSeries(analyses, { sections: ['calculated_metrics'] })
       }
     });
 
@@ -249,6 +367,60 @@ exports.getCompanyHistory = async (req, res) => {
   }
 };
 
+// Get per-metric time series across a company's analyses, keyed by fiscal year
+exports.getMetricTimeSeries = async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { metrics, section } = req.query;
+
+    if (section && !SERIES_SECTIONS.includes(section)) {
+      return res.status(400).json({
+        success: false,
+        message: `section must be one of: ${SERIES_SECTIONS.join(', ')}`
+      });
+    }
+
+    const company = await Company.findById(companyId).select('name');
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const analyses = await Analysis.find({
+      company: companyId,
+      status: 'completed'
+    })
+      .select('analysisId createdAt completedAt consolidatedData.company_information consolidatedData.calculated_metrics consolidatedData.standardized_fields')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const timeSeries = buildMetricSeries(analyses, {
+      sections: section ? [section] : SERIES_SECTIONS,
+      metrics: metrics ? metrics.split(',').map(m => m.trim()).filter(Boolean) : null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        company_id: companyId,
+        company_name: company.name,
+        analyses_count: analyses.length,
+        ...timeSeries
+      }
+    });
+
+  } catch (error) {
+    console.error('Get metric time series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build metric time series',
+      error: error.message
+    });
+  }
+};
+
 // Compare analyses
 exports.compareAnalyses = async (req, res) => {
   try {
@@ -278,16 +450,17 @@ exports.compareAnalyses = async (req, res) => {
       .populate('company', 'name')
       .lean();
 
-    if (analyses.length < 2) {
+    // Build comparison data (custom metric definitions decide polarity for sector metrics)
+    await metricRegistry.load();
+    const comparisonData = buildComparisonData(analyses);
+
+    if (comparisonData.fiscal_years.length < 2) {
       return res.status(400).json({
         success: false,
-        message: `Found only ${analyses.length} analysis. At least 2 required for comparison.`
+        message: `Found ${comparisonData.fiscal_years.length} reporting period(s) across ${analyses.length} analysis(es). At least 2 fiscal years required for comparison.`
       });
     }
 
-    // Build comparison data
-    const comparisonData = buildComparisonData(analyses);
-
     res.json({
       success: true,
       data: {
@@ -299,6 +472,10 @@ exports.compareAnalyses = async (req, res) => {
           start: analyses[0].createdAt,
           end: analyses[analyses.length - 1].createdAt
         },
+        period_range: {
+          start: comparisonData.fiscal_years[0],
+          end: comparisonData.fiscal_years[comparisonData.fiscal_years.length - 1]
+        },
         ...comparisonData
       }
     });
@@ -326,9 +503,10 @@ function calculateTrend(analyses) {
   return 'stable';
 }
 
-// Helper function to build comparison data
+// Helper function to build comparison data.
+// Metrics are compared across reporting periods (fiscal years) rather than upload order;
+// when several analyses cover the same period the latest one wins.
 function buildComparisonData(analyses) {
-  const metricTrends = {};
   const healthProgression = [];
   const analysesComparison = [];
 
@@ -337,6 +515,7 @@ function buildComparisonData(analyses) {
     const analysisData = {
       analysis_id: analysis.analysisId,
       created_at: analysis.createdAt,
+      fiscal_years: resolveAnalysisYears(analysis).map(fiscalYearKey).reverse(),
       company_information: analysis.consolidatedData?.company_information || {},
 
       // NEW: Dual extraction data from analysis API
@@ -365,80 +544,100 @@ function buildComparisonData(analyses) {
     });
   });
 
-  // Extract metric trends from CALCULATED_METRICS (new dual extraction)
-  analyses.forEach(analysis => {
-    const calculatedMetrics = analysis.consolidatedData?.calculated_metrics || {};
+  // Extract metric trends per fiscal year from CALCULATED_METRICS (new dual extraction)
+  const { fiscal_years: fiscalYears, periods, series, undated_analyses: undatedAnalyses } =
+    buildMetricSeries(analyses, { sections: ['calculated_metrics'] });
 
-    Object.entries(calculatedMetrics).forEach(([metricName, metricData]) => {
-      if (!metricTrends[metricName]) {
-        metricTrends[metricName] = [];
-      }
-
-      // Handle both old and new metric data structures
-      let value = null;
-
-      if (metricData?.value !== null && metricData?.value !== undefined) {
-        value = metricData.value;
-      } else if (metricData?.current_year?.value !== null && metricData?.current_year?.value !== undefined) {
-        value = metricData.current_year.value;
-      }
-
-      if (value !== null && value !== undefined && metricData?.available !== false) {
-        metricTrends[metricName].push({
-          date: analysis.createdAt,
-          value: value,
-          analysis_id: analysis.analysisId,
-          unit: metricData?.unit || '',
-          category: metricData?.category || 'other'
-        });
-      }
-    });
-  });
-
-  // Calculate improvements and declines
+  const metricTrends = {};
+  const metricGrowth = {};
   const improving = [];
   const declining = [];
+  const changed = [];
+
+  Object.entries(series.calculated_metrics).forEach(([metric, reported]) => {
+    // The catalogue's category and unit take precedence over what the payload reports
+    const definition = metricRegistry.get(metric);
+    const unit = definition?.unit || reported.unit;
+    const category = definition?.category || reported.category;
+    const polarity = definition?.polarity || null;
+    const { points } = reported;
+
+    metricTrends[metric] = points
+      .filter(point => point.available)
+      .map(point => ({
+        fiscal_year: point.fiscal_year,
+        value: point.value,
+        analysis_id: point.analysis_id,
+        analyzed_at: point.analyzed_at,
+        unit,
+        category
+      }));
 
-  Object.entries(metricTrends).forEach(([metric, values]) => {
-    if (values.length >= 2) {
-      const first = values[0].value;
-      const last = values[values.length - 1].value;
-
-      if (Math.abs(first) < 0.0001) return; // Skip if first value is too close to zero
+    const growth = computeGrowth(points);
+    metricGrowth[metric] = {
+      label: definition?.label || metric,
+      unit,
+      category,
+      polarity,
+      yoy: growth.yoy.map(entry => ({ ...entry, trend: classifyMetricChange(metric, entry.change, definition) })),
+      cagr: growth.cagr,
+      first_period: growth.first?.fiscal_year || null,
+      last_period: growth.last?.fiscal_year || null
+    };
 
-      const change = ((last - first) / Math.abs(first)) * 100;
+    if (growth.years === 0) return;
+
+    // Classify on CAGR, falling back to the latest YoY change when CAGR is undefined
+    // (e.g. a metric that crosses zero)
+    const latestYoy = [...growth.yoy].reverse().find(entry => entry.change !== null);
+    const change = growth.cagr !== null ? growth.cagr : latestYoy?.change;
+    const trend = classifyMetricChange(metric, change, definition);
+    metricGrowth[metric].trend = trend;
+    if (!trend || trend === 'stable') return;
+
+    const entry = {
+      metric,
+      label: definition?.label || metric,
+      change,
+      trend,
+      polarity,
+      cagr: growth.cagr,
+      latest_yoy: latestYoy?.change ?? null,
+      first_period: growth.first.fiscal_year,
+      last_period: growth.last.fiscal_year,
+      first_value: growth.first.value,
+      last_value: growth.last.value,
+      unit,
+      category
+    };
 
-      if (change > 5) improving.push({
-        metric,
-        change: parseFloat(change.toFixed(2)),
-        first_value: first,
-        last_value: last,
-        unit: values[0].unit,
-        category: values[0].category
-      });
-      if (change < -5) declining.push({
-        metric,
-        change: parseFloat(change.toFixed(2)),
-        first_value: first,
-        last_value: last,
-        unit: values[0].unit,
-        category: values[0].category
-      });
-    }
+    if (trend === 'improving') improving.push(entry);
+    else if (trend === 'declining') declining.push(entry);
+    else changed.push(entry);
   });
 
+  const byMagnitude = (a, b) => Math.abs(b.change) - Math.abs(a.change);
+
   return {
+    fiscal_years: fiscalYears,
+    periods,
+    undated_analyses: undatedAnalyses,
     analyses: analysesComparison,
     health_progression: healthProgression,
     metric_trends: metricTrends,
-    improving_metrics: improving.sort((a, b) => b.change - a.change),
-    declining_metrics: declining.sort((a, b) => a.change - b.change),
-    summary: generateSummary(improving, declining, healthProgression)
+    metric_growth: metricGrowth,
+    improving_metrics: improving.sort(byMagnitude),
+    declining_metrics: declining.sort(byMagnitude),
+    // Metrics that moved but have no defined direction (neutral or not in the catalogue)
+    changed_metrics: changed.sort(byMagnitude),
+    summary: generateSummary(improving, declining, healthProgression, changed)
   };
 }
 
 // Trigger analysis by sending documents to Python microservice
 exports.triggerAnalysis = async (req, res) => {
+  let job = null;
+
   try {
     const { documentIds, companyId, companyName, analysisType = 'comprehensive', industry, benchmarkId } = req.body;
 
@@ -470,29 +669,29 @@ exports.triggerAnalysis = async (req, res) => {
       });
     }
 
-    // Fetch benchmark values
-    const Benchmark = require('../models/Benchmark');
-    let benchmark;
-
-    if (benchmarkId) {
-      // Use specific benchmark if provided
-      benchmark = await Benchmark.findById(benchmarkId);
-    } else {
-      // Use default benchmark for industry
-      benchmark = await Benchmark.findOne({
-        industry: industry || 'General',
-        isDefault: true
+    const company = await Company.findById(companyId).select('name industry sizeBand fiscalYearEnd');
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
       });
-
-      // Fallback to general default if industry-specific not found
-      if (!benchmark) {
-        benchmark = await Benchmark.findOne({
-          industry: 'General',
-          isDefault: true
-        });
-      }
     }
 
+    // Fetch benchmark values: an explicit benchmark, else the default for the company's industry
+    const benchmark = await benchmarkGradingService.resolveBenchmark({
+      benchmarkId,
+      industry: industry || company.industry
+    });
+
+    // Create the job record before handing off, so the analysis is tracked from the start
+    job = await analysisJobService.createJob({
+      companyId,
+      requestedBy: req.user._id,
+      documents,
+      benchmark,
+      analysisType
+    });
+
     // Prepare file data for Python based on storage type
     const fs = require('fs').promises;
     const FormData = require('form-data');
@@ -546,27 +745,37 @@ exports.triggerAnalysis = async (req, res) => {
     }
 
     // Add metadata
+    formData.append('analysis_id', job.analysisId);
+    formData.append('document_ids', JSON.stringify(documents.map(doc => doc._id.toString())));
     formData.append('company_id', companyId);
-    formData.append('company_name', companyName || 'Unknown Company');
+    formData.append('company_name', companyName || company.name);
+    formData.append('company_profile', JSON.stringify({
+      industry: company.industry || 'General',
+      size_band: company.sizeBand || null,
+      fiscal_year_end: company.fiscalYearEnd
+        ? { month: company.fiscalYearEnd.month, day: company.fiscalYearEnd.day }
+        : null
+    }));
     formData.append('analysis_type', analysisType);
 
     // Add benchmark values if available
     if (benchmark) {
       formData.append('benchmarks', JSON.stringify({
+        id: benchmark._id,
+        version: benchmark.version,
         industry: benchmark.industry,
         liquidityRatios: benchmark.liquidityRatios,
         profitabilityRatios: benchmark.profitabilityRatios,
         leverageRatios: benchmark.leverageRatios,
         efficiencyRatios: benchmark.efficiencyRatios
       }));
-      console.log(`Using benchmark: ${benchmark.name} (${benchmark.industry})`);
+      console.log(`Using benchmark: ${benchmark.name} (${benchmark.industry}) v${benchmark.version}`);
     } else {
       console.warn('No benchmark found, analysis will use default thresholds');
     }
 
     // Forward to Python microservice's stateless analyze-files endpoint
-    const pythonUrl = process.env.PYTHON_SERVICE_URL || 'http://localhost:8000';
-    const response = await axios.post(`${pythonUrl}/api/analysis/analyze-files`, formData, {
+    const response = await axios.post(`${config.analysis.serviceUrl}/api/analysis/analyze-files`, formData, {
       headers: {
         ...formData.getHeaders()
       },
@@ -576,14 +785,31 @@ exports.triggerAnalysis = async (req, res) => {
 
     console.log('Python analysis response:', response.data);
 
-    // Return Python's response (includes job_id)
+    job = await analysisJobService.markSent(job, response.data?.job_id);
+
+    // Return Python's response (includes job_id) along with our job record
     return res.status(200).json({
       success: true,
-      data: response.data
+      data: {
+        ...response.data,
+        analysis_id: job.analysisId,
+        status: job.status
+      }
     });
 
   } catch (error) {
     console.error('Error triggering analysis:', error);
+
+    if (job) {
+      const reason = error.response?.data?.detail || error.message || 'Failed to send analysis to microservice';
+      // The requester gets the error in this response, so no notification is needed
+      await analysisJobService.markFailed(job, typeof reason === 'string' ? reason : JSON.stringify(reason), {
+        stage: 'dispatch',
+        notify: false
+      })
+        .catch(err => console.error('Failed to record analysis failure:', err));
+    }
+
     return res.status(500).json({
       success: false,
       message: error.message || 'Failed to trigger analysis',
@@ -593,10 +819,16 @@ exports.triggerAnalysis = async (req, res) => {
 };
 
 // Helper function to generate summary
-function generateSummary(improving, declining, healthProgression) {
+function generateSummary(improving, declining, healthProgression, changed = []) {
   const trend = improving.length > declining.length ? 'improving' :
                 declining.length > improving.length ? 'declining' : 'stable';
 
-  return `Overall trend is ${trend}. ${improving.length} metrics improving, ${declining.length} metrics declining. ` +
-         `Latest health status: ${healthProgression[healthProgression.length - 1]?.health_status || 'N/A'}.`;
+  const describe = (entries) => entries.slice(0, 3).map(entry => entry.label).join(', ');
+
+  let summary = `Overall trend is ${trend}. ${improving.length} metrics improving, ${declining.length} metrics declining.`;
+  if (improving.length > 0) summary += ` Strongest improvements: ${describe(improving)}.`;
+  if (declining.length > 0) summary += ` Largest deteriorations: ${describe(declining)}.`;
+  if (changed.length > 0) summary += ` ${changed.length} other metrics changed without a defined direction.`;
+
+  return `${summary} Latest health status: ${healthProgression[healthProgression.length - 1]?.health_status || 'N/A'}.`;
 }
@@ -1,7 +1,14 @@
 const AnalysisNote = require('../models/AnalysisNote');
 const Analysis = require('../models/Analysis');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
 const { AppError } = require('../middleware/errorHandler');
 
+// Note fields kept in the audit log. Title and content are encrypted at rest, so the
+// log only records which of them changed.
+const AUDITED_NOTE_FIELDS = ['noteType', 'isPrivate', 'attachments'];
+const ENCRYPTED_NOTE_FIELDS = ['title', 'content'];
+
 /**
  * Get all notes for an analysis
  */
@@ -17,8 +24,8 @@ exports.getNotesByAnalysis = async (req, res, next) => {
 
     let query = { analysisId };
 
-    // Companies can only see non-private notes
-    if (req.user.role !== 'CA' && req.user.role !== 'SUPER_ADMIN') {
+    // Private notes need the notes:view_private permission
+    if (!(await permissionService.hasPermission(req.user, 'notes:view_private'))) {
       query.isPrivate = false;
     }
 
@@ -44,8 +51,8 @@ exports.getNotesByCompany = async (req, res, next) => {
 
     let query = { company: companyId };
 
-    // Companies can only see non-private notes
-    if (req.user.role !== 'CA' && req.user.role !== 'SUPER_ADMIN') {
+    // Private notes need the notes:view_private permission
+    if (!(await permissionService.hasPermission(req.user, 'notes:view_private'))) {
       query.isPrivate = false;
     }
 
@@ -88,6 +95,15 @@ exports.createNote = async (req, res, next) => {
       attachments: attachments || []
     });
 
+    req.audit({
+      action: 'note.create',
+      targetType: 'AnalysisNote',
+      targetId: note._id,
+      company: note.company,
+      after: auditService.snapshot(note, AUDITED_NOTE_FIELDS),
+      metadata: { analysisId }
+    });
+
     const populatedNote = await AnalysisNote.findById(note._id)
       .populate('createdBy', 'name email');
 
@@ -120,6 +136,9 @@ exports.updateNote = async (req, res, next) => {
       return next(new AppError('You can only update your own notes', 403));
     }
 
+    const before = auditService.snapshot(note, AUDITED_NOTE_FIELDS);
+    const textBefore = auditService.snapshot(note, ENCRYPTED_NOTE_FIELDS);
+
     // Update fields
     if (title !== undefined) note.title = title;
     if (content !== undefined) note.content = content;
@@ -130,6 +149,19 @@ exports.updateNote = async (req, res, next) => {
 
     await note.save();
 
+    req.audit({
+      action: 'note.update',
+      targetType: 'AnalysisNote',
+      targetId: note._id,
+      company: note.company,
+      before,
+      after: auditService.snapshot(note, AUDITED_NOTE_FIELDS),
+      metadata: {
+        analysisId: note.analysisId,
+        editedFields: ENCRYPTED_NOTE_FIELDS.filter(field => textBefore[field] !== note[field])
+      }
+    });
+
     const populatedNote = await AnalysisNote.findById(note._id)
       .populate('createdBy', 'name email');
 
@@ -163,6 +195,15 @@ exports.deleteNote = async (req, res, next) => {
 
     await note.deleteOne();
 
+    req.audit({
+      action: 'note.delete',
+      targetType: 'AnalysisNote',
+      targetId: note._id,
+      company: note.company,
+      before: auditService.snapshot(note, AUDITED_NOTE_FIELDS),
+      metadata: { analysisId: note.analysisId }
+    });
+
     res.json({
       success: true,
       message: 'Note deleted successfully'
@@ -0,0 +1,108 @@
+const auditService = require('../services/auditService');
+const { toCsvRow } = require('../utils/csv');
+
+const FILTER_FIELDS = ['company', 'actor', 'action', 'targetId', 'from', 'to'];
+
+const CSV_COLUMNS = [
+  'seq', 'timestamp', 'actor', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId',
+  'company', 'changes', 'metadata', 'ip', 'userAgent', 'method', 'path', 'prevHash', 'hash',
+];
+
+const pickFilters = (query) => FILTER_FIELDS.reduce((filters, field) => (
+  query[field] ? { ...filters, [field]: query[field] } : filters
+), {});
+
+const toCsvRecord = (entry) => ({
+  ...entry,
+  timestamp: entry.timestamp.toISOString(),
+  changes: entry.changes ? JSON.stringify(entry.changes) : '',
+  metadata: entry.metadata ? JSON.stringify(entry.metadata) : '',
+});
+
+/**
+ * Get audit log entries, newest first
+ * Filters: company, actor, action, targetId, from, to (ISO dates)
+ */
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const { entries, total } = await auditService.query(pickFilters(req.query), { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          totalPages: Math.ceil(total / limit),
+          currentPage: page,
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export audit log entries (oldest first) as CSV or JSON, with the same filters as
+ * getAuditLogs. Entries keep their hashes, so an export can be checked independently.
+ */
+const exportAuditLogs = async (req, res, next) => {
+  const format = req.query.format || 'csv';
+  const cursor = auditService.cursor(pickFilters(req.query));
+
+  try {
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/json');
+
+    let count = 0;
+    res.write(format === 'csv' ? `${CSV_COLUMNS.join(',')}\r\n` : '[');
+
+    for await (const entry of cursor) {
+      if (format === 'csv') {
+        res.write(toCsvRow(CSV_COLUMNS, toCsvRecord(entry)));
+      } else {
+        res.write(`${count > 0 ? ',' : ''}\n${JSON.stringify(entry)}`);
+      }
+      count += 1;
+    }
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    await cursor.close();
+    // Once streaming has started the status can't change; cut the download short instead
+    if (res.headersSent) {
+      console.error('Audit log export error:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Recompute the audit log hash chain. A broken chain is reported in the data
+ * (valid: false, brokenAt, reason) rather than as an error.
+ */
+const verifyAuditLog = async (req, res, next) => {
+  try {
+    const result = await auditService.verify();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs,
+  verifyAuditLog
+};
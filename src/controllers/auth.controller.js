@@ -1,7 +1,20 @@
 const User = require('../models/User');
-const { generateTokens, verifyRefreshToken } = require('../utils/jwt');
+const permissionService = require('../services/permissionService');
+const sessionService = require('../services/sessionService');
+const accountService = require('../services/accountService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { generateChallengeToken } = require('../utils/jwt');
 const { AppError } = require('../middleware/errorHandler');
 
+/**
+ * Device details recorded on a session
+ */
+const clientOf = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
+
 /**
  * Register a new user
  */
@@ -34,12 +47,11 @@ const register = async (req, res, next) => {
       company: company || null,
     });
 
-    // Generate tokens
-    const tokens = generateTokens(user);
+    accountService.queueVerification(user);
 
-    // Save refresh token
-    user.refreshToken = tokens.refreshToken;
-    await user.save();
+    // Sign the new user in on this device
+    const tokens = await sessionService.start(user, clientOf(req));
+    await loginProtectionService.recordSuccess(user, clientOf(req));
 
     res.status(201).json({
       success: true,
@@ -61,11 +73,16 @@ const register = async (req, res, next) => {
 const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
+    const client = clientOf(req);
+
+    // Delayed or locked out after earlier failures (429 with Retry-After)
+    await loginProtectionService.assertAllowed({ email, ip: client.ip });
 
     // Find user with password field
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await loginProtectionService.recordFailure({ email, ip: client.ip });
       return next(new AppError('Invalid email or password', 401));
     }
 
@@ -77,14 +94,26 @@ const login = async (req, res, next) => {
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await loginProtectionService.recordFailure({ email, ip: client.ip, user });
       return next(new AppError('Invalid email or password', 401));
     }
 
-    // Generate tokens
-    const tokens = generateTokens(user);
+    // With 2FA on, the password only earns a challenge for the second step (POST /login/2fa)
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user),
+        },
+      });
+    }
+
+    // Start a session for this device
+    const tokens = await sessionService.start(user, client);
+    await loginProtectionService.recordSuccess(user, client);
 
-    // Save refresh token
-    user.refreshToken = tokens.refreshToken;
     user.lastLogin = new Date();
     await user.save();
 
@@ -98,6 +127,8 @@ const login = async (req, res, next) => {
         user,
         accessToken: tokens.accessToken,
         refreshToken: tokens.refreshToken,
+        // Until they enrol, the tokens only reach the 2FA setup endpoints
+        twoFactorSetupRequired: await twoFactorService.isRequiredFor(user),
       },
     });
   } catch (error) {
@@ -106,37 +137,52 @@ const login = async (req, res, next) => {
 };
 
 /**
- * Refresh access token
+ * Second login step: exchange the challenge token and a TOTP or recovery code for a session
  */
-const refreshToken = async (req, res, next) => {
+const loginTwoFactor = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    const { challengeToken, code, recoveryCode } = req.body;
+    const client = clientOf(req);
 
-    if (!refreshToken) {
-      return next(new AppError('Refresh token is required', 400));
-    }
+    const { user, recoveryCodesRemaining } = await twoFactorService.verifyLogin(challengeToken, {
+      code,
+      recoveryCode,
+      ip: client.ip,
+    });
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
+    const tokens = await sessionService.start(user, client);
+    await loginProtectionService.recordSuccess(user, client);
 
-    // Find user
-    const user = await User.findById(decoded.id).select('+refreshToken');
+    user.lastLogin = new Date();
+    await user.save();
 
-    if (!user) {
-      return next(new AppError('User not found', 404));
-    }
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        recoveryCodesRemaining,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Check if refresh token matches
-    if (user.refreshToken !== refreshToken) {
-      return next(new AppError('Invalid refresh token', 401));
-    }
+/**
+ * Refresh access token. The refresh token is rotated: the one sent stops working.
+ */
+const refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
 
-    // Generate new tokens
-    const tokens = generateTokens(user);
+    if (!refreshToken) {
+      return next(new AppError('Refresh token is required', 400));
+    }
 
-    // Update refresh token
-    user.refreshToken = tokens.refreshToken;
-    await user.save();
+    const tokens = await sessionService.refresh(refreshToken, clientOf(req));
 
     res.status(200).json({
       success: true,
@@ -152,13 +198,13 @@ const refreshToken = async (req, res, next) => {
 };
 
 /**
- * Logout user
+ * Logout user (signs out the current session)
  */
 const logout = async (req, res, next) => {
   try {
-    // Clear refresh token
-    req.user.refreshToken = null;
-    await req.user.save();
+    if (req.sessionId) {
+      await sessionService.revoke(req.user._id, req.sessionId, 'logout');
+    }
 
     res.status(200).json({
       success: true,
@@ -174,11 +220,16 @@ const logout = async (req, res, next) => {
  */
 const getProfile = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user._id).populate('company', 'name');
+    const user = await User.findById(req.user._id)
+      .populate('company', 'name')
+      .populate('customRole', 'name baseRole');
 
     res.status(200).json({
       success: true,
-      data: { user },
+      data: {
+        user,
+        permissions: [...await permissionService.permissionsFor(user)],
+      },
     });
   } catch (error) {
     next(error);
@@ -205,9 +256,231 @@ const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    const signedOut = await sessionService.revokeAll(user._id, {
+      except: req.sessionId,
+      reason: 'password_changed',
+    });
+    await accountService.sendPasswordChanged(user);
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully',
+      data: { signedOutSessions: signedOut },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's active sessions (signed-in devices)
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.list(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session.toObject(),
+          current: session._id.equals(req.sessionId),
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out one of the current user's sessions
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const session = await sessionService.revoke(req.user._id, req.params.sessionId);
+
+    if (!session) {
+      return next(new AppError('Session not found or already signed out', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out all of the current user's other sessions
+ */
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const signedOut = await sessionService.revokeAll(req.user._id, { except: req.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: `${signedOut} other session(s) signed out`,
+      data: { signedOutSessions: signedOut },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify an email address with the token from the verification email
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await accountService.verifyEmail(req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { email: user.email, emailVerified: user.emailVerified },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a new verification email to the current user
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return next(new AppError('Email is already verified', 400));
+    }
+
+    const sent = await accountService.sendVerification(req.user);
+    if (!sent) {
+      return next(new AppError('Verification email could not be sent. Please try again later', 503));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start a password reset. The response is the same whether or not the email has an account.
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    await accountService.requestPasswordReset(req.body.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password with the token from the reset email. Signs out every session.
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+    const { signedOutSessions } = await accountService.resetPassword(token, newPassword);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password',
+      data: { signedOutSessions },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's two-factor authentication status
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await twoFactorService.status(req.user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start 2FA enrolment: returns a new secret and its QR code for an authenticator app
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const enrolment = await twoFactorService.setup(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm a code to enable two-factor authentication',
+      data: enrolment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm a code from the new secret and turn 2FA on. Recovery codes are only shown here.
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const recoveryCodes = await twoFactorService.enable(req.user, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn 2FA off (password and a current or recovery code required)
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+    await twoFactorService.disable(req.user, { password, code });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes; the previous ones stop working
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. The previous codes no longer work',
+      data: { recoveryCodes },
     });
   } catch (error) {
     next(error);
@@ -217,8 +490,21 @@ const changePassword = async (req, res, next) => {
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   refreshToken,
   logout,
   getProfile,
   changePassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 };
@@ -1,35 +1,97 @@
 const Benchmark = require('../models/Benchmark');
+const benchmarkVersionService = require('../services/benchmarkVersionService');
+const metricRegistry = require('../services/metricRegistry');
+const peerBenchmarkService = require('../services/peerBenchmarkService');
+const permissionService = require('../services/permissionService');
+const benchmarkTransferService = require('../services/benchmarkTransferService');
 const { AppError } = require('../middleware/errorHandler');
+const multer = require('multer');
+
+// Benchmark import files are small tables; keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = [
+      'text/csv',
+      'application/csv',
+      'application/vnd.ms-excel', // Windows reports .csv files as Excel
+      'application/json',
+      'text/plain',
+    ];
+
+    if (allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Invalid file type. Only CSV and JSON files are allowed.', 400));
+    }
+  }
+});
+
+/**
+ * Validate custom metric definitions against the metric registry
+ */
+const validateMetrics = async (metrics) => {
+  await metricRegistry.load();
+  return metricRegistry.validateBenchmarkMetrics(metrics);
+};
 
 /**
- * Get all benchmarks (CA can see all, companies see defaults only)
+ * Benchmarks listed for a user, given their permissions (the same scope as Benchmark.isVisibleTo)
+ */
+const listableBenchmarksQuery = (user, permissions) => {
+  if (permissions.has('benchmarks:manage_all')) {
+    return {};
+  }
+
+  const shared = [
+    { isDefault: true },
+    { type: 'peer_group', 'peerGroup.status': 'active' }
+  ];
+
+  // Benchmark managers also see the benchmarks they created and their firm's
+  if (permissions.has('benchmarks:manage')) {
+    return {
+      $or: [
+        { createdBy: user._id },
+        ...(user.firm ? [{ firm: user.firm }] : []),
+        ...shared
+      ]
+    };
+  }
+
+  // Everyone else only sees default and peer-group benchmarks
+  return { $or: shared };
+};
+
+/**
+ * Get all benchmarks (benchmark managers see their own, their firm's and defaults, everyone
+ * else defaults only). Active peer-group benchmarks are listed for everyone; filter with
+ * ?type=manual|peer_group.
  */
 exports.getAllBenchmarks = async (req, res, next) => {
   try {
-    const { industry } = req.query;
-
-    let query = {};
-
-    // CAs can see all benchmarks they created or defaults
-    if (req.user.role === 'CA') {
-      query = {
-        $or: [
-          { createdBy: req.user._id },
-          { isDefault: true }
-        ]
-      };
-    } else {
-      // Companies only see default benchmarks
-      query.isDefault = true;
-    }
+    const { industry, type } = req.query;
+
+    const permissions = await permissionService.permissionsFor(req.user);
+    const query = listableBenchmarksQuery(req.user, permissions);
 
     if (industry) {
       query.industry = industry;
     }
 
+    if (type === 'peer_group') {
+      query.type = 'peer_group';
+    } else if (type === 'manual') {
+      // Benchmarks created before peer groups have no type
+      query.type = { $ne: 'peer_group' };
+    }
+
     const benchmarks = await Benchmark.find(query)
       .populate('createdBy', 'name email')
-      .sort({ isDefault: -1, industry: 1, createdAt: -1 });
+      .sort({ isDefault: -1, type: 1, industry: 1, createdAt: -1 });
 
     res.json({
       success: true,
@@ -55,7 +117,8 @@ exports.getBenchmarkById = async (req, res, next) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'CA' && !benchmark.isDefault) {
+    const permissions = await permissionService.permissionsFor(req.user);
+    if (!Benchmark.isVisibleTo(benchmark, req.user, permissions)) {
       return next(new AppError('Access denied', 403));
     }
 
@@ -96,7 +159,7 @@ exports.getDefaultBenchmark = async (req, res, next) => {
 };
 
 /**
- * Create new benchmark (CA only)
+ * Create new benchmark (benchmarks:manage)
  */
 exports.createBenchmark = async (req, res, next) => {
   try {
@@ -108,12 +171,23 @@ exports.createBenchmark = async (req, res, next) => {
       liquidityRatios,
       profitabilityRatios,
       leverageRatios,
-      efficiencyRatios
+      efficiencyRatios,
+      firmOwned
     } = req.body;
 
-    // Only Super Admin can create default benchmarks
-    if (isDefault && req.user.role !== 'SUPER_ADMIN') {
-      return next(new AppError('Only Super Admin can create default benchmarks', 403));
+    // Default benchmarks are for benchmark administrators only
+    const permissions = await permissionService.permissionsFor(req.user);
+    if (isDefault && !permissions.has('benchmarks:manage_all')) {
+      return next(new AppError('Access denied. Missing permission: benchmarks:manage_all.', 403));
+    }
+
+    if (firmOwned && !req.user.firm) {
+      return next(new AppError('Only firm members can create firm-owned benchmarks', 400));
+    }
+
+    const { metrics, errors } = await validateMetrics(req.body.metrics || []);
+    if (errors.length > 0) {
+      return next(new AppError(`Invalid metric definitions: ${errors.join('; ')}`, 400));
     }
 
     const benchmark = await Benchmark.create({
@@ -122,12 +196,16 @@ exports.createBenchmark = async (req, res, next) => {
       industry: industry || 'General',
       isDefault: isDefault || false,
       createdBy: req.user._id,
+      firm: firmOwned ? req.user.firm : null,
       liquidityRatios,
       profitabilityRatios,
       leverageRatios,
-      efficiencyRatios
+      efficiencyRatios,
+      metrics
     });
 
+    await benchmarkVersionService.recordInitialVersion(benchmark, req.user._id);
+
     const populatedBenchmark = await Benchmark.findById(benchmark._id)
       .populate('createdBy', 'name email');
 
@@ -142,12 +220,12 @@ exports.createBenchmark = async (req, res, next) => {
 };
 
 /**
- * Update benchmark (CA only, own benchmarks)
+ * Update benchmark (benchmarks:manage, own and firm benchmarks)
  */
 exports.updateBenchmark = async (req, res, next) => {
   try {
     const { benchmarkId } = req.params;
-    const updateData = req.body;
+    const { changeNote, firmOwned, ...updateData } = req.body;
 
     const benchmark = await Benchmark.findById(benchmarkId);
 
@@ -155,26 +233,59 @@ exports.updateBenchmark = async (req, res, next) => {
       return next(new AppError('Benchmark not found', 404));
     }
 
+    if (benchmark.type === 'peer_group') {
+      return next(new AppError('Peer-group benchmarks are computed from platform data and cannot be edited', 400));
+    }
+
     // Check permissions
-    if (benchmark.isDefault && req.user.role !== 'SUPER_ADMIN') {
-      return next(new AppError('Only Super Admin can update default benchmarks', 403));
+    const permissions = await permissionService.permissionsFor(req.user);
+    const managesAll = permissions.has('benchmarks:manage_all');
+    if (benchmark.isDefault && !managesAll) {
+      return next(new AppError('Access denied. Missing permission: benchmarks:manage_all.', 403));
     }
 
-    if (!benchmark.createdBy.equals(req.user._id) && req.user.role !== 'SUPER_ADMIN') {
-      return next(new AppError('You can only update your own benchmarks', 403));
+    if (!Benchmark.isEditableBy(benchmark, req.user, permissions)) {
+      return next(new AppError('You can only update your own or your firm\'s benchmarks', 403));
     }
 
-    // Update benchmark
-    Object.assign(benchmark, updateData);
-    await benchmark.save();
+    // Sharing with the firm (or taking a benchmark back) is up to its creator
+    if (firmOwned !== undefined) {
+      if (!benchmark.createdBy.equals(req.user._id) && !managesAll) {
+        return next(new AppError('Only the creator can change who owns a benchmark', 403));
+      }
+      if (firmOwned && !req.user.firm) {
+        return next(new AppError('Only firm members can share benchmarks with a firm', 400));
+      }
+      benchmark.firm = firmOwned ? req.user.firm : null;
+    }
+
+    // Only benchmark administrators can promote a benchmark to default
+    if (updateData.isDefault !== undefined && !managesAll) {
+      return next(new AppError('Access denied. Missing permission: benchmarks:manage_all.', 403));
+    }
+
+    if (updateData.metrics !== undefined) {
+      const { metrics, errors } = await validateMetrics(updateData.metrics);
+      if (errors.length > 0) {
+        return next(new AppError(`Invalid metric definitions: ${errors.join('; ')}`, 400));
+      }
+      updateData.metrics = metrics;
+    }
+
+    // Thresholds are never edited in place; each change is recorded as a new version
+    const { version } = await benchmarkVersionService.applyUpdate(benchmark, updateData, {
+      author: req.user._id,
+      changeNote
+    });
 
     const populatedBenchmark = await Benchmark.findById(benchmark._id)
-      .populate('createdBy', 'name email');
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
 
     res.json({
       success: true,
-      message: 'Benchmark updated successfully',
-      data: { benchmark: populatedBenchmark }
+      message: version ? `Benchmark updated to version ${version.version}` : 'No changes to benchmark',
+      data: { benchmark: populatedBenchmark, version }
     });
   } catch (error) {
     next(error);
@@ -182,7 +293,7 @@ exports.updateBenchmark = async (req, res, next) => {
 };
 
 /**
- * Delete benchmark (CA only, own benchmarks)
+ * Delete benchmark (benchmarks:manage, own and firm benchmarks)
  */
 exports.deleteBenchmark = async (req, res, next) => {
   try {
@@ -199,9 +310,15 @@ exports.deleteBenchmark = async (req, res, next) => {
       return next(new AppError('Cannot delete default benchmarks', 400));
     }
 
+    // Peer groups are suppressed, not deleted, when their cohort shrinks
+    if (benchmark.type === 'peer_group') {
+      return next(new AppError('Cannot delete peer-group benchmarks', 400));
+    }
+
     // Check permissions
-    if (!benchmark.createdBy.equals(req.user._id) && req.user.role !== 'SUPER_ADMIN') {
-      return next(new AppError('You can only delete your own benchmarks', 403));
+    const permissions = await permissionService.permissionsFor(req.user);
+    if (!Benchmark.isEditableBy(benchmark, req.user, permissions)) {
+      return next(new AppError('You can only delete your own or your firm\'s benchmarks', 403));
     }
 
     await benchmark.deleteOne();
@@ -215,6 +332,247 @@ exports.deleteBenchmark = async (req, res, next) => {
   }
 };
 
+/**
+ * Check that the user can see a benchmark
+ */
+const findVisibleBenchmark = async (req, next) => {
+  const benchmark = await Benchmark.findById(req.params.benchmarkId);
+
+  if (!benchmark) {
+    next(new AppError('Benchmark not found', 404));
+    return null;
+  }
+
+  const permissions = await permissionService.permissionsFor(req.user);
+  if (!Benchmark.isVisibleTo(benchmark, req.user, permissions)) {
+    next(new AppError('Access denied', 403));
+    return null;
+  }
+
+  return benchmark;
+};
+
+/**
+ * Get version history of a benchmark
+ */
+exports.getBenchmarkVersions = async (req, res, next) => {
+  try {
+    const benchmark = await findVisibleBenchmark(req, next);
+    if (!benchmark) return;
+
+    const versions = await benchmarkVersionService.listVersions(benchmark._id);
+
+    res.json({
+      success: true,
+      data: {
+        benchmarkId: benchmark._id,
+        currentVersion: benchmark.version,
+        versions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a specific version of a benchmark
+ */
+exports.getBenchmarkVersion = async (req, res, next) => {
+  try {
+    const benchmark = await findVisibleBenchmark(req, next);
+    if (!benchmark) return;
+
+    const version = await benchmarkVersionService.getVersion(benchmark._id, parseInt(req.params.version));
+
+    if (!version) {
+      return next(new AppError('Benchmark version not found', 404));
+    }
+
+    res.json({
+      success: true,
+      data: { version }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Diff two versions of a benchmark (?from=1&to=2, defaults to previous vs current)
+ */
+exports.diffBenchmarkVersions = async (req, res, next) => {
+  try {
+    const benchmark = await findVisibleBenchmark(req, next);
+    if (!benchmark) return;
+
+    const to = parseInt(req.query.to) || benchmark.version;
+    const from = parseInt(req.query.from) || to - 1;
+
+    const [fromVersion, toVersion] = await Promise.all([
+      benchmarkVersionService.getVersion(benchmark._id, from),
+      benchmarkVersionService.getVersion(benchmark._id, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return next(new AppError(`Benchmark version ${!fromVersion ? from : to} not found`, 404));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        benchmarkId: benchmark._id,
+        from: { version: fromVersion.version, author: fromVersion.author, createdAt: fromVersion.createdAt },
+        to: { version: toVersion.version, author: toVersion.author, createdAt: toVersion.createdAt },
+        changes: benchmarkVersionService.diff(fromVersion, toVersion)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Recompute peer-group benchmarks now (Super Admin only)
+ */
+exports.refreshPeerBenchmarks = async (req, res, next) => {
+  try {
+    const result = await peerBenchmarkService.computePeerBenchmarks();
+
+    if (result.skipped) {
+      return next(new AppError('A peer benchmark refresh is already running', 409));
+    }
+
+    res.json({
+      success: true,
+      message: 'Peer-group benchmarks refreshed',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export benchmarks as JSON or CSV (?format=json|csv, ?ids=id1,id2; defaults to all listed benchmarks)
+ */
+exports.exportBenchmarks = async (req, res, next) => {
+  try {
+    const { format = 'json', ids, industry } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return next(new AppError('format must be json or csv', 400));
+    }
+
+    const permissions = await permissionService.permissionsFor(req.user);
+    let benchmarks;
+
+    if (ids) {
+      const benchmarkIds = [...new Set(String(ids).split(',').map(id => id.trim()).filter(Boolean))];
+      benchmarks = await Benchmark.find({ _id: { $in: benchmarkIds } });
+
+      if (benchmarks.length !== benchmarkIds.length) {
+        return next(new AppError('One or more benchmarks not found', 404));
+      }
+      if (benchmarks.some(benchmark => !Benchmark.isVisibleTo(benchmark, req.user, permissions))) {
+        return next(new AppError('Access denied', 403));
+      }
+    } else {
+      const query = listableBenchmarksQuery(req.user, permissions);
+      if (industry) query.industry = industry;
+      benchmarks = await Benchmark.find(query).sort({ isDefault: -1, industry: 1, name: 1 });
+    }
+
+    await metricRegistry.load();
+
+    const filename = `benchmarks-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(benchmarkTransferService.toCsv(benchmarks));
+    }
+
+    res.json(benchmarkTransferService.toJson(benchmarks));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import benchmarks from a CSV or JSON file (multipart field "file") or a JSON body
+ * ({ benchmarks: [...] } or { csv: "..." }). Benchmarks are upserted by name + industry;
+ * nothing is written if any row is invalid. Use ?dryRun=true to preview the changes.
+ */
+exports.importBenchmarks = async (req, res, next) => {
+  try {
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun ?? req.body.dryRun));
+
+    let format;
+    let content;
+
+    if (req.file) {
+      const isJson = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname);
+      format = req.query.format || (isJson ? 'json' : 'csv');
+      content = req.file.buffer.toString('utf8');
+    } else if (typeof req.body.csv === 'string') {
+      format = 'csv';
+      content = req.body.csv;
+    } else if (Array.isArray(req.body.benchmarks)) {
+      format = 'json';
+      content = req.body;
+    } else {
+      return next(new AppError('Provide a CSV or JSON file, a "csv" string or a "benchmarks" array', 400));
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return next(new AppError('format must be json or csv', 400));
+    }
+
+    let entries;
+    try {
+      entries = benchmarkTransferService.parse(format, content);
+    } catch (parseError) {
+      return next(new AppError(`Could not parse ${format.toUpperCase()} import: ${parseError.message}`, 400));
+    }
+
+    if (entries.length === 0) {
+      return next(new AppError('Import contains no benchmarks', 400));
+    }
+
+    const { benchmarks, errors } = await benchmarkTransferService.validate(entries);
+    const { plan, errors: planErrors } = await benchmarkTransferService.plan(benchmarks, req.user);
+    errors.push(...planErrors);
+
+    const report = {
+      dryRun,
+      valid: errors.length === 0,
+      errors: errors.sort((a, b) => a.row - b.row)
+    };
+
+    if (dryRun || errors.length > 0) {
+      return res.status(errors.length > 0 && !dryRun ? 400 : 200).json({
+        success: errors.length === 0,
+        message: errors.length > 0
+          ? `Import has ${errors.length} error(s); no benchmarks were changed`
+          : `Dry run: ${plan.length} benchmark(s) would be imported`,
+        data: { ...report, benchmarks: plan.map(item => benchmarkTransferService.summarize(item)) }
+      });
+    }
+
+    const results = await benchmarkTransferService.apply(plan, req.user, `Imported from ${format.toUpperCase()}`);
+
+    res.json({
+      success: true,
+      message: `${results.length} benchmark(s) imported`,
+      data: { ...report, benchmarks: results }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.upload = upload;
+
 /**
  * Get list of industries
  */
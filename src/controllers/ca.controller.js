@@ -1,170 +1,88 @@
-const User = require('../models/User');
-const Company = require('../models/Company');
-const Analysis = require('../models/Analysis');
-const Document = require('../models/Document');
-const { AppError } = require('../middleware/errorHandler');
+const Engagement = require('../models/Engagement');
+const engagementService = require('../services/engagementService');
+const portfolioService = require('../services/portfolioService');
 
 /**
- * Get CA dashboard analytics
+ * Get CA dashboard analytics, over the CA's own clients and (for firm partners and
+ * managers) their firm's clients
  */
 const getCADashboard = async (req, res, next) => {
   try {
-    const caId = req.user._id;
+    const companyFields = 'name industry sizeBand createdAt';
+    const { firm, firmRole } = req.user;
 
-    // Get all companies assigned to this CA
-    const assignedCompanies = await Company.find({ assignedCA: caId })
-      .select('name industry createdAt')
-      .lean();
+    // Own engagements first, so a client reached both ways shows the CA's own role
+    const engagements = await engagementService.listForCA(req.user._id, { companyFields });
+    if (firm && Engagement.FIRM_WIDE_ACCESS_ROLES.includes(firmRole)) {
+      engagements.push(...await engagementService.listForFirm(firm, { companyFields }));
+    }
 
-    const companyIds = assignedCompanies.map(c => c._id);
-
-    // Get counts and metrics
-    const [
-      totalAnalyses,
-      completedAnalyses,
-      processingAnalyses,
-      failedAnalyses,
-      totalDocuments,
-      recentDocuments,
-      recentAnalyses
-    ] = await Promise.all([
-      // Total analyses for CA's companies
-      Analysis.countDocuments({ company: { $in: companyIds } }),
-
-      // Completed analyses
-      Analysis.countDocuments({ company: { $in: companyIds }, status: 'completed' }),
-
-      // Processing analyses
-      Analysis.countDocuments({ company: { $in: companyIds }, status: 'processing' }),
-
-      // Failed analyses
-      Analysis.countDocuments({ company: { $in: companyIds }, status: 'failed' }),
-
-      // Total documents
-      Document.countDocuments({ company: { $in: companyIds } }),
-
-      // Recent documents (last 7 days)
-      Document.countDocuments({
-        company: { $in: companyIds },
-        createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
-      }),
-
-      // Recent analyses (last 30 days)
-      Analysis.countDocuments({
-        company: { $in: companyIds },
-        createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
-      })
-    ]);
-
-    // Get new companies added this month
-    const newCompaniesThisMonth = await Company.countDocuments({
-      assignedCA: caId,
-      createdAt: { $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) }
+    res.status(200).json({
+      success: true,
+      data: await portfolioService.dashboard(engagements)
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Get recent activities (last 10)
-    const recentActivitiesData = await Analysis.find({ company: { $in: companyIds } })
-      .sort({ createdAt: -1 })
-      .limit(10)
-      .populate('company', 'name')
-      .select('analysisId company status createdAt completedAt')
-      .lean();
-
-    // Format activities
-    const recentActivities = recentActivitiesData.map(analysis => ({
-      type: 'analysis',
-      action: analysis.status === 'completed' ? 'Analysis completed' :
-              analysis.status === 'failed' ? 'Analysis failed' :
-              'Analysis processing',
-      company: analysis.company?.name || 'Unknown',
-      timestamp: analysis.createdAt,
-      status: analysis.status,
-      analysisId: analysis.analysisId
-    }));
+/**
+ * Get invitations sent to the CA (?status=pending|accepted|declined|revoked|expired|all)
+ */
+const getInvitations = async (req, res, next) => {
+  try {
+    const { status = 'pending' } = req.query;
 
-    // Get companies with stats
-    const companiesWithStats = await Promise.all(
-      assignedCompanies.map(async (company) => {
-        const [analysisCount, documentCount, lastAnalysis] = await Promise.all([
-          Analysis.countDocuments({ company: company._id }),
-          Document.countDocuments({ company: company._id }),
-          Analysis.findOne({ company: company._id })
-            .sort({ createdAt: -1 })
-            .select('createdAt status')
-            .lean()
-        ]);
+    const invitations = await engagementService.listInvitationsForCA(req.user._id, {
+      // An accepted invitation is an active engagement
+      status: status === 'accepted' ? 'active' : status
+    });
 
-        return {
-          _id: company._id,
-          name: company.name,
-          industry: company.industry,
-          totalAnalyses: analysisCount,
-          totalDocuments: documentCount,
-          lastAnalysisDate: lastAnalysis?.createdAt || null,
-          lastAnalysisStatus: lastAnalysis?.status || null,
-          daysSinceLastActivity: lastAnalysis ?
-            Math.floor((Date.now() - new Date(lastAnalysis.createdAt).getTime()) / (1000 * 60 * 60 * 24)) :
-            null
-        };
-      })
-    );
+    res.status(200).json({
+      success: true,
+      data: { invitations }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Identify companies needing attention (no activity in 30 days or failed analyses)
-    const companiesNeedingAttention = companiesWithStats.filter(company =>
-      !company.lastAnalysisDate ||
-      company.daysSinceLastActivity > 30 ||
-      company.lastAnalysisStatus === 'failed'
-    );
+/**
+ * Accept a company invitation with its token
+ */
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const engagement = await engagementService.acceptInvitation({
+      token: req.body.token,
+      user: req.user
+    });
+    await engagement.populate('company', 'name industry sizeBand');
 
-    // Calculate success rate
-    const successRate = totalAnalyses > 0
-      ? Math.round((completedAnalyses / totalAnalyses) * 100)
-      : 0;
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: { engagement }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Get analysis trend (last 30 days, grouped by day)
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    const analysisTrend = await Analysis.aggregate([
-      {
-        $match: {
-          company: { $in: companyIds },
-          createdAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
-          },
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { _id: 1 }
-      }
-    ]);
+/**
+ * Decline a company invitation with its token
+ */
+const declineInvitation = async (req, res, next) => {
+  try {
+    const engagement = await engagementService.declineInvitation({
+      token: req.body.token,
+      user: req.user,
+      reason: req.body.reason
+    });
 
     res.status(200).json({
       success: true,
-      data: {
-        metrics: {
-          assignedCompanies: assignedCompanies.length,
-          newCompaniesThisMonth,
-          totalAnalyses,
-          recentAnalyses,
-          totalDocuments,
-          recentDocuments,
-          analysisStatus: {
-            completed: completedAnalyses,
-            processing: processingAnalyses,
-            failed: failedAnalyses
-          },
-          successRate
-        },
-        recentActivities,
-        companies: companiesWithStats,
-        companiesNeedingAttention,
-        analysisTrend
-      }
+      message: 'Invitation declined',
+      data: { engagement }
     });
   } catch (error) {
     next(error);
@@ -172,5 +90,8 @@ const getCADashboard = async (req, res, next) => {
 };
 
 module.exports = {
-  getCADashboard
+  getCADashboard,
+  getInvitations,
+  acceptInvitation,
+  declineInvitation
 };
@@ -1,6 +1,38 @@
 const Company = require('../models/Company');
 const User = require('../models/User');
+const Benchmark = require('../models/Benchmark');
+const engagementService = require('../services/engagementService');
 const { AppError } = require('../middleware/errorHandler');
+const { identifierConsistencyErrors } = require('../utils/companyIdentifiers');
+
+const PROFILE_FIELDS = ['industry', 'sizeBand', 'fiscalYearEnd', 'incorporationDate', 'gstin', 'pan', 'cin'];
+
+/**
+ * Match an industry to a benchmark industry (case-insensitive), returning the benchmark's spelling.
+ * Returns null for industries no manual benchmark covers.
+ */
+const resolveIndustry = async (industry) => {
+  const industries = await Benchmark.distinct('industry', { type: { $ne: 'peer_group' } });
+  return ['General', ...industries].find(
+    (known) => known.toLowerCase() === industry.trim().toLowerCase()
+  ) || null;
+};
+
+/**
+ * Validate profile fields and normalise the industry. Returns an AppError or null.
+ */
+const checkProfile = async (profile) => {
+  if (profile.industry !== undefined) {
+    const industry = await resolveIndustry(profile.industry);
+    if (!industry) {
+      return new AppError(`Unknown industry "${profile.industry}". Use one of the benchmark industries (GET /api/benchmarks/industries)`, 400);
+    }
+    profile.industry = industry;
+  }
+
+  const errors = identifierConsistencyErrors(profile);
+  return errors.length > 0 ? new AppError(errors.join('. '), 400) : null;
+};
 
 /**
  * Create a new company (Super Admin only)
@@ -8,6 +40,14 @@ const { AppError } = require('../middleware/errorHandler');
 const createCompany = async (req, res, next) => {
   try {
     const { name, representative, description, registrationNumber, address, contactInfo } = req.body;
+    const profile = PROFILE_FIELDS.reduce((fields, field) => (
+      req.body[field] !== undefined ? { ...fields, [field]: req.body[field] } : fields
+    ), {});
+
+    const profileError = await checkProfile(profile);
+    if (profileError) {
+      return next(profileError);
+    }
 
     // Check if representative exists and is eligible
     const repUser = await User.findById(representative);
@@ -33,6 +73,7 @@ const createCompany = async (req, res, next) => {
       registrationNumber,
       address,
       contactInfo,
+      ...profile,
       createdBy: req.user._id,
     });
 
@@ -59,14 +100,14 @@ const createCompany = async (req, res, next) => {
  */
 const getAllCompanies = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search = '', status = 'all', industry = '' } = req.query;
+    const { page = 1, limit = 10, search = '', status = 'all', industry = '', sizeBand = '' } = req.query;
 
     const query = {};
 
     // If not super admin, filter by user's accessible companies
     if (req.user.role !== 'SUPER_ADMIN') {
       if (req.user.role === 'CA') {
-        query.assignedCA = req.user._id;
+        query._id = { $in: await engagementService.accessibleCompanyIds(req.user) };
       } else if (['COMPANY_ADMIN', 'COMPANY_USER'].includes(req.user.role)) {
         query._id = req.user.company;
       }
@@ -76,7 +117,10 @@ const getAllCompanies = async (req, res, next) => {
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
-        { registrationNumber: { $regex: search, $options: 'i' } }
+        { registrationNumber: { $regex: search, $options: 'i' } },
+        { gstin: { $regex: search, $options: 'i' } },
+        { pan: { $regex: search, $options: 'i' } },
+        { cin: { $regex: search, $options: 'i' } }
       ];
     }
 
@@ -90,11 +134,23 @@ const getAllCompanies = async (req, res, next) => {
       query.industry = { $regex: industry, $options: 'i' };
     }
 
+    // Size band filter
+    if (sizeBand) {
+      query.sizeBand = sizeBand;
+    }
+
     const companies = await Company.find(query)
       .populate('representative', 'name email')
       .populate('companyAdmins', 'name email')
       .populate('createdBy', 'name email')
-      .populate('assignedCA', 'name email phone firm')
+      .populate({
+        path: 'engagements',
+        select: 'ca firm role startDate endDate',
+        populate: [
+          { path: 'ca', select: 'name email phone firm' },
+          { path: 'firm', select: 'name registrationNumber' },
+        ],
+      })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ createdAt: -1 });
@@ -128,8 +184,14 @@ const getCompanyById = async (req, res, next) => {
     const company = await Company.findById(companyId)
       .populate('representative', 'name email role')
       .populate('companyAdmins', 'name email role')
-      .populate('invitedCAs.ca', 'name email')
-      .populate('invitedCAs.invitedBy', 'name email')
+      .populate({
+        path: 'engagements',
+        populate: [
+          { path: 'ca', select: 'name email' },
+          { path: 'firm', select: 'name registrationNumber' },
+          { path: 'grantedBy', select: 'name email' },
+        ],
+      })
       .populate('createdBy', 'name email');
 
     if (!company) {
@@ -156,19 +218,31 @@ const updateCompany = async (req, res, next) => {
     // Don't allow updating certain fields
     delete updates.representative;
     delete updates.createdBy;
-    delete updates.invitedCAs;
     delete updates.companyAdmins;
 
-    const company = await Company.findByIdAndUpdate(
-      companyId,
-      updates,
-      { new: true, runValidators: true }
-    ).populate('representative', 'name email');
+    const company = await Company.findById(companyId);
 
     if (!company) {
       return next(new AppError('Company not found', 404));
     }
 
+    // Identifier checks span fields, so validate against the merged profile
+    const profile = PROFILE_FIELDS.reduce((fields, field) => ({
+      ...fields,
+      [field]: updates[field] !== undefined ? updates[field] : company[field],
+    }), {});
+    if (updates.industry === undefined) delete profile.industry;
+
+    const profileError = await checkProfile(profile);
+    if (profileError) {
+      return next(profileError);
+    }
+    if (profile.industry !== undefined) updates.industry = profile.industry;
+
+    company.set(updates);
+    await company.save();
+    await company.populate('representative', 'name email');
+
     res.status(200).json({
       success: true,
       message: 'Company updated successfully',
@@ -198,6 +272,12 @@ const deleteCompany = async (req, res, next) => {
       { $set: { company: null, isActive: false } }
     );
 
+    // End the CA engagements with this company
+    await engagementService.endAll({ company: companyId }, {
+      endedBy: req.user._id,
+      reason: 'Company deleted',
+    });
+
     res.status(200).json({
       success: true,
       message: 'Company deleted successfully',
@@ -208,12 +288,12 @@ const deleteCompany = async (req, res, next) => {
 };
 
 /**
- * Invite CA to company
+ * Invite CA to company. The CA gets access once they accept the invitation.
  */
 const inviteCA = async (req, res, next) => {
   try {
     const { companyId } = req.params;
-    const { caId } = req.body;
+    const { caId, role = 'reviewer' } = req.body;
 
     const company = await Company.findById(companyId);
     if (!company) {
@@ -229,33 +309,22 @@ const inviteCA = async (req, res, next) => {
       return next(new AppError('User is not a CA', 400));
     }
 
-    // Check if already invited
-    const alreadyInvited = company.invitedCAs.some(
-      (invite) => invite.ca.toString() === caId
-    );
-
-    if (alreadyInvited) {
-      return next(new AppError('CA is already invited to this company', 400));
-    }
-
-    // Invite CA
-    company.inviteCA(caId, req.user._id);
-    await company.save();
-
-    // Add company to CA's invitedCompanies
-    if (!ca.invitedCompanies.includes(companyId)) {
-      ca.invitedCompanies.push(companyId);
-      await ca.save();
+    // Check if already engaged
+    if (await ca.hasCompanyAccess(companyId)) {
+      return next(new AppError('CA is already engaged with this company', 400));
     }
 
-    const updatedCompany = await Company.findById(companyId)
-      .populate('invitedCAs.ca', 'name email')
-      .populate('invitedCAs.invitedBy', 'name email');
+    const invitation = await engagementService.invite({
+      caId,
+      companyId,
+      role,
+      invitedBy: req.user._id,
+    });
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'CA invited successfully',
-      data: { company: updatedCompany },
+      message: 'Invitation sent to CA',
+      data: { invitation },
     });
   } catch (error) {
     next(error);
@@ -263,7 +332,7 @@ const inviteCA = async (req, res, next) => {
 };
 
 /**
- * Remove CA from company
+ * Remove CA from company (ends the engagement; its history is kept)
  */
 const removeCA = async (req, res, next) => {
   try {
@@ -274,24 +343,105 @@ const removeCA = async (req, res, next) => {
       return next(new AppError('Company not found', 404));
     }
 
-    const ca = await User.findById(caId);
-    if (!ca) {
-      return next(new AppError('CA user not found', 404));
+    const engagement = await engagementService.end({
+      caId,
+      companyId,
+      endedBy: req.user._id,
+      reason: req.body?.reason,
+    });
+
+    if (!engagement) {
+      return next(new AppError('CA is not engaged with this company', 404));
     }
 
-    // Remove CA from company
-    company.removeCA(caId);
-    await company.save();
+    res.status(200).json({
+      success: true,
+      message: 'CA removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Remove company from CA's invitedCompanies
-    ca.invitedCompanies = ca.invitedCompanies.filter(
-      (compId) => compId.toString() !== companyId
-    );
-    await ca.save();
+/**
+ * Get CA engagements for a company (?includeEnded=true for history)
+ */
+const getCompanyEngagements = async (req, res, next) => {
+  try {
+    const { companyId } = req.params;
+
+    const engagements = await engagementService.listForCompany(companyId, {
+      includeEnded: req.query.includeEnded === 'true',
+    });
 
     res.status(200).json({
       success: true,
-      message: 'CA removed successfully',
+      data: { engagements },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get CA invitations sent by a company (?status=pending|accepted|declined|revoked|expired|all)
+ */
+const getCompanyInvitations = async (req, res, next) => {
+  try {
+    const { companyId } = req.params;
+    const { status = 'pending' } = req.query;
+
+    const invitations = await engagementService.listInvitationsForCompany(companyId, {
+      // An accepted invitation is an active engagement
+      status: status === 'accepted' ? 'active' : status,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { invitations },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-send a pending or expired CA invitation with a new token
+ */
+const resendInvitation = async (req, res, next) => {
+  try {
+    const { companyId, invitationId } = req.params;
+
+    const invitation = await engagementService.resendInvitation({ invitationId, companyId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation re-sent',
+      data: { invitation },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending CA invitation
+ */
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const { companyId, invitationId } = req.params;
+
+    const invitation = await engagementService.revokeInvitation({
+      invitationId,
+      companyId,
+      revokedBy: req.user._id,
+      reason: req.body?.reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked',
+      data: { invitation },
     });
   } catch (error) {
     next(error);
@@ -383,6 +533,10 @@ module.exports = {
   deleteCompany,
   inviteCA,
   removeCA,
+  getCompanyEngagements,
+  getCompanyInvitations,
+  resendInvitation,
+  revokeInvitation,
   addCompanyAdmin,
   removeCompanyAdmin,
 };
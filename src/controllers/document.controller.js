@@ -2,6 +2,7 @@ const Document = require('../models/Document');
 const { AppError } = require('../middleware/errorHandler');
 const multer = require('multer');
 const s3Service = require('../services/s3Service');
+const auditService = require('../services/auditService');
 
 // Configure multer to use memory storage (files stored as Buffer in memory)
 // This allows us to upload to either local storage or S3 without hitting disk first
@@ -48,19 +49,9 @@ const uploadDocuments = async (req, res, next) => {
       return next(new AppError('Company ID is required', 400));
     }
 
-    // Validate user has access to company
-    if (req.user.role === 'CA') {
-      // Check if CA is invited to this company
-      const hasAccess = req.user.invitedCompanies.some(
-        c => c.toString() === companyId
-      );
-      if (!hasAccess) {
-        return next(new AppError('You do not have access to this company', 403));
-      }
-    } else if (['COMPANY_ADMIN', 'COMPANY_USER'].includes(req.user.role)) {
-      if (req.user.company.toString() !== companyId) {
-        return next(new AppError('You can only upload to your own company', 403));
-      }
+    // Validate user has access to company (CA engagement or company membership)
+    if (!(await req.user.hasCompanyAccess(companyId))) {
+      return next(new AppError('You do not have access to this company', 403));
     }
 
     // Map file type from mimetype
@@ -96,6 +87,14 @@ const uploadDocuments = async (req, res, next) => {
       }))
     );
 
+    documents.forEach(document => req.audit({
+      action: 'document.upload',
+      targetType: 'Document',
+      targetId: document._id,
+      company: companyId,
+      after: auditService.snapshot(document, ['originalName', 'category', 'size', 'mimeType']),
+    }));
+
     const populatedDocs = await Document.find({
       _id: { $in: documents.map(d => d._id) }
     })
@@ -121,17 +120,8 @@ const getCompanyDocuments = async (req, res, next) => {
     const { status, category, page = 1, limit = 50 } = req.query;
 
     // Validate user has access to company
-    if (req.user.role === 'CA') {
-      const hasAccess = req.user.invitedCompanies.some(
-        c => c.toString() === companyId
-      );
-      if (!hasAccess) {
-        return next(new AppError('You do not have access to this company', 403));
-      }
-    } else if (['COMPANY_ADMIN', 'COMPANY_USER'].includes(req.user.role)) {
-      if (req.user.company.toString() !== companyId) {
-        return next(new AppError('You can only view documents for your own company', 403));
-      }
+    if (!(await req.user.hasCompanyAccess(companyId))) {
+      return next(new AppError('You do not have access to this company', 403));
     }
 
     const query = { company: companyId };
@@ -176,19 +166,18 @@ const getDocumentById = async (req, res, next) => {
     }
 
     // Check access
-    if (req.user.role === 'CA') {
-      const hasAccess = req.user.invitedCompanies.some(
-        c => c.toString() === document.company._id.toString()
-      );
-      if (!hasAccess) {
-        return next(new AppError('You do not have access to this document', 403));
-      }
-    } else if (['COMPANY_ADMIN', 'COMPANY_USER'].includes(req.user.role)) {
-      if (req.user.company.toString() !== document.company._id.toString()) {
-        return next(new AppError('You can only view documents for your own company', 403));
-      }
+    if (!(await req.user.hasCompanyAccess(document.company._id))) {
+      return next(new AppError('You do not have access to this document', 403));
     }
 
+    req.audit({
+      action: 'document.view',
+      targetType: 'Document',
+      targetId: document._id,
+      company: document.company._id,
+      metadata: { originalName: document.originalName },
+    });
+
     res.status(200).json({
       success: true,
       data: { document },
@@ -211,20 +200,9 @@ const deleteDocument = async (req, res, next) => {
       return next(new AppError('Document not found', 404));
     }
 
-    // Check permissions
-    if (req.user.role !== 'SUPER_ADMIN') {
-      if (req.user.role === 'CA') {
-        const hasAccess = req.user.invitedCompanies.some(
-          c => c.toString() === document.company.toString()
-        );
-        if (!hasAccess) {
-          return next(new AppError('You do not have access to this document', 403));
-        }
-      } else if (['COMPANY_ADMIN', 'COMPANY_USER'].includes(req.user.role)) {
-        if (req.user.company.toString() !== document.company.toString()) {
-          return next(new AppError('You can only delete documents for your own company', 403));
-        }
-      }
+    // Check access
+    if (!(await req.user.hasCompanyAccess(document.company))) {
+      return next(new AppError('You do not have access to this document', 403));
     }
 
     // Delete file from storage using S3Service
@@ -241,6 +219,14 @@ const deleteDocument = async (req, res, next) => {
 
     await document.deleteOne();
 
+    req.audit({
+      action: 'document.delete',
+      targetType: 'Document',
+      targetId: document._id,
+      company: document.company,
+      before: auditService.snapshot(document, ['originalName', 'category', 'size', 'status', 'uploadedBy', 'storageType', 'storagePath']),
+    });
+
     res.status(200).json({
       success: true,
       message: 'Document deleted successfully',
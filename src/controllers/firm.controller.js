@@ -0,0 +1,679 @@
+const config = require('../config/config');
+const Firm = require('../models/Firm');
+const FirmInvitation = require('../models/FirmInvitation');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Company = require('../models/Company');
+const Engagement = require('../models/Engagement');
+const engagementService = require('../services/engagementService');
+const permissionService = require('../services/permissionService');
+const portfolioService = require('../services/portfolioService');
+const { createNotification } = require('./notification.controller');
+const { AppError } = require('../middleware/errorHandler');
+
+const PROFILE_FIELDS = ['name', 'description', 'registrationNumber', 'address', 'contactInfo'];
+const MEMBER_FIELDS = 'name email phone caLicenseNumber firmRole isActive lastLogin';
+
+const pickProfile = (body) => PROFILE_FIELDS.reduce((fields, field) => (
+  body[field] !== undefined ? { ...fields, [field]: body[field] } : fields
+), {});
+
+/**
+ * Check the firm keeps at least one partner once `userId` stops being one
+ */
+const isLastPartner = async (firmId, userId) => {
+  const otherPartners = await User.countDocuments({ firm: firmId, firmRole: 'partner', _id: { $ne: userId } });
+  return otherPartners === 0;
+};
+
+const notifyMember = async (userId, firm, title, description, link = `/firms/${firm._id}`) => {
+  try {
+    await createNotification(userId, {
+      type: 'system',
+      title,
+      description,
+      link,
+      metadata: { firmId: firm._id }
+    });
+  } catch (error) {
+    console.error('Firm notification error:', error);
+  }
+};
+
+/**
+ * Create a firm. A CA who is not yet in a firm becomes its first partner; holders of
+ * firms:manage name the partner with partnerId.
+ */
+const createFirm = async (req, res, next) => {
+  try {
+    const canManage = await permissionService.hasPermission(req.user, 'firms:manage');
+    const partnerId = canManage ? req.body.partnerId : req.user._id;
+
+    if (!partnerId) {
+      return next(new AppError('partnerId is required', 400));
+    }
+
+    const partner = await User.findOne({ _id: partnerId, role: 'CA' });
+    if (!partner) {
+      return next(new AppError('Partner must be an existing CA', 404));
+    }
+    if (partner.firm) {
+      return next(new AppError(`${partner.name} already belongs to a firm`, 400));
+    }
+
+    const firm = await Firm.create({ ...pickProfile(req.body), createdBy: req.user._id });
+
+    partner.firm = firm._id;
+    partner.firmRole = 'partner';
+    await partner.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Firm created successfully',
+      data: { firm, partner: { _id: partner._id, name: partner.name, email: partner.email } }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('A firm with this name or registration number already exists', 400));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get firms: all of them for holders of firms:manage, otherwise the caller's own firm
+ */
+const getFirms = async (req, res, next) => {
+  try {
+    const query = {};
+    if (!(await permissionService.hasPermission(req.user, 'firms:manage'))) {
+      query._id = req.user.firm || null;
+    }
+
+    const firms = await Firm.find(query).sort({ name: 1 }).lean();
+
+    const [memberCounts, clientCounts] = await Promise.all([
+      User.aggregate([
+        { $match: { firm: { $in: firms.map(firm => firm._id) } } },
+        { $group: { _id: '$firm', count: { $sum: 1 } } }
+      ]),
+      Engagement.aggregate([
+        { $match: { firm: { $in: firms.map(firm => firm._id) }, ...Engagement.currentFilter() } },
+        { $group: { _id: '$firm', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countOf = (counts, firm) => counts.find(({ _id }) => _id.equals(firm._id))?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        firms: firms.map(firm => ({
+          ...firm,
+          memberCount: countOf(memberCounts, firm),
+          clientCount: countOf(clientCounts, firm)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a firm with its members
+ */
+const getFirmById = async (req, res, next) => {
+  try {
+    const firm = await Firm.findById(req.params.firmId)
+      .populate('createdBy', 'name email')
+      .populate({ path: 'members', select: MEMBER_FIELDS, options: { sort: { firmRole: 1, name: 1 } } });
+
+    if (!firm) {
+      return next(new AppError('Firm not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { firm }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a firm's profile
+ */
+const updateFirm = async (req, res, next) => {
+  try {
+    const updates = pickProfile(req.body);
+    if (req.body.isActive !== undefined) {
+      updates.isActive = req.body.isActive;
+    }
+
+    const firm = await Firm.findByIdAndUpdate(req.params.firmId, updates, { new: true, runValidators: true });
+
+    if (!firm) {
+      return next(new AppError('Firm not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Firm updated successfully',
+      data: { firm }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('A firm with this name or registration number already exists', 400));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get the members of a firm
+ */
+const getMembers = async (req, res, next) => {
+  try {
+    const members = await User.find({ firm: req.params.firmId })
+      .select(MEMBER_FIELDS)
+      .sort({ firmRole: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { members }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite a CA who is not in a firm yet (staff by default). They join once they accept.
+ */
+const inviteMember = async (req, res, next) => {
+  try {
+    const { firmId } = req.params;
+    const { userId, firmRole = 'staff' } = req.body;
+
+    const firm = await Firm.findById(firmId);
+    if (!firm) {
+      return next(new AppError('Firm not found', 404));
+    }
+
+    // One answer for unknown users, non-CAs and members of any firm, so this can't be used to look them up
+    const user = await User.findOne({ _id: userId, role: 'CA', firm: null });
+    if (!user) {
+      return next(new AppError('Only CAs who are not in a firm can be invited', 400));
+    }
+
+    if (await FirmInvitation.exists({ firm: firm._id, user: user._id, ...FirmInvitation.openFilter() })) {
+      return next(new AppError('This CA already has a pending invitation to the firm', 400));
+    }
+    // Any earlier pending invitation has expired; make room for the new one
+    await FirmInvitation.updateMany({ firm: firm._id, user: user._id, status: 'pending' }, { $set: { status: 'expired' } });
+
+    const invitation = await FirmInvitation.create({
+      firm: firm._id,
+      user: user._id,
+      firmRole,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + config.firmInvitations.ttlMs)
+    });
+
+    await notifyMember(
+      user._id,
+      firm,
+      'Firm invitation',
+      `You have been invited to join ${firm.name} as ${firmRole}`,
+      '/firms/invitations'
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: { invitation }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('This CA already has a pending invitation to the firm', 400));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get the firm's pending invitations
+ */
+const getInvitations = async (req, res, next) => {
+  try {
+    const invitations = await FirmInvitation.find({ firm: req.params.firmId, ...FirmInvitation.openFilter() })
+      .populate('user', 'name email')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { invitations }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw a pending invitation
+ */
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const { firmId, invitationId } = req.params;
+
+    const invitation = await FirmInvitation.findOneAndUpdate(
+      { _id: invitationId, firm: firmId, status: 'pending' },
+      { $set: { status: 'revoked', revokedBy: req.user._id, respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      return next(new AppError('Invitation not found or already answered', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked',
+      data: { invitation }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the firm invitations waiting for the signed-in CA
+ */
+const getMyInvitations = async (req, res, next) => {
+  try {
+    const invitations = await FirmInvitation.find({ user: req.user._id, ...FirmInvitation.openFilter() })
+      .populate('firm', 'name registrationNumber')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { invitations }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept a firm invitation. Only the invited CA can accept it, only once, and only
+ * while they are not in a firm.
+ */
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const invitation = await FirmInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, user: req.user._id, ...FirmInvitation.openFilter(now) },
+      { $set: { status: 'accepted', respondedAt: now } },
+      { new: true }
+    );
+    if (!invitation) {
+      return next(new AppError('Invitation not found or already answered', 404));
+    }
+
+    const member = await User.findOneAndUpdate(
+      { _id: req.user._id, role: 'CA', firm: null },
+      { $set: { firm: invitation.firm, firmRole: invitation.firmRole } },
+      { new: true }
+    ).select(MEMBER_FIELDS);
+    if (!member) {
+      // Leave the invitation open for after they have left their current firm
+      await FirmInvitation.updateOne({ _id: invitation._id }, { $set: { status: 'pending' }, $unset: { respondedAt: '' } });
+      return next(new AppError('You already belong to a firm', 400));
+    }
+
+    const firm = await Firm.findById(invitation.firm);
+    await notifyMember(
+      invitation.invitedBy,
+      firm,
+      'Firm invitation accepted',
+      `${req.user.name} joined ${firm.name} as ${invitation.firmRole}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: { member, invitation }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline a firm invitation
+ */
+const declineInvitation = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const invitation = await FirmInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, user: req.user._id, ...FirmInvitation.openFilter(now) },
+      { $set: { status: 'declined', respondedAt: now } },
+      { new: true }
+    );
+    if (!invitation) {
+      return next(new AppError('Invitation not found or already answered', 404));
+    }
+
+    const firm = await Firm.findById(invitation.firm);
+    await notifyMember(
+      invitation.invitedBy,
+      firm,
+      'Firm invitation declined',
+      `${req.user.name} declined the invitation to ${firm.name}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined',
+      data: { invitation }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's firm role. The firm always keeps at least one partner.
+ */
+const updateMember = async (req, res, next) => {
+  try {
+    const { firmId, userId } = req.params;
+    const { firmRole } = req.body;
+
+    const member = await User.findOne({ _id: userId, firm: firmId });
+    if (!member) {
+      return next(new AppError('Member not found', 404));
+    }
+
+    if (member.firmRole === 'partner' && firmRole !== 'partner' && await isLastPartner(firmId, userId)) {
+      return next(new AppError('A firm must keep at least one partner', 400));
+    }
+
+    member.firmRole = firmRole;
+    await member.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Member updated successfully',
+      data: { member: await User.findById(member._id).select(MEMBER_FIELDS) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from a firm. Their assignments to firm clients end, and a custom
+ * role of the firm is taken away.
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const { firmId, userId } = req.params;
+
+    const [firm, member] = await Promise.all([
+      Firm.findById(firmId),
+      User.findOne({ _id: userId, firm: firmId })
+    ]);
+    if (!firm || !member) {
+      return next(new AppError('Member not found', 404));
+    }
+
+    if (member.firmRole === 'partner' && await isLastPartner(firmId, userId)) {
+      return next(new AppError('A firm must keep at least one partner', 400));
+    }
+
+    await engagementService.endAll({ ca: member._id, assignedByFirm: firm._id }, {
+      endedBy: req.user._id,
+      reason: 'Left the firm'
+    });
+
+    if (member.customRole && await Role.exists({ _id: member.customRole, firm: firm._id })) {
+      member.customRole = null;
+    }
+    member.firm = null;
+    member.firmRole = undefined;
+    await member.save();
+
+    await notifyMember(member._id, firm, 'Removed from firm', `You are no longer a member of ${firm.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a firm's clients with the members assigned to each. Staff only see the clients
+ * assigned to them.
+ */
+const getClients = async (req, res, next) => {
+  try {
+    const { firmId } = req.params;
+
+    let engagements = await engagementService.listForFirm(firmId);
+
+    const assignments = await Engagement.find({
+      assignedByFirm: firmId,
+      company: { $in: engagements.map(engagement => engagement.company?._id) },
+      ...Engagement.currentFilter()
+    })
+      .populate('ca', 'name email firmRole')
+      .lean();
+
+    const isFirmWide = await permissionService.hasPermission(req.user, 'firms:manage') ||
+      Engagement.FIRM_WIDE_ACCESS_ROLES.includes(req.user.firmRole);
+    if (!isFirmWide) {
+      const assignedToMe = new Set(assignments
+        .filter(assignment => assignment.ca?._id.equals(req.user._id))
+        .map(assignment => String(assignment.company)));
+      engagements = engagements.filter(engagement => assignedToMe.has(String(engagement.company?._id)));
+    }
+
+    const clients = engagements.map(engagement => ({
+      ...engagement.toObject(),
+      assignedTo: assignments
+        .filter(assignment => assignment.company.equals(engagement.company?._id))
+        .map(assignment => assignment.ca)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: { clients }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Engage a firm with companies (as reviewer by default)
+ */
+const addClients = async (req, res, next) => {
+  try {
+    const { firmId } = req.params;
+    const { companyIds, role = 'reviewer' } = req.body;
+
+    if (!(await Firm.exists({ _id: firmId }))) {
+      return next(new AppError('Firm not found', 404));
+    }
+
+    const companies = await Company.find({ _id: { $in: companyIds } }).select('_id');
+    if (companies.length !== new Set(companyIds.map(String)).size) {
+      return next(new AppError('One or more companies not found', 404));
+    }
+
+    // A lead engagement replaces the company's previous lead
+    for (const company of companies) {
+      await engagementService.grantFirm({ firmId, companyId: company._id, role, grantedBy: req.user._id });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Firm engaged with ${companies.length} company/companies successfully`,
+      data: { clients: await engagementService.listForFirm(firmId) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End a firm's engagement with a company (history is kept)
+ */
+const removeClient = async (req, res, next) => {
+  try {
+    const engagement = await engagementService.endFirm({
+      firmId: req.params.firmId,
+      companyId: req.params.companyId,
+      endedBy: req.user._id,
+      reason: req.body?.reason
+    });
+
+    if (!engagement) {
+      return next(new AppError('Company is not a current client of this firm', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Client removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a firm client to a member
+ */
+const assignClient = async (req, res, next) => {
+  try {
+    const engagement = await engagementService.assignFirmClient({
+      firmId: req.params.firmId,
+      companyId: req.params.companyId,
+      caId: req.body.userId,
+      assignedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Client assigned successfully',
+      data: { engagement }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take a firm client away from a member
+ */
+const unassignClient = async (req, res, next) => {
+  try {
+    const engagement = await engagementService.unassignFirmClient({
+      firmId: req.params.firmId,
+      companyId: req.params.companyId,
+      caId: req.params.userId,
+      endedBy: req.user._id
+    });
+
+    if (!engagement) {
+      return next(new AppError('Client is not assigned to this member', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Client unassigned successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the firm dashboard: the CA dashboard over all firm clients, plus a per-member breakdown
+ */
+const getFirmDashboard = async (req, res, next) => {
+  try {
+    const { firmId } = req.params;
+
+    const firm = await Firm.findById(firmId).select('name registrationNumber').lean();
+    if (!firm) {
+      return next(new AppError('Firm not found', 404));
+    }
+
+    const engagements = await engagementService.listForFirm(firmId, { companyFields: 'name industry sizeBand createdAt' });
+    const dashboard = await portfolioService.dashboard(engagements);
+
+    const [members, assignmentCounts] = await Promise.all([
+      User.find({ firm: firmId }).select('name email firmRole isActive').sort({ firmRole: 1, name: 1 }).lean(),
+      Engagement.aggregate([
+        { $match: { assignedByFirm: firm._id, ...Engagement.currentFilter() } },
+        { $group: { _id: '$ca', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const clientCount = dashboard.metrics.assignedCompanies;
+    const membersWithClients = members.map(member => ({
+      ...member,
+      // Partners and managers work on every firm client
+      clients: Engagement.FIRM_WIDE_ACCESS_ROLES.includes(member.firmRole)
+        ? clientCount
+        : assignmentCounts.find(({ _id }) => _id.equals(member._id))?.count || 0
+    }));
+    const assignedClientIds = await Engagement.distinct('company', {
+      assignedByFirm: firm._id,
+      ...Engagement.currentFilter()
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        firm,
+        ...dashboard,
+        members: membersWithClients,
+        unassignedClients: dashboard.companies.filter(company =>
+          !assignedClientIds.some(companyId => companyId.equals(company._id))
+        )
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createFirm,
+  getFirms,
+  getFirmById,
+  updateFirm,
+  getMembers,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMember,
+  removeMember,
+  getClients,
+  addClients,
+  removeClient,
+  assignClient,
+  unassignClient,
+  getFirmDashboard
+};
@@ -0,0 +1,156 @@
+const MetricDefinition = require('../models/MetricDefinition');
+const Benchmark = require('../models/Benchmark');
+const metricRegistry = require('../services/metricRegistry');
+const { getMetricDefinition } = require('../config/metricCatalogue');
+const { AppError } = require('../middleware/errorHandler');
+
+const EDITABLE_FIELDS = ['label', 'description', 'category', 'unit', 'polarity', 'aliases', 'significanceThreshold'];
+
+/**
+ * Reject keys or aliases that already belong to another metric
+ */
+const findConflict = async (names, excludeKey = null) => {
+  await metricRegistry.load({ force: true });
+
+  return names.find(name => {
+    const existing = metricRegistry.get(name);
+    return existing && existing.key !== excludeKey;
+  });
+};
+
+/**
+ * Get all registered metrics (built-in and custom)
+ */
+exports.getMetricDefinitions = async (req, res, next) => {
+  try {
+    await metricRegistry.load();
+
+    const { category } = req.query;
+    let metrics = metricRegistry.list();
+
+    if (category) {
+      metrics = metrics.filter(metric => metric.category === category.toLowerCase());
+    }
+
+    res.json({
+      success: true,
+      data: { metrics }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a custom metric (CA or Super Admin)
+ */
+exports.createMetricDefinition = async (req, res, next) => {
+  try {
+    const { key, aliases = [] } = req.body;
+
+    const conflict = await findConflict([key, ...aliases]);
+    if (conflict) {
+      return next(new AppError(`"${conflict}" is already a registered metric or alias`, 400));
+    }
+
+    const definition = await MetricDefinition.create({
+      key,
+      ...EDITABLE_FIELDS.reduce((fields, field) => (
+        req.body[field] !== undefined ? { ...fields, [field]: req.body[field] } : fields
+      ), {}),
+      createdBy: req.user._id
+    });
+
+    metricRegistry.invalidate();
+
+    res.status(201).json({
+      success: true,
+      message: 'Metric registered successfully',
+      data: { metric: definition }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a custom metric (creator or Super Admin). Built-in metrics cannot be changed.
+ */
+exports.updateMetricDefinition = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+
+    if (getMetricDefinition(key)) {
+      return next(new AppError('Built-in metrics cannot be modified', 400));
+    }
+
+    const definition = await MetricDefinition.findOne({ key: key.toLowerCase() });
+    if (!definition) {
+      return next(new AppError('Metric not found', 404));
+    }
+
+    if (!definition.createdBy.equals(req.user._id) && req.user.role !== 'SUPER_ADMIN') {
+      return next(new AppError('You can only update metrics you registered', 403));
+    }
+
+    if (req.body.aliases) {
+      const conflict = await findConflict(req.body.aliases, definition.key);
+      if (conflict) {
+        return next(new AppError(`"${conflict}" is already a registered metric or alias`, 400));
+      }
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) definition[field] = req.body[field];
+    });
+    await definition.save();
+
+    metricRegistry.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Metric updated successfully',
+      data: { metric: definition }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a custom metric that no benchmark uses (creator or Super Admin)
+ */
+exports.deleteMetricDefinition = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+
+    if (getMetricDefinition(key)) {
+      return next(new AppError('Built-in metrics cannot be deleted', 400));
+    }
+
+    const definition = await MetricDefinition.findOne({ key: key.toLowerCase() });
+    if (!definition) {
+      return next(new AppError('Metric not found', 404));
+    }
+
+    if (!definition.createdBy.equals(req.user._id) && req.user.role !== 'SUPER_ADMIN') {
+      return next(new AppError('You can only delete metrics you registered', 403));
+    }
+
+    const usage = await Benchmark.countDocuments({ 'metrics.key': definition.key });
+    if (usage > 0) {
+      return next(new AppError(`Metric is used by ${usage} benchmark(s) and cannot be deleted`, 400));
+    }
+
+    await definition.deleteOne();
+
+    metricRegistry.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Metric deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const Company = require('../models/Company');
 const bcrypt = require('bcryptjs');
+const sessionService = require('../services/sessionService');
+const accountService = require('../services/accountService');
 
 /**
  * @route   GET /api/profile
@@ -23,14 +25,15 @@ exports.getProfile = async (req, res) => {
 
     // If user is a CA, get additional stats
     let stats = null;
-    if (user.role === 'ca') {
-      const Company = require('../models/Company');
+    if (user.role === 'CA') {
       const Analysis = require('../models/Analysis');
+      const engagementService = require('../services/engagementService');
 
-      const [totalClients, totalAnalyses] = await Promise.all([
-        Company.countDocuments({ assignedCA: userId }),
-        Analysis.countDocuments({ assignedCA: userId })
-      ]);
+      const companyIds = await engagementService.accessibleCompanyIds(user);
+      const [totalClients, totalAnalyses] = [
+        companyIds.length,
+        await Analysis.countDocuments({ company: { $in: companyIds } })
+      ];
 
       stats = {
         totalClients,
@@ -93,8 +96,9 @@ exports.updateProfile = async (req, res) => {
     if (name) user.name = name;
     if (phone) user.phone = phone;
 
-    // Email update (check if already exists)
-    if (email && email !== user.email) {
+    // Email update (check if already exists); the new address must be verified again
+    const emailChanged = !!email && email !== user.email;
+    if (emailChanged) {
       const emailExists = await User.findOne({ email, _id: { $ne: userId } });
       if (emailExists) {
         return res.status(400).json({
@@ -103,6 +107,7 @@ exports.updateProfile = async (req, res) => {
         });
       }
       user.email = email;
+      user.emailVerified = false;
     }
 
     // Password update
@@ -130,6 +135,16 @@ exports.updateProfile = async (req, res) => {
 
     await user.save();
 
+    // A new password signs out every other device
+    if (newPassword) {
+      await sessionService.revokeAll(user._id, { except: req.sessionId, reason: 'password_changed' });
+      await accountService.sendPasswordChanged(user);
+    }
+
+    if (emailChanged) {
+      await accountService.sendVerification(user);
+    }
+
     // Return updated user (without password)
     const updatedUser = await User.findById(userId)
       .select('-password')
@@ -0,0 +1,224 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const permissionService = require('../services/permissionService');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
+const { AppError } = require('../middleware/errorHandler');
+
+const EDITABLE_FIELDS = ['name', 'description', 'permissions'];
+
+/**
+ * Custom roles a user can see: all of them for Super Admins, otherwise platform-wide
+ * roles and the roles of the user's own firm
+ */
+const visibleRolesQuery = (user) => {
+  if (user.role === 'SUPER_ADMIN') return {};
+  return { firm: { $in: [null, ...(user.firm ? [user.firm] : [])] } };
+};
+
+/**
+ * Holders of a role a user may see: all of them for Super Admins, otherwise those in the
+ * user's own firm or company
+ */
+const roleHoldersQuery = (user) => {
+  if (user.role === 'SUPER_ADMIN') return {};
+
+  const scopes = [
+    ...(user.firm ? [{ firm: user.firm }] : []),
+    ...(user.company ? [{ company: user.company }] : [])
+  ];
+  return scopes.length > 0 ? { $or: scopes } : { _id: null };
+};
+
+/**
+ * Check a user other than a Super Admin may manage a role: it must belong to their firm,
+ * and they cannot hand out permissions they do not hold themselves.
+ * Returns an AppError or null.
+ */
+const checkRoleScope = async (user, { firm, permissions = [] }) => {
+  if (user.role === 'SUPER_ADMIN') return null;
+
+  if (!user.firm || String(firm) !== String(user.firm)) {
+    return new AppError('You can only manage custom roles of your own firm', 403);
+  }
+
+  const escalated = await permissionService.missingPermissions(user, permissions);
+  if (escalated.length > 0) {
+    return new AppError(`You cannot grant permissions you do not hold: ${escalated.join(', ')}`, 403);
+  }
+
+  return null;
+};
+
+/**
+ * Get the permission catalogue and the bundle of each built-in role
+ */
+exports.getPermissions = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+        builtInRoles: Object.entries(ROLE_PERMISSIONS).map(([name, permissions]) => ({ name, permissions })),
+        myPermissions: [...await permissionService.permissionsFor(req.user)]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get custom roles (?baseRole= to filter)
+ */
+exports.getRoles = async (req, res, next) => {
+  try {
+    const query = visibleRolesQuery(req.user);
+    if (req.query.baseRole) {
+      query.baseRole = req.query.baseRole;
+    }
+
+    const roles = await Role.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ firm: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { roles }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a custom role, with the users it is assigned to for those who can assign roles
+ */
+exports.getRoleById = async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ _id: req.params.roleId, ...visibleRolesQuery(req.user) })
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    // Who holds the role is only shown to those who manage or assign roles
+    let users;
+    const granted = await permissionService.permissionsFor(req.user);
+    if (granted.has('roles:manage') || granted.has('roles:assign')) {
+      users = await User.find({ customRole: role._id, ...roleHoldersQuery(req.user) })
+        .select('name email role firm');
+    }
+
+    res.json({
+      success: true,
+      data: { role, users }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a custom role. Non-Super Admins create roles for their own firm.
+ */
+exports.createRole = async (req, res, next) => {
+  try {
+    const firm = req.user.role === 'SUPER_ADMIN' ? (req.body.firm || null) : req.user.firm;
+
+    const scopeError = await checkRoleScope(req.user, { firm, permissions: req.body.permissions });
+    if (scopeError) {
+      return next(scopeError);
+    }
+
+    const role = await Role.create({
+      ...EDITABLE_FIELDS.reduce((fields, field) => (
+        req.body[field] !== undefined ? { ...fields, [field]: req.body[field] } : fields
+      ), {}),
+      baseRole: req.body.baseRole,
+      firm,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a custom role's name, description or permissions.
+ * The base role is fixed once created, since users were assigned on that basis.
+ */
+exports.updateRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.roleId);
+
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    if (req.body.baseRole !== undefined && req.body.baseRole !== role.baseRole) {
+      return next(new AppError('The base role of a custom role cannot be changed', 400));
+    }
+
+    const scopeError = await checkRoleScope(req.user, {
+      firm: role.firm,
+      permissions: req.body.permissions || []
+    });
+    if (scopeError) {
+      return next(scopeError);
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) role[field] = req.body[field];
+    });
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    permissionService.invalidate(role._id);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a custom role. Its users fall back to their built-in role's permissions.
+ */
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.roleId);
+
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    const scopeError = await checkRoleScope(req.user, { firm: role.firm });
+    if (scopeError) {
+      return next(scopeError);
+    }
+
+    const { modifiedCount } = await User.updateMany({ customRole: role._id }, { $set: { customRole: null } });
+    await role.deleteOne();
+
+    permissionService.invalidate(role._id);
+
+    res.json({
+      success: true,
+      message: `Role deleted; ${modifiedCount} user(s) reverted to their built-in role`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,116 @@
+const ServiceCredential = require('../models/ServiceCredential');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Get all service credentials
+ */
+const getServiceCredentials = async (req, res, next) => {
+  try {
+    const credentials = await ServiceCredential.find()
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { credentials },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a service credential. The secret is only returned in this response.
+ */
+const createServiceCredential = async (req, res, next) => {
+  try {
+    const { name, description, scopes } = req.body;
+
+    const { keyId, secret } = ServiceCredential.generateKeyPair();
+
+    const credential = await ServiceCredential.create({
+      name,
+      description,
+      keyId,
+      secret,
+      scopes: Array.isArray(scopes) && scopes.length > 0 ? scopes : ServiceCredential.SCOPES,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Service credential created successfully. Store the secret now; it will not be shown again.',
+      data: { credential, secret },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rotate the secret of a service credential. The old secret stops working immediately.
+ */
+const rotateServiceCredential = async (req, res, next) => {
+  try {
+    const { credentialId } = req.params;
+
+    const credential = await ServiceCredential.findById(credentialId);
+
+    if (!credential) {
+      return next(new AppError('Service credential not found', 404));
+    }
+
+    if (!credential.isActive) {
+      return next(new AppError('Cannot rotate a revoked service credential', 400));
+    }
+
+    const { secret } = ServiceCredential.generateKeyPair();
+    credential.secret = secret;
+    credential.rotatedAt = new Date();
+    await credential.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Service credential rotated successfully. Store the secret now; it will not be shown again.',
+      data: { credential, secret },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a service credential
+ */
+const revokeServiceCredential = async (req, res, next) => {
+  try {
+    const { credentialId } = req.params;
+
+    const credential = await ServiceCredential.findById(credentialId);
+
+    if (!credential) {
+      return next(new AppError('Service credential not found', 404));
+    }
+
+    credential.isActive = false;
+    credential.revokedAt = new Date();
+    credential.revokedBy = req.user._id;
+    await credential.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Service credential revoked successfully',
+      data: { credential },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getServiceCredentials,
+  createServiceCredential,
+  rotateServiceCredential,
+  revokeServiceCredential,
+};
@@ -1,5 +1,10 @@
 const User = require('../models/User');
+const Role = require('../models/Role');
+const engagementService = require('../services/engagementService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
 const { AppError } = require('../middleware/errorHandler');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
 
 /**
  * Get all users
@@ -25,10 +30,10 @@ const getAllUsers = async (req, res, next) => {
       if (req.user.role === 'COMPANY_ADMIN') {
         query.company = req.user.company;
       } else if (req.user.role === 'CA') {
-        // CA can see users from invited companies
+        // CA can see users from companies they are engaged with
         query.$or = [
           { _id: req.user._id },
-          { company: { $in: req.user.invitedCompanies } },
+          { company: { $in: await engagementService.accessibleCompanyIds(req.user) } },
         ];
       }
     }
@@ -71,8 +76,7 @@ const getUserById = async (req, res, next) => {
     const { userId } = req.params;
 
     const user = await User.findById(userId)
-      .populate('company', 'name')
-      .populate('invitedCompanies', 'name');
+      .populate('company', 'name');
 
     if (!user) {
       return next(new AppError('User not found', 404));
@@ -89,9 +93,12 @@ const getUserById = async (req, res, next) => {
       }
     }
 
+    // Companies a CA works on
+    const engagements = user.role === 'CA' ? await engagementService.listForCA(user._id) : undefined;
+
     res.status(200).json({
       success: true,
-      data: { user },
+      data: { user, ...(engagements && { engagements }) },
     });
   } catch (error) {
     next(error);
@@ -108,9 +115,11 @@ const updateUser = async (req, res, next) => {
 
     // Don't allow updating certain fields
     delete updates.password;
-    delete updates.refreshToken;
     delete updates.role; // Role should be updated separately
+    delete updates.customRole; // Custom roles are assigned separately
     delete updates.company; // Company should be updated separately
+    delete updates.firm; // Firm membership is managed through /api/firms
+    delete updates.firmRole;
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -133,7 +142,7 @@ const updateUser = async (req, res, next) => {
 };
 
 /**
- * Update user role (Super Admin only)
+ * Update user role. A custom role for a different base role is removed.
  */
 const updateUserRole = async (req, res, next) => {
   try {
@@ -151,9 +160,30 @@ const updateUserRole = async (req, res, next) => {
       return next(new AppError('Cannot change super admin role', 400));
     }
 
+    // Nobody can hand out a role with more than they hold (the super admin role holds everything)
+    const escalated = await permissionService.missingPermissions(req.user, ROLE_PERMISSIONS[role] || []);
+    if (escalated.length > 0) {
+      return next(new AppError(`You cannot grant permissions you do not hold: ${escalated.join(', ')}`, 403));
+    }
+
+    const before = auditService.snapshot(user, ['role', 'customRole']);
+
+    if (user.customRole && role !== user.role) {
+      user.customRole = null;
+    }
+
     user.role = role;
     await user.save();
 
+    req.audit({
+      action: 'user.role_change',
+      targetType: 'User',
+      targetId: user._id,
+      company: user.company,
+      before,
+      after: auditService.snapshot(user, ['role', 'customRole']),
+    });
+
     res.status(200).json({
       success: true,
       message: 'User role updated successfully',
@@ -164,6 +194,74 @@ const updateUserRole = async (req, res, next) => {
   }
 };
 
+/**
+ * Assign a custom role to a user, or clear it with roleId null
+ */
+const assignCustomRole = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { roleId } = req.body;
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (user.role === 'SUPER_ADMIN') {
+      return next(new AppError('Super admins always hold every permission', 400));
+    }
+
+    if (roleId) {
+      const role = await Role.findById(roleId);
+
+      if (!role) {
+        return next(new AppError('Role not found', 404));
+      }
+
+      if (role.baseRole !== user.role) {
+        return next(new AppError(`Role "${role.name}" is for ${role.baseRole} users, not ${user.role}`, 400));
+      }
+
+      if (role.firm && String(role.firm) !== String(user.firm)) {
+        return next(new AppError(`Role "${role.name}" belongs to another firm`, 400));
+      }
+
+      // Nobody can hand out more than they hold
+      const escalated = await permissionService.missingPermissions(req.user, role.permissions);
+      if (escalated.length > 0) {
+        return next(new AppError(`You cannot grant permissions you do not hold: ${escalated.join(', ')}`, 403));
+      }
+    }
+
+    const before = auditService.snapshot(user, ['customRole']);
+
+    user.customRole = roleId || null;
+    await user.save();
+
+    req.audit({
+      action: 'user.custom_role_change',
+      targetType: 'User',
+      targetId: user._id,
+      company: user.company,
+      before,
+      after: auditService.snapshot(user, ['customRole']),
+    });
+    await user.populate('customRole', 'name baseRole permissions');
+
+    res.status(200).json({
+      success: true,
+      message: roleId ? 'Custom role assigned successfully' : 'Custom role removed successfully',
+      data: {
+        user,
+        permissions: [...await permissionService.permissionsFor(user)],
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Deactivate user
  */
@@ -239,6 +337,14 @@ const deleteUser = async (req, res, next) => {
 
     await user.deleteOne();
 
+    req.audit({
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: user._id,
+      company: user.company,
+      before: auditService.snapshot(user, ['email', 'name', 'role', 'company', 'firm', 'isActive']),
+    });
+
     res.status(200).json({
       success: true,
       message: 'User deleted successfully',
@@ -253,6 +359,7 @@ module.exports = {
   getUserById,
   updateUser,
   updateUserRole,
+  assignCustomRole,
   deactivateUser,
   activateUser,
   deleteUser,
@@ -0,0 +1,60 @@
+const auditService = require('../services/auditService');
+const Analysis = require('../models/Analysis');
+
+/**
+ * Central audit hook. Gives every request `req.audit(entry)` to describe a sensitive
+ * action ({ action, targetType, targetId, company, before, after, metadata }); once the
+ * response has been sent successfully, the entries are written to the audit log with
+ * the actor, IP, user agent and route. Failed requests leave no entries.
+ */
+const auditTrail = (req, res, next) => {
+  const pending = [];
+
+  req.audit = (entry) => {
+    pending.push(entry);
+  };
+
+  res.on('finish', () => {
+    if (pending.length === 0 || res.statusCode >= 400) return;
+
+    for (const entry of pending) {
+      auditService.record({
+        actor: req.user,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        ...entry,
+      });
+    }
+  });
+
+  next();
+};
+
+/**
+ * Route middleware recording an action that needs no controller changes (views,
+ * downloads). `describe(req)` returns the rest of the entry and may be async.
+ */
+const audit = (action, describe = () => ({})) => async (req, res, next) => {
+  try {
+    req.audit({ action, ...(await describe(req)) });
+  } catch (error) {
+    console.error('Audit description error:', error);
+  }
+  next();
+};
+
+/**
+ * Target description for routes with an :analysisId
+ */
+const analysisTarget = async (req) => {
+  const analysis = await Analysis.findOne({ analysisId: req.params.analysisId }).select('company').lean();
+  return { targetType: 'Analysis', targetId: req.params.analysisId, company: analysis?.company };
+};
+
+module.exports = {
+  auditTrail,
+  audit,
+  analysisTarget,
+};
@@ -1,5 +1,23 @@
 const { verifyAccessToken } = require('../utils/jwt');
+const config = require('../config/config');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+
+// Routes a user may still reach while the security policy makes them enrol in 2FA
+const ENROLMENT_PATHS = ['/api/auth/2fa', '/api/auth/logout', '/api/auth/profile'];
+
+const isEnrolmentPath = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return ENROLMENT_PATHS.some(allowed => path === allowed || path.startsWith(`${allowed}/`));
+};
+
+// Tokens from before sessions existed cannot be signed out, so they are only honoured
+// until the configured cut-over
+const acceptsLegacyToken = () => {
+  const { legacyTokensUntil } = config.sessions;
+  return !!legacyTokensUntil && Date.now() < legacyTokensUntil.getTime();
+};
 
 /**
  * Middleware to authenticate user via JWT token
@@ -21,6 +39,21 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = verifyAccessToken(token);
 
+    if (!decoded.sid) {
+      if (!acceptsLegacyToken()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session required. Please log in again.',
+        });
+      }
+    } else if (!(await sessionService.isActive(decoded.sid))) {
+      // Tokens of a signed-out session stop working straight away
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been signed out. Please log in again.',
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.id);
 
@@ -38,8 +71,18 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    // Roles that must use 2FA can only enrol until they have
+    if (!isEnrolmentPath(req) && (await twoFactorService.needsEnrolment(user))) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication is required for your role. Set it up at /api/auth/2fa/setup.',
+      });
+    }
+
+    // Attach user (and the session the token belongs to) to request object
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -61,9 +104,11 @@ const optionalAuth = async (req, res, next) => {
       const token = authHeader.substring(7);
       const decoded = verifyAccessToken(token);
       const user = await User.findById(decoded.id);
+      const sessionActive = decoded.sid ? await sessionService.isActive(decoded.sid) : acceptsLegacyToken();
 
-      if (user && user.isActive) {
+      if (user && user.isActive && sessionActive) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
   } catch (error) {
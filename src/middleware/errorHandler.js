@@ -77,6 +77,11 @@ const errorHandler = (err, req, res, next) => {
   const statusCode = error.statusCode || err.statusCode || 500;
   const message = error.message || 'Internal server error';
 
+  // Seconds the client should wait before retrying (e.g. throttled sign-in)
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   res.status(statusCode).json({
     success: false,
     message,
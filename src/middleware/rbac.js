@@ -1,10 +1,20 @@
 const Company = require('../models/Company');
+const Analysis = require('../models/Analysis');
+const AnalysisNote = require('../models/AnalysisNote');
+const permissionService = require('../services/permissionService');
+const { isPermission } = require('../config/permissions');
 
 /**
- * Middleware to check if user has required role(s)
+ * Middleware to check the user holds every given permission (see config/permissions.js).
+ * Company-scoped checks such as hasCompanyAccess still apply on top.
  */
-const authorize = (...roles) => {
-  return (req, res, next) => {
+const authorize = (...permissions) => {
+  const unknown = permissions.filter(permission => !isPermission(permission));
+  if (unknown.length > 0) {
+    throw new Error(`authorize() called with unknown permission(s): ${unknown.join(', ')}`);
+  }
+
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -12,43 +22,27 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+    try {
+      const missing = await permissionService.missingPermissions(req.user, permissions);
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Missing permission: ${missing.join(', ')}.`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
         success: false,
-        message: 'Access denied. Insufficient permissions.',
+        message: 'Error checking permissions.',
+        error: error.message,
       });
     }
-
-    next();
   };
 };
 
-/**
- * Middleware to check if user is a super admin
- */
-const isSuperAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'SUPER_ADMIN') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Super admin privileges required.',
-    });
-  }
-  next();
-};
-
-/**
- * Middleware to check if user is a CA
- */
-const isCA = (req, res, next) => {
-  if (!req.user || req.user.role !== 'CA') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. CA privileges required.',
-    });
-  }
-  next();
-};
-
 /**
  * Middleware to check if user has access to a specific company
  */
@@ -69,7 +63,7 @@ const hasCompanyAccess = async (req, res, next) => {
     }
 
     // Check if user has access to this company
-    if (req.user.hasCompanyAccess(companyId)) {
+    if (await req.user.hasCompanyAccess(companyId)) {
       return next();
     }
 
@@ -87,9 +81,9 @@ const hasCompanyAccess = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user is an admin of a specific company
+ * Middleware to check a CA-workspace user (ca_workspace:access) has access to a specific company
  */
-const isCompanyAdmin = async (req, res, next) => {
+const caHasCompanyAccess = async (req, res, next) => {
   try {
     const companyId = req.params.companyId || req.body.companyId;
 
@@ -100,19 +94,15 @@ const isCompanyAdmin = async (req, res, next) => {
       });
     }
 
-    // Super admin has all permissions
-    if (req.user.role === 'SUPER_ADMIN') {
-      return next();
-    }
-
-    // Check if user is company admin
-    if (req.user.role === 'COMPANY_ADMIN') {
-      if (req.user.company && req.user.company.toString() === companyId) {
-        return next();
-      }
+    // Must be able to use the CA workspace
+    if (!(await permissionService.hasPermission(req.user, 'ca_workspace:access'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: ca_workspace:access.',
+      });
     }
 
-    // Also check in company document
+    // Check the CA has a current engagement with this company
     const company = await Company.findById(companyId);
     if (!company) {
       return res.status(404).json({
@@ -121,62 +111,118 @@ const isCompanyAdmin = async (req, res, next) => {
       });
     }
 
-    if (company.isCompanyAdmin(req.user._id)) {
-      return next();
+    if (!(await req.user.hasCompanyAccess(company._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not invited to this company.',
+      });
     }
 
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Company admin privileges required.',
-    });
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
-      message: 'Error checking company admin status.',
+      message: 'Error checking CA access.',
       error: error.message,
     });
   }
 };
 
 /**
- * Middleware to check if CA has access to a specific company
+ * Middleware to check if user has access to the company an analysis belongs to.
+ * The analysis is resolved from req.params.analysisId or req.body.analysisId.
  */
-const caHasCompanyAccess = async (req, res, next) => {
+const hasAnalysisAccess = async (req, res, next) => {
   try {
-    const companyId = req.params.companyId || req.body.companyId;
+    const analysisId = req.params.analysisId || req.body.analysisId;
 
-    if (!companyId) {
+    if (!analysisId) {
       return res.status(400).json({
         success: false,
-        message: 'Company ID is required.',
+        message: 'Analysis ID is required.',
       });
     }
 
-    // Must be a CA
-    if (req.user.role !== 'CA') {
+    const analysis = await Analysis.findOne({ analysisId }).select('company').lean();
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Analysis not found',
+      });
+    }
+
+    if (!(await req.user.hasCompanyAccess(analysis.company))) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. CA privileges required.',
+        message: 'Access denied. You do not have access to this company.',
       });
     }
 
-    // Check if CA is invited to this company
-    const company = await Company.findById(companyId);
-    if (!company) {
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking analysis access.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Middleware to check if user has access to the company an analysis note belongs to
+ */
+const hasNoteAccess = async (req, res, next) => {
+  try {
+    const note = await AnalysisNote.findById(req.params.noteId).select('company').lean();
+    if (!note) {
       return res.status(404).json({
         success: false,
-        message: 'Company not found.',
+        message: 'Note not found',
       });
     }
 
-    const isInvited = company.invitedCAs.some(
-      (invite) => invite.ca.toString() === req.user._id.toString()
-    );
+    if (!(await req.user.hasCompanyAccess(note.company))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have access to this company.',
+      });
+    }
 
-    if (!isInvited) {
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking note access.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Middleware to check the user belongs to the firm in req.params.firmId, optionally in one
+ * of the given firm roles (partner, manager, staff). Holders of firms:manage always pass.
+ */
+const hasFirmRole = (...firmRoles) => async (req, res, next) => {
+  try {
+    if (await permissionService.hasPermission(req.user, 'firms:manage')) {
+      return next();
+    }
+
+    const isMember = req.user.role === 'CA' &&
+      req.user.firm &&
+      req.user.firm.toString() === req.params.firmId;
+
+    if (!isMember) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. You are not invited to this company.',
+        message: 'Access denied. You are not a member of this firm.',
+      });
+    }
+
+    if (firmRoles.length > 0 && !firmRoles.includes(req.user.firmRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Firm role required: ${firmRoles.join(' or ')}.`,
       });
     }
 
@@ -184,7 +230,7 @@ const caHasCompanyAccess = async (req, res, next) => {
   } catch (error) {
     return res.status(500).json({
       success: false,
-      message: 'Error checking CA access.',
+      message: 'Error checking firm access.',
       error: error.message,
     });
   }
@@ -192,9 +238,9 @@ const caHasCompanyAccess = async (req, res, next) => {
 
 module.exports = {
   authorize,
-  isSuperAdmin,
-  isCA,
+  hasFirmRole,
   hasCompanyAccess,
-  isCompanyAdmin,
+  hasAnalysisAccess,
+  hasNoteAccess,
   caHasCompanyAccess,
 };
@@ -0,0 +1,45 @@
+const config = require('../config/config');
+const { verifySignature, ServiceAuthError } = require('../services/serviceAuthService');
+
+/**
+ * Middleware to authenticate a machine-to-machine request signed with a service credential.
+ * Requires the raw request body (captured in server.js) to check the signature.
+ */
+const authenticateService = (scope) => {
+  return async (req, res, next) => {
+    try {
+      const credential = await verifySignature({
+        keyId: req.get('X-Service-Key-Id'),
+        timestamp: req.get('X-Service-Timestamp'),
+        nonce: req.get('X-Service-Nonce'),
+        signature: req.get('X-Service-Signature'),
+        method: req.method,
+        target: req.originalUrl,
+        body: req.rawBody,
+        scope,
+        maxAgeMs: config.serviceAuth.requestMaxAgeMs,
+      });
+
+      // Attach credential to request object
+      req.service = credential;
+      next();
+    } catch (error) {
+      if (error instanceof ServiceAuthError) {
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error verifying service signature.',
+        error: error.message,
+      });
+    }
+  };
+};
+
+module.exports = {
+  authenticateService,
+};
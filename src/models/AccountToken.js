@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PURPOSES = ['email_verification', 'password_reset'];
+
+// Single-use tokens sent by email (verify an address, reset a password). Only the
+// hash is stored; a token works once and until it expires, and issuing a new one
+// for the same purpose invalidates the user's earlier ones.
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: PURPOSES,
+      required: true,
+    },
+    // SHA-256 of the token sent to the user
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Address the token was sent to; an email verification only counts for this address
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a token for storage and lookup
+ */
+accountTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Issue a token for a user, invalidating their earlier unused tokens for the same purpose.
+ * Returns { token, accountToken }; the raw token is not stored and must be sent straight away.
+ */
+accountTokenSchema.statics.issue = async function (user, purpose, ttlMs) {
+  const now = new Date();
+  await this.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { $set: { usedAt: now } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const accountToken = await this.create({
+    user: user._id,
+    purpose,
+    tokenHash: this.hashToken(token),
+    email: user.email,
+    expiresAt: new Date(now.getTime() + ttlMs),
+  });
+
+  return { token, accountToken };
+};
+
+/**
+ * Use up a token. Returns the token document, or null if it is unknown, expired or already used.
+ * The check and the update are one atomic step, so a token can only be consumed once.
+ */
+accountTokenSchema.statics.consume = async function (token, purpose) {
+  const now = new Date();
+  return await this.findOneAndUpdate(
+    { tokenHash: this.hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+accountTokenSchema.statics.PURPOSES = PURPOSES;
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+// Job lifecycle: queued -> sent -> processing -> completed | failed | timed_out
+const ANALYSIS_STATUSES = ['queued', 'sent', 'processing', 'completed', 'failed', 'timed_out'];
+const IN_FLIGHT_STATUSES = ['queued', 'sent', 'processing'];
+const FAILED_STATUSES = ['failed', 'timed_out'];
+// A job that reached one of these never changes status again
+const TERMINAL_STATUSES = ['completed', ...FAILED_STATUSES];
 
 const analysisSchema = new mongoose.Schema({
   // Basic Info
@@ -45,6 +53,12 @@ const analysisSchema = new mongoose.Schema({
     // risk_assessment, industry_benchmarking, analysis_metadata, etc.
   },
 
+  // Version of the analysis payload contract the data was ingested with
+  schemaVersion: {
+    type: String,
+    default: null
+  },
+
   healthAnalysis: {
     type: mongoose.Schema.Types.Mixed,
     default: {},
@@ -56,8 +70,8 @@ const analysisSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['processing', 'completed', 'failed'],
-    default: 'processing'
+    enum: ANALYSIS_STATUSES,
+    default: 'queued'
   },
 
   // Job tracking
@@ -65,11 +79,45 @@ const analysisSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  analysisType: {
+    type: String,
+    default: 'comprehensive'
+  },
+  benchmark: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Benchmark',
+    default: null
+  },
+  // Version of the benchmark sent with the job (see BenchmarkVersion)
+  benchmarkVersion: {
+    type: Number,
+    default: null
+  },
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: Date,
+  processingStartedAt: Date,
+  completedAt: Date,
+  failedAt: Date,
+
+  // Progress reported by the Python microservice while processing
+  progress: {
+    percent: { type: Number, min: 0, max: 100 },
+    stage: String,
+    message: String,
+    updatedAt: Date
+  },
 
   // Error handling
   error: {
     type: String,
     default: null
+  },
+  failureStage: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true
@@ -79,6 +127,10 @@ const analysisSchema = new mongoose.Schema({
 analysisSchema.index({ company: 1, createdAt: -1 });
 analysisSchema.index({ uploadedBy: 1, createdAt: -1 });
 analysisSchema.index({ status: 1, createdAt: -1 });
+analysisSchema.index({ status: 1, queuedAt: 1 });
+
+// Financial results are encrypted at rest with the company's data key
+analysisSchema.plugin(encryptedFields, { fields: ['consolidatedData', 'healthAnalysis'] });
 
 // Virtual for getting company name
 analysisSchema.virtual('companyName', {
@@ -88,4 +140,34 @@ analysisSchema.virtual('companyName', {
   justOne: true
 });
 
+// Status groups used by dashboards and the timeout sweeper
+analysisSchema.statics.STATUSES = ANALYSIS_STATUSES;
+analysisSchema.statics.IN_FLIGHT_STATUSES = IN_FLIGHT_STATUSES;
+analysisSchema.statics.FAILED_STATUSES = FAILED_STATUSES;
+analysisSchema.statics.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+// Method to move the job to a new lifecycle status, stamping the matching timestamp.
+// Completed, failed and timed-out jobs are final.
+analysisSchema.methods.transitionTo = function (status, errorMessage) {
+  if (TERMINAL_STATUSES.includes(this.status)) {
+    throw new Error(`Analysis ${this.analysisId} is already ${this.status} and cannot move to ${status}`);
+  }
+
+  const now = new Date();
+  this.status = status;
+
+  if (status === 'sent') this.sentAt = now;
+  if (status === 'processing' && !this.processingStartedAt) this.processingStartedAt = now;
+  if (status === 'completed') {
+    this.completedAt = now;
+    this.error = null;
+  }
+  if (FAILED_STATUSES.includes(status)) {
+    this.failedAt = now;
+    this.error = errorMessage || this.error || null;
+  }
+
+  return this;
+};
+
 module.exports = mongoose.model('Analysis', analysisSchema);
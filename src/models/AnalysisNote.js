@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
 
 const analysisNoteSchema = new mongoose.Schema({
   analysis: {
@@ -56,4 +57,7 @@ analysisNoteSchema.index({ analysisId: 1, company: 1 });
 analysisNoteSchema.index({ company: 1, createdBy: 1 });
 analysisNoteSchema.index({ createdAt: -1 });
 
+// Note text is encrypted at rest with the company's data key
+analysisNoteSchema.plugin(encryptedFields, { fields: ['title', 'content'] });
+
 module.exports = mongoose.model('AnalysisNote', analysisNoteSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Analysis payloads rejected by the payload contract, kept for inspection and replay
+const analysisQuarantineSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['rest', 'stream'],
+    required: true
+  },
+  analysisId: {
+    type: String,
+    index: true
+  },
+  jobId: {
+    type: String,
+    index: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  schemaVersion: {
+    type: String
+  },
+  validationErrors: [{
+    type: String
+  }],
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+analysisQuarantineSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AnalysisQuarantine', analysisQuarantineSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Hash of the (non-existent) entry before the first one
+const GENESIS_HASH = '0'.repeat(64);
+
+// One sensitive action: who did what to which record, from where. Entries are append-only
+// and hash-chained: each hash covers the entry and the previous entry's hash, so editing
+// or deleting an entry breaks the chain from that point on (services/auditService.js verify()).
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Position in the chain, starting at 1
+    seq: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Copied at the time, so entries stay readable after the user changes or is deleted
+    actorEmail: {
+      type: String,
+    },
+    actorRole: {
+      type: String,
+    },
+    // e.g. document.delete, engagement.assign, user.role_change, note.update, report.export
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+    },
+    targetId: {
+      type: String,
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+    },
+    // Changed fields only: { before: {...}, after: {...} }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    method: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+    prevHash: {
+      type: String,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    versionKey: false,
+    // Stored exactly as hashed, empty objects included
+    minimize: false,
+  }
+);
+
+auditLogSchema.index({ company: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+const APPEND_ONLY_MESSAGE = 'Audit log entries cannot be changed or deleted';
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error(APPEND_ONLY_MESSAGE));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((operation) => {
+  auditLogSchema.pre(operation, { document: false, query: true }, function (next) {
+    next(new Error(APPEND_ONLY_MESSAGE));
+  });
+});
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, function (next) {
+  next(new Error(APPEND_ONLY_MESSAGE));
+});
+
+/**
+ * JSON with object keys sorted, so the same entry always hashes the same way
+ */
+const canonicalJson = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value instanceof mongoose.Types.ObjectId) return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash of an entry chained to the previous hash
+ */
+auditLogSchema.statics.computeHash = function (entry, prevHash) {
+  const content = canonicalJson({
+    seq: entry.seq,
+    timestamp: entry.timestamp,
+    actor: entry.actor,
+    actorEmail: entry.actorEmail,
+    actorRole: entry.actorRole,
+    action: entry.action,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    company: entry.company,
+    changes: entry.changes,
+    metadata: entry.metadata,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    method: entry.method,
+    path: entry.path,
+  });
+
+  return crypto.createHash('sha256').update(`${prevHash}\n${content}`).digest('hex');
+};
+
+auditLogSchema.statics.GENESIS_HASH = GENESIS_HASH;
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -20,10 +20,35 @@ const benchmarkSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // manual: thresholds entered by a CA/admin; peer_group: derived from platform data
+  type: {
+    type: String,
+    enum: ['manual', 'peer_group'],
+    default: 'manual'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Peer-group benchmarks are generated by the system
+    required: function () {
+      return this.type !== 'peer_group';
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Firm that owns the benchmark; its members can list and maintain it
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    default: null
+  },
+  // Current version; every change is recorded as an immutable BenchmarkVersion
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
   },
 
   // Liquidity Ratios Benchmarks
@@ -124,6 +149,49 @@ const benchmarkSchema = new mongoose.Schema({
       fair: { type: Number, default: 6 },
       poor: { type: Number, default: 4 }
     }
+  },
+
+  // Additional metric definitions (e.g. NPA ratio, DSCR, working-capital days).
+  // Keys must exist in the metric registry; an entry for a built-in ratio overrides
+  // the thresholds in the groups above.
+  metrics: [{
+    _id: false,
+    key: { type: String, required: true, lowercase: true, trim: true },
+    label: { type: String, trim: true },
+    category: { type: String, lowercase: true, trim: true },
+    unit: { type: String, trim: true },
+    polarity: {
+      type: String,
+      enum: ['higher_is_better', 'lower_is_better'],
+      required: true
+    },
+    thresholds: {
+      excellent: Number,
+      good: Number,
+      fair: Number,
+      poor: Number
+    }
+  }],
+
+  // Peer-group benchmarks only: anonymised cohort statistics (no company identifiers)
+  peerGroup: {
+    sizeBand: String, // micro/small/medium/large, or 'all'
+    status: {
+      type: String,
+      enum: ['active', 'suppressed'] // suppressed when the cohort drops below the minimum size
+    },
+    cohortSize: Number,
+    percentiles: {
+      type: Map,
+      of: new mongoose.Schema({
+        count: Number,
+        p25: Number,
+        p50: Number,
+        p75: Number,
+        p90: Number
+      }, { _id: false })
+    },
+    computedAt: Date
   }
 }, {
   timestamps: true
@@ -132,5 +200,35 @@ const benchmarkSchema = new mongoose.Schema({
 // Index for faster queries
 benchmarkSchema.index({ industry: 1, isDefault: 1 });
 benchmarkSchema.index({ createdBy: 1 });
+benchmarkSchema.index({ firm: 1 });
+benchmarkSchema.index({ 'metrics.key': 1 });
+// One peer-group benchmark per industry and size band
+benchmarkSchema.index(
+  { type: 1, industry: 1, 'peerGroup.sizeBand': 1 },
+  { unique: true, partialFilterExpression: { type: 'peer_group' } }
+);
+
+/**
+ * Holders of benchmarks:manage_all see every benchmark. Everyone sees defaults and active
+ * peer groups, and holders of benchmarks:manage also their own and their firm's (the same
+ * scope as the benchmark list). `permissions` is the user's set from permissionService.
+ * Static so it also works on historical (plain object) versions.
+ */
+benchmarkSchema.statics.isVisibleTo = function (benchmark, user, permissions) {
+  if (permissions.has('benchmarks:manage_all')) return true;
+  if (benchmark.isDefault || (benchmark.type === 'peer_group' && benchmark.peerGroup?.status === 'active')) return true;
+  return this.isEditableBy(benchmark, user, permissions);
+};
+
+/**
+ * Holders of benchmarks:manage_all can edit any benchmark; holders of benchmarks:manage
+ * their own and their firm's
+ */
+benchmarkSchema.statics.isEditableBy = function (benchmark, user, permissions) {
+  if (permissions.has('benchmarks:manage_all')) return true;
+  if (!permissions.has('benchmarks:manage')) return false;
+  if (benchmark.createdBy && String(benchmark.createdBy._id || benchmark.createdBy) === String(user._id)) return true;
+  return Boolean(benchmark.firm && user.firm && String(benchmark.firm) === String(user.firm._id || user.firm));
+};
 
 module.exports = mongoose.model('Benchmark', benchmarkSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a benchmark's thresholds. A new version is written on every
+// change so analyses graded against an older version stay explainable.
+const benchmarkVersionSchema = new mongoose.Schema({
+  benchmark: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Benchmark',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  industry: {
+    type: String,
+    required: true
+  },
+  // Threshold groups as they were at this version (liquidityRatios, profitabilityRatios, ...)
+  thresholds: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Field-level changes from the previous version
+  changes: [{
+    _id: false,
+    path: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+benchmarkVersionSchema.index({ benchmark: 1, version: -1 }, { unique: true });
+
+// Versions are append-only
+const rejectChange = function (next) {
+  next(new Error('Benchmark versions are immutable'));
+};
+
+benchmarkVersionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+benchmarkVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectChange);
+benchmarkVersionSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+module.exports = mongoose.model('BenchmarkVersion', benchmarkVersionSchema);
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const Engagement = require('./Engagement');
+const { SIZE_BAND_KEYS } = require('../utils/companySize');
+const { isValidPan, isValidGstin, isValidCin } = require('../utils/companyIdentifiers');
+
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// A cleared identifier is removed rather than stored as '', which the unique indexes below would count
+const blankToUndefined = (value) => (
+  value === null || (typeof value === 'string' && value.trim() === '') ? undefined : value
+);
 
 const companySchema = new mongoose.Schema(
   {
@@ -16,6 +26,73 @@ const companySchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Profile (drives benchmark selection, peer groups and fiscal-year labelling)
+    industry: {
+      type: String,
+      trim: true,
+      default: 'General', // Matches a benchmark industry
+    },
+    sizeBand: {
+      type: String,
+      enum: {
+        values: SIZE_BAND_KEYS,
+        message: `Size band must be one of: ${SIZE_BAND_KEYS.join(', ')}`,
+      },
+    },
+    // Last day of the financial year; Indian companies default to 31 March
+    fiscalYearEnd: {
+      month: { type: Number, min: 1, max: 12, default: 3 },
+      day: {
+        type: Number,
+        min: 1,
+        default: 31,
+        validate: {
+          validator: function (day) {
+            const month = typeof this.get === 'function' ? this.get('fiscalYearEnd.month') : this.month;
+            return !month || day <= DAYS_IN_MONTH[month - 1];
+          },
+          message: 'Fiscal year end day is not valid for the month',
+        },
+      },
+    },
+    incorporationDate: {
+      type: Date,
+      validate: {
+        validator: (date) => !date || date <= new Date(),
+        message: 'Incorporation date cannot be in the future',
+      },
+    },
+    // Statutory identifiers
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      set: blankToUndefined,
+      validate: {
+        validator: (value) => !value || isValidGstin(value),
+        message: 'Invalid GSTIN',
+      },
+    },
+    pan: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      set: blankToUndefined,
+      validate: {
+        validator: (value) => !value || isValidPan(value),
+        message: 'Invalid PAN',
+      },
+    },
+    cin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      set: blankToUndefined,
+      validate: {
+        validator: (value) => !value || isValidCin(value),
+        message: 'Invalid CIN',
+      },
+    },
     address: {
       street: String,
       city: String,
@@ -39,26 +116,6 @@ const companySchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
-    assignedCA: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    },
-    invitedCAs: [
-      {
-        ca: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-        },
-        invitedAt: {
-          type: Date,
-          default: Date.now,
-        },
-        invitedBy: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-        },
-      },
-    ],
     isActive: {
       type: Boolean,
       default: true,
@@ -84,6 +141,14 @@ const companySchema = new mongoose.Schema(
 companySchema.index({ name: 1 });
 companySchema.index({ representative: 1 });
 companySchema.index({ createdBy: 1 });
+companySchema.index({ industry: 1, sizeBand: 1 });
+// Identifiers belong to a single company (only enforced when set)
+['gstin', 'pan', 'cin'].forEach((field) => {
+  companySchema.index(
+    { [field]: 1 },
+    { unique: true, partialFilterExpression: { [field]: { $type: 'string' } } }
+  );
+});
 
 // Virtual for all users (admins + representative)
 companySchema.virtual('allAdmins').get(function () {
@@ -100,27 +165,13 @@ companySchema.methods.isCompanyAdmin = function (userId) {
   );
 };
 
-// Method to add CA to company
-companySchema.methods.inviteCA = function (caId, invitedByUserId) {
-  const alreadyInvited = this.invitedCAs.some(
-    (invite) => invite.ca.toString() === caId.toString()
-  );
-
-  if (!alreadyInvited) {
-    this.invitedCAs.push({
-      ca: caId,
-      invitedBy: invitedByUserId,
-      invitedAt: new Date(),
-    });
-  }
-};
-
-// Method to remove CA from company
-companySchema.methods.removeCA = function (caId) {
-  this.invitedCAs = this.invitedCAs.filter(
-    (invite) => invite.ca.toString() !== caId.toString()
-  );
-};
+// Current CA engagements (see Engagement); populate with .populate('engagements')
+companySchema.virtual('engagements', {
+  ref: 'Engagement',
+  localField: '_id',
+  foreignField: 'company',
+  match: () => Engagement.currentFilter(),
+});
 
 const Company = mongoose.model('Company', companySchema);
 
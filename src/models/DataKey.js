@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Per-company data encryption key for financial fields at rest (services/encryptionService.js).
+// Only the wrapped form is stored: the key encrypted under a master key, which never
+// reaches the database. Retired keys are kept so data they encrypted can still be read.
+const dataKeySchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    // Increases by one each time the company's key is rotated
+    version: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'retired'],
+      default: 'active',
+    },
+    // Fingerprint of the master key the data key is wrapped with
+    masterKeyId: {
+      type: String,
+      required: true,
+    },
+    wrappedKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    retiredAt: {
+      type: Date,
+    },
+    rewrappedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dataKeySchema.index({ company: 1, version: -1 }, { unique: true });
+dataKeySchema.index({ masterKeyId: 1 });
+
+const DataKey = mongoose.model('DataKey', dataKeySchema);
+
+module.exports = DataKey;
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ENGAGEMENT_ROLES = ['lead', 'reviewer'];
+// pending/declined/revoked/expired describe invitations the CA has not (yet) accepted
+const ENGAGEMENT_STATUSES = ['pending', 'active', 'declined', 'revoked', 'expired', 'ended'];
+// Firm roles that see every client of the firm
+const FIRM_WIDE_ACCESS_ROLES = ['partner', 'manager'];
+
+// A CA's (or CA firm's) engagement with a company. This is the single source of truth for
+// which CAs can access a company, in which role, and since when. Engagements created by an
+// invitation start as pending and only grant access once the CA accepts.
+const engagementSchema = new mongoose.Schema({
+  // The engaged CA, or for a firm-level engagement the firm. Partners and managers get access
+  // to all of their firm's clients; staff only to those assigned to them.
+  ca: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function () { return !this.firm; }, 'An engagement needs a CA or a firm']
+  },
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    validate: {
+      validator: function (value) {
+        return !value || !this.ca;
+      },
+      message: 'An engagement belongs to either a CA or a firm, not both'
+    }
+  },
+  // On a CA's engagement: the firm that assigned them one of its clients
+  assignedByFirm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm'
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // lead: the CA responsible for the company (one per company); reviewer: any other CA with access
+  role: {
+    type: String,
+    enum: ENGAGEMENT_ROLES,
+    default: 'reviewer'
+  },
+  status: {
+    type: String,
+    enum: ENGAGEMENT_STATUSES,
+    default: 'active'
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the engagement ends; a future date schedules the end
+  endDate: {
+    type: Date
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  endReason: {
+    type: String,
+    trim: true
+  },
+  invitation: {
+    // SHA-256 of the single-use token sent to the CA; cleared once the invitation is answered
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date,
+    lastSentAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0
+    },
+    respondedAt: Date,
+    declineReason: {
+      type: String,
+      trim: true
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// At most one open engagement and one pending invitation per CA (or firm) and company, and one lead per company
+engagementSchema.index(
+  { ca: 1, company: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', ca: { $exists: true } }, name: 'active_ca_company' }
+);
+engagementSchema.index(
+  { ca: 1, company: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', ca: { $exists: true } }, name: 'pending_ca_company' }
+);
+engagementSchema.index(
+  { firm: 1, company: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', firm: { $exists: true } }, name: 'active_firm_company' }
+);
+engagementSchema.index({ 'invitation.tokenHash': 1 }, { sparse: true });
+engagementSchema.index(
+  { company: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', role: 'lead' } }
+);
+engagementSchema.index({ company: 1, status: 1 });
+engagementSchema.index({ ca: 1, status: 1 });
+engagementSchema.index({ firm: 1, status: 1 });
+engagementSchema.index({ assignedByFirm: 1, company: 1 }, { sparse: true });
+
+engagementSchema.statics.ROLES = ENGAGEMENT_ROLES;
+engagementSchema.statics.STATUSES = ENGAGEMENT_STATUSES;
+engagementSchema.statics.FIRM_WIDE_ACCESS_ROLES = FIRM_WIDE_ACCESS_ROLES;
+
+/**
+ * Query conditions for engagements that currently grant access
+ */
+engagementSchema.statics.currentFilter = function (now = new Date()) {
+  return {
+    status: 'active',
+    startDate: { $lte: now },
+    $or: [{ endDate: null }, { endDate: { $gt: now } }]
+  };
+};
+
+/**
+ * Query conditions for the current engagements that give a CA access: their own,
+ * plus their firm's if they are a partner or manager of it
+ */
+engagementSchema.statics.accessFilter = function (ca, now = new Date()) {
+  const holders = [{ ca: ca._id }];
+  if (ca.firm && FIRM_WIDE_ACCESS_ROLES.includes(ca.firmRole)) {
+    holders.push({ firm: ca.firm._id || ca.firm });
+  }
+
+  return { $and: [this.currentFilter(now), { $or: holders }] };
+};
+
+/**
+ * Hash an invitation token for storage and lookup
+ */
+engagementSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Issue a new invitation token (replacing any previous one) and return it.
+ * Only the hash is stored, so the token must be delivered to the CA straight away.
+ */
+engagementSchema.methods.issueInvitationToken = function (ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  this.set({
+    'invitation.tokenHash': this.constructor.hashToken(token),
+    'invitation.expiresAt': new Date(now.getTime() + ttlMs),
+    'invitation.lastSentAt': now,
+    'invitation.sendCount': (this.invitation?.sendCount || 0) + 1
+  });
+
+  return token;
+};
+
+/**
+ * Whether a pending invitation is past its expiry
+ */
+engagementSchema.methods.isInvitationExpired = function (now = new Date()) {
+  return this.status === 'pending' && Boolean(this.invitation?.expiresAt) && this.invitation.expiresAt <= now;
+};
+
+module.exports = mongoose.model('Engagement', engagementSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const FIRM_ROLES = ['partner', 'manager', 'staff'];
+
+// A CA practice. Members are CA users whose `firm` points here (their firmRole is on the
+// user); the firm's clients are engagements with `firm` set instead of `ca`.
+const firmSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Firm name is required'],
+      trim: true,
+      unique: true,
+    },
+    // ICAI firm registration number
+    registrationNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String,
+    },
+    contactInfo: {
+      phone: String,
+      email: String,
+      website: String,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+firmSchema.index(
+  { registrationNumber: 1 },
+  { unique: true, partialFilterExpression: { registrationNumber: { $type: 'string' } } }
+);
+
+firmSchema.virtual('members', {
+  ref: 'User',
+  localField: '_id',
+  foreignField: 'firm',
+});
+
+firmSchema.statics.ROLES = FIRM_ROLES;
+
+module.exports = mongoose.model('Firm', firmSchema);
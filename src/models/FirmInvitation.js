@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Firm = require('./Firm');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired'];
+
+// An invitation for a CA to join a firm. The CA only becomes a member once they accept
+// it themselves; partners can withdraw it until then.
+const firmInvitationSchema = new mongoose.Schema(
+  {
+    firm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Firm',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    firmRole: {
+      type: String,
+      enum: Firm.ROLES,
+      default: 'staff',
+    },
+    status: {
+      type: String,
+      enum: INVITATION_STATUSES,
+      default: 'pending',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: Date,
+    // Partner who withdrew the invitation
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// At most one pending invitation per CA and firm
+firmInvitationSchema.index(
+  { firm: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+firmInvitationSchema.index({ user: 1, status: 1 });
+
+/**
+ * Filter for invitations that can still be answered
+ */
+firmInvitationSchema.statics.openFilter = function (now = new Date()) {
+  return { status: 'pending', expiresAt: { $gt: now } };
+};
+
+firmInvitationSchema.statics.STATUSES = INVITATION_STATUSES;
+
+module.exports = mongoose.model('FirmInvitation', firmInvitationSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const SCOPES = ['account', 'ip'];
+
+// Failed sign-in attempts for one account (by email, so unknown addresses are throttled
+// the same way) or one IP address. Failures count within a rolling window; enough of
+// them delay the next attempt and eventually lock the account or IP for a while.
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: SCOPES,
+      required: true,
+    },
+    // Lower-cased email for accounts, the address for IPs
+    key: {
+      type: String,
+      required: true,
+    },
+    // Set when the email belongs to a user, for admin unlock and notifications
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    firstFailureAt: {
+      type: Date,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lastFailureIp: {
+      type: String,
+    },
+    // No attempt is checked before this time (progressive delay)
+    nextAttemptAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    // Lockouts so far in this record's lifetime
+    lockouts: {
+      type: Number,
+      default: 0,
+    },
+    // The record is removed after this time
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ user: 1 });
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginThrottleSchema.methods.isLocked = function (now = new Date()) {
+  return !!this.lockedUntil && this.lockedUntil > now;
+};
+
+loginThrottleSchema.statics.SCOPES = SCOPES;
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
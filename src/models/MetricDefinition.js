@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Custom metric added to the metric registry (built-in metrics live in config/metricCatalogue.js)
+const metricDefinitionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Metric key is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Metric key must be snake_case']
+  },
+  label: {
+    type: String,
+    required: [true, 'Metric label is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Metric category is required'],
+    lowercase: true,
+    trim: true
+  },
+  unit: {
+    type: String,
+    required: [true, 'Metric unit is required'],
+    trim: true
+  },
+  polarity: {
+    type: String,
+    enum: {
+      values: ['higher_is_better', 'lower_is_better', 'neutral'],
+      message: '{VALUE} is not a valid polarity'
+    },
+    required: true
+  },
+  // Other names the Python service may report this metric under
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  significanceThreshold: {
+    type: Number,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+metricDefinitionSchema.index({ aliases: 1 });
+
+module.exports = mongoose.model('MetricDefinition', metricDefinitionSchema);
@@ -18,6 +18,7 @@ const notificationSchema = new mongoose.Schema({
       'payment_received',
       'report_generated',
       'company_assigned',
+      'security',
       'system'
     ],
     required: true
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, isPermission } = require('../config/permissions');
+
+// Custom role: a named permission bundle that replaces the built-in bundle of its base role
+// for the users it is assigned to. Built-in roles live in config/permissions.js.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [100, 'Role name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Built-in role whose users this role can be assigned to. Super Admins always hold every permission.
+  baseRole: {
+    type: String,
+    enum: {
+      values: ['CA', 'COMPANY_ADMIN', 'COMPANY_USER'],
+      message: '{VALUE} is not a valid base role'
+    },
+    required: [true, 'Base role is required']
+  },
+  // Firm the role belongs to; platform-wide roles have none
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    default: null
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every(isPermission),
+      message: (props) => `Unknown permission(s): ${props.value.filter(permission => !isPermission(permission)).join(', ')}. Valid permissions: ${Object.keys(PERMISSIONS).join(', ')}`
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Role names are unique within a firm (and among platform-wide roles)
+roleSchema.index({ firm: 1, name: 1 }, { unique: true });
+
+roleSchema.pre('validate', function (next) {
+  this.permissions = [...new Set(this.permissions)];
+  next();
+});
+
+module.exports = mongoose.model('Role', roleSchema);
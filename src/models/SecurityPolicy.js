@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+
+const POLICY_KEY = 'default';
+
+// Platform-wide security policy set by Super Admins. There is a single document;
+// until it is first saved, the defaults from config apply.
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: POLICY_KEY,
+    unique: true,
+    immutable: true
+  },
+  // Built-in roles whose users must enrol in two-factor authentication
+  twoFactorRequiredRoles: {
+    type: [{
+      type: String,
+      enum: {
+        values: BUILT_IN_ROLES,
+        message: '{VALUE} is not a valid role'
+      }
+    }],
+    default: () => config.twoFactor.requiredRoles.filter(role => BUILT_IN_ROLES.includes(role))
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+securityPolicySchema.pre('validate', function (next) {
+  this.twoFactorRequiredRoles = [...new Set(this.twoFactorRequiredRoles)];
+  next();
+});
+
+/**
+ * The current policy (an unsaved default document if none has been saved yet)
+ */
+securityPolicySchema.statics.current = async function () {
+  return (await this.findOne({ key: POLICY_KEY })) || new this();
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SERVICE_SCOPES = ['analysis:write'];
+
+const serviceCredentialSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Credential name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    keyId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Shared HMAC secret. Kept in full because signatures are verified server-side;
+    // never returned after creation or rotation.
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    scopes: [
+      {
+        type: String,
+        enum: {
+          values: SERVICE_SCOPES,
+          message: '{VALUE} is not a valid scope',
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+serviceCredentialSchema.index({ isActive: 1 });
+
+// Generate a new key id / secret pair
+serviceCredentialSchema.statics.generateKeyPair = function () {
+  return {
+    keyId: `svc_${crypto.randomBytes(8).toString('hex')}`,
+    secret: crypto.randomBytes(32).toString('hex'),
+  };
+};
+
+// Check if the credential grants a scope
+serviceCredentialSchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+// Remove sensitive data
+serviceCredentialSchema.methods.toJSON = function () {
+  const credential = this.toObject();
+  delete credential.secret;
+  delete credential.__v;
+  return credential;
+};
+
+serviceCredentialSchema.statics.SCOPES = SERVICE_SCOPES;
+
+const ServiceCredential = mongoose.model('ServiceCredential', serviceCredentialSchema);
+
+module.exports = ServiceCredential;
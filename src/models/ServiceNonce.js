@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Nonces seen on signed service requests, kept until their signature would expire anyway
+const serviceNonceSchema = new mongoose.Schema(
+  {
+    keyId: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    // Identifies the signed item (e.g. a stream entry id) so redeliveries are not treated as replays
+    reference: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+serviceNonceSchema.index({ keyId: 1, nonce: 1 }, { unique: true });
+serviceNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Record a nonce. Returns false if it was already used for a different request.
+ */
+serviceNonceSchema.statics.consume = async function (keyId, nonce, expiresAt, reference = null) {
+  try {
+    await this.create({ keyId, nonce, reference, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    if (reference) {
+      const existing = await this.findOne({ keyId, nonce }).lean();
+      return existing?.reference === reference;
+    }
+    return false;
+  }
+};
+
+const ServiceNonce = mongoose.model('ServiceNonce', serviceNonceSchema);
+
+module.exports = ServiceNonce;
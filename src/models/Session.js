@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REVOKE_REASONS = ['logout', 'revoked', 'reuse_detected', 'password_changed', 'session_limit'];
+
+// A signed-in device. Each session is one refresh-token family: every refresh rotates
+// the token, and presenting a token of the family other than the latest one means it
+// was replayed, so the whole session is revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 of the latest refresh token issued to this session
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Number of refreshes so far; the refresh token carries it as `gen`
+    generation: {
+      type: Number,
+      default: 0,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    // Expiry of the latest refresh token; the session is removed after it
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: REVOKE_REASONS,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Query conditions for sessions that can still be refreshed
+ */
+sessionSchema.statics.activeFilter = function (now = new Date()) {
+  return { revokedAt: null, expiresAt: { $gt: now } };
+};
+
+/**
+ * Hash a refresh token for storage and comparison
+ */
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
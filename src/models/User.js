@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Engagement = require('./Engagement');
 
 const userSchema = new mongoose.Schema(
   {
@@ -17,6 +18,10 @@ const userSchema = new mongoose.Schema(
       minlength: [8, 'Password must be at least 8 characters'],
       select: false, // Don't include password in queries by default
     },
+    // Outdates two-factor sign-in challenges issued before the change
+    passwordChangedAt: {
+      type: Date,
+    },
     name: {
       type: String,
       required: [true, 'Name is required'],
@@ -30,6 +35,12 @@ const userSchema = new mongoose.Schema(
       },
       required: [true, 'Role is required'],
     },
+    // Custom permission bundle replacing the built-in one for this user's role
+    customRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+      default: null,
+    },
     company: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Company',
@@ -44,12 +55,6 @@ const userSchema = new mongoose.Schema(
         message: 'Company is required for company-level users',
       },
     },
-    invitedCompanies: [
-      {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Company',
-      },
-    ],
     // Professional details for CA users
     phone: {
       type: String,
@@ -62,9 +67,24 @@ const userSchema = new mongoose.Schema(
     registrationYear: {
       type: Number,
     },
+    // CA firm the user belongs to, and their role in it
     firm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Firm',
+      default: null,
+    },
+    firmRole: {
       type: String,
-      trim: true,
+      enum: {
+        values: ['partner', 'manager', 'staff'],
+        message: '{VALUE} is not a valid firm role',
+      },
+      validate: {
+        validator: function (value) {
+          return !value || this.firm != null;
+        },
+        message: 'Firm role requires a firm',
+      },
     },
     specialization: [{
       type: String,
@@ -92,13 +112,51 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    refreshToken: {
-      type: String,
-      select: false,
-    },
     lastLogin: {
       type: Date,
     },
+    // TOTP two-factor authentication (services/twoFactorService.js)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Base32 TOTP secret; kept in full because codes are checked server-side
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated at setup, becomes `secret` once a code from it is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Devices the user has signed in from, for new-device alerts (services/loginProtectionService.js)
+    knownDevices: {
+      type: [{
+        _id: false,
+        fingerprint: String,
+        userAgent: String,
+        lastIp: String,
+        firstSeenAt: Date,
+        lastSeenAt: Date,
+      }],
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -111,6 +169,7 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ company: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ firm: 1, firmRole: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -119,6 +178,10 @@ userSchema.pre('save', async function (next) {
     return next();
   }
 
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -137,13 +200,15 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
-// Check if user has permission for a company
-userSchema.methods.hasCompanyAccess = function (companyId) {
+// Check if user has permission for a company (CAs need a current engagement of their own or their firm's)
+userSchema.methods.hasCompanyAccess = async function (companyId) {
   if (this.role === 'SUPER_ADMIN') return true;
+  if (!companyId || !mongoose.isValidObjectId(companyId)) return false;
   if (this.role === 'CA') {
-    return this.invitedCompanies.some(
-      (company) => company.toString() === companyId.toString()
-    );
+    return !!(await Engagement.exists({
+      company: companyId,
+      ...Engagement.accessFilter(this),
+    }));
   }
   if (['COMPANY_ADMIN', 'COMPANY_USER'].includes(this.role)) {
     return this.company && this.company.toString() === companyId.toString();
@@ -155,8 +220,10 @@ userSchema.methods.hasCompanyAccess = function (companyId) {
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
-  delete user.refreshToken;
   delete user.__v;
+  if (user.twoFactor) {
+    user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+  }
   return user;
 };
 
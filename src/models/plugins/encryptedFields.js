@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const encryptionService = require('../../services/encryptionService');
+
+const QUERY_HOOKS = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'];
+const UPDATE_HOOKS = ['findOneAndUpdate', 'updateOne', 'updateMany', 'replaceOne', 'findOneAndReplace'];
+const UPDATE_OPERATORS = ['$set', '$setOnInsert'];
+
+// Sub-paths of encrypted fields a query asked for, keyed by field
+const SELECTIONS = Symbol('encryptedFieldSelections');
+
+const isEmpty = (value) => value === undefined
+  || value === null
+  || value === ''
+  || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const getPath = (value, path) => path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+
+/**
+ * Keep only the selected sub-paths of a decrypted value, as a projection would have
+ */
+const pick = (value, paths) => {
+  if (!value || typeof value !== 'object') return value;
+
+  const picked = {};
+  for (const path of paths) {
+    const found = getPath(value, path);
+    if (found === undefined) continue;
+
+    const keys = path.split('.');
+    let target = picked;
+    keys.slice(0, -1).forEach((key) => {
+      target = target[key] = target[key] || {};
+    });
+    target[keys[keys.length - 1]] = found;
+  }
+  return picked;
+};
+
+/**
+ * Transparent field-level encryption (services/encryptionService.js).
+ *
+ * The listed fields are encrypted with the record's company data key when saved or
+ * written through an update, and decrypted when loaded through a query (hydrated or
+ * lean). Selecting a sub-path of an encrypted field works as before. Not covered:
+ * aggregation pipelines and query cursors (decrypt with Model.decryptFields()), and
+ * queries that filter on or partially update an encrypted field.
+ *
+ * @param {Object} options.fields - Paths to encrypt
+ * @param {string} [options.companyField='company'] - Path holding the owning company
+ */
+module.exports = function encryptedFields(schema, { fields, companyField = 'company' }) {
+  const encryptValues = async (companyId, values) => {
+    for (const field of fields) {
+      if (!isEmpty(values[field]) && !encryptionService.isEncrypted(values[field])) {
+        values[field] = await encryptionService.encrypt(companyId, field, values[field]);
+      }
+    }
+  };
+
+  /**
+   * Decrypt the encrypted fields of a loaded document or lean object in place
+   */
+  const decryptDocument = async (doc, selections = {}) => {
+    if (!doc) return doc;
+    const hydrated = doc instanceof mongoose.Document;
+
+    for (const field of fields) {
+      const stored = hydrated ? doc.get(field) : doc[field];
+      if (!encryptionService.isEncrypted(stored) && !selections[field]) continue;
+
+      let value = await encryptionService.decrypt(field, stored);
+      if (selections[field]) value = pick(value, selections[field]);
+
+      if (hydrated) {
+        doc.set(field, value);
+        doc.unmarkModified(field);
+      } else {
+        doc[field] = value;
+      }
+    }
+    return doc;
+  };
+
+  schema.statics.ENCRYPTED_FIELDS = fields;
+
+  /**
+   * Decrypt documents loaded without query middleware (cursors, aggregations)
+   */
+  schema.statics.decryptFields = async function (docs) {
+    if (Array.isArray(docs)) {
+      for (const doc of docs) await decryptDocument(doc);
+      return docs;
+    }
+    return await decryptDocument(docs);
+  };
+
+  /**
+   * Re-encrypt a company's records that are not yet under its active data key
+   * (including values stored before encryption was enabled). Returns how many changed.
+   */
+  schema.statics.reencryptFields = async function (companyId) {
+    const dataKey = await encryptionService.activeDataKey(companyId);
+    const activeKeyId = dataKey._id.toString();
+    const projection = Object.fromEntries(fields.map(field => [field, 1]));
+    let updated = 0;
+
+    // The raw collection, so values are read and written exactly as stored
+    for await (const doc of this.collection.find({ [companyField]: dataKey.company }, { projection })) {
+      const $set = {};
+
+      for (const field of fields) {
+        const stored = doc[field];
+        if (isEmpty(stored) || encryptionService.keyIdOf(stored) === activeKeyId) continue;
+
+        const value = await encryptionService.decrypt(field, stored);
+        $set[field] = await encryptionService.encrypt(dataKey.company, field, value);
+      }
+
+      if (Object.keys($set).length > 0) {
+        // Skip the record if it was written again meanwhile (it is then under the active key)
+        const unchanged = Object.fromEntries(Object.keys($set).map(field => [field, doc[field]]));
+        const { modifiedCount } = await this.collection.updateOne({ _id: doc._id, ...unchanged }, { $set });
+        updated += modifiedCount;
+      }
+    }
+
+    return updated;
+  };
+
+  // Saving: store ciphertext, then put the plaintext back on the document
+  schema.pre('save', async function () {
+    const plaintext = {};
+    this.$locals.encryptedFieldPlaintext = plaintext;
+
+    for (const field of fields) {
+      const value = this.get(field);
+      if ((this.isNew || this.isModified(field)) && !isEmpty(value)) {
+        plaintext[field] = value;
+        this.set(field, await encryptionService.encrypt(this.get(companyField), field, value));
+      }
+    }
+  });
+
+  const restorePlaintext = (doc) => {
+    const plaintext = doc.$locals.encryptedFieldPlaintext || {};
+    for (const [field, value] of Object.entries(plaintext)) {
+      doc.set(field, value);
+      doc.unmarkModified(field);
+    }
+    delete doc.$locals.encryptedFieldPlaintext;
+  };
+
+  schema.post('save', function (doc) {
+    restorePlaintext(doc);
+  });
+
+  schema.post('save', function (error, doc, next) {
+    restorePlaintext(doc);
+    next(error);
+  });
+
+  // Queries: load whole encrypted fields (a sub-path can't be projected from ciphertext)
+  schema.pre(QUERY_HOOKS, function () {
+    const projection = this.projection();
+    if (!projection) return;
+
+    const selections = {};
+    for (const [path, include] of Object.entries(projection)) {
+      const field = fields.find(candidate => path.startsWith(`${candidate}.`));
+      if (!field || !include) continue;
+
+      (selections[field] = selections[field] || []).push(path.slice(field.length + 1));
+      delete projection[path];
+      projection[field] = 1;
+    }
+
+    this[SELECTIONS] = selections;
+  });
+
+  schema.post(QUERY_HOOKS, async function (result) {
+    const selections = this[SELECTIONS] || {};
+    // findOneAndUpdate with includeResultMetadata resolves to { value, ok, ... }
+    const docs = result && !Array.isArray(result) && 'value' in result && 'ok' in result ? result.value : result;
+
+    if (Array.isArray(docs)) {
+      for (const doc of docs) await decryptDocument(doc, selections);
+    } else {
+      await decryptDocument(docs, selections);
+    }
+  });
+
+  // Updates: encrypt whole-field writes; partial writes into an encrypted field can't work
+  schema.pre(UPDATE_HOOKS, async function () {
+    const update = this.getUpdate();
+    if (!update) return;
+
+    const targets = [update, ...UPDATE_OPERATORS.map(operator => update[operator]).filter(Boolean)];
+    const written = targets.some(target => Object.keys(target).some(path => fields.some(field => path === field)));
+    const partial = targets.some(target => Object.keys(target).some(path => fields.some(field => path.startsWith(`${field}.`))));
+
+    if (partial) {
+      throw new Error(`Encrypted fields (${fields.join(', ')}) can only be updated as a whole`);
+    }
+    if (!written) return;
+
+    const filter = this.getFilter();
+    let companyId = [...targets, filter]
+      .map(source => source[companyField])
+      .find(candidate => candidate && mongoose.isValidObjectId(candidate));
+
+    if (!companyId) {
+      if (this.op === 'updateMany') {
+        throw new Error(`Updating encrypted fields of many records needs a ${companyField} in the filter`);
+      }
+      const existing = await this.model.findOne(filter).select(companyField).lean();
+      companyId = existing?.[companyField];
+    }
+
+    for (const target of targets) {
+      await encryptValues(companyId, target);
+    }
+    this.setUpdate(update);
+  });
+};
@@ -1,21 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
+const serviceCredentialController = require('../controllers/serviceCredential.controller');
+const auditController = require('../controllers/audit.controller');
 const { authenticate } = require('../middleware/auth');
-const { isSuperAdmin } = require('../middleware/rbac');
-const { param, body } = require('express-validator');
+const { authorize } = require('../middleware/rbac');
+const { param, body, query } = require('express-validator');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+const ServiceCredential = require('../models/ServiceCredential');
 const validate = require('../middleware/validate');
 
 /**
  * @swagger
  * tags:
  *   name: Admin
- *   description: Admin dashboard and CA management endpoints (Super Admin only)
+ *   description: Admin dashboard and CA management endpoints (requires the admin:access permission)
  */
 
 // All routes require authentication and super admin role
 router.use(authenticate);
-router.use(isSuperAdmin);
+router.use(authorize('admin:access'));
 
 /**
  * @swagger
@@ -54,7 +58,7 @@ router.use(isSuperAdmin);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Super Admin access required
+ *         description: Forbidden - missing permission
  */
 router.get('/analytics', adminController.getDashboardAnalytics);
 
@@ -117,7 +121,7 @@ router.get('/analytics', adminController.getDashboardAnalytics);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Super Admin access required
+ *         description: Forbidden - missing permission
  */
 router.get('/cas', adminController.getAllCAs);
 
@@ -153,6 +157,13 @@ router.get('/cas', adminController.getAllCAs);
  *                 format: password
  *                 minLength: 8
  *                 example: SecurePass123
+ *               firm:
+ *                 type: string
+ *                 description: ID of the firm the CA joins
+ *               firmRole:
+ *                 type: string
+ *                 enum: [partner, manager, staff]
+ *                 default: staff
  *     responses:
  *       201:
  *         description: CA created successfully
@@ -173,7 +184,7 @@ router.get('/cas', adminController.getAllCAs);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Super Admin access required
+ *         description: Forbidden - missing permission
  *       409:
  *         description: Email already exists
  */
@@ -185,6 +196,8 @@ router.post(
     body('password')
       .isLength({ min: 8 })
       .withMessage('Password must be at least 8 characters'),
+    body('firm').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid firm ID'),
+    body('firmRole').optional().isIn(['partner', 'manager', 'staff']).withMessage('Firm role must be partner, manager or staff'),
   ],
   validate,
   adminController.createCA
@@ -230,7 +243,7 @@ router.post(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Super Admin access required
+ *         description: Forbidden - missing permission
  *       404:
  *         description: CA not found
  */
@@ -291,7 +304,7 @@ router.get(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Super Admin access required
+ *         description: Forbidden - missing permission
  *       404:
  *         description: CA not found
  */
@@ -335,7 +348,7 @@ router.put(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Super Admin access required
+ *         description: Forbidden - missing permission
  *       404:
  *         description: CA not found
  */
@@ -378,6 +391,11 @@ router.delete(
  *                 minItems: 1
  *                 example: ["60d5ec49f1b2c72b8c8e4f1a", "60d5ec49f1b2c72b8c8e4f1b"]
  *                 description: Array of company IDs to assign
+ *               role:
+ *                 type: string
+ *                 enum: [lead, reviewer]
+ *                 default: lead
+ *                 description: Engagement role. Making the CA lead demotes the company's current lead to reviewer
  *     responses:
  *       200:
  *         description: Companies assigned successfully
@@ -395,12 +413,16 @@ router.delete(
  *                   properties:
  *                     ca:
  *                       $ref: '#/components/schemas/User'
+ *                     engagements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Engagement'
  *       400:
  *         description: Validation error
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Super Admin access required
+ *         description: Forbidden - missing permission
  *       404:
  *         description: CA or company not found
  */
@@ -412,6 +434,10 @@ router.post(
       .isArray({ min: 1 })
       .withMessage('Company IDs array is required'),
     body('companyIds.*').isMongoId().withMessage('Invalid company ID'),
+    body('role')
+      .optional()
+      .isIn(['lead', 'reviewer'])
+      .withMessage('Role must be lead or reviewer'),
   ],
   validate,
   adminController.assignCAToCompanies
@@ -449,6 +475,9 @@ router.post(
  *                 minItems: 1
  *                 example: ["60d5ec49f1b2c72b8c8e4f1a"]
  *                 description: Array of company IDs to remove
+ *               reason:
+ *                 type: string
+ *                 description: Why the engagements were ended (kept in the engagement history)
  *     responses:
  *       200:
  *         description: Companies removed successfully
@@ -466,7 +495,7 @@ router.post(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Super Admin access required
+ *         description: Forbidden - missing permission
  *       404:
  *         description: CA not found
  */
@@ -478,9 +507,420 @@ router.post(
       .isArray({ min: 1 })
       .withMessage('Company IDs array is required'),
     body('companyIds.*').isMongoId().withMessage('Invalid company ID'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
   ],
   validate,
   adminController.removeCAFromCompanies
 );
 
+/**
+ * @swagger
+ * /api/admin/security-policy:
+ *   get:
+ *     summary: Get the security policy
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Security policy retrieved successfully
+ *       403:
+ *         description: Forbidden - missing permission
+ *   put:
+ *     summary: Update the security policy
+ *     description: Users of the listed roles must enrol in two-factor authentication before they can use the API
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorRequiredRoles
+ *             properties:
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [SUPER_ADMIN, CA, COMPANY_ADMIN, COMPANY_USER]
+ *                 example: ["SUPER_ADMIN", "CA"]
+ *     responses:
+ *       200:
+ *         description: Security policy updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get('/security-policy', authorize('security:manage'), adminController.getSecurityPolicy);
+router.put(
+  '/security-policy',
+  authorize('security:manage'),
+  [
+    body('twoFactorRequiredRoles').isArray().withMessage('twoFactorRequiredRoles must be an array'),
+    body('twoFactorRequiredRoles.*').isIn(BUILT_IN_ROLES).withMessage('Invalid role'),
+  ],
+  validate,
+  adminController.updateSecurityPolicy
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/2fa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication
+ *     description: For users who lost their authenticator device. Signs out all of the user's sessions.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset successfully
+ *       404:
+ *         description: User not found
+ */
+router.delete(
+  '/users/:userId/2fa',
+  authorize('security:manage'),
+  [param('userId').isMongoId().withMessage('Invalid user ID')],
+  validate,
+  adminController.resetUserTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: Get current sign-in lockouts
+ *     description: Accounts and IP addresses locked after too many failed sign-in attempts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lockouts retrieved successfully
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get('/lockouts', authorize('security:manage'), adminController.getLockouts);
+
+/**
+ * @swagger
+ * /api/admin/lockouts/{lockoutId}:
+ *   delete:
+ *     summary: Lift a sign-in lockout
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lockout lifted successfully
+ *       404:
+ *         description: Lockout not found
+ */
+router.delete(
+  '/lockouts/:lockoutId',
+  authorize('security:manage'),
+  [param('lockoutId').isMongoId().withMessage('Invalid lockout ID')],
+  validate,
+  adminController.removeLockout
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Unlock a user's account
+ *     description: Lift a sign-in lockout or delay on the account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked (or was not locked)
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  '/users/:userId/unlock',
+  authorize('security:manage'),
+  [param('userId').isMongoId().withMessage('Invalid user ID')],
+  validate,
+  adminController.unlockUser
+);
+
+const auditLogFilters = [
+  query('company').optional().isMongoId().withMessage('Invalid company ID'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('action').optional().trim().notEmpty().withMessage('Action cannot be empty'),
+  query('targetId').optional().trim().notEmpty().withMessage('Target ID cannot be empty'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+];
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Get audit log entries
+ *     description: Sensitive actions (role changes, engagement changes, document and note changes, report exports, ...) with who did them, from where, and what changed. Newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         description: User ID of the person who acted
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: e.g. user.role_change, engagement.assign, document.delete
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit log entries retrieved successfully
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get(
+  '/audit-logs',
+  authorize('audit:view'),
+  [
+    ...auditLogFilters,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  ],
+  validate,
+  auditController.getAuditLogs
+);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs/export:
+ *   get:
+ *     summary: Export audit log entries
+ *     description: Download entries matching the same filters as the list, oldest first, including their chain hashes
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: CSV or JSON file
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get(
+  '/audit-logs/export',
+  authorize('audit:view'),
+  [
+    ...auditLogFilters,
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  ],
+  validate,
+  auditController.exportAuditLogs
+);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs/verify:
+ *   get:
+ *     summary: Verify the audit log
+ *     description: Recompute the hash chain and report the first entry that was altered, removed or inserted, if any
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification result (valid, checked, brokenAt, reason)
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get('/audit-logs/verify', authorize('audit:view'), auditController.verifyAuditLog);
+
+/**
+ * @swagger
+ * /api/admin/service-credentials:
+ *   get:
+ *     summary: Get service credentials
+ *     description: List machine-to-machine credentials used by the Python microservice (secrets are never returned)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Service credentials retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get('/service-credentials', authorize('service_credentials:manage'), serviceCredentialController.getServiceCredentials);
+
+/**
+ * @swagger
+ * /api/admin/service-credentials:
+ *   post:
+ *     summary: Create a service credential
+ *     description: Create a key id and HMAC secret for signing service requests and Redis stream entries. The secret is only returned once.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Python analysis service
+ *               description:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [analysis:write]
+ *     responses:
+ *       201:
+ *         description: Service credential created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.post(
+  '/service-credentials',
+  authorize('service_credentials:manage'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('scopes').optional().isArray().withMessage('Scopes must be an array'),
+    body('scopes.*').isIn(ServiceCredential.SCOPES).withMessage('Invalid scope'),
+  ],
+  validate,
+  serviceCredentialController.createServiceCredential
+);
+
+/**
+ * @swagger
+ * /api/admin/service-credentials/{credentialId}/rotate:
+ *   post:
+ *     summary: Rotate a service credential secret
+ *     description: Issue a new HMAC secret for the credential. The previous secret stops working immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: credentialId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Service credential rotated successfully
+ *       400:
+ *         description: Credential is revoked
+ *       404:
+ *         description: Service credential not found
+ */
+router.post(
+  '/service-credentials/:credentialId/rotate',
+  authorize('service_credentials:manage'),
+  [param('credentialId').isMongoId().withMessage('Invalid credential ID')],
+  validate,
+  serviceCredentialController.rotateServiceCredential
+);
+
+/**
+ * @swagger
+ * /api/admin/service-credentials/{credentialId}:
+ *   delete:
+ *     summary: Revoke a service credential
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: credentialId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Service credential revoked successfully
+ *       404:
+ *         description: Service credential not found
+ */
+router.delete(
+  '/service-credentials/:credentialId',
+  authorize('service_credentials:manage'),
+  [param('credentialId').isMongoId().withMessage('Invalid credential ID')],
+  validate,
+  serviceCredentialController.revokeServiceCredential
+);
+
 module.exports = router;
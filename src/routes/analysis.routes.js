@@ -2,20 +2,29 @@ const express = require('express');
 const router = express.Router();
 const analysisController = require('../controllers/analysis.controller');
 const { authenticate } = require('../middleware/auth');
+const { authenticateService } = require('../middleware/serviceAuth');
+const { authorize, hasCompanyAccess, hasAnalysisAccess } = require('../middleware/rbac');
+const { audit, analysisTarget } = require('../middleware/audit');
 
-// Store analysis from Python microservice (no auth needed for microservice)
-router.post('/store', analysisController.storeAnalysis);
+// Store analysis from Python microservice (signed with a service credential)
+router.post('/store', authenticateService('analysis:write'), analysisController.storeAnalysis);
 
 // Trigger analysis (proxy to Python microservice)
-router.post('/trigger', authenticate, analysisController.triggerAnalysis);
+router.post('/trigger', authenticate, authorize('analysis:trigger'), hasCompanyAccess, analysisController.triggerAnalysis);
 
 // Get company analysis history (must come before /:analysisId)
-router.get('/history/company/:companyId', authenticate, analysisController.getCompanyHistory);
+router.get('/history/company/:companyId', authenticate, hasCompanyAccess, analysisController.getCompanyHistory);
 
 // Compare company analyses (must come before /:analysisId)
-router.get('/compare/company/:companyId', authenticate, analysisController.compareAnalyses);
+router.get('/compare/company/:companyId', authenticate, hasCompanyAccess, analysisController.compareAnalyses);
+
+// Get per-metric time series keyed by fiscal year (must come before /:analysisId)
+router.get('/timeseries/company/:companyId', authenticate, hasCompanyAccess, analysisController.getMetricTimeSeries);
+
+// Grade an analysis against a benchmark (?benchmarkId=&fiscalYear=)
+router.get('/:analysisId/grade', authenticate, hasAnalysisAccess, analysisController.gradeAnalysis);
 
 // Get analysis by ID (must be last - catches everything else)
-router.get('/:analysisId', authenticate, analysisController.getAnalysis);
+router.get('/:analysisId', authenticate, hasAnalysisAccess, audit('analysis.view', analysisTarget), analysisController.getAnalysis);
 
 module.exports = router;
@@ -2,21 +2,21 @@ const express = require('express');
 const router = express.Router();
 const analysisNoteController = require('../controllers/analysisNote.controller');
 const { authenticate } = require('../middleware/auth');
-const { isCA } = require('../middleware/rbac');
+const { authorize, hasCompanyAccess, hasAnalysisAccess, hasNoteAccess } = require('../middleware/rbac');
 
 // Get notes by analysis ID
-router.get('/analysis/:analysisId', authenticate, analysisNoteController.getNotesByAnalysis);
+router.get('/analysis/:analysisId', authenticate, hasAnalysisAccess, analysisNoteController.getNotesByAnalysis);
 
 // Get notes by company ID
-router.get('/company/:companyId', authenticate, analysisNoteController.getNotesByCompany);
+router.get('/company/:companyId', authenticate, hasCompanyAccess, analysisNoteController.getNotesByCompany);
 
-// Create note (CA only)
-router.post('/', authenticate, isCA, analysisNoteController.createNote);
+// Create note (notes:write)
+router.post('/', authenticate, authorize('notes:write'), hasAnalysisAccess, analysisNoteController.createNote);
 
-// Update note (CA only)
-router.put('/:noteId', authenticate, isCA, analysisNoteController.updateNote);
+// Update note (notes:write)
+router.put('/:noteId', authenticate, authorize('notes:write'), hasNoteAccess, analysisNoteController.updateNote);
 
-// Delete note (CA only)
-router.delete('/:noteId', authenticate, isCA, analysisNoteController.deleteNote);
+// Delete note (notes:write)
+router.delete('/:noteId', authenticate, authorize('notes:write'), hasNoteAccess, analysisNoteController.deleteNote);
 
 module.exports = router;
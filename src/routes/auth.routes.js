@@ -8,6 +8,13 @@ const {
   loginValidator,
   refreshTokenValidator,
   changePasswordValidator,
+  sessionIdValidator,
+  tokenValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+  twoFactorCodeValidator,
+  twoFactorLoginValidator,
+  disableTwoFactorValidator,
 } = require('../validators/auth.validator');
 
 /**
@@ -83,12 +90,49 @@ router.post('/register', registerValidator, validate, authController.register);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or `twoFactorRequired` with a `challengeToken` for POST /api/auth/login/2fa when the user has 2FA on
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts for this account or IP; retry after the Retry-After header (seconds)
  */
 router.post('/login', loginValidator, validate, authController.login);
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Second login step for users with two-factor authentication
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: From the login response; valid for a few minutes
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Single-use recovery code, instead of a code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       429:
+ *         description: Too many failed attempts; retry after the Retry-After header (seconds)
+ */
+router.post('/login/2fa', twoFactorLoginValidator, validate, authController.loginTwoFactor);
+
 /**
  * @swagger
  * /api/auth/refresh:
@@ -109,9 +153,9 @@ router.post('/login', loginValidator, validate, authController.login);
  *                 type: string
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Token refreshed successfully; the refresh token sent is no longer valid
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, expired or already used refresh token (reuse signs the session out)
  */
 router.post('/refresh', refreshTokenValidator, validate, authController.refreshToken);
 
@@ -119,7 +163,7 @@ router.post('/refresh', refreshTokenValidator, validate, authController.refreshT
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Logout user
+ *     summary: Logout user (signs out the current session)
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -178,4 +222,259 @@ router.get('/profile', authenticate, authController.getProfile);
  */
 router.put('/change-password', authenticate, changePasswordValidator, validate, authController.changePassword);
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get the current user's signed-in devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with user agent, IP, and created / last used times; `current` marks this device
+ *   delete:
+ *     summary: Sign out every other device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions signed out
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions', authenticate, authController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *       404:
+ *         description: Session not found or already signed out
+ */
+router.delete('/sessions/:sessionId', authenticate, sessionIdValidator, validate, authController.revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the token from the verification email
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token invalid, expired, already used, or sent to a previous address
+ */
+router.post('/verify-email', tokenValidator, validate, authController.verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email to the current user (earlier links stop working)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ */
+router.post('/resend-verification', authenticate, authController.resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a single-use password reset link
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Always returned, whether or not the email has an account
+ */
+router.post('/forgot-password', forgotPasswordValidator, validate, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token (signs out every session)
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Token invalid, expired or already used
+ */
+router.post('/reset-password', resetPasswordValidator, validate, authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get the current user's two-factor authentication status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled, recovery codes left, and whether the security policy requires it
+ */
+router.get('/2fa', authenticate, authController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New TOTP secret, its otpauth:// URI and a QR code (data URL) for an authenticator app
+ *       400:
+ *         description: 2FA is already enabled
+ */
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm a code from the new secret and enable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; returns the recovery codes (shown only once)
+ *       400:
+ *         description: Invalid code, or setup not started
+ */
+router.post('/2fa/enable', authenticate, twoFactorCodeValidator, validate, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Authenticator or recovery code
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       403:
+ *         description: The security policy requires 2FA for the user's role
+ */
+router.post('/2fa/disable', authenticate, disableTwoFactorValidator, validate, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes (previous codes stop working)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ */
+router.post('/2fa/recovery-codes', authenticate, twoFactorCodeValidator, validate, authController.regenerateRecoveryCodes);
+
 module.exports = router;
@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const benchmarkController = require('../controllers/benchmark.controller');
+const metricDefinitionController = require('../controllers/metricDefinition.controller');
 const { authenticate } = require('../middleware/auth');
-const { isCA, isSuperAdmin } = require('../middleware/rbac');
+const { authorize } = require('../middleware/rbac');
+const validate = require('../middleware/validate');
+const {
+  createMetricValidator,
+  updateMetricValidator,
+  metricKeyValidator
+} = require('../validators/metric.validator');
 
 // Get all benchmarks
 router.get('/', authenticate, benchmarkController.getAllBenchmarks);
@@ -10,19 +17,43 @@ router.get('/', authenticate, benchmarkController.getAllBenchmarks);
 // Get industries list
 router.get('/industries', authenticate, benchmarkController.getIndustries);
 
+// Export benchmarks as JSON/CSV, import them back (upsert by name + industry)
+router.get('/export', authenticate, benchmarkController.exportBenchmarks);
+router.post(
+  '/import',
+  authenticate,
+  authorize('benchmarks:manage'),
+  benchmarkController.upload.single('file'),
+  benchmarkController.importBenchmarks
+);
+
+// Metric registry (built-in and custom metrics benchmarks can grade)
+router.get('/metrics', authenticate, metricDefinitionController.getMetricDefinitions);
+router.post('/metrics', authenticate, authorize('metrics:manage'), createMetricValidator, validate, metricDefinitionController.createMetricDefinition);
+router.put('/metrics/:key', authenticate, authorize('metrics:manage'), updateMetricValidator, validate, metricDefinitionController.updateMetricDefinition);
+router.delete('/metrics/:key', authenticate, authorize('metrics:manage'), metricKeyValidator, validate, metricDefinitionController.deleteMetricDefinition);
+
+// Recompute peer-group benchmarks from platform data
+router.post('/peer-groups/refresh', authenticate, authorize('benchmarks:refresh_peer_groups'), benchmarkController.refreshPeerBenchmarks);
+
 // Get default benchmark for industry
 router.get('/default', authenticate, benchmarkController.getDefaultBenchmark);
 
+// Benchmark version history (diff must come before /:version)
+router.get('/:benchmarkId/versions', authenticate, benchmarkController.getBenchmarkVersions);
+router.get('/:benchmarkId/versions/diff', authenticate, benchmarkController.diffBenchmarkVersions);
+router.get('/:benchmarkId/versions/:version', authenticate, benchmarkController.getBenchmarkVersion);
+
 // Get benchmark by ID
 router.get('/:benchmarkId', authenticate, benchmarkController.getBenchmarkById);
 
-// Create benchmark (CA only)
-router.post('/', authenticate, isCA, benchmarkController.createBenchmark);
+// Create benchmark
+router.post('/', authenticate, authorize('benchmarks:manage'), benchmarkController.createBenchmark);
 
-// Update benchmark (CA only, own benchmarks)
-router.put('/:benchmarkId', authenticate, isCA, benchmarkController.updateBenchmark);
+// Update benchmark (own and firm benchmarks)
+router.put('/:benchmarkId', authenticate, authorize('benchmarks:manage'), benchmarkController.updateBenchmark);
 
-// Delete benchmark (CA only, own benchmarks)
-router.delete('/:benchmarkId', authenticate, isCA, benchmarkController.deleteBenchmark);
+// Delete benchmark (own and firm benchmarks)
+router.delete('/:benchmarkId', authenticate, authorize('benchmarks:manage'), benchmarkController.deleteBenchmark);
 
 module.exports = router;
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const caController = require('../controllers/ca.controller');
 const { authenticate } = require('../middleware/auth');
-const { isCA } = require('../middleware/rbac');
+const { authorize } = require('../middleware/rbac');
+const { body, query } = require('express-validator');
+const validate = require('../middleware/validate');
 
 /**
  * @swagger
@@ -11,9 +13,9 @@ const { isCA } = require('../middleware/rbac');
  *   description: CA (Chartered Accountant) dashboard and management endpoints
  */
 
-// All routes require authentication and CA role
+// All routes require authentication and the CA workspace permission
 router.use(authenticate);
-router.use(isCA);
+router.use(authorize('ca_workspace:access'));
 
 /**
  * @swagger
@@ -124,4 +126,117 @@ router.use(isCA);
  */
 router.get('/dashboard', caController.getCADashboard);
 
+/**
+ * @swagger
+ * /api/ca/invitations:
+ *   get:
+ *     summary: Get company invitations sent to the CA
+ *     tags: [CA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked, expired, all]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Invitations
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - CA role required
+ */
+router.get(
+  '/invitations',
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'accepted', 'declined', 'revoked', 'expired', 'all'])
+      .withMessage('Status must be one of: pending, accepted, declined, revoked, expired, all'),
+  ],
+  validate,
+  caController.getInvitations
+);
+
+/**
+ * @swagger
+ * /api/ca/invitations/accept:
+ *   post:
+ *     summary: Accept a company invitation
+ *     description: Uses the single-use token from the invitation email. Access to the company starts immediately.
+ *     tags: [CA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       403:
+ *         description: The invitation was sent to another user
+ *       404:
+ *         description: Invitation not found or already answered
+ *       410:
+ *         description: Invitation has expired
+ */
+router.post(
+  '/invitations/accept',
+  [body('token').isString().trim().notEmpty().withMessage('Invitation token is required')],
+  validate,
+  caController.acceptInvitation
+);
+
+/**
+ * @swagger
+ * /api/ca/invitations/decline:
+ *   post:
+ *     summary: Decline a company invitation
+ *     tags: [CA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       403:
+ *         description: The invitation was sent to another user
+ *       404:
+ *         description: Invitation not found or already answered
+ *       410:
+ *         description: Invitation has expired
+ */
+router.post(
+  '/invitations/decline',
+  [
+    body('token').isString().trim().notEmpty().withMessage('Invitation token is required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  ],
+  validate,
+  caController.declineInvitation
+);
+
 module.exports = router;
@@ -2,13 +2,16 @@ const express = require('express');
 const router = express.Router();
 const companyController = require('../controllers/company.controller');
 const { authenticate } = require('../middleware/auth');
-const { isSuperAdmin, isCompanyAdmin, hasCompanyAccess } = require('../middleware/rbac');
+const { authorize, hasCompanyAccess } = require('../middleware/rbac');
 const validate = require('../middleware/validate');
 const {
   createCompanyValidator,
   updateCompanyValidator,
   companyIdValidator,
   inviteCAValidator,
+  invitationIdValidator,
+  revokeInvitationValidator,
+  listInvitationsValidator,
   addCompanyAdminValidator,
 } = require('../validators/company.validator');
 
@@ -45,7 +48,16 @@ router.use(authenticate);
  *         name: search
  *         schema:
  *           type: string
- *         description: Search by company name
+ *         description: Search by company name, registration number, GSTIN, PAN or CIN
+ *       - in: query
+ *         name: industry
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sizeBand
+ *         schema:
+ *           type: string
+ *           enum: [micro, small, medium, large]
  *     responses:
  *       200:
  *         description: List of companies
@@ -58,7 +70,7 @@ router.get('/', companyController.getAllCompanies);
  * @swagger
  * /api/companies:
  *   post:
- *     summary: Create a new company (Super Admin only)
+ *     summary: Create a new company (companies:create)
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
@@ -81,13 +93,40 @@ router.get('/', companyController.getAllCompanies);
  *                 type: string
  *               registrationNumber:
  *                 type: string
+ *               industry:
+ *                 type: string
+ *                 description: One of the benchmark industries (GET /api/benchmarks/industries)
+ *               sizeBand:
+ *                 type: string
+ *                 enum: [micro, small, medium, large]
+ *               fiscalYearEnd:
+ *                 type: object
+ *                 properties:
+ *                   month:
+ *                     type: integer
+ *                     example: 3
+ *                   day:
+ *                     type: integer
+ *                     example: 31
+ *               incorporationDate:
+ *                 type: string
+ *                 format: date
+ *               gstin:
+ *                 type: string
+ *                 example: 27AAPFU0939F1ZV
+ *               pan:
+ *                 type: string
+ *                 example: AAPFU0939F
+ *               cin:
+ *                 type: string
+ *                 example: L17110MH1973PLC019786
  *     responses:
  *       201:
  *         description: Company created successfully
  *       403:
  *         description: Access denied
  */
-router.post('/', isSuperAdmin, createCompanyValidator, validate, companyController.createCompany);
+router.post('/', authorize('companies:create'), createCompanyValidator, validate, companyController.createCompany);
 
 /**
  * @swagger
@@ -136,19 +175,46 @@ router.get('/:companyId', companyIdValidator, validate, hasCompanyAccess, compan
  *                 type: string
  *               description:
  *                 type: string
+ *               industry:
+ *                 type: string
+ *                 description: One of the benchmark industries (GET /api/benchmarks/industries)
+ *               sizeBand:
+ *                 type: string
+ *                 enum: [micro, small, medium, large]
+ *               fiscalYearEnd:
+ *                 type: object
+ *                 properties:
+ *                   month:
+ *                     type: integer
+ *                     example: 3
+ *                   day:
+ *                     type: integer
+ *                     example: 31
+ *               incorporationDate:
+ *                 type: string
+ *                 format: date
+ *               gstin:
+ *                 type: string
+ *                 example: 27AAPFU0939F1ZV
+ *               pan:
+ *                 type: string
+ *                 example: AAPFU0939F
+ *               cin:
+ *                 type: string
+ *                 example: L17110MH1973PLC019786
  *     responses:
  *       200:
  *         description: Company updated successfully
  *       403:
  *         description: Access denied
  */
-router.put('/:companyId', updateCompanyValidator, validate, isCompanyAdmin, companyController.updateCompany);
+router.put('/:companyId', updateCompanyValidator, validate, authorize('companies:update'), hasCompanyAccess, companyController.updateCompany);
 
 /**
  * @swagger
  * /api/companies/{companyId}:
  *   delete:
- *     summary: Delete company (Super Admin only)
+ *     summary: Delete company (companies:delete)
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
@@ -164,7 +230,7 @@ router.put('/:companyId', updateCompanyValidator, validate, isCompanyAdmin, comp
  *       403:
  *         description: Access denied
  */
-router.delete('/:companyId', companyIdValidator, validate, isSuperAdmin, companyController.deleteCompany);
+router.delete('/:companyId', companyIdValidator, validate, authorize('companies:delete'), companyController.deleteCompany);
 
 /**
  * @swagger
@@ -192,13 +258,111 @@ router.delete('/:companyId', companyIdValidator, validate, isSuperAdmin, company
  *               caId:
  *                 type: string
  *                 description: CA user ID
+ *               role:
+ *                 type: string
+ *                 enum: [lead, reviewer]
+ *                 default: reviewer
+ *     description: Creates a pending invitation. The CA is notified with a single-use token and gets access once they accept it.
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: CA already engaged or already has a pending invitation
+ *       403:
+ *         description: Access denied
+ */
+router.post('/:companyId/invite-ca', inviteCAValidator, validate, authorize('engagements:manage'), hasCompanyAccess, companyController.inviteCA);
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/invitations:
+ *   get:
+ *     summary: Get the CA invitations sent by a company
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked, expired, all]
+ *           default: pending
  *     responses:
  *       200:
- *         description: CA invited successfully
+ *         description: Invitations
  *       403:
  *         description: Access denied
  */
-router.post('/:companyId/invite-ca', inviteCAValidator, validate, isCompanyAdmin, companyController.inviteCA);
+router.get('/:companyId/invitations', listInvitationsValidator, validate, authorize('engagements:manage'), hasCompanyAccess, companyController.getCompanyInvitations);
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/invitations/{invitationId}/resend:
+ *   post:
+ *     summary: Re-send a pending or expired CA invitation
+ *     description: Issues a new token and expiry; the previous token stops working.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation re-sent
+ *       404:
+ *         description: Invitation not found or already answered
+ */
+router.post('/:companyId/invitations/:invitationId/resend', invitationIdValidator, validate, authorize('engagements:manage'), hasCompanyAccess, companyController.resendInvitation);
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending CA invitation
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found or already answered
+ */
+router.delete('/:companyId/invitations/:invitationId', revokeInvitationValidator, validate, authorize('engagements:manage'), hasCompanyAccess, companyController.revokeInvitation);
 
 /**
  * @swagger
@@ -225,13 +389,40 @@ router.post('/:companyId/invite-ca', inviteCAValidator, validate, isCompanyAdmin
  *       403:
  *         description: Access denied
  */
-router.delete('/:companyId/ca/:caId', companyIdValidator, validate, isCompanyAdmin, companyController.removeCA);
+router.delete('/:companyId/ca/:caId', companyIdValidator, validate, authorize('engagements:manage'), hasCompanyAccess, companyController.removeCA);
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/engagements:
+ *   get:
+ *     summary: Get the CAs engaged with a company
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeEnded
+ *         schema:
+ *           type: boolean
+ *         description: Include ended engagements
+ *     responses:
+ *       200:
+ *         description: Engagements with CA, role, status and dates
+ *       403:
+ *         description: Access denied
+ */
+router.get('/:companyId/engagements', companyIdValidator, validate, hasCompanyAccess, companyController.getCompanyEngagements);
 
 /**
  * @swagger
  * /api/companies/{companyId}/admins:
  *   post:
- *     summary: Add company admin (Super Admin only)
+ *     summary: Add company admin (company_admins:manage)
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
@@ -258,13 +449,13 @@ router.delete('/:companyId/ca/:caId', companyIdValidator, validate, isCompanyAdm
  *       403:
  *         description: Access denied
  */
-router.post('/:companyId/admins', addCompanyAdminValidator, validate, isSuperAdmin, companyController.addCompanyAdmin);
+router.post('/:companyId/admins', addCompanyAdminValidator, validate, authorize('company_admins:manage'), companyController.addCompanyAdmin);
 
 /**
  * @swagger
  * /api/companies/{companyId}/admins/{userId}:
  *   delete:
- *     summary: Remove company admin (Super Admin only)
+ *     summary: Remove company admin (company_admins:manage)
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
@@ -285,6 +476,6 @@ router.post('/:companyId/admins', addCompanyAdminValidator, validate, isSuperAdm
  *       403:
  *         description: Access denied
  */
-router.delete('/:companyId/admins/:userId', companyIdValidator, validate, isSuperAdmin, companyController.removeCompanyAdmin);
+router.delete('/:companyId/admins/:userId', companyIdValidator, validate, authorize('company_admins:manage'), companyController.removeCompanyAdmin);
 
 module.exports = router;
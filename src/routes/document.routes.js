@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const documentController = require('../controllers/document.controller');
 const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
 
 /**
  * @swagger
@@ -50,6 +51,7 @@ const { authenticate } = require('../middleware/auth');
 router.post(
   '/upload',
   authenticate,
+  authorize('documents:upload'),
   documentController.upload.array('files', 10),
   documentController.uploadDocuments
 );
@@ -135,7 +137,7 @@ router.get('/:documentId', authenticate, documentController.getDocumentById);
  *       404:
  *         description: Document not found
  */
-router.delete('/:documentId', authenticate, documentController.deleteDocument);
+router.delete('/:documentId', authenticate, authorize('documents:delete'), documentController.deleteDocument);
 
 /**
  * @swagger
@@ -169,6 +171,6 @@ router.delete('/:documentId', authenticate, documentController.deleteDocument);
  *       404:
  *         description: Document not found
  */
-router.put('/:documentId/status', authenticate, documentController.updateDocumentStatus);
+router.put('/:documentId/status', authenticate, authorize('documents:update_status'), documentController.updateDocumentStatus);
 
 module.exports = router;
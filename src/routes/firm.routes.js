@@ -0,0 +1,568 @@
+const express = require('express');
+const router = express.Router();
+const firmController = require('../controllers/firm.controller');
+const { authenticate } = require('../middleware/auth');
+const { authorize, hasFirmRole } = require('../middleware/rbac');
+const validate = require('../middleware/validate');
+const {
+  createFirmValidator,
+  updateFirmValidator,
+  firmIdValidator,
+  inviteMemberValidator,
+  invitationIdValidator,
+  firmInvitationValidator,
+  memberIdValidator,
+  updateMemberValidator,
+  addClientsValidator,
+  removeClientValidator,
+  assignClientValidator,
+  unassignClientValidator,
+} = require('../validators/firm.validator');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Firms
+ *   description: CA firms, their members (partner, manager, staff) and shared clients
+ */
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/firms:
+ *   get:
+ *     summary: Get firms (all with firms:manage, otherwise the caller's own firm)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Firms with member and client counts
+ */
+router.get('/', firmController.getFirms);
+
+/**
+ * @swagger
+ * /api/firms/invitations:
+ *   get:
+ *     summary: Get the firm invitations waiting for the caller
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ */
+router.get('/invitations', firmController.getMyInvitations);
+
+/**
+ * @swagger
+ * /api/firms/invitations/{invitationId}/accept:
+ *   post:
+ *     summary: Accept a firm invitation and join the firm (the invited CA)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Joined the firm
+ *       400:
+ *         description: The caller already belongs to a firm
+ *       404:
+ *         description: Invitation not found, expired or already answered
+ */
+router.post('/invitations/:invitationId/accept', invitationIdValidator, validate, firmController.acceptInvitation);
+
+/**
+ * @swagger
+ * /api/firms/invitations/{invitationId}/decline:
+ *   post:
+ *     summary: Decline a firm invitation (the invited CA)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       404:
+ *         description: Invitation not found, expired or already answered
+ */
+router.post('/invitations/:invitationId/decline', invitationIdValidator, validate, firmController.declineInvitation);
+
+/**
+ * @swagger
+ * /api/firms:
+ *   post:
+ *     summary: Create a firm
+ *     description: A CA who is not in a firm becomes its first partner. Holders of firms:manage give partnerId instead.
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Sharma & Associates
+ *               registrationNumber:
+ *                 type: string
+ *                 description: ICAI firm registration number
+ *                 example: 012345N
+ *               description:
+ *                 type: string
+ *               address:
+ *                 type: object
+ *               contactInfo:
+ *                 type: object
+ *               partnerId:
+ *                 type: string
+ *                 description: CA who becomes the first partner (firms:manage only)
+ *     responses:
+ *       201:
+ *         description: Firm created
+ *       400:
+ *         description: Validation error, or the partner already belongs to a firm
+ */
+router.post('/', createFirmValidator, validate, firmController.createFirm);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}:
+ *   get:
+ *     summary: Get a firm with its members (members only)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Firm details
+ *       403:
+ *         description: Not a member of this firm
+ *       404:
+ *         description: Firm not found
+ */
+router.get('/:firmId', firmIdValidator, validate, hasFirmRole(), firmController.getFirmById);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}:
+ *   put:
+ *     summary: Update a firm's profile (partners)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               registrationNumber:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Firm updated
+ */
+router.put('/:firmId', updateFirmValidator, validate, hasFirmRole('partner'), firmController.updateFirm);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}/dashboard:
+ *   get:
+ *     summary: Get the firm dashboard (partners and managers)
+ *     description: The CA dashboard metrics over every firm client, plus each member's client count and the clients not yet assigned to staff.
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Firm dashboard
+ */
+router.get(
+  '/:firmId/dashboard',
+  firmIdValidator,
+  validate,
+  hasFirmRole('partner', 'manager'),
+  firmController.getFirmDashboard
+);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}/members:
+ *   get:
+ *     summary: Get the members of a firm (members only)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Members
+ *   post:
+ *     summary: Invite a CA to the firm (partners)
+ *     description: The CA joins once they accept the invitation.
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               firmRole:
+ *                 type: string
+ *                 enum: [partner, manager, staff]
+ *                 default: staff
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Not a CA outside any firm, or already invited
+ */
+router.get('/:firmId/members', firmIdValidator, validate, hasFirmRole(), firmController.getMembers);
+router.post('/:firmId/members', inviteMemberValidator, validate, hasFirmRole('partner'), firmController.inviteMember);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}/invitations:
+ *   get:
+ *     summary: Get the firm's pending invitations (partners)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ */
+router.get('/:firmId/invitations', firmIdValidator, validate, hasFirmRole('partner'), firmController.getInvitations);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation (partners)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found or already answered
+ */
+router.delete(
+  '/:firmId/invitations/:invitationId',
+  firmInvitationValidator,
+  validate,
+  hasFirmRole('partner'),
+  firmController.revokeInvitation
+);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}/members/{userId}:
+ *   put:
+ *     summary: Change a member's firm role (partners)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - firmRole
+ *             properties:
+ *               firmRole:
+ *                 type: string
+ *                 enum: [partner, manager, staff]
+ *     responses:
+ *       200:
+ *         description: Member updated
+ *       400:
+ *         description: Would leave the firm without a partner
+ *   delete:
+ *     summary: Remove a member from the firm (partners)
+ *     description: Ends the member's assignments to firm clients.
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: Would leave the firm without a partner
+ */
+router.put('/:firmId/members/:userId', updateMemberValidator, validate, hasFirmRole('partner'), firmController.updateMember);
+router.delete('/:firmId/members/:userId', memberIdValidator, validate, hasFirmRole('partner'), firmController.removeMember);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}/clients:
+ *   get:
+ *     summary: Get the firm's clients and who they are assigned to (staff see their own assignments)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Firm clients
+ *   post:
+ *     summary: Engage the firm with companies (firms:manage)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - companyIds
+ *             properties:
+ *               companyIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               role:
+ *                 type: string
+ *                 enum: [lead, reviewer]
+ *                 default: reviewer
+ *     responses:
+ *       200:
+ *         description: Firm engaged
+ */
+router.get('/:firmId/clients', firmIdValidator, validate, hasFirmRole(), firmController.getClients);
+router.post('/:firmId/clients', authorize('firms:manage'), addClientsValidator, validate, firmController.addClients);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}/clients/{companyId}:
+ *   delete:
+ *     summary: End the firm's engagement with a company (firms:manage)
+ *     description: Also ends the assignments of firm members to the company.
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client removed
+ *       404:
+ *         description: Not a current client of the firm
+ */
+router.delete(
+  '/:firmId/clients/:companyId',
+  authorize('firms:manage'),
+  removeClientValidator,
+  validate,
+  firmController.removeClient
+);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}/clients/{companyId}/assignments:
+ *   post:
+ *     summary: Assign a firm client to a member (partners and managers)
+ *     description: The member gets a reviewer engagement with the company for as long as they are in the firm and the firm is engaged.
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Client assigned
+ *       404:
+ *         description: Not a firm client, or not a firm member
+ */
+router.post(
+  '/:firmId/clients/:companyId/assignments',
+  assignClientValidator,
+  validate,
+  hasFirmRole('partner', 'manager'),
+  firmController.assignClient
+);
+
+/**
+ * @swagger
+ * /api/firms/{firmId}/clients/{companyId}/assignments/{userId}:
+ *   delete:
+ *     summary: Take a firm client away from a member (partners and managers)
+ *     tags: [Firms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: firmId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client unassigned
+ */
+router.delete(
+  '/:firmId/clients/:companyId/assignments/:userId',
+  unassignClientValidator,
+  validate,
+  hasFirmRole('partner', 'manager'),
+  firmController.unassignClient
+);
+
+module.exports = router;
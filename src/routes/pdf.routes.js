@@ -1,5 +1,7 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
+const { authorize, hasAnalysisAccess } = require('../middleware/rbac');
+const { audit, analysisTarget } = require('../middleware/audit');
 const pdfController = require('../controllers/pdf.controller');
 
 const router = express.Router();
@@ -8,6 +10,9 @@ const router = express.Router();
 router.post(
   '/analysis/:analysisId/export',
   authenticate,
+  authorize('reports:export'),
+  hasAnalysisAccess,
+  audit('report.export', analysisTarget),
   pdfController.generateAnalysisPDF
 );
 
@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/role.controller');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { param, body, query } = require('express-validator');
+const validate = require('../middleware/validate');
+const { isPermission } = require('../config/permissions');
+
+const BASE_ROLES = ['CA', 'COMPANY_ADMIN', 'COMPANY_USER'];
+
+const roleIdValidator = [param('roleId').isMongoId().withMessage('Invalid role ID')];
+
+const roleBodyValidator = [
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array')
+    .custom((permissions) => permissions.every(isPermission))
+    .withMessage('Permissions contain an unknown permission (see GET /api/roles/permissions)'),
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Named permissions and custom roles
+ */
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get the permission catalogue, built-in role bundles and the caller's own permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions
+ */
+router.get('/permissions', roleController.getPermissions);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get custom roles (platform-wide and the caller's firm)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: baseRole
+ *         schema:
+ *           type: string
+ *           enum: [CA, COMPANY_ADMIN, COMPANY_USER]
+ *     responses:
+ *       200:
+ *         description: Custom roles
+ */
+router.get(
+  '/',
+  [query('baseRole').optional().isIn(BASE_ROLES).withMessage('Invalid base role')],
+  validate,
+  roleController.getRoles
+);
+
+/**
+ * @swagger
+ * /api/roles/{roleId}:
+ *   get:
+ *     summary: Get a custom role and the users it is assigned to
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role details
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:roleId', roleIdValidator, validate, roleController.getRoleById);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a custom role
+ *     description: Users other than Super Admins create roles for their own firm and can only include permissions they hold.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - baseRole
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Audit Reviewer
+ *               description:
+ *                 type: string
+ *               baseRole:
+ *                 type: string
+ *                 enum: [CA, COMPANY_ADMIN, COMPANY_USER]
+ *                 description: Users of this built-in role can be given the custom role
+ *               firm:
+ *                 type: string
+ *                 description: ID of the firm the role belongs to (Super Admin only; omit for a platform-wide role)
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["reports:export", "notes:write"]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing permission, or role outside the caller's firm
+ */
+router.post(
+  '/',
+  authorize('roles:manage'),
+  [
+    body('name').trim().notEmpty().withMessage('Role name is required'),
+    body('baseRole').isIn(BASE_ROLES).withMessage(`Base role must be one of: ${BASE_ROLES.join(', ')}`),
+    body('permissions').isArray().withMessage('Permissions must be an array'),
+    body('firm').optional({ values: 'null' }).isMongoId().withMessage('Invalid firm ID'),
+    ...roleBodyValidator,
+  ],
+  validate,
+  roleController.createRole
+);
+
+/**
+ * @swagger
+ * /api/roles/{roleId}:
+ *   put:
+ *     summary: Update a custom role's name, description or permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       404:
+ *         description: Role not found
+ */
+router.put(
+  '/:roleId',
+  authorize('roles:manage'),
+  [
+    ...roleIdValidator,
+    body('name').optional().trim().notEmpty().withMessage('Role name cannot be empty'),
+    ...roleBodyValidator,
+  ],
+  validate,
+  roleController.updateRole
+);
+
+/**
+ * @swagger
+ * /api/roles/{roleId}:
+ *   delete:
+ *     summary: Delete a custom role
+ *     description: Users with the role fall back to the permissions of their built-in role.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       404:
+ *         description: Role not found
+ */
+router.delete('/:roleId', authorize('roles:manage'), roleIdValidator, validate, roleController.deleteRole);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
 const { authenticate } = require('../middleware/auth');
-const { isSuperAdmin, authorize } = require('../middleware/rbac');
+const { authorize } = require('../middleware/rbac');
 const { param, body } = require('express-validator');
 const validate = require('../middleware/validate');
 
@@ -25,11 +25,11 @@ router.put(
   '/:userId',
   [param('userId').isMongoId().withMessage('Invalid user ID')],
   validate,
-  authorize('SUPER_ADMIN', 'COMPANY_ADMIN'),
+  authorize('users:manage'),
   userController.updateUser
 );
 
-// Update user role (Super Admin only)
+// Update user role (roles:assign)
 router.put(
   '/:userId/role',
   [
@@ -39,16 +39,28 @@ router.put(
       .withMessage('Invalid role'),
   ],
   validate,
-  isSuperAdmin,
+  authorize('roles:assign'),
   userController.updateUserRole
 );
 
+// Assign or clear a custom role (roles:assign)
+router.put(
+  '/:userId/custom-role',
+  [
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('roleId').optional({ values: 'null' }).isMongoId().withMessage('Invalid role ID'),
+  ],
+  validate,
+  authorize('roles:assign'),
+  userController.assignCustomRole
+);
+
 // Deactivate user
 router.put(
   '/:userId/deactivate',
   [param('userId').isMongoId().withMessage('Invalid user ID')],
   validate,
-  authorize('SUPER_ADMIN', 'COMPANY_ADMIN'),
+  authorize('users:manage'),
   userController.deactivateUser
 );
 
@@ -57,16 +69,16 @@ router.put(
   '/:userId/activate',
   [param('userId').isMongoId().withMessage('Invalid user ID')],
   validate,
-  authorize('SUPER_ADMIN', 'COMPANY_ADMIN'),
+  authorize('users:manage'),
   userController.activateUser
 );
 
-// Delete user (Super Admin only)
+// Delete user (users:delete)
 router.delete(
   '/:userId',
   [param('userId').isMongoId().withMessage('Invalid user ID')],
   validate,
-  isSuperAdmin,
+  authorize('users:delete'),
   userController.deleteUser
 );
 
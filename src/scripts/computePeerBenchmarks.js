@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const peerBenchmarkService = require('../services/peerBenchmarkService');
+
+async function computePeerBenchmarks() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log('Connected to MongoDB');
+    console.log('Computing peer-group benchmarks...');
+
+    const result = await peerBenchmarkService.computePeerBenchmarks();
+
+    console.log(`✅ ${result.published} peer group(s) published, ${result.suppressed} suppressed`);
+    console.log(`- Cohorts found: ${result.groups}`);
+    console.log(`- Minimum cohort size: ${result.minCohortSize}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error computing peer benchmarks:', error);
+    process.exit(1);
+  }
+}
+
+computePeerBenchmarks();
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Role = require('../models/Role');
+const { isPermission, BUILT_IN_ROLES } = require('../config/permissions');
+
+/**
+ * Add a permission to every custom role of a base role. Custom roles replace their base
+ * role's bundle, so a permission newly added to a built-in role (e.g. ca_workspace:access
+ * for CA) has to be granted to the existing custom roles as well.
+ *
+ * Safe to re-run: roles that already hold the permission are left alone.
+ *
+ * Usage: node src/scripts/grantRolePermission.js <permission> --base-role <role> [--dry-run]
+ */
+
+const permission = process.argv[2];
+const baseRoleIndex = process.argv.indexOf('--base-role');
+const baseRole = baseRoleIndex > -1 ? process.argv[baseRoleIndex + 1] : null;
+const dryRun = process.argv.includes('--dry-run');
+
+async function grantRolePermission() {
+  try {
+    if (!isPermission(permission)) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+    if (!BUILT_IN_ROLES.includes(baseRole)) {
+      throw new Error(`--base-role must be one of: ${BUILT_IN_ROLES.join(', ')}`);
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log('Connected to MongoDB');
+    if (dryRun) console.log('Dry run: no changes will be written');
+
+    const roles = await Role.find({ baseRole, permissions: { $ne: permission } }).select('name firm');
+    roles.forEach(role => console.log(`- ${role.name}${role.firm ? ` (firm ${role.firm})` : ''}`));
+
+    if (!dryRun && roles.length > 0) {
+      await Role.updateMany({ _id: { $in: roles.map(role => role._id) } }, { $addToSet: { permissions: permission } });
+    }
+
+    console.log(`✅ ${dryRun ? 'Would grant' : 'Granted'} ${permission} to ${roles.length} ${baseRole} custom role(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error granting permission:', error);
+    process.exit(1);
+  }
+}
+
+grantRolePermission();
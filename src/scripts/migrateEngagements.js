@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Engagement = require('../models/Engagement');
+
+/**
+ * Migrate legacy CA access fields into Engagement documents.
+ *
+ *   companies.assignedCA        -> lead engagement
+ *   companies.invitedCAs[]      -> reviewer engagements (keeps invitedBy / invitedAt)
+ *   users.invitedCompanies[]    -> reviewer engagements for CAs not covered above
+ *
+ * Safe to re-run: existing active engagements are kept, and only upgraded to lead
+ * where the company's assignedCA says so. Afterwards the legacy fields are removed.
+ *
+ * Usage: node src/scripts/migrateEngagements.js [--dry-run] [--keep-legacy]
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+const keepLegacy = process.argv.includes('--keep-legacy');
+
+const idString = (id) => (id ? String(id) : null);
+
+async function migrateEngagements() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log('Connected to MongoDB');
+    if (dryRun) console.log('Dry run: no changes will be written');
+
+    // The legacy fields are no longer in the schemas, so read the raw collections
+    const companiesCollection = mongoose.connection.collection('companies');
+    const usersCollection = mongoose.connection.collection('users');
+
+    const companies = await companiesCollection
+      .find({}, { projection: { name: 1, createdAt: 1, assignedCA: 1, invitedCAs: 1 } })
+      .toArray();
+    const cas = await usersCollection
+      .find({ role: 'CA' }, { projection: { invitedCompanies: 1 } })
+      .toArray();
+
+    const companiesById = new Map(companies.map(company => [idString(company._id), company]));
+    const caIds = new Set(cas.map(ca => idString(ca._id)));
+
+    // Collect the access each legacy field grants, keyed by CA + company
+    const grants = new Map();
+    const skipped = [];
+
+    const addGrant = ({ ca, company, role, grantedBy, startDate, source }) => {
+      const caId = idString(ca);
+      const companyId = idString(company);
+
+      if (!caIds.has(caId)) {
+        skipped.push(`${source}: user ${caId} is not a CA`);
+        return;
+      }
+      if (!companiesById.has(companyId)) {
+        skipped.push(`${source}: company ${companyId} does not exist`);
+        return;
+      }
+
+      const key = `${caId}:${companyId}`;
+      const existing = grants.get(key);
+      if (existing) {
+        if (role === 'lead') existing.role = 'lead';
+        existing.grantedBy = existing.grantedBy || grantedBy;
+        if (startDate && (!existing.startDate || startDate < existing.startDate)) existing.startDate = startDate;
+        return;
+      }
+
+      grants.set(key, { ca: caId, company: companyId, role, grantedBy, startDate });
+    };
+
+    companies.forEach(company => {
+      (company.invitedCAs || []).forEach(invite => addGrant({
+        ca: invite.ca,
+        company: company._id,
+        role: 'reviewer',
+        grantedBy: invite.invitedBy,
+        startDate: invite.invitedAt,
+        source: `Company "${company.name}" invitedCAs`
+      }));
+
+      if (company.assignedCA) {
+        addGrant({
+          ca: company.assignedCA,
+          company: company._id,
+          role: 'lead',
+          source: `Company "${company.name}" assignedCA`
+        });
+      }
+    });
+
+    cas.forEach(ca => {
+      (ca.invitedCompanies || []).forEach(companyId => addGrant({
+        ca: ca._id,
+        company: companyId,
+        role: 'reviewer',
+        startDate: companiesById.get(idString(companyId))?.createdAt,
+        source: `CA ${ca._id} invitedCompanies`
+      }));
+    });
+
+    let created = 0;
+    let promoted = 0;
+    let unchanged = 0;
+
+    for (const grant of grants.values()) {
+      const existing = await Engagement.findOne({ ca: grant.ca, company: grant.company, status: 'active' });
+
+      if (existing) {
+        if (grant.role === 'lead' && existing.role !== 'lead') {
+          promoted++;
+          if (!dryRun) {
+            // Only one lead per company
+            await Engagement.updateMany(
+              { company: grant.company, role: 'lead', status: 'active', ca: { $ne: grant.ca } },
+              { $set: { role: 'reviewer' } }
+            );
+            existing.role = 'lead';
+            await existing.save();
+          }
+        } else {
+          unchanged++;
+        }
+        continue;
+      }
+
+      created++;
+      if (!dryRun) {
+        if (grant.role === 'lead') {
+          await Engagement.updateMany(
+            { company: grant.company, role: 'lead', status: 'active' },
+            { $set: { role: 'reviewer' } }
+          );
+        }
+        await Engagement.create({
+          ca: grant.ca,
+          company: grant.company,
+          role: grant.role,
+          ...(grant.grantedBy && { grantedBy: grant.grantedBy }),
+          startDate: grant.startDate || new Date()
+        });
+      }
+    }
+
+    if (!dryRun && !keepLegacy) {
+      await companiesCollection.updateMany({}, { $unset: { assignedCA: '', invitedCAs: '' } });
+      await usersCollection.updateMany({}, { $unset: { invitedCompanies: '' } });
+    }
+
+    console.log(`✅ ${created} engagement(s) ${dryRun ? 'to create' : 'created'}`);
+    console.log(`- Promoted to lead: ${promoted}`);
+    console.log(`- Already migrated: ${unchanged}`);
+    if (!dryRun) {
+      console.log(keepLegacy ? '- Legacy fields kept (--keep-legacy)' : '- Legacy fields removed');
+    }
+
+    if (skipped.length > 0) {
+      console.log(`⚠️  Skipped ${skipped.length} reference(s):`);
+      skipped.forEach(reason => console.log(`  - ${reason}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating engagements:', error);
+    process.exit(1);
+  }
+}
+
+migrateEngagements();
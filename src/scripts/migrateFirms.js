@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Firm = require('../models/Firm');
+const Engagement = require('../models/Engagement');
+
+/**
+ * Migrate the free-text firm names on users and custom roles into Firm documents.
+ *
+ *   users.firm (string)   -> Firm, matched case- and whitespace-insensitively;
+ *                            the earliest member becomes partner, the others staff
+ *   roles.firm (string)   -> the same Firm (created without members if no user names it)
+ *
+ * Also rebuilds the engagement indexes, whose CA-company uniqueness now leaves room
+ * for firm engagements.
+ *
+ * Safe to re-run: firms are matched by name, and only string values are converted.
+ *
+ * Usage: node src/scripts/migrateFirms.js [--dry-run]
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+
+const normalize = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function migrateFirms() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log('Connected to MongoDB');
+    if (dryRun) console.log('Dry run: no changes will be written');
+
+    // String firms no longer match the schemas, so read the raw collections
+    const usersCollection = mongoose.connection.collection('users');
+    const rolesCollection = mongoose.connection.collection('roles');
+
+    const users = await usersCollection
+      .find({ firm: { $type: 'string' } }, { projection: { name: 1, role: 1, firm: 1, createdAt: 1 } })
+      .sort({ createdAt: 1 })
+      .toArray();
+    const roles = await rolesCollection
+      .find({ firm: { $type: 'string' } }, { projection: { name: 1, firm: 1, createdBy: 1 } })
+      .toArray();
+
+    // Group the spellings of each firm name
+    const groups = new Map();
+    const groupFor = (name) => {
+      const key = normalize(name);
+      if (!groups.has(key)) {
+        groups.set(key, { name: name.trim().replace(/\s+/g, ' '), members: [], roles: [] });
+      }
+      return groups.get(key);
+    };
+
+    const cleared = [];
+    const skipped = [];
+
+    users.forEach(user => {
+      if (!user.firm.trim()) {
+        cleared.push(user._id);
+      } else if (user.role !== 'CA') {
+        skipped.push(`User ${user._id} (${user.role}) names firm "${user.firm}" but only CAs can be members`);
+        cleared.push(user._id);
+      } else {
+        groupFor(user.firm).members.push(user);
+      }
+    });
+    roles.forEach(role => {
+      if (role.firm.trim()) groupFor(role.firm).roles.push(role);
+    });
+
+    let firmsCreated = 0;
+    let firmsExisting = 0;
+    let membersMigrated = 0;
+    let rolesMigrated = 0;
+
+    for (const group of groups.values()) {
+      let firm = await Firm.findOne({ name: new RegExp(`^${escapeRegex(group.name)}$`, 'i') });
+
+      if (firm) {
+        firmsExisting++;
+      } else {
+        firmsCreated++;
+        const [partner] = group.members;
+        console.log(`- ${group.name}: ${group.members.length} member(s)${partner ? `, partner ${partner.name}` : ', no members'}`);
+
+        if (!dryRun) {
+          firm = await Firm.create({
+            name: group.name,
+            createdBy: partner?._id || group.roles[0].createdBy
+          });
+        }
+      }
+
+      // Members already in the firm keep their role; the rest join as staff unless the firm has no partner yet
+      const hasPartner = firm && await usersCollection.countDocuments({ firm: firm._id, firmRole: 'partner' }) > 0;
+
+      for (const [index, member] of group.members.entries()) {
+        membersMigrated++;
+        if (!dryRun) {
+          await usersCollection.updateOne(
+            { _id: member._id },
+            { $set: { firm: firm._id, firmRole: index === 0 && !hasPartner ? 'partner' : 'staff' } }
+          );
+        }
+      }
+
+      for (const role of group.roles) {
+        rolesMigrated++;
+        if (!dryRun) {
+          await rolesCollection.updateOne({ _id: role._id }, { $set: { firm: firm._id } });
+        }
+      }
+    }
+
+    if (!dryRun) {
+      if (cleared.length > 0) {
+        await usersCollection.updateMany({ _id: { $in: cleared } }, { $set: { firm: null }, $unset: { firmRole: '' } });
+      }
+
+      // Replaces the old { ca, company } unique indexes with ones that ignore firm engagements
+      await Engagement.syncIndexes();
+    }
+
+    console.log(`✅ ${firmsCreated} firm(s) ${dryRun ? 'to create' : 'created'}`);
+    console.log(`- Matched existing firms: ${firmsExisting}`);
+    console.log(`- Members: ${membersMigrated}`);
+    console.log(`- Custom roles: ${rolesMigrated}`);
+    console.log(`- Blank or invalid firm names cleared: ${cleared.length}`);
+    if (!dryRun) console.log('- Engagement indexes rebuilt');
+
+    if (skipped.length > 0) {
+      console.log(`⚠️  Skipped ${skipped.length} reference(s):`);
+      skipped.forEach(reason => console.log(`  - ${reason}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating firms:', error);
+    process.exit(1);
+  }
+}
+
+migrateFirms();
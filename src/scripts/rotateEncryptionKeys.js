@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Analysis = require('../models/Analysis');
+const AnalysisNote = require('../models/AnalysisNote');
+const encryptionService = require('../services/encryptionService');
+
+/**
+ * Rotate the keys used for field-level encryption.
+ *
+ *   (default)          Re-wrap every company data key with the current master key. Run
+ *                      after changing ENCRYPTION_MASTER_KEY (old key moved to
+ *                      ENCRYPTION_PREVIOUS_MASTER_KEYS) once every server uses the new
+ *                      key; the previous key can then be removed. Data is not touched.
+ *   --new-master-key   Local key provider only: generate a new master key first.
+ *   --data-keys        Also give each company a new data key and re-encrypt its analyses
+ *                      and notes with it.
+ *   --reencrypt        Re-encrypt analyses and notes not yet under their company's active
+ *                      data key, without new keys. This includes values stored before
+ *                      encryption was enabled, so run it once after upgrading.
+ *   --company <id>     Limit --data-keys / --reencrypt to one company.
+ *
+ * Safe to re-run: keys already wrapped with the current master key, and values already
+ * under a company's active data key, are skipped.
+ *
+ * Usage: node src/scripts/rotateEncryptionKeys.js [--new-master-key] [--data-keys | --reencrypt] [--company <id>]
+ */
+
+const newMasterKey = process.argv.includes('--new-master-key');
+const rotateDataKeys = process.argv.includes('--data-keys');
+const reencrypt = rotateDataKeys || process.argv.includes('--reencrypt');
+const companyIndex = process.argv.indexOf('--company');
+const companyId = companyIndex > -1 ? process.argv[companyIndex + 1] : null;
+
+const ENCRYPTED_MODELS = [Analysis, AnalysisNote];
+
+async function rotateEncryptionKeys() {
+  try {
+    if (companyIndex > -1 && !mongoose.isValidObjectId(companyId)) {
+      throw new Error('--company needs a company ID');
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log('Connected to MongoDB');
+
+    if (newMasterKey) {
+      const masterKeyId = await encryptionService.addMasterKey();
+      console.log(`🔑 New master key ${masterKeyId} is now current`);
+    }
+
+    const { masterKeyId, rewrapped } = await encryptionService.rewrapDataKeys();
+    console.log(`✅ Re-wrapped ${rewrapped} data key(s) with master key ${masterKeyId}`);
+
+    if (reencrypt) {
+      const companyIds = companyId
+        ? [companyId]
+        : [...new Set((await Promise.all(ENCRYPTED_MODELS.map(Model => Model.distinct('company'))))
+          .flat()
+          .map(id => id.toString()))];
+
+      let records = 0;
+      for (const id of companyIds) {
+        const dataKey = rotateDataKeys
+          ? await encryptionService.rotateDataKey(id)
+          : await encryptionService.activeDataKey(id);
+        for (const Model of ENCRYPTED_MODELS) {
+          records += await Model.reencryptFields(id);
+        }
+        console.log(`- Company ${id}: data key version ${dataKey.version}`);
+      }
+
+      console.log(`✅ ${rotateDataKeys ? 'Rotated' : 'Checked'} ${companyIds.length} company key(s), re-encrypted ${records} record(s)`);
+      if (rotateDataKeys) {
+        console.log('Values written by servers still caching the previous data keys stay readable; '
+          + 're-run with --reencrypt after ENCRYPTION_DATA_KEY_CACHE_MS to move them over as well.');
+      }
+    }
+
+    if (newMasterKey) {
+      console.log('Previous master keys are kept in the key file; remove them once every server has restarted and this script has been re-run.');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error rotating encryption keys:', error);
+    process.exit(1);
+  }
+}
+
+rotateEncryptionKeys();
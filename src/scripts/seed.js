@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const config = require('../config/config');
 const User = require('../models/User');
 const Company = require('../models/Company');
+const Engagement = require('../models/Engagement');
 
 /**
  * Database Seeder Script
@@ -19,6 +20,7 @@ async function seedDatabase() {
     console.log('\nClearing existing data...');
     await User.deleteMany({});
     await Company.deleteMany({});
+    await Engagement.deleteMany({});
     console.log('✓ Cleared existing data');
 
     // Password for all test users (will be hashed by the model's pre-save hook)
@@ -115,16 +117,14 @@ async function seedDatabase() {
       password: testPassword,
       role: 'CA',
       isActive: true,
-      invitedCompanies: [company1._id, company2._id, company3._id],
     });
 
-    // Add CA to companies
-    company1.inviteCA(caUser._id, superAdmin._id);
-    company2.inviteCA(caUser._id, superAdmin._id);
-    company3.inviteCA(caUser._id, superAdmin._id);
-    await company1.save();
-    await company2.save();
-    await company3.save();
+    // Engage the CA with the companies: lead on the first, reviewer on the others
+    await Engagement.create([
+      { ca: caUser._id, company: company1._id, role: 'lead', grantedBy: superAdmin._id },
+      { ca: caUser._id, company: company2._id, role: 'reviewer', grantedBy: superAdmin._id },
+      { ca: caUser._id, company: company3._id, role: 'reviewer', grantedBy: superAdmin._id },
+    ]);
     console.log('✓ CA User: ca@bixssca.com / password123');
 
     // Create additional Company User for Tech Solutions Inc
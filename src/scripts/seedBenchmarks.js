@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Benchmark = require('../models/Benchmark');
+const benchmarkVersionService = require('../services/benchmarkVersionService');
 require('dotenv').config();
 
 const defaultBenchmark = {
@@ -53,18 +54,21 @@ async function seedBenchmarks() {
     if (existingBenchmark) {
       console.log('Default benchmark already exists, updating...');
 
-      // Update existing benchmark
-      await Benchmark.findByIdAndUpdate(existingBenchmark._id, {
-        ...defaultBenchmark,
-        createdBy: existingBenchmark.createdBy // Keep original creator
+      // Update existing benchmark (recorded as a new version if thresholds changed)
+      const { version } = await benchmarkVersionService.applyUpdate(existingBenchmark, defaultBenchmark, {
+        author: existingBenchmark.createdBy, // Keep original creator
+        changeNote: 'Updated by seedBenchmarks'
       });
 
-      console.log('✅ Default benchmark updated successfully');
+      console.log(version
+        ? `✅ Default benchmark updated to version ${version.version}`
+        : '✅ Default benchmark already up to date');
     } else {
       console.log('Creating default benchmark...');
 
       // Create new benchmark
-      await Benchmark.create(defaultBenchmark);
+      const benchmark = await Benchmark.create(defaultBenchmark);
+      await benchmarkVersionService.recordInitialVersion(benchmark, defaultBenchmark.createdBy);
 
       console.log('✅ Default benchmark created successfully');
     }
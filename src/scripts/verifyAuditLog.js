@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const auditService = require('../services/auditService');
+
+/**
+ * Recompute the audit log hash chain and report the first entry that was altered,
+ * removed or inserted. Exits with status 1 if the chain is broken, so it can run
+ * from cron or CI.
+ *
+ * Usage: node src/scripts/verifyAuditLog.js
+ */
+async function verifyAuditLog() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const result = await auditService.verify();
+
+    if (result.valid) {
+      console.log(`✅ Audit log intact: ${result.checked} entries verified`);
+      process.exit(0);
+    }
+
+    console.error(`❌ Audit log chain broken at entry #${result.brokenAt}: ${result.reason}`);
+    console.error(`- Entries verified before the break: ${result.checked}`);
+    process.exit(1);
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    process.exit(1);
+  }
+}
+
+verifyAuditLog();
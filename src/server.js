@@ -9,6 +9,7 @@ const swaggerUi = require('swagger-ui-express');
 const config = require('./config/config');
 const connectDB = require('./config/database');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { auditTrail } = require('./middleware/audit');
 const swaggerSpec = require('./config/swagger');
 
 // Import routes
@@ -28,6 +29,14 @@ analysisConsumer.connect().catch(err => {
   console.error('Failed to start analysis consumer:', err);
 });
 
+// Time out analysis jobs that never get a result back
+const analysisJobService = require('./services/analysisJobService');
+analysisJobService.startTimeoutSweeper();
+
+// Periodically recompute peer-group benchmarks from the latest analyses
+const peerBenchmarkService = require('./services/peerBenchmarkService');
+peerBenchmarkService.startScheduler();
+
 // Security middleware
 app.use(helmet());
 
@@ -45,10 +54,17 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parser
-app.use(express.json());
+// Body parser (keeps the raw body for verifying signed service requests)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Audit trail: lets handlers record sensitive actions, written once the request succeeds
+app.use(auditTrail);
+
 // Compression
 app.use(compression());
 
@@ -85,6 +101,8 @@ const adminRoutes = require('./routes/admin.routes');
 const caRoutes = require('./routes/ca.routes');
 const profileRoutes = require('./routes/profile.routes');
 const notificationRoutes = require('./routes/notification.routes');
+const roleRoutes = require('./routes/role.routes');
+const firmRoutes = require('./routes/firm.routes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/companies', companyRoutes);
@@ -98,6 +116,8 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/ca', caRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/firms', firmRoutes);
 
 // 404 handler
 app.use(notFound);
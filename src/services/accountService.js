@@ -0,0 +1,159 @@
+const config = require('../config/config');
+const AccountToken = require('../models/AccountToken');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const sessionService = require('./sessionService');
+const loginProtectionService = require('./loginProtectionService');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Email verification and password reset, both driven by single-use emailed tokens
+ */
+class AccountService {
+  constructor() {
+    // Emails still being sent off the request path
+    this._pending = new Set();
+  }
+
+  /**
+   * Email a verification link to the user's current address. Mail failures are
+   * logged rather than thrown, so they never undo the action that triggered them.
+   */
+  async sendVerification(user) {
+    try {
+      const ttlMs = config.accountTokens.emailVerificationTtlMs;
+      const { token } = await AccountToken.issue(user, 'email_verification', ttlMs);
+
+      await mailService.send('verify_email', user.email, {
+        name: user.name,
+        email: user.email,
+        link: mailService.linkTo('/verify-email', token),
+        expiresIn: mailService.describeDuration(ttlMs),
+      });
+      return true;
+    } catch (error) {
+      console.error('Verification email error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send the verification email off the request path, so a slow mail server
+   * doesn't hold up the response
+   */
+  queueVerification(user) {
+    this._track(this.sendVerification(user));
+  }
+
+  /**
+   * Mark the address a verification token was sent to as verified
+   */
+  async verifyEmail(token) {
+    const accountToken = await AccountToken.consume(token, 'email_verification');
+    if (!accountToken) {
+      throw new AppError('Verification link is invalid, expired or already used', 400);
+    }
+
+    const user = await User.findById(accountToken.user);
+    if (!user) {
+      throw new AppError('Verification link is invalid, expired or already used', 400);
+    }
+
+    // The address changed after the link was sent
+    if (user.email !== accountToken.email) {
+      throw new AppError('This link was sent to a previous email address. Request a new one', 400);
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+
+    return user;
+  }
+
+  /**
+   * Email a reset link if an active account uses this address. Always resolves the
+   * same way, and the token and email are handled off the request path, so neither the
+   * response nor its timing reveals which addresses have accounts.
+   */
+  async requestPasswordReset(email) {
+    const user = await User.findOne({ email: String(email).toLowerCase(), isActive: true });
+    if (!user) return;
+
+    this._track(this._sendPasswordReset(user));
+  }
+
+  /**
+   * Resolves once every email queued so far has been handled
+   */
+  async idle() {
+    await Promise.all([...this._pending]);
+  }
+
+  _track(promise) {
+    const sending = promise.finally(() => this._pending.delete(sending));
+    this._pending.add(sending);
+  }
+
+  async _sendPasswordReset(user) {
+    try {
+      const ttlMs = config.accountTokens.passwordResetTtlMs;
+      const { token } = await AccountToken.issue(user, 'password_reset', ttlMs);
+
+      await mailService.send('password_reset', user.email, {
+        name: user.name,
+        link: mailService.linkTo('/reset-password', token),
+        expiresIn: mailService.describeDuration(ttlMs),
+      });
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+  }
+
+  /**
+   * Set a new password with a reset token, sign out every session and lift any sign-in lockout
+   */
+  async resetPassword(token, newPassword) {
+    const accountToken = await AccountToken.consume(token, 'password_reset');
+    if (!accountToken) {
+      throw new AppError('Reset link is invalid, expired or already used', 400);
+    }
+
+    const user = await User.findById(accountToken.user).select('+password');
+    if (!user || !user.isActive) {
+      throw new AppError('Reset link is invalid, expired or already used', 400);
+    }
+
+    user.password = newPassword;
+    // Receiving the link proves the address belongs to the user
+    if (user.email === accountToken.email) {
+      user.emailVerified = true;
+    }
+    await user.save();
+
+    const signedOut = await sessionService.revokeAll(user._id, { reason: 'password_changed' });
+    // Proving ownership of the address lifts a lockout on the account
+    await loginProtectionService.unlockUser(user);
+    await this.sendPasswordChanged(user);
+
+    return { user, signedOutSessions: signedOut };
+  }
+
+  /**
+   * Tell the user their password was changed (logged, never thrown)
+   */
+  async sendPasswordChanged(user) {
+    try {
+      await mailService.send('password_changed', user.email, {
+        name: user.name,
+        changedAt: new Date().toUTCString(),
+        link: `${config.mail.appUrl.replace(/\/$/, '')}/forgot-password`,
+      });
+    } catch (error) {
+      console.error('Password changed email error:', error);
+    }
+  }
+}
+
+module.exports = new AccountService();
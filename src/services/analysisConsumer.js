@@ -1,138 +1,493 @@
+const mongoose = require('mongoose');
 const redis = require('redis');
 const Analysis = require('../models/Analysis');
 const Document = require('../models/Document');
+const analysisJobService = require('./analysisJobService');
+const { normalizeAnalysisPayload, AnalysisPayloadError } = require('../utils/analysisPayload');
+const { verifySignature, ServiceAuthError } = require('./serviceAuthService');
+const config = require('../config/config');
 
+const streamConfig = config.analysisStreams;
+
+/**
+ * Error for stream entries that can never be processed (bad JSON, missing fields).
+ * These go straight to the dead-letter stream instead of being retried.
+ */
+class PoisonMessageError extends Error {
+  constructor(message, { untrusted = false } = {}) {
+    super(message);
+    // Set for entries that failed signature checks; their contents must not be acted on
+    this.untrusted = untrusted;
+  }
+}
+
+const parseMessage = (message) => {
+  try {
+    return JSON.parse(message);
+  } catch (error) {
+    throw new PoisonMessageError(`Invalid JSON payload: ${error.message}`);
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Consumes analysis results from Redis Streams using a consumer group.
+ *
+ * Each entry is delivered to exactly one backend replica in the group and is only
+ * acknowledged once it has been persisted. Entries left pending by a crashed or
+ * restarted replica are reclaimed after `claimIdleMs`, and entries that keep
+ * failing are moved to the dead-letter stream after `maxDeliveries` attempts.
+ */
 class AnalysisConsumer {
   constructor() {
-    this.subscriber = null;
+    this.client = null; // acks, claims and dead-letter writes
+    this.reader = null; // dedicated connection for blocking XREADGROUP
     this.isConnected = false;
+    this.isRunning = false;
+    this.reclaimTimer = null;
+    this.isReclaiming = false;
+
+    this.handlers = {
+      [streamConfig.completed]: (message) => this.handleAnalysisMessage(message),
+      [streamConfig.failed]: (message) => this.handleFailureMessage(message),
+      [streamConfig.progress]: (message) => this.handleProgressMessage(message)
+    };
+  }
+
+  get streams() {
+    return Object.keys(this.handlers);
   }
 
   async connect() {
     try {
-      // Create Redis subscriber client
-      this.subscriber = redis.createClient({
-        url: process.env.REDIS_URL || 'redis://localhost:6379'
+      // Create Redis client
+      this.client = redis.createClient({
+        url: config.redis.url
       });
 
-      this.subscriber.on('error', (err) => {
-        console.error('❌ Redis Subscriber Error:', err);
+      this.client.on('error', (err) => {
+        console.error('❌ Redis Consumer Error:', err);
       });
 
-      this.subscriber.on('connect', () => {
-        console.log('🔗 Redis Subscriber connected');
+      this.client.on('connect', () => {
+        console.log('🔗 Redis Consumer connected');
         this.isConnected = true;
       });
 
-      this.subscriber.on('ready', () => {
-        console.log('✅ Redis Subscriber ready');
+      this.client.on('ready', () => {
+        console.log('✅ Redis Consumer ready');
       });
 
-      await this.subscriber.connect();
-
-      // Subscribe to analysis:completed channel
-      await this.subscriber.subscribe('analysis:completed', async (message) => {
-        await this.handleAnalysisMessage(message);
+      this.reader = this.client.duplicate();
+      this.reader.on('error', (err) => {
+        console.error('❌ Redis Stream Reader Error:', err);
       });
 
-      console.log('👂 Subscribed to analysis:completed channel');
+      await Promise.all([this.client.connect(), this.reader.connect()]);
+
+      await this.ensureConsumerGroups();
+
+      this.isRunning = true;
+      this.readLoop();
+      this.startReclaimer();
+
+      console.log(`👂 Consuming ${this.streams.join(', ')} as ${streamConfig.consumerGroup}/${streamConfig.consumerName}`);
 
     } catch (error) {
-      console.error('Failed to connect Redis subscriber:', error);
+      console.error('Failed to connect Redis consumer:', error);
       throw error;
     }
   }
 
-  async handleAnalysisMessage(message) {
+  /**
+   * Create the consumer group on every stream (and the stream itself) if missing
+   */
+  async ensureConsumerGroups() {
+    for (const stream of this.streams) {
+      try {
+        // Start from the beginning so entries published before the group existed are processed
+        await this.client.xGroupCreate(stream, streamConfig.consumerGroup, '0', { MKSTREAM: true });
+        console.log(`🆕 Created consumer group ${streamConfig.consumerGroup} on ${stream}`);
+      } catch (error) {
+        if (!error.message?.includes('BUSYGROUP')) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async readLoop() {
+    while (this.isRunning) {
+      try {
+        const response = await this.reader.xReadGroup(
+          streamConfig.consumerGroup,
+          streamConfig.consumerName,
+          this.streams.map(key => ({ key, id: '>' })),
+          { COUNT: streamConfig.batchSize, BLOCK: streamConfig.blockMs }
+        );
+
+        if (!response) continue;
+
+        for (const stream of response) {
+          for (const entry of stream.messages) {
+            await this.processEntry(stream.name, entry, 1);
+          }
+        }
+      } catch (error) {
+        if (!this.isRunning) break;
+
+        console.error('❌ Error reading analysis streams:', error);
+
+        // Streams or groups may have been deleted (e.g. FLUSHALL); recreate and carry on
+        if (error.message?.includes('NOGROUP')) {
+          await this.ensureConsumerGroups().catch(err => {
+            console.error('Failed to recreate consumer groups:', err);
+          });
+        }
+
+        await sleep(1000);
+      }
+    }
+  }
+
+  /**
+   * Run the handler for a stream entry and acknowledge it once it succeeded.
+   * Failed entries stay pending so they can be reclaimed and retried.
+   */
+  async processEntry(stream, entry, deliveries) {
+    const message = entry.message.payload || entry.message.data;
+
     try {
-      const data = JSON.parse(message);
-      console.log(`📥 Received analysis message: ${data.analysis_id}`);
-      console.log(`🔍 Message keys: ${Object.keys(data).join(', ')}`);
-      console.log(`🔍 analysis_data exists: ${!!data.analysis_data}`);
-      console.log(`🔍 analysis_data type: ${typeof data.analysis_data}`);
-
-      // Validate required fields
-      if (!data.analysis_id) {
-        throw new Error('Missing analysis_id in message');
+      if (!message) {
+        throw new PoisonMessageError('Stream entry has no payload field');
       }
-      if (!data.analysis_data) {
-        throw new Error('Missing analysis_data in message');
+
+      await this.verifyEntry(stream, entry, message);
+      await this.handlers[stream](message);
+      await this.client.xAck(stream, streamConfig.consumerGroup, entry.id);
+
+    } catch (error) {
+      if (error instanceof PoisonMessageError || deliveries >= streamConfig.maxDeliveries) {
+        await this.deadLetter(stream, entry, error, deliveries);
+        return;
       }
 
-      const {
-        job_id,
-        analysis_id,
-        company_id,
-        company_name,
-        analysis_data,
-        document_ids,
-        metadata
-      } = data;
-
-      console.log(`💾 Saving to MongoDB: ${analysis_id}`);
-      console.log(`📊 Company: ${company_name} (${company_id})`);
-
-      // Get document details from MongoDB if IDs provided
-      let documents = [];
-      if (document_ids && document_ids.length > 0) {
-        const docs = await Document.find({ _id: { $in: document_ids } });
-        documents = docs.map(doc => ({
-          documentId: doc._id,
-          filename: doc.originalName || doc.filename,
-          fileType: doc.fileType
-        }));
+      console.error(`❌ Error processing ${stream} entry ${entry.id} (attempt ${deliveries}/${streamConfig.maxDeliveries}):`, error.message);
+    }
+  }
+
+  /**
+   * Verify the service signature on a stream entry.
+   * The entry id is used as the nonce reference so redeliveries of the same entry pass.
+   */
+  async verifyEntry(stream, entry, message) {
+    try {
+      await verifySignature({
+        keyId: entry.message.key_id,
+        timestamp: entry.message.timestamp,
+        nonce: entry.message.nonce,
+        signature: entry.message.signature,
+        method: 'STREAM',
+        target: stream,
+        body: message,
+        scope: 'analysis:write',
+        maxAgeMs: config.serviceAuth.streamMaxAgeMs,
+        reference: `${stream}:${entry.id}`
+      });
+    } catch (error) {
+      if (error instanceof ServiceAuthError) {
+        throw new PoisonMessageError(`Rejected unsigned or invalid entry: ${error.message}`, { untrusted: true });
       }
+      throw error;
+    }
+  }
 
-      // Create or update analysis in MongoDB
-      const analysis = await Analysis.findOneAndUpdate(
-        { analysisId: analysis_id },
-        {
-          analysisId: analysis_id,
-          company: company_id,
-          jobId: job_id,
-          documents,
-          documentCount: metadata?.document_count || documents.length,
-          totalPagesProcessed: metadata?.total_pages_processed || 0,
-
-          // Store complete analysis data
-          consolidatedData: analysis_data,
-          healthAnalysis: analysis_data?.financial_health_analysis || {},
-
-          status: 'completed'
-        },
+  /**
+   * Move an entry that cannot be processed to the dead-letter stream and acknowledge it
+   */
+  async deadLetter(stream, entry, error, deliveries) {
+    const message = entry.message.payload || entry.message.data || '';
+
+    try {
+      await this.client.xAdd(streamConfig.deadLetter, '*', {
+        stream,
+        entryId: entry.id,
+        payload: message,
+        error: error.message || String(error),
+        deliveries: String(deliveries),
+        consumer: streamConfig.consumerName,
+        failedAt: new Date().toISOString()
+      });
+      await this.client.xAck(stream, streamConfig.consumerGroup, entry.id);
+
+      console.error(`☠️ Moved ${stream} entry ${entry.id} to ${streamConfig.deadLetter}: ${error.message}`);
+    } catch (err) {
+      console.error(`❌ Failed to dead-letter ${stream} entry ${entry.id}:`, err);
+      return;
+    }
+
+    // A result that could not be stored leaves the job failed rather than stuck in flight
+    if (stream === streamConfig.completed && !error.untrusted) {
+      try {
+        const data = JSON.parse(message);
+        await this.recordFailure(data, `Failed to store analysis result: ${error.message}`, 'storage');
+      } catch (err) {
+        console.error('❌ Error recording analysis failure:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Claim entries that have been pending too long (e.g. their consumer crashed) and retry them
+   */
+  async reclaimPending() {
+    if (this.isReclaiming) return;
+    this.isReclaiming = true;
+
+    try {
+      for (const stream of this.streams) {
+        const pending = await this.client.xPendingRange(
+          stream,
+          streamConfig.consumerGroup,
+          '-',
+          '+',
+          streamConfig.batchSize,
+          { IDLE: streamConfig.claimIdleMs }
+        );
+
+        for (const item of pending) {
+          const [entry] = await this.client.xClaim(
+            stream,
+            streamConfig.consumerGroup,
+            streamConfig.consumerName,
+            streamConfig.claimIdleMs,
+            item.id
+          );
+
+          // Entry was trimmed or deleted from the stream; nothing left to process
+          if (!entry) {
+            await this.client.xAck(stream, streamConfig.consumerGroup, item.id);
+            continue;
+          }
+
+          await this.processEntry(stream, entry, item.deliveriesCounter + 1);
+        }
+
+        await this.removeIdleConsumers(stream);
+      }
+    } catch (error) {
+      console.error('❌ Error reclaiming pending analysis entries:', error);
+    } finally {
+      this.isReclaiming = false;
+    }
+  }
+
+  /**
+   * Delete the consumers of stopped replicas. Consumer names include the pid, so every
+   * restart leaves one behind; they are removed once their pending entries were claimed.
+   */
+  async removeIdleConsumers(stream) {
+    const consumers = await this.client.xInfoConsumers(stream, streamConfig.consumerGroup);
+
+    for (const consumer of consumers) {
+      if (consumer.name === streamConfig.consumerName) continue;
+      if (consumer.pending > 0 || consumer.idle < streamConfig.consumerIdleMs) continue;
+
+      await this.client.xGroupDelConsumer(stream, streamConfig.consumerGroup, consumer.name);
+      console.log(`🧹 Removed idle consumer ${consumer.name} from ${stream}`);
+    }
+  }
+
+  startReclaimer() {
+    if (this.reclaimTimer) return;
+
+    this.reclaimTimer = setInterval(() => {
+      this.reclaimPending();
+    }, streamConfig.claimIdleMs);
+
+    this.reclaimTimer.unref();
+  }
+
+  async handleAnalysisMessage(message) {
+    const data = parseMessage(message);
+    console.log(`📥 Received analysis message: ${data.analysis_id}`);
+    console.log(`🔍 Message keys: ${Object.keys(data).join(', ')}`);
+
+    // Validate required fields
+    if (!data.analysis_id) {
+      throw new PoisonMessageError('Missing analysis_id in message');
+    }
+    if (!data.analysis_data) {
+      throw new PoisonMessageError('Missing analysis_data in message');
+    }
+
+    const {
+      job_id,
+      analysis_id,
+      company_id,
+      company_name,
+      analysis_data,
+      document_ids,
+      metadata,
+      schema_version
+    } = data;
+
+    // Validate against the payload contract; malformed results are quarantined, not retried
+    let payload;
+    try {
+      payload = normalizeAnalysisPayload(analysis_data, { schemaVersion: schema_version, metadata });
+    } catch (error) {
+      if (!(error instanceof AnalysisPayloadError)) throw error;
+
+      await analysisJobService.rejectPayload({
+        source: 'stream',
+        error,
+        analysisId: analysis_id,
+        jobId: job_id,
+        companyId: company_id,
+        schemaVersion: schema_version ?? analysis_data?.schema_version,
+        payload: data
+      });
+      return;
+    }
+
+    // Complete the job record created at trigger time. Results without one have no owner
+    // and an unverified company, so they are quarantined instead of creating an analysis.
+    const existingJob = await analysisJobService.findJob({ analysisId: analysis_id, jobId: job_id });
+    if (!existingJob) {
+      throw new PoisonMessageError(`No analysis job found for ${analysis_id}`);
+    }
+
+    // Redelivered entry for a result we already stored, or a late result for a job that failed or timed out
+    if (Analysis.TERMINAL_STATUSES.includes(existingJob.status)) {
+      console.log(`↩️ Analysis ${existingJob.analysisId} is already ${existingJob.status}, skipping result`);
+      return;
+    }
+
+    console.log(`💾 Saving to MongoDB: ${analysis_id}`);
+    console.log(`📊 Company: ${company_name} (${company_id})`);
+
+    // Get document details from MongoDB if IDs provided
+    let documents = [];
+    if (document_ids && document_ids.length > 0) {
+      const docs = await Document.find({ _id: { $in: document_ids } });
+      documents = docs.map(doc => ({
+        documentId: doc._id,
+        filename: doc.originalName || doc.filename,
+        fileType: doc.fileType
+      }));
+    }
+
+    existingJob.set({
+      jobId: job_id || existingJob.jobId,
+      ...(documents.length > 0 && { documents }),
+      documentCount: metadata?.document_count || documents.length || existingJob.documentCount,
+      totalPagesProcessed: payload.totalPagesProcessed,
+      schemaVersion: payload.schemaVersion,
+      consolidatedData: payload.consolidatedData,
+      healthAnalysis: payload.healthAnalysis
+    });
+    // Only save over the job as it was loaded, not one that timed out meanwhile
+    existingJob.$where = { status: existingJob.status };
+    existingJob.transitionTo('completed');
+
+    let analysis;
+    try {
+      analysis = await existingJob.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.DocumentNotFoundError)) throw error;
+      console.log(`↩️ Analysis ${existingJob.analysisId} finished meanwhile, skipping result`);
+      return;
+    }
+
+    // Update document statuses
+    const analyzedDocumentIds = analysis.documents.map(d => d.documentId);
+    if (analyzedDocumentIds.length > 0) {
+      await Document.updateMany(
+        { _id: { $in: analyzedDocumentIds } },
         {
-          upsert: true,
-          new: true,
-          setDefaultsOnInsert: true
+          status: 'analyzed',
+          analysisId: analysis.analysisId
         }
       );
+    }
 
-      // Update document statuses
-      if (document_ids && document_ids.length > 0) {
-        await Document.updateMany(
-          { _id: { $in: document_ids } },
-          {
-            status: 'analyzed',
-            analysisId: analysis_id
-          }
-        );
+    console.log(`✅ Analysis ${analysis.analysisId} saved successfully to MongoDB`);
+    console.log(`✅ Document ID: ${analysis._id}`);
+  }
+
+  async handleFailureMessage(message) {
+    const data = parseMessage(message);
+    console.log(`📥 Received analysis failure: ${data.analysis_id || data.job_id}`);
+
+    const reason = typeof data.error === 'string'
+      ? data.error
+      : data.error?.message || data.message || 'Analysis failed in the analysis service';
+
+    await this.recordFailure(data, reason, data.stage || data.error?.stage);
+  }
+
+  async handleProgressMessage(message) {
+    const data = parseMessage(message);
+
+    const job = await analysisJobService.findJob({ analysisId: data.analysis_id, jobId: data.job_id });
+    if (!job) {
+      console.warn(`⚠️ Progress for unknown analysis job: ${data.analysis_id || data.job_id}`);
+      return;
+    }
+
+    await analysisJobService.markProgress(job, {
+      percent: data.progress ?? data.percent,
+      stage: data.stage,
+      message: data.message
+    });
+  }
+
+  /**
+   * Mark the job (and its documents) a message refers to as failed
+   */
+  async recordFailure(data, reason, stage) {
+    if (!data) return;
+
+    const job = await analysisJobService.findJob({ analysisId: data.analysis_id, jobId: data.job_id });
+
+    if (job) {
+      // Late or duplicate failure for a job that already has a stored result or failure
+      if (Analysis.TERMINAL_STATUSES.includes(job.status)) {
+        console.warn(`⚠️ Ignoring failure for ${job.status} analysis ${job.analysisId}`);
+        return;
       }
 
-      console.log(`✅ Analysis ${analysis_id} saved successfully to MongoDB`);
-      console.log(`✅ Document ID: ${analysis._id}`);
+      await analysisJobService.markFailed(job, reason, { stage });
+      console.log(`🛑 Analysis ${job.analysisId} marked as failed: ${reason}`);
+      return;
+    }
 
-    } catch (error) {
-      console.error('❌ Error handling analysis message:', error);
-      console.error('   Stack:', error.stack);
-      // Log but don't throw - we don't want to crash the consumer
+    // No job record to attach the error to; at least release the documents
+    console.warn(`⚠️ Failure for unknown analysis job: ${data.analysis_id || data.job_id}`);
+    if (Array.isArray(data.document_ids) && data.document_ids.length > 0) {
+      await Document.updateMany({ _id: { $in: data.document_ids } }, { status: 'failed' });
     }
   }
 
   async disconnect() {
-    if (this.subscriber) {
-      await this.subscriber.quit();
+    this.isRunning = false;
+
+    if (this.reclaimTimer) {
+      clearInterval(this.reclaimTimer);
+      this.reclaimTimer = null;
+    }
+
+    if (this.reader) {
+      // The reader may be blocked in XREADGROUP, so don't wait for a graceful QUIT
+      await this.reader.disconnect();
+    }
+
+    if (this.client) {
+      await this.client.quit();
       this.isConnected = false;
-      console.log('🔌 Redis Subscriber disconnected');
+      console.log('🔌 Redis Consumer disconnected');
     }
   }
 }
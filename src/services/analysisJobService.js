@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Analysis = require('../models/Analysis');
+const Document = require('../models/Document');
+const Company = require('../models/Company');
+const AnalysisQuarantine = require('../models/AnalysisQuarantine');
+const engagementService = require('./engagementService');
+const { createNotification } = require('../controllers/notification.controller');
+const config = require('../config/config');
+
+/**
+ * Tracks the lifecycle of analysis jobs sent to the Python microservice.
+ * Every trigger creates an Analysis record up front so in-flight, failed and
+ * timed-out jobs are visible before any result arrives.
+ */
+class AnalysisJobService {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Create a queued analysis job for the given documents
+   */
+  async createJob({ companyId, requestedBy, documents, benchmark, analysisType }) {
+    return await Analysis.create({
+      analysisId: uuidv4(),
+      company: companyId,
+      uploadedBy: requestedBy,
+      documents: documents.map(doc => ({
+        documentId: doc._id,
+        filename: doc.originalName || doc.filename,
+        fileType: doc.fileType
+      })),
+      documentCount: documents.length,
+      benchmark: benchmark?._id || null,
+      benchmarkVersion: benchmark?.version || null,
+      analysisType: analysisType || 'comprehensive',
+      status: 'queued',
+      queuedAt: new Date()
+    });
+  }
+
+  /**
+   * Mark a job as handed over to the Python microservice. Only a job that is still
+   * queued moves: the result may already have arrived while the request was in flight.
+   * Resolves with the job as stored.
+   */
+  async markSent(job, jobId) {
+    const sent = await this._transition(job, ['queued'], {
+      $set: { status: 'sent', sentAt: new Date(), jobId: jobId || job.jobId }
+    });
+    if (!sent) return await this._current(job);
+
+    await this._updateDocuments(sent, { status: 'processing', analysisId: sent.analysisId });
+    return sent;
+  }
+
+  /**
+   * Record progress reported by the Python microservice
+   */
+  async markProgress(job, { percent, stage, message } = {}) {
+    const progressed = await this._transition(job, Analysis.IN_FLIGHT_STATUSES, {
+      $set: {
+        status: 'processing',
+        progress: {
+          percent: typeof percent === 'number' ? Math.min(Math.max(percent, 0), 100) : job.progress?.percent,
+          stage: stage || job.progress?.stage,
+          message: message || job.progress?.message,
+          updatedAt: new Date()
+        }
+      },
+      // Only stamped by the first progress update
+      $min: { processingStartedAt: new Date() }
+    });
+
+    // Late progress update for a job that already finished
+    return progressed || await this._current(job);
+  }
+
+  /**
+   * Mark a job as failed (or timed out), flag its documents and notify the people involved.
+   * A job that finished meanwhile is left as it is.
+   */
+  async markFailed(job, reason, { status = 'failed', stage = null, notify = true } = {}) {
+    const failed = await this._transition(job, Analysis.IN_FLIGHT_STATUSES, {
+      $set: {
+        status,
+        failedAt: new Date(),
+        error: reason || job.error || null,
+        failureStage: stage || job.progress?.stage || null
+      }
+    });
+    if (!failed) return await this._current(job);
+
+    await this._updateDocuments(failed, { status: 'failed' });
+
+    if (notify) {
+      await this.notifyFailure(failed).catch(err => {
+        console.error(`Failed to send failure notification for ${failed.analysisId}:`, err);
+      });
+    }
+
+    return failed;
+  }
+
+  /**
+   * Send analysis_failed notifications to the requester and the company's lead CA (or lead firm)
+   */
+  async notifyFailure(job) {
+    const [company, lead] = await Promise.all([
+      Company.findById(job.company).select('name').lean(),
+      engagementService.leadFor(job.company)
+    ]);
+    const recipients = new Set();
+
+    if (job.uploadedBy) recipients.add(job.uploadedBy.toString());
+    if (lead) {
+      // A firm lead is reached through its partners and managers
+      (await engagementService.contactsFor(lead)).forEach(userId => recipients.add(userId.toString()));
+    }
+
+    const companyName = company?.name || 'the company';
+    const title = job.status === 'timed_out' ? 'Analysis timed out' : 'Analysis failed';
+
+    await Promise.all([...recipients].map(userId => createNotification(userId, {
+      type: 'analysis_failed',
+      title,
+      description: `Financial analysis for ${companyName} could not be completed: ${job.error || 'Unknown error'}`,
+      metadata: {
+        analysisId: job.analysisId,
+        jobId: job.jobId,
+        companyId: job.company,
+        status: job.status,
+        stage: job.failureStage
+      }
+    })));
+  }
+
+  /**
+   * Quarantine an analysis payload that failed contract validation and fail its job
+   */
+  async rejectPayload({ source, error, analysisId, jobId, companyId, schemaVersion, payload }) {
+    await AnalysisQuarantine.create({
+      source,
+      analysisId,
+      jobId,
+      company: mongoose.isValidObjectId(companyId) ? companyId : undefined,
+      schemaVersion: schemaVersion != null ? String(schemaVersion) : undefined,
+      validationErrors: error.errors || [error.message],
+      payload
+    });
+
+    const job = await this.findJob({ analysisId, jobId });
+    if (job && Analysis.IN_FLIGHT_STATUSES.includes(job.status)) {
+      await this.markFailed(job, `Analysis result rejected: ${error.message}`, { stage: 'validation' });
+    }
+
+    console.warn(`🚫 Quarantined ${source} analysis payload ${analysisId || jobId}: ${error.message}`);
+  }
+
+  /**
+   * Find the job record a Python message refers to.
+   * Jobs are matched on our analysisId first, then on the Python job_id.
+   */
+  async findJob({ analysisId, jobId }) {
+    const conditions = [];
+    if (analysisId) conditions.push({ analysisId });
+    if (jobId) conditions.push({ jobId });
+
+    if (conditions.length === 0) return null;
+    return await Analysis.findOne({ $or: conditions });
+  }
+
+  /**
+   * Time out jobs that have been in flight longer than the configured limit
+   */
+  async sweepTimedOutJobs() {
+    const cutoff = new Date(Date.now() - config.analysis.jobTimeoutMs);
+
+    const staleJobs = await Analysis.find({
+      status: { $in: Analysis.IN_FLIGHT_STATUSES },
+      queuedAt: { $lt: cutoff }
+    });
+
+    for (const job of staleJobs) {
+      await this.markFailed(
+        job,
+        `Analysis did not complete within ${Math.round(config.analysis.jobTimeoutMs / 60000)} minutes`,
+        { status: 'timed_out' }
+      );
+      console.warn(`⏱️ Analysis job ${job.analysisId} timed out`);
+    }
+
+    return staleJobs.length;
+  }
+
+  /**
+   * Start the periodic timeout sweep
+   */
+  startTimeoutSweeper() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => {
+      this.sweepTimedOutJobs().catch(err => {
+        console.error('Analysis timeout sweep failed:', err);
+      });
+    }, config.analysis.sweepIntervalMs);
+
+    // Don't keep the process alive just for the sweeper
+    this.sweepTimer.unref();
+  }
+
+  stopTimeoutSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Apply a lifecycle update only if the stored job is still in one of the given statuses,
+   * so a stale in-memory job can't undo a newer transition. Resolves with the updated
+   * job, or null if it had moved on.
+   */
+  async _transition(job, fromStatuses, update) {
+    return await Analysis.findOneAndUpdate(
+      { _id: job._id, status: { $in: fromStatuses } },
+      update,
+      { new: true }
+    );
+  }
+
+  async _current(job) {
+    return (await Analysis.findById(job._id)) || job;
+  }
+
+  async _updateDocuments(job, update) {
+    const documentIds = job.documents.map(d => d.documentId).filter(Boolean);
+    if (documentIds.length === 0) return;
+
+    await Document.updateMany({ _id: { $in: documentIds } }, update);
+  }
+}
+
+module.exports = new AnalysisJobService();
@@ -0,0 +1,191 @@
+const AuditLog = require('../models/AuditLog');
+
+// Attempts to append when another server instance takes the same sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Plain JSON (ObjectIds and Dates become strings), so the stored entry hashes like the one written
+const toPlain = (value) => (value === undefined || value === null ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isEmpty = (value) => value === undefined || (typeof value === 'object' && Object.keys(value).length === 0);
+
+/**
+ * Fields that differ between two snapshots, as { before, after } (undefined if nothing changed)
+ */
+const diff = (before = {}, after = {}) => {
+  const plainBefore = toPlain(before) || {};
+  const plainAfter = toPlain(after) || {};
+  const changes = { before: {}, after: {} };
+
+  for (const key of new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)])) {
+    if (JSON.stringify(plainBefore[key]) !== JSON.stringify(plainAfter[key])) {
+      changes.before[key] = plainBefore[key] === undefined ? null : plainBefore[key];
+      changes.after[key] = plainAfter[key] === undefined ? null : plainAfter[key];
+    }
+  }
+
+  return isEmpty(changes.before) ? undefined : changes;
+};
+
+/**
+ * Selected fields of a document, for before/after snapshots
+ */
+const snapshot = (doc, fields) => {
+  if (!doc) return {};
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return Object.fromEntries(fields.map(field => [field, source[field]]));
+};
+
+/**
+ * Append-only, hash-chained audit log of sensitive actions.
+ *
+ * Entries are written through record(), normally by the auditTrail middleware once a
+ * request has succeeded (see middleware/audit.js). Appends are serialised in-process,
+ * and the unique sequence number stops two instances from extending the chain at the
+ * same point.
+ */
+class AuditService {
+  constructor() {
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Append an entry. Resolves with the stored entry; failures are logged, never thrown,
+   * so auditing can't undo the action being audited.
+   */
+  record(entry) {
+    const append = this._queue.then(() => this._append(entry)).catch((error) => {
+      console.error('Audit log error:', error);
+      return null;
+    });
+    this._queue = append;
+    return append;
+  }
+
+  /**
+   * Fields that differ between two snapshots, as { before, after }
+   */
+  diff(before, after) {
+    return diff(before, after);
+  }
+
+  /**
+   * Selected fields of a document, for before/after snapshots
+   */
+  snapshot(doc, fields) {
+    return snapshot(doc, fields);
+  }
+
+  /**
+   * Resolves once every entry recorded so far has been written
+   */
+  async idle() {
+    await this._queue;
+  }
+
+  /**
+   * Query filter from API parameters (company, actor, action, targetId, from, to)
+   */
+  buildFilter({ company, actor, action, targetId, from, to } = {}) {
+    const filter = {};
+    if (company) filter.company = company;
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetId) filter.targetId = String(targetId);
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+    }
+    return filter;
+  }
+
+  /**
+   * A page of entries matching the filters, newest first
+   */
+  async query(filters, { page = 1, limit = 50 } = {}) {
+    const filter = this.buildFilter(filters);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ seq: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name email')
+        .populate('company', 'name')
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Cursor over entries matching the filters, oldest first (for exports)
+   */
+  cursor(filters) {
+    return AuditLog.find(this.buildFilter(filters)).sort({ seq: 1 }).lean().cursor();
+  }
+
+  /**
+   * Recompute the hash chain. Returns { valid, checked, brokenAt, reason }, where brokenAt
+   * is the sequence number of the first entry that was altered, removed or inserted.
+   */
+  async verify() {
+    let prevHash = AuditLog.GENESIS_HASH;
+    let expectedSeq = 1;
+    let checked = 0;
+
+    for await (const entry of AuditLog.find().sort({ seq: 1 }).lean().cursor()) {
+      if (entry.seq !== expectedSeq) {
+        return { valid: false, checked, brokenAt: expectedSeq, reason: 'Entries are missing from the chain' };
+      }
+      if (entry.prevHash !== prevHash) {
+        return { valid: false, checked, brokenAt: entry.seq, reason: 'Entry does not follow the previous entry' };
+      }
+      if (AuditLog.computeHash(entry, prevHash) !== entry.hash) {
+        return { valid: false, checked, brokenAt: entry.seq, reason: 'Entry content does not match its hash' };
+      }
+
+      prevHash = entry.hash;
+      expectedSeq += 1;
+      checked += 1;
+    }
+
+    return { valid: true, checked, brokenAt: null, reason: null };
+  }
+
+  async _append({ actor, action, targetType, targetId, company, before, after, changes, metadata, ip, userAgent, method, path }) {
+    const entry = {
+      timestamp: new Date(),
+      actor: actor?._id || actor || undefined,
+      actorEmail: actor?.email || undefined,
+      actorRole: actor?.role || undefined,
+      action,
+      targetType: targetType || undefined,
+      targetId: targetId ? String(targetId) : undefined,
+      company: company?._id || company || undefined,
+      changes: toPlain(changes || diff(before, after)),
+      metadata: isEmpty(toPlain(metadata)) ? undefined : toPlain(metadata),
+      ip: ip || undefined,
+      userAgent: userAgent || undefined,
+      method: method || undefined,
+      path: path || undefined,
+    };
+
+    for (let attempt = 1; ; attempt += 1) {
+      const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+      entry.seq = last ? last.seq + 1 : 1;
+      entry.prevHash = last ? last.hash : AuditLog.GENESIS_HASH;
+      entry.hash = AuditLog.computeHash(entry, entry.prevHash);
+
+      try {
+        return await AuditLog.create(entry);
+      } catch (error) {
+        // Another instance appended first; chain onto its entry instead
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+}
+
+module.exports = new AuditService();
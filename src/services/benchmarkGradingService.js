@@ -0,0 +1,250 @@
+const Benchmark = require('../models/Benchmark');
+const benchmarkVersionService = require('./benchmarkVersionService');
+const metricRegistry = require('./metricRegistry');
+const { buildMetricSeries, parseFiscalYear } = require('../utils/metricSeries');
+
+const GRADES = ['excellent', 'good', 'fair', 'poor'];
+
+// Points per grade; 'critical' means the value is worse than the poor threshold
+const GRADE_POINTS = { excellent: 4, good: 3, fair: 2, poor: 1, critical: 0 };
+
+// Minimum score (0-100) for each overall/category grade
+const SCORE_BANDS = [
+  { grade: 'excellent', min: 85 },
+  { grade: 'good', min: 65 },
+  { grade: 'fair', min: 45 },
+  { grade: 'poor', min: 25 },
+  { grade: 'critical', min: 0 }
+];
+
+// Sections searched for metric values, in order of preference
+const VALUE_SECTIONS = ['calculated_metrics', 'comprehensive_financial_metrics'];
+
+// Units an analysis may report percentage metrics in
+const PERCENT_UNITS = ['%', 'percent', 'percentage'];
+const FRACTION_UNITS = ['fraction', 'ratio', 'decimal'];
+
+/**
+ * Grades stored analyses against benchmark thresholds on demand, so analyses can be
+ * re-graded against a different benchmark without re-running extraction.
+ */
+class BenchmarkGradingService {
+  /**
+   * Pick the benchmark to grade against: an explicit benchmark (optionally a specific
+   * version of it), the benchmark version the analysis was run with, or the default for
+   * the industry (falling back to the General default).
+   */
+  async resolveBenchmark({ benchmarkId, benchmarkVersion, analysis, industry } = {}) {
+    if (benchmarkId) {
+      const benchmark = await Benchmark.findById(benchmarkId);
+      if (!benchmark || !benchmarkVersion) return benchmark;
+      return await this._atVersion(benchmark, benchmarkVersion);
+    }
+
+    if (analysis?.benchmark) {
+      const benchmark = await Benchmark.findById(analysis.benchmark);
+      if (benchmark) {
+        // Grade against the thresholds the analysis was actually run with
+        if (!analysis.benchmarkVersion) return benchmark;
+        const historical = await this._atVersion(benchmark, analysis.benchmarkVersion);
+        if (historical) return historical;
+      }
+    }
+
+    let benchmark = await Benchmark.findOne({ industry: industry || 'General', isDefault: true });
+
+    // Fallback to general default if industry-specific not found
+    if (!benchmark) {
+      benchmark = await Benchmark.findOne({ industry: 'General', isDefault: true });
+    }
+
+    return benchmark;
+  }
+
+  /**
+   * Grade a single value against excellent/good/fair/poor thresholds
+   */
+  gradeValue(value, thresholds, polarity) {
+    const lowerIsBetter = polarity
+      ? polarity === 'lower_is_better'
+      : thresholds.excellent < thresholds.poor;
+
+    for (const grade of GRADES) {
+      const threshold = thresholds[grade];
+      if (threshold === undefined || threshold === null) continue;
+      if (lowerIsBetter ? value <= threshold : value >= threshold) return grade;
+    }
+
+    return 'critical';
+  }
+
+  /**
+   * Grade a score between 0 and 100
+   */
+  gradeScore(score) {
+    return SCORE_BANDS.find(band => score >= band.min).grade;
+  }
+
+  /**
+   * Grade an analysis against a benchmark.
+   *
+   * @param {Object} analysis - Analysis document (lean or hydrated)
+   * @param {Object} benchmark - Benchmark document
+   * @param {Object} options
+   * @param {string} options.fiscalYear - grade this period instead of the latest one
+   */
+  async gradeAnalysis(analysis, benchmark, { fiscalYear } = {}) {
+    await metricRegistry.load();
+
+    const values = this.collectMetricValues(analysis, parseFiscalYear(fiscalYear));
+    const ratios = [];
+
+    metricRegistry.getBenchmarkMetrics(benchmark).forEach(definition => {
+      const found = values[definition.key];
+      const ratio = {
+        metric: definition.key,
+        label: definition.label,
+        benchmark_key: definition.source,
+        category: definition.category,
+        unit: definition.unit,
+        polarity: definition.polarity,
+        thresholds: definition.thresholds,
+        fiscal_year: found?.fiscal_year || null,
+        value: null,
+        grade: null,
+        points: null,
+        available: false
+      };
+
+      const value = found ? this.toBenchmarkUnit(found.value, found.unit, definition.unit) : null;
+
+      // Reported in a unit we can't convert: not graded rather than graded on a guess
+      if (found && value === null) {
+        Object.assign(ratio, { reported_unit: found.unit, source: found.source });
+      }
+
+      if (value !== null) {
+        const grade = this.gradeValue(value, ratio.thresholds, definition.polarity);
+
+        Object.assign(ratio, {
+          value,
+          grade,
+          points: GRADE_POINTS[grade],
+          available: true,
+          source: found.source
+        });
+      }
+
+      ratios.push(ratio);
+    });
+
+    const categories = {};
+    ratios.forEach(ratio => {
+      const category = categories[ratio.category] || (categories[ratio.category] = { points: 0, graded: 0, total: 0 });
+      category.total += 1;
+      if (ratio.available) {
+        category.points += ratio.points;
+        category.graded += 1;
+      }
+    });
+
+    Object.values(categories).forEach(category => {
+      category.score = category.graded > 0
+        ? parseFloat(((category.points / (category.graded * GRADE_POINTS.excellent)) * 100).toFixed(1))
+        : null;
+      category.grade = category.score !== null ? this.gradeScore(category.score) : 'insufficient_data';
+      delete category.points;
+    });
+
+    // Overall score weights each graded category equally
+    const gradedCategories = Object.values(categories).filter(category => category.score !== null);
+    const overallScore = gradedCategories.length > 0
+      ? parseFloat((gradedCategories.reduce((sum, category) => sum + category.score, 0) / gradedCategories.length).toFixed(1))
+      : null;
+
+    return {
+      analysis_id: analysis.analysisId,
+      fiscal_year: ratios.find(ratio => ratio.fiscal_year)?.fiscal_year || null,
+      benchmark: {
+        id: benchmark._id,
+        name: benchmark.name,
+        industry: benchmark.industry,
+        version: benchmark.version || null
+      },
+      overall: {
+        score: overallScore,
+        grade: overallScore !== null ? this.gradeScore(overallScore) : 'insufficient_data',
+        graded_ratios: ratios.filter(ratio => ratio.available).length,
+        total_ratios: ratios.length
+      },
+      categories,
+      ratios,
+      graded_at: new Date()
+    };
+  }
+
+  async _atVersion(benchmark, version) {
+    if (Number(version) === benchmark.version) return benchmark;
+
+    const stored = await benchmarkVersionService.getVersion(benchmark._id, Number(version));
+    if (!stored) return null;
+
+    // Ownership comes from the live benchmark, so access checks treat all versions alike
+    return {
+      ...benchmarkVersionService.toBenchmark(stored),
+      isDefault: benchmark.isDefault,
+      type: benchmark.type,
+      peerGroup: benchmark.peerGroup,
+      createdBy: benchmark.createdBy,
+      firm: benchmark.firm
+    };
+  }
+
+  /**
+   * Latest available value per registered metric (or the value for the requested year)
+   */
+  collectMetricValues(analysis, targetYear = null) {
+    const { series } = buildMetricSeries([analysis], { sections: VALUE_SECTIONS });
+    const values = {};
+
+    VALUE_SECTIONS.forEach(section => {
+      Object.entries(series[section]).forEach(([name, { unit, points }]) => {
+        // Legacy sections nest metrics in groups, e.g. liquidity_ratios.current_ratio
+        const definition = metricRegistry.get(name.split('.').pop());
+        if (!definition || values[definition.key]) return;
+
+        const candidates = points.filter(point =>
+          point.available && (targetYear === null || parseFiscalYear(point.fiscal_year) === targetYear)
+        );
+        const point = candidates[candidates.length - 1];
+        if (!point) return;
+
+        values[definition.key] = {
+          value: point.value,
+          unit,
+          fiscal_year: point.fiscal_year,
+          source: `${section}.${name}`
+        };
+      });
+    });
+
+    return values;
+  }
+
+  /**
+   * Percentage thresholds are stored as percentages (e.g. 15 for 15%). Values without a
+   * unit are taken to be in the unit the metric registry declares; values reported as
+   * fractions are scaled to match. Returns null for a percentage metric reported in any
+   * other unit, since its scale can't be known.
+   */
+  toBenchmarkUnit(value, reportedUnit, unit) {
+    if (unit !== '%' || !reportedUnit) return value;
+
+    const reported = String(reportedUnit).trim().toLowerCase();
+    if (PERCENT_UNITS.includes(reported)) return value;
+    if (FRACTION_UNITS.includes(reported)) return value * 100;
+    return null;
+  }
+}
+
+module.exports = new BenchmarkGradingService();
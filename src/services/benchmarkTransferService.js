@@ -0,0 +1,296 @@
+const Benchmark = require('../models/Benchmark');
+const benchmarkVersionService = require('./benchmarkVersionService');
+const metricRegistry = require('./metricRegistry');
+const permissionService = require('./permissionService');
+const { METRIC_CATALOGUE } = require('../config/metricCatalogue');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+const GRADES = ['excellent', 'good', 'fair', 'poor'];
+
+// One CSV row per benchmark metric; benchmark columns repeat on every row
+const CSV_COLUMNS = ['name', 'industry', 'description', 'metric', 'label', 'category', 'unit', 'polarity', ...GRADES];
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const benchmarkKey = (name, industry) => `${industry}\u0000${name}`;
+
+/**
+ * Moves benchmark tables between environments (and spreadsheets) as JSON or CSV.
+ *
+ * Both formats describe a benchmark as a list of metrics with excellent/good/fair/poor
+ * thresholds. On import, built-in ratios with their catalogue polarity are stored in the
+ * ratio groups; everything else becomes a custom metric definition. Benchmarks are
+ * matched by name + industry within the importing user's own benchmarks (and defaults,
+ * for holders of benchmarks:manage_all) and either created or updated as a new version.
+ */
+class BenchmarkTransferService {
+  /**
+   * Portable representation of a benchmark
+   */
+  toExport(benchmark) {
+    return {
+      name: benchmark.name,
+      description: benchmark.description || '',
+      industry: benchmark.industry,
+      type: benchmark.type || 'manual',
+      version: benchmark.version,
+      metrics: metricRegistry.getBenchmarkMetrics(benchmark).map(({ source, ...metric }) => metric)
+    };
+  }
+
+  toJson(benchmarks) {
+    return {
+      format_version: EXPORT_FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      benchmarks: benchmarks.map(benchmark => this.toExport(benchmark))
+    };
+  }
+
+  toCsv(benchmarks) {
+    const rows = benchmarks.flatMap(benchmark => {
+      const { name, description, industry, metrics } = this.toExport(benchmark);
+      return metrics.map(metric => ({
+        name,
+        industry,
+        description,
+        metric: metric.key,
+        label: metric.label,
+        category: metric.category,
+        unit: metric.unit,
+        polarity: metric.polarity,
+        ...metric.thresholds
+      }));
+    });
+
+    return toCsv(CSV_COLUMNS, rows);
+  }
+
+  /**
+   * Parse an import file into one entry per benchmark metric.
+   * Throws on content that cannot be parsed at all; row-level problems are left to validate().
+   */
+  parse(format, content) {
+    return format === 'csv' ? this._parseCsv(content) : this._parseJson(content);
+  }
+
+  /**
+   * Validate parsed entries and group them into benchmark updates.
+   * The file is authoritative for custom metrics: an imported benchmark's metric list is
+   * replaced, while built-in ratios missing from the file keep their current thresholds.
+   * Returns { benchmarks, errors } where errors are { row, field, message }.
+   */
+  async validate(entries) {
+    await metricRegistry.load();
+
+    const benchmarks = new Map();
+    const errors = [];
+
+    entries.forEach(entry => {
+      const fail = (message, field = entry.field) => errors.push({ row: entry.row, field, message });
+
+      const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+      const industry = typeof entry.industry === 'string' && entry.industry.trim() ? entry.industry.trim() : 'General';
+      if (!name) return fail('Benchmark name is required', 'name');
+
+      const key = benchmarkKey(name, industry);
+      const benchmark = benchmarks.get(key) || {
+        name,
+        industry,
+        description: undefined,
+        rows: [],
+        metricKeys: new Set(),
+        updates: { metrics: [] }
+      };
+      benchmarks.set(key, benchmark);
+      if (!benchmark.rows.includes(entry.row)) benchmark.rows.push(entry.row);
+      if (benchmark.description === undefined && entry.description) benchmark.description = entry.description;
+
+      // Benchmark-only entries (JSON benchmarks without metrics) carry no thresholds
+      if (!entry.metric) return;
+
+      const { metrics: [metric], errors: metricErrors } = metricRegistry.validateBenchmarkMetrics([entry.metric]);
+      if (metricErrors.length > 0) {
+        metricErrors.forEach(message => fail(message.replace('metrics[0]', entry.field)));
+        return;
+      }
+
+      if (benchmark.metricKeys.has(metric.key)) {
+        return fail(`"${metric.key}" appears more than once for benchmark "${name}" (${industry})`);
+      }
+      benchmark.metricKeys.add(metric.key);
+
+      const builtIn = METRIC_CATALOGUE[metric.key];
+      if (builtIn?.benchmarkPath && builtIn.polarity === metric.polarity) {
+        const [group, ratio] = builtIn.benchmarkPath.split('.');
+        benchmark.updates[group] = { ...benchmark.updates[group], [ratio]: metric.thresholds };
+      } else {
+        benchmark.updates.metrics.push(metric);
+      }
+    });
+
+    return { benchmarks: [...benchmarks.values()], errors };
+  }
+
+  /**
+   * Work out what importing each benchmark would do, without writing anything
+   */
+  async plan(benchmarks, user) {
+    const errors = [];
+    const plan = [];
+    const managesAll = await permissionService.hasPermission(user, 'benchmarks:manage_all');
+
+    for (const benchmark of benchmarks) {
+      const { name, industry, rows, updates } = benchmark;
+      const existing = await this._findExisting(name, industry, user, managesAll);
+
+      if (existing && existing.isDefault && !managesAll) {
+        errors.push({ row: rows[0], field: 'name', message: `"${name}" (${industry}) is a default benchmark and can only be updated with the benchmarks:manage_all permission` });
+        continue;
+      }
+
+      const fields = {
+        ...updates,
+        ...(benchmark.description !== undefined && { description: benchmark.description })
+      };
+
+      if (!existing) {
+        plan.push({ name, industry, rows, action: 'create', fields });
+        continue;
+      }
+
+      const changes = benchmarkVersionService.previewUpdate(existing, fields);
+      plan.push({
+        name,
+        industry,
+        rows,
+        action: changes.length > 0 ? 'update' : 'unchanged',
+        existing,
+        fields,
+        changes
+      });
+    }
+
+    return { plan, errors };
+  }
+
+  /**
+   * Create or update the planned benchmarks, each as a new version
+   */
+  async apply(plan, user, changeNote) {
+    const results = [];
+
+    for (const item of plan) {
+      if (item.action === 'create') {
+        const benchmark = await Benchmark.create({
+          name: item.name,
+          industry: item.industry,
+          isDefault: false,
+          createdBy: user._id,
+          ...item.fields
+        });
+        await benchmarkVersionService.recordInitialVersion(benchmark, user._id, changeNote);
+        results.push({ ...this.summarize(item), benchmarkId: benchmark._id, version: benchmark.version });
+      } else if (item.action === 'update') {
+        const { benchmark } = await benchmarkVersionService.applyUpdate(item.existing, item.fields, {
+          author: user._id,
+          changeNote
+        });
+        results.push({ ...this.summarize(item), benchmarkId: benchmark._id, version: benchmark.version });
+      } else {
+        results.push(this.summarize(item));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Plan entry as returned to the client
+   */
+  summarize(item) {
+    return {
+      name: item.name,
+      industry: item.industry,
+      rows: item.rows,
+      action: item.action,
+      ...(item.existing && { benchmarkId: item.existing._id, version: item.existing.version }),
+      ...(item.changes && { changes: item.changes })
+    };
+  }
+
+  async _findExisting(name, industry, user, managesAll) {
+    const scope = managesAll
+      ? [{ createdBy: user._id }, { isDefault: true }]
+      : [{ createdBy: user._id }, ...(user.firm ? [{ firm: user.firm }] : [])];
+
+    // Prefer the user's own (or firm's) benchmark when a default shares its name
+    const matches = await Benchmark.find({ name, industry, type: { $ne: 'peer_group' }, $or: scope })
+      .sort({ isDefault: 1, createdAt: 1 });
+    return matches[0] || null;
+  }
+
+  _parseCsv(content) {
+    return parseCsv(content).map(record => ({
+      row: record._line,
+      field: 'metric',
+      name: record.name,
+      industry: record.industry,
+      description: record.description,
+      metric: {
+        key: record.metric,
+        label: record.label || undefined,
+        category: record.category || undefined,
+        unit: record.unit || undefined,
+        polarity: record.polarity || undefined,
+        thresholds: GRADES.reduce((thresholds, grade) => ({ ...thresholds, [grade]: record[grade] }), {})
+      }
+    }));
+  }
+
+  _parseJson(content) {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    const benchmarks = Array.isArray(data) ? data : data?.benchmarks;
+
+    if (!Array.isArray(benchmarks)) {
+      throw new Error('Expected an array of benchmarks or an object with a "benchmarks" array');
+    }
+
+    return benchmarks.flatMap((benchmark, index) => {
+      const base = {
+        row: index + 1,
+        name: benchmark?.name,
+        industry: benchmark?.industry,
+        description: benchmark?.description
+      };
+      const entries = [];
+      const metrics = Array.isArray(benchmark?.metrics) ? benchmark.metrics : [];
+      const overridden = new Set(metrics.map(metric => metric?.key));
+
+      // Benchmark documents (e.g. from GET /api/benchmarks) keep built-in thresholds in ratio groups;
+      // an entry in metrics overrides the group, as in grading
+      Object.entries(METRIC_CATALOGUE).forEach(([key, definition]) => {
+        if (!definition.benchmarkPath || overridden.has(key)) return;
+        const thresholds = getPath(benchmark, definition.benchmarkPath);
+        if (!isPlainObject(thresholds)) return;
+        entries.push({
+          ...base,
+          field: `benchmarks[${index}].${definition.benchmarkPath}`,
+          metric: { key, thresholds }
+        });
+      });
+
+      metrics.forEach((metric, metricIndex) => {
+        entries.push({ ...base, field: `benchmarks[${index}].metrics[${metricIndex}]`, metric });
+      });
+
+      return entries.length > 0 ? entries : [{ ...base, field: `benchmarks[${index}]` }];
+    });
+  }
+}
+
+module.exports = new BenchmarkTransferService();
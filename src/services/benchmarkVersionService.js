@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const BenchmarkVersion = require('../models/BenchmarkVersion');
+const { AppError } = require('../middleware/errorHandler');
+
+// Threshold groups stored on the Benchmark model
+const THRESHOLD_GROUPS = ['liquidityRatios', 'profitabilityRatios', 'leverageRatios', 'efficiencyRatios'];
+
+// Descriptive fields that are versioned alongside the thresholds
+const DESCRIPTIVE_FIELDS = ['name', 'description', 'industry'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const flatten = (object, prefix = '', result = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * Keeps an immutable version history for benchmarks.
+ * Benchmarks are never edited without writing a new BenchmarkVersion.
+ */
+class BenchmarkVersionService {
+  /**
+   * Plain snapshot of the versioned parts of a benchmark
+   */
+  snapshotOf(benchmark) {
+    const source = typeof benchmark.toObject === 'function' ? benchmark.toObject() : benchmark;
+    const thresholds = {};
+
+    THRESHOLD_GROUPS.forEach(group => {
+      thresholds[group] = JSON.parse(JSON.stringify(source[group] || {}));
+    });
+
+    // Custom metrics are keyed by metric key so versions diff per metric rather than per array index
+    thresholds.metrics = (source.metrics || []).reduce((result, { key, ...metric }) => ({
+      ...result,
+      [key]: JSON.parse(JSON.stringify(metric))
+    }), {});
+
+    return {
+      name: source.name,
+      description: source.description,
+      industry: source.industry,
+      thresholds
+    };
+  }
+
+  /**
+   * Field-level differences between two snapshots (or BenchmarkVersion documents)
+   */
+  diff(from, to) {
+    const before = flatten({ ...this._descriptive(from), ...from.thresholds });
+    const after = flatten({ ...this._descriptive(to), ...to.thresholds });
+    const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    return paths
+      .filter(path => before[path] !== after[path])
+      .map(path => ({ path, from: before[path] ?? null, to: after[path] ?? null }));
+  }
+
+  /**
+   * Record the first version of a newly created benchmark
+   */
+  async recordInitialVersion(benchmark, author, changeNote = 'Initial version') {
+    return await BenchmarkVersion.create({
+      benchmark: benchmark._id,
+      version: benchmark.version,
+      ...this.snapshotOf(benchmark),
+      changes: [],
+      changeNote,
+      author
+    });
+  }
+
+  /**
+   * Apply changes to a benchmark and record them as a new version.
+   * Returns the benchmark and the new version, or a null version when nothing changed.
+   */
+  async applyUpdate(benchmark, updates, { author, changeNote } = {}) {
+    // Benchmarks created before versioning have no history yet; capture their current state first
+    await this._ensureCurrentVersion(benchmark);
+
+    const previous = this.snapshotOf(benchmark);
+    this._assign(benchmark, updates);
+    const next = this.snapshotOf(benchmark);
+    const changes = this.diff(previous, next);
+
+    if (changes.length === 0) {
+      // isDefault is not versioned, but still needs saving if it was the only change
+      if (benchmark.isModified()) await benchmark.save();
+      return { benchmark, version: null };
+    }
+
+    const loadedVersion = benchmark.version;
+    benchmark.version = loadedVersion + 1;
+    benchmark.updatedBy = author;
+    await benchmark.validate();
+
+    // The version record goes first: its unique index lets only one of two concurrent
+    // updates claim the next version number, and the benchmark never shows thresholds
+    // without a matching record
+    let version;
+    try {
+      version = await BenchmarkVersion.create({
+        benchmark: benchmark._id,
+        version: benchmark.version,
+        ...next,
+        changes,
+        changeNote,
+        author
+      });
+    } catch (error) {
+      if (error.code === 11000) throw this._conflict(benchmark);
+      throw error;
+    }
+
+    // Only save over the benchmark as it was loaded
+    benchmark.$where = { version: loadedVersion };
+    try {
+      await benchmark.save();
+    } catch (error) {
+      // The benchmark never reached this version, so its record must not stay behind
+      await this._discardVersion(version);
+      if (error instanceof mongoose.Error.DocumentNotFoundError) throw this._conflict(benchmark);
+      throw error;
+    } finally {
+      delete benchmark.$where;
+    }
+
+    return { benchmark, version };
+  }
+
+  /**
+   * Changes applyUpdate would record, without modifying or saving the benchmark
+   */
+  previewUpdate(benchmark, updates) {
+    const copy = benchmark.constructor.hydrate(benchmark.toObject());
+    const previous = this.snapshotOf(copy);
+    this._assign(copy, updates);
+    return this.diff(previous, this.snapshotOf(copy));
+  }
+
+  /**
+   * Get a specific version of a benchmark
+   */
+  async getVersion(benchmarkId, version) {
+    return await BenchmarkVersion.findOne({ benchmark: benchmarkId, version })
+      .populate('author', 'name email');
+  }
+
+  /**
+   * Version history of a benchmark, newest first
+   */
+  async listVersions(benchmarkId) {
+    return await BenchmarkVersion.find({ benchmark: benchmarkId })
+      .select('-thresholds')
+      .populate('author', 'name email')
+      .sort({ version: -1 });
+  }
+
+  /**
+   * Benchmark-shaped object for a stored version, for grading against historical thresholds
+   */
+  toBenchmark(version) {
+    const { metrics = {}, ...groups } = version.thresholds || {};
+
+    return {
+      _id: version.benchmark,
+      name: version.name,
+      description: version.description,
+      industry: version.industry,
+      version: version.version,
+      ...groups,
+      metrics: Object.entries(metrics).map(([key, metric]) => ({ key, ...metric }))
+    };
+  }
+
+  async _ensureCurrentVersion(benchmark) {
+    const exists = await BenchmarkVersion.exists({ benchmark: benchmark._id, version: benchmark.version });
+    if (exists) return;
+
+    await BenchmarkVersion.create({
+      benchmark: benchmark._id,
+      version: benchmark.version,
+      ...this.snapshotOf(benchmark),
+      changes: [],
+      changeNote: 'Baseline captured before first versioned change',
+      author: benchmark.updatedBy || benchmark.createdBy
+    });
+  }
+
+  async _discardVersion(version) {
+    try {
+      await BenchmarkVersion.deleteOne({ _id: version._id });
+    } catch (error) {
+      console.error(`Failed to remove benchmark version ${version._id}:`, error);
+    }
+  }
+
+  _conflict(benchmark) {
+    return new AppError(`Benchmark "${benchmark.name}" was changed by someone else; reload it and try again`, 409);
+  }
+
+  _assign(benchmark, updates) {
+    DESCRIPTIVE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) benchmark[field] = updates[field];
+    });
+    // Merge thresholds leaf by leaf so a partial update doesn't wipe the other ratios in its group
+    THRESHOLD_GROUPS.forEach(group => {
+      if (!isPlainObject(updates[group])) return;
+      Object.entries(flatten(updates[group], group)).forEach(([path, value]) => benchmark.set(path, value));
+    });
+    // Metric definitions replace the whole list and must already be validated against the registry
+    if (Array.isArray(updates.metrics)) benchmark.metrics = updates.metrics;
+    if (updates.isDefault !== undefined) benchmark.isDefault = updates.isDefault;
+  }
+
+  _descriptive(snapshot) {
+    return DESCRIPTIVE_FIELDS.reduce((result, field) => ({ ...result, [field]: snapshot[field] }), {});
+  }
+}
+
+module.exports = new BenchmarkVersionService();
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config/config');
+const DataKey = require('../models/DataKey');
+
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Encrypted field values are strings: enc:v1:<data key id>:<base64 iv + tag + ciphertext>
+const VALUE_PREFIX = 'enc:v1:';
+
+// Attempts to create a company's first data key when another request creates it at the same time
+const MAX_CREATE_ATTEMPTS = 3;
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed, aad) => {
+  const raw = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER, key, raw.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+const parseMasterKey = (encoded, source) => {
+  const key = Buffer.from(String(encoded).trim(), 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${source} must be ${KEY_BYTES} random bytes, base64 encoded`);
+  }
+  return key;
+};
+
+/**
+ * Wraps and unwraps data keys with a list of master keys, the first being current.
+ * Each master key is identified by a fingerprint, stored with the keys it wrapped.
+ */
+const keyring = (loadKeys) => {
+  let entries = null;
+
+  const load = async () => {
+    if (!entries) {
+      entries = (await loadKeys()).map(key => ({
+        id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16),
+        key,
+      }));
+    }
+    return entries;
+  };
+
+  return {
+    async currentKeyId() {
+      return (await load())[0].id;
+    },
+    async wrap(dataKey) {
+      const [current] = await load();
+      return { masterKeyId: current.id, wrappedKey: seal(current.key, dataKey, current.id) };
+    },
+    async unwrap(wrappedKey, masterKeyId) {
+      const entry = (await load()).find(candidate => candidate.id === masterKeyId);
+      if (!entry) {
+        throw new Error(`Master key ${masterKeyId} is not available to unwrap data keys`);
+      }
+      return open(entry.key, wrappedKey, masterKeyId);
+    },
+    // Forget loaded keys so the next use reads them again
+    reset() {
+      entries = null;
+    },
+  };
+};
+
+/**
+ * Built-in master key providers. A provider has `currentKeyId()`, `wrap(dataKey)` →
+ * { masterKeyId, wrappedKey } and `unwrap(wrappedKey, masterKeyId)`, so one backed by
+ * a KMS can be plugged in with setKeyProvider() without the master key leaving it.
+ */
+const KEY_PROVIDERS = {
+  // ENCRYPTION_MASTER_KEY, plus ENCRYPTION_PREVIOUS_MASTER_KEYS while rotating
+  config: () => keyring(async () => {
+    if (!config.encryption.masterKey) {
+      throw new Error('ENCRYPTION_MASTER_KEY is not set');
+    }
+    return [
+      parseMasterKey(config.encryption.masterKey, 'ENCRYPTION_MASTER_KEY'),
+      ...config.encryption.previousMasterKeys.map(key => parseMasterKey(key, 'ENCRYPTION_PREVIOUS_MASTER_KEYS')),
+    ];
+  }),
+
+  // One base64 key per line of ENCRYPTION_KEY_FILE, current first; created on first use.
+  // Development only: a key generated inside a container differs per replica and is lost on redeploy.
+  local: () => {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The local encryption key provider is not allowed in production; set ENCRYPTION_MASTER_KEY');
+    }
+    const file = config.encryption.keyFile;
+
+    const writeKeys = async (keys) => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, `${keys.map(key => key.toString('base64')).join('\n')}\n`, { mode: 0o600 });
+    };
+
+    const ring = keyring(async () => {
+      try {
+        const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(line => line.trim());
+        if (lines.length > 0) return lines.map(line => parseMasterKey(line, file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const key = crypto.randomBytes(KEY_BYTES);
+      await writeKeys([key]);
+      console.log(`🔑 Created a local encryption master key in ${file}`);
+      return [key];
+    });
+
+    return {
+      ...ring,
+      // Make a new key current, keeping the old ones for unwrapping
+      async addKey() {
+        const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(line => line.trim());
+        await writeKeys([crypto.randomBytes(KEY_BYTES), ...lines.map(line => parseMasterKey(line, file))]);
+        ring.reset();
+        return await ring.currentKeyId();
+      },
+    };
+  },
+
+  // Random key for this process only, for tests
+  memory: () => {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The memory encryption key provider is not allowed in production; set ENCRYPTION_MASTER_KEY');
+    }
+    const key = crypto.randomBytes(KEY_BYTES);
+    return keyring(async () => [key]);
+  },
+};
+
+/**
+ * Envelope encryption of sensitive fields at rest.
+ *
+ * Each company has its own data key (models/DataKey.js), stored wrapped by a master key
+ * from the configured provider (ENCRYPTION_KEY_PROVIDER). Values are encrypted with
+ * AES-256-GCM under the company's active data key, bound to the field they belong to.
+ * Models opt in with the encryptedFields plugin (models/plugins/encryptedFields.js);
+ * keys are rotated with src/scripts/rotateEncryptionKeys.js.
+ */
+class EncryptionService {
+  constructor() {
+    this.provider = null;
+    // company id -> { dataKey, expiresAt }
+    this._activeKeys = new Map();
+    // data key id -> Promise<Buffer>
+    this._keys = new Map();
+  }
+
+  /**
+   * Use a built-in provider by name, or any object implementing the provider interface
+   */
+  setKeyProvider(provider) {
+    this.provider = typeof provider === 'string' ? this._createProvider(provider) : provider;
+    this.clearCache();
+  }
+
+  /**
+   * Forget cached data keys
+   */
+  clearCache() {
+    this._activeKeys.clear();
+    this._keys.clear();
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+  }
+
+  /**
+   * Id of the data key a value was encrypted with (null for plaintext)
+   */
+  keyIdOf(value) {
+    return this.isEncrypted(value) ? value.slice(VALUE_PREFIX.length).split(':')[0] : null;
+  }
+
+  /**
+   * Encrypt a JSON-serialisable value for a field of a company's record
+   */
+  async encrypt(companyId, field, value) {
+    if (!companyId) {
+      throw new Error(`Cannot encrypt ${field} without a company`);
+    }
+
+    const dataKey = await this.activeDataKey(companyId);
+    const keyId = dataKey._id.toString();
+    const key = await this._dataKey(keyId);
+
+    return `${VALUE_PREFIX}${keyId}:${seal(key, Buffer.from(JSON.stringify(value)), `${keyId}:${field}`)}`;
+  }
+
+  /**
+   * Decrypt a field value. Values that are not encrypted (written before encryption
+   * was enabled) are returned unchanged.
+   */
+  async decrypt(field, value) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [keyId, sealed] = value.slice(VALUE_PREFIX.length).split(':');
+
+    try {
+      const key = await this._dataKey(keyId);
+      return JSON.parse(open(key, sealed, `${keyId}:${field}`).toString());
+    } catch (error) {
+      throw new Error(`Unable to decrypt ${field}: ${error.message}`);
+    }
+  }
+
+  /**
+   * The company's current data key, created on first use
+   */
+  async activeDataKey(companyId) {
+    const id = companyId.toString();
+    const cached = this._activeKeys.get(id);
+    if (cached && cached.expiresAt > Date.now()) return cached.dataKey;
+
+    let dataKey = await DataKey.findOne({ company: id, status: 'active' }).sort({ version: -1 });
+
+    for (let attempt = 1; !dataKey; attempt += 1) {
+      try {
+        dataKey = await this._createDataKey(id, 1);
+      } catch (error) {
+        // Created by a concurrent request; use that one
+        if (error.code !== 11000 || attempt >= MAX_CREATE_ATTEMPTS) throw error;
+        dataKey = await DataKey.findOne({ company: id, status: 'active' }).sort({ version: -1 });
+      }
+    }
+
+    this._activeKeys.set(id, { dataKey, expiresAt: Date.now() + config.encryption.dataKeyCacheMs });
+    return dataKey;
+  }
+
+  /**
+   * Give a company a new data key and retire the previous ones. Existing values stay
+   * readable; re-encrypt them with the models' reencryptFields() to move them over.
+   */
+  async rotateDataKey(companyId) {
+    const id = companyId.toString();
+    const latest = await DataKey.findOne({ company: id }).sort({ version: -1 });
+    const dataKey = await this._createDataKey(id, latest ? latest.version + 1 : 1);
+
+    await DataKey.updateMany(
+      { company: id, _id: { $ne: dataKey._id }, status: 'active' },
+      { $set: { status: 'retired', retiredAt: new Date() } }
+    );
+
+    this._activeKeys.set(id, { dataKey, expiresAt: Date.now() + config.encryption.dataKeyCacheMs });
+    return dataKey;
+  }
+
+  /**
+   * Make a newly generated master key current. Only providers that manage their own
+   * keys (local) can do this; for config, set a new ENCRYPTION_MASTER_KEY instead.
+   */
+  async addMasterKey() {
+    const provider = this._provider();
+    if (typeof provider.addKey !== 'function') {
+      throw new Error('This key provider cannot generate master keys; '
+        + 'set a new ENCRYPTION_MASTER_KEY and move the old one to ENCRYPTION_PREVIOUS_MASTER_KEYS');
+    }
+    return await provider.addKey();
+  }
+
+  /**
+   * Re-wrap every data key that is not wrapped with the current master key. Data itself
+   * is not touched. Returns { masterKeyId, rewrapped }.
+   */
+  async rewrapDataKeys() {
+    const provider = this._provider();
+    const masterKeyId = await provider.currentKeyId();
+    let rewrapped = 0;
+
+    for await (const dataKey of DataKey.find({ masterKeyId: { $ne: masterKeyId } }).select('+wrappedKey').cursor()) {
+      const key = await provider.unwrap(dataKey.wrappedKey, dataKey.masterKeyId);
+      const wrapped = await provider.wrap(key);
+
+      await DataKey.updateOne(
+        { _id: dataKey._id, masterKeyId: dataKey.masterKeyId },
+        { $set: { ...wrapped, rewrappedAt: new Date() } }
+      );
+      rewrapped += 1;
+    }
+
+    return { masterKeyId, rewrapped };
+  }
+
+  async _createDataKey(companyId, version) {
+    const key = crypto.randomBytes(KEY_BYTES);
+    const wrapped = await this._provider().wrap(key);
+    const dataKey = await DataKey.create({ company: companyId, version, status: 'active', ...wrapped });
+
+    this._keys.set(dataKey._id.toString(), Promise.resolve(key));
+    return dataKey;
+  }
+
+  /**
+   * Unwrapped data key by id (cached; a key's material never changes)
+   */
+  _dataKey(keyId) {
+    if (!this._keys.has(keyId)) {
+      const loading = DataKey.findById(keyId).select('+wrappedKey').lean().then((dataKey) => {
+        if (!dataKey) throw new Error(`Data key ${keyId} not found`);
+        return this._provider().unwrap(dataKey.wrappedKey, dataKey.masterKeyId);
+      });
+      // Don't cache failures (e.g. the database was briefly unreachable)
+      loading.catch(() => this._keys.delete(keyId));
+      this._keys.set(keyId, loading);
+    }
+    return this._keys.get(keyId);
+  }
+
+  _provider() {
+    if (!this.provider) {
+      this.provider = this._createProvider(config.encryption.keyProvider);
+    }
+    return this.provider;
+  }
+
+  _createProvider(name) {
+    const create = KEY_PROVIDERS[name];
+    if (!create) {
+      throw new Error(`Unknown encryption key provider: ${name}`);
+    }
+    return create();
+  }
+}
+
+module.exports = new EncryptionService();
@@ -0,0 +1,685 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Engagement = require('../models/Engagement');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const { AppError } = require('../middleware/errorHandler');
+const { createNotification } = require('../controllers/notification.controller');
+
+// Invitation states that can still be answered or re-sent
+const OPEN_INVITATION_STATUSES = ['pending', 'expired'];
+
+/**
+ * Grants, ends and looks up CA-company engagements, including those of CA firms.
+ * Every change to which CA works on which company goes through here.
+ *
+ * A firm engages with a company as a whole; its partners and managers see all firm
+ * clients, and staff see the ones a partner or manager assigns to them.
+ *
+ * Invitations are engagements that start as pending and carry a single-use token.
+ * The CA accepts (pending -> active) or declines (-> declined); the company can
+ * re-send (new token and expiry) or revoke (-> revoked); unanswered invitations
+ * expire (-> expired). Each transition notifies the other party.
+ */
+class EngagementService {
+  /**
+   * Company ids a CA currently has access to (optionally only in one role)
+   */
+  async companyIdsForCA(caId, { role } = {}) {
+    const engagements = await Engagement.find({
+      ca: caId,
+      ...Engagement.currentFilter(),
+      ...(role && { role })
+    }).select('company').lean();
+
+    return engagements.map(engagement => engagement.company);
+  }
+
+  /**
+   * Company ids a CA can currently access: their own engagements, plus their firm's
+   * clients if they are a partner or manager of the firm
+   */
+  async accessibleCompanyIds(user) {
+    return await Engagement.distinct('company', Engagement.accessFilter(user));
+  }
+
+  /**
+   * Current engagements of a CA, with company details
+   */
+  async listForCA(caId, { includeEnded = false, companyFields = 'name industry sizeBand isActive' } = {}) {
+    const query = includeEnded ? { ca: caId } : { ca: caId, ...Engagement.currentFilter() };
+
+    return await Engagement.find(query)
+      .populate('company', companyFields)
+      .populate('grantedBy', 'name email')
+      .sort({ status: 1, role: 1, startDate: -1 });
+  }
+
+  /**
+   * Current client engagements of a firm, with company details
+   */
+  async listForFirm(firmId, { companyFields = 'name industry sizeBand isActive' } = {}) {
+    return await Engagement.find({ firm: firmId, ...Engagement.currentFilter() })
+      .populate('company', companyFields)
+      .populate('grantedBy', 'name email')
+      .sort({ role: 1, startDate: -1 });
+  }
+
+  /**
+   * Current engagements on a company, with CA details
+   */
+  async listForCompany(companyId, { includeEnded = false } = {}) {
+    const query = includeEnded ? { company: companyId } : { company: companyId, ...Engagement.currentFilter() };
+
+    return await Engagement.find(query)
+      .populate('ca', 'name email phone firm')
+      .populate('firm', 'name registrationNumber')
+      .populate('grantedBy', 'name email')
+      .sort({ status: 1, role: 1, startDate: -1 });
+  }
+
+  /**
+   * The company's current lead CA engagement, if any
+   */
+  async leadFor(companyId) {
+    return await Engagement.findOne({ company: companyId, role: 'lead', ...Engagement.currentFilter() });
+  }
+
+  /**
+   * Ids of the users to contact about an engagement: its CA, or the active partners
+   * and managers of its firm
+   */
+  async contactsFor(engagement) {
+    if (engagement.ca) return [engagement.ca];
+
+    const managers = await User.find({
+      firm: engagement.firm,
+      firmRole: { $in: Engagement.FIRM_WIDE_ACCESS_ROLES },
+      isActive: true
+    }).select('_id').lean();
+
+    return managers.map(manager => manager._id);
+  }
+
+  /**
+   * Number of current engagements per role for a CA
+   */
+  async countsForCA(caId) {
+    const counts = await Engagement.aggregate([
+      // Aggregations don't cast ids
+      { $match: { ca: new mongoose.Types.ObjectId(String(caId)), ...Engagement.currentFilter() } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+
+    const byRole = Object.fromEntries(Engagement.ROLES.map(role => [role, 0]));
+    counts.forEach(({ _id, count }) => { byRole[_id] = count; });
+
+    return { ...byRole, total: counts.reduce((total, { count }) => total + count, 0) };
+  }
+
+  /**
+   * Give a CA access to a company, or change the role of an existing engagement.
+   * Making a CA lead demotes the company's previous lead to reviewer (restored if the
+   * grant fails).
+   * Returns { engagement, created, previousRole } (previousRole for existing engagements).
+   */
+  async grant({ caId, companyId, role = 'reviewer', grantedBy, startDate }) {
+    const previousLead = role === 'lead' ? await this._demoteLead(companyId, { ca: { $ne: caId } }) : null;
+
+    const existing = await Engagement.findOne({ ca: caId, company: companyId, status: 'active' });
+    const roleChanged = Boolean(existing) && existing.role !== role;
+    let result;
+
+    try {
+      if (existing) {
+        const previousRole = existing.role;
+        if (roleChanged) {
+          existing.role = role;
+          await existing.save();
+        }
+        result = { engagement: existing, created: false, previousRole };
+      } else {
+        const engagement = await Engagement.create({
+          ca: caId,
+          company: companyId,
+          role,
+          grantedBy,
+          ...(startDate && { startDate })
+        });
+        result = { engagement, created: true };
+      }
+    } catch (error) {
+      await this._restoreLead(previousLead);
+      throw error;
+    }
+
+    // A direct grant answers any open invitation for the same CA and company
+    await Engagement.updateMany(
+      { ca: caId, company: companyId, status: 'pending' },
+      {
+        $set: { status: 'revoked', endDate: new Date(), endedBy: grantedBy, endReason: 'Superseded by a direct assignment' },
+        $unset: { 'invitation.tokenHash': '' }
+      }
+    );
+
+    if (result.created || roleChanged) {
+      await this._notifyAssignment(result.engagement);
+    }
+
+    return result;
+  }
+
+  /**
+   * End a CA's engagement with a company. Returns the ended engagement, or null if there was none.
+   */
+  async end({ caId, companyId, endedBy, reason }) {
+    return await Engagement.findOneAndUpdate(
+      { ca: caId, company: companyId, status: 'active' },
+      { $set: { status: 'ended', endDate: new Date(), endedBy, endReason: reason } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Engage a firm with a company, or change the role of its existing engagement.
+   * Works like grant(); the firm's partners and managers are notified.
+   * Returns { engagement, created, previousRole } (previousRole for existing engagements).
+   */
+  async grantFirm({ firmId, companyId, role = 'reviewer', grantedBy }) {
+    const previousLead = role === 'lead' ? await this._demoteLead(companyId, { firm: { $ne: firmId } }) : null;
+
+    const existing = await Engagement.findOne({ firm: firmId, company: companyId, status: 'active' });
+    const roleChanged = Boolean(existing) && existing.role !== role;
+    let result;
+
+    try {
+      if (existing) {
+        const previousRole = existing.role;
+        if (roleChanged) {
+          existing.role = role;
+          await existing.save();
+        }
+        result = { engagement: existing, created: false, previousRole };
+      } else {
+        const engagement = await Engagement.create({ firm: firmId, company: companyId, role, grantedBy });
+        result = { engagement, created: true };
+      }
+    } catch (error) {
+      await this._restoreLead(previousLead);
+      throw error;
+    }
+
+    if (result.created || roleChanged) {
+      const recipients = await this.contactsFor(result.engagement);
+
+      await Promise.all(recipients.map(userId => this._notify(userId, result.engagement, {
+        type: 'client_added',
+        title: 'New firm client',
+        description: company => `${company} is now a client of your firm (${role})`
+      })));
+    }
+
+    return result;
+  }
+
+  /**
+   * End a firm's engagement with a company, along with the assignments of its members to it.
+   * Returns the ended engagement, or null if there was none.
+   */
+  async endFirm({ firmId, companyId, endedBy, reason }) {
+    const engagement = await Engagement.findOneAndUpdate(
+      { firm: firmId, company: companyId, status: 'active' },
+      { $set: { status: 'ended', endDate: new Date(), endedBy, endReason: reason } },
+      { new: true }
+    );
+
+    if (engagement) {
+      await this.endAll({ assignedByFirm: firmId, company: companyId }, { endedBy, reason: 'Firm engagement ended' });
+    }
+
+    return engagement;
+  }
+
+  /**
+   * Assign one of a firm's clients to a member of the firm. The member gets their own
+   * reviewer engagement, ended again if the firm's engagement ends or they leave the firm.
+   */
+  async assignFirmClient({ firmId, companyId, caId, assignedBy }) {
+    const [firmEngagement, member] = await Promise.all([
+      Engagement.exists({ firm: firmId, company: companyId, ...Engagement.currentFilter() }),
+      User.findOne({ _id: caId, firm: firmId, role: 'CA' }).select('_id')
+    ]);
+
+    if (!firmEngagement) {
+      throw new AppError('Company is not a current client of this firm', 404);
+    }
+    if (!member) {
+      throw new AppError('User is not a CA of this firm', 404);
+    }
+    if (await Engagement.exists({ ca: caId, company: companyId, status: 'active' })) {
+      throw new AppError('CA is already engaged with this company', 400);
+    }
+
+    const engagement = await Engagement.create({
+      ca: caId,
+      company: companyId,
+      role: 'reviewer',
+      assignedByFirm: firmId,
+      grantedBy: assignedBy
+    });
+
+    // The assignment answers any open invitation for the same CA and company
+    await Engagement.updateMany(
+      { ca: caId, company: companyId, status: 'pending' },
+      {
+        $set: { status: 'revoked', endDate: new Date(), endedBy: assignedBy, endReason: 'Superseded by a firm assignment' },
+        $unset: { 'invitation.tokenHash': '' }
+      }
+    );
+
+    await this._notifyAssignment(engagement);
+
+    return engagement;
+  }
+
+  /**
+   * Take a firm client away from a member it was assigned to
+   */
+  async unassignFirmClient({ firmId, companyId, caId, endedBy }) {
+    return await Engagement.findOneAndUpdate(
+      { ca: caId, company: companyId, assignedByFirm: firmId, status: 'active' },
+      { $set: { status: 'ended', endDate: new Date(), endedBy, endReason: 'Unassigned by the firm' } },
+      { new: true }
+    );
+  }
+
+  /**
+   * End every open engagement matching a filter (e.g. all CAs of a deleted company).
+   * Pending invitations matching the filter are revoked.
+   */
+  async endAll(filter, { endedBy, reason } = {}) {
+    const endDate = new Date();
+    const [ended] = await Promise.all([
+      Engagement.updateMany(
+        { ...filter, status: 'active' },
+        { $set: { status: 'ended', endDate, endedBy, endReason: reason } }
+      ),
+      Engagement.updateMany(
+        { ...filter, status: 'pending' },
+        {
+          $set: { status: 'revoked', endDate, endedBy, endReason: reason },
+          $unset: { 'invitation.tokenHash': '' }
+        }
+      )
+    ]);
+    return ended.modifiedCount;
+  }
+
+  /**
+   * Invite a CA to a company. Creates a pending engagement, emails the CA the token and
+   * sends them a company_assigned notification. Returns the engagement.
+   */
+  async invite({ caId, companyId, role = 'reviewer', invitedBy }) {
+    const pending = await Engagement.findOne({ ca: caId, company: companyId, status: 'pending' });
+
+    if (pending && !pending.isInvitationExpired()) {
+      throw new AppError('CA already has a pending invitation to this company. Re-send it instead', 400);
+    }
+    if (pending) {
+      await this._expire(pending);
+    }
+
+    const engagement = new Engagement({
+      ca: caId,
+      company: companyId,
+      role,
+      status: 'pending',
+      grantedBy: invitedBy
+    });
+    const token = engagement.issueInvitationToken(config.caInvitations.ttlMs);
+    await engagement.save();
+
+    await this._notifyInvitation(engagement, token);
+
+    return engagement;
+  }
+
+  /**
+   * Re-send a pending or expired invitation with a new token and expiry.
+   * The previous token stops working.
+   */
+  async resendInvitation({ invitationId, companyId }) {
+    const engagement = await Engagement.findOne({ _id: invitationId, company: companyId });
+
+    if (!engagement || !OPEN_INVITATION_STATUSES.includes(engagement.status)) {
+      throw new AppError('Invitation not found or already answered', 404);
+    }
+
+    if (engagement.status === 'expired') {
+      const [engaged, pending] = await Promise.all([
+        Engagement.exists({ ca: engagement.ca, company: companyId, status: 'active' }),
+        Engagement.exists({ ca: engagement.ca, company: companyId, status: 'pending' })
+      ]);
+      if (engaged) {
+        throw new AppError('CA is already engaged with this company', 400);
+      }
+      if (pending) {
+        throw new AppError('CA already has a newer pending invitation to this company', 400);
+      }
+      engagement.status = 'pending';
+      engagement.endDate = undefined;
+    }
+
+    const token = engagement.issueInvitationToken(config.caInvitations.ttlMs);
+    await engagement.save();
+
+    await this._notifyInvitation(engagement, token);
+
+    return engagement;
+  }
+
+  /**
+   * Withdraw a pending invitation
+   */
+  async revokeInvitation({ invitationId, companyId, revokedBy, reason }) {
+    const engagement = await Engagement.findOne({ _id: invitationId, company: companyId, status: 'pending' });
+
+    if (!engagement) {
+      throw new AppError('Invitation not found or already answered', 404);
+    }
+
+    engagement.status = 'revoked';
+    engagement.endDate = new Date();
+    engagement.endedBy = revokedBy;
+    engagement.endReason = reason;
+    engagement.invitation.tokenHash = undefined;
+    await engagement.save();
+
+    await this._notify(engagement.ca, engagement, {
+      title: 'Invitation withdrawn',
+      description: company => `Your invitation to ${company} has been withdrawn`
+    });
+
+    return engagement;
+  }
+
+  /**
+   * Accept an invitation by its token. Only the invited CA can use the token, and only once.
+   * Accepting as lead demotes the company's current lead to reviewer.
+   */
+  async acceptInvitation({ token, user }) {
+    const pending = await this._findByToken(token, user);
+
+    // An engagement granted meanwhile (e.g. a firm assignment) already answers the invitation
+    if (await Engagement.exists({ ca: pending.ca, company: pending.company, status: 'active' })) {
+      await this._consume(token, user, { status: 'revoked', endDate: new Date(), endReason: 'CA is already engaged with this company' });
+      throw new AppError('You are already engaged with this company', 400);
+    }
+
+    const previousLead = pending.role === 'lead'
+      ? await this._demoteLead(pending.company, { ca: { $ne: pending.ca } })
+      : null;
+
+    const now = new Date();
+    let engagement;
+    try {
+      engagement = await this._consume(token, user, {
+        status: 'active',
+        startDate: now,
+        'invitation.respondedAt': now
+      });
+    } catch (error) {
+      // Used or expired meanwhile: the company keeps its lead
+      await this._restoreLead(previousLead);
+
+      // Engaged by another request in the meantime
+      if (error.code === 11000) throw new AppError('You are already engaged with this company', 400);
+      throw error;
+    }
+
+    await Promise.all([
+      this._notify(engagement.ca, engagement, {
+        type: 'client_added',
+        title: 'New client added',
+        description: company => `${company} is now one of your clients (${engagement.role})`
+      }),
+      this._notify(engagement.grantedBy, engagement, {
+        title: 'CA invitation accepted',
+        description: company => `${user.name} accepted the invitation to ${company}`
+      })
+    ]);
+
+    return engagement;
+  }
+
+  /**
+   * Decline an invitation by its token
+   */
+  async declineInvitation({ token, user, reason }) {
+    await this._findByToken(token, user);
+
+    const now = new Date();
+    const engagement = await this._consume(token, user, {
+      status: 'declined',
+      endDate: now,
+      'invitation.respondedAt': now,
+      'invitation.declineReason': reason
+    });
+
+    await this._notify(engagement.grantedBy, engagement, {
+      title: 'CA invitation declined',
+      description: company => `${user.name} declined the invitation to ${company}${reason ? `: ${reason}` : ''}`
+    });
+
+    return engagement;
+  }
+
+  /**
+   * Invitations sent to a CA (pending by default; status 'all' for every invitation state)
+   */
+  async listInvitationsForCA(caId, { status = 'pending' } = {}) {
+    await this.expireOverdue({ ca: caId });
+
+    return await Engagement.find({ ca: caId, ...this._invitationStatusFilter(status) })
+      .populate('company', 'name industry sizeBand')
+      .populate('grantedBy', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Invitations sent by a company (pending by default; status 'all' for every invitation state)
+   */
+  async listInvitationsForCompany(companyId, { status = 'pending' } = {}) {
+    await this.expireOverdue({ company: companyId });
+
+    return await Engagement.find({ company: companyId, ...this._invitationStatusFilter(status) })
+      .populate('ca', 'name email phone firm')
+      .populate('grantedBy', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Mark pending invitations past their expiry as expired. Returns how many expired.
+   */
+  async expireOverdue(filter = {}) {
+    const overdue = await Engagement.find({
+      ...filter,
+      status: 'pending',
+      'invitation.expiresAt': { $lte: new Date() }
+    });
+
+    for (const engagement of overdue) {
+      await this._expire(engagement);
+    }
+
+    return overdue.length;
+  }
+
+  /**
+   * Look up the pending invitation for a token on behalf of the CA answering it, with
+   * specific errors for another user's or an expired invitation. The answer itself is
+   * written by _consume().
+   */
+  async _findByToken(token, user) {
+    const engagement = await Engagement.findOne({
+      'invitation.tokenHash': Engagement.hashToken(token),
+      status: 'pending'
+    });
+
+    if (!engagement) {
+      throw new AppError('Invitation not found or already answered', 404);
+    }
+
+    if (engagement.ca.toString() !== user._id.toString()) {
+      throw new AppError('This invitation was sent to another user', 403);
+    }
+
+    if (engagement.isInvitationExpired()) {
+      await this._expire(engagement);
+      throw new AppError('Invitation has expired. Ask the company to re-send it', 410);
+    }
+
+    return engagement;
+  }
+
+  /**
+   * Demote the company's current lead to reviewer to make room for a new one (a company
+   * can only have one active lead). Returns the demoted engagement, or null if there was none.
+   */
+  async _demoteLead(companyId, exclude) {
+    return await Engagement.findOneAndUpdate(
+      { company: companyId, role: 'lead', status: 'active', ...exclude },
+      { $set: { role: 'reviewer' } }
+    );
+  }
+
+  /**
+   * Make a lead demoted by _demoteLead() lead again, when the new lead could not be written
+   */
+  async _restoreLead(previousLead) {
+    if (!previousLead) return;
+
+    try {
+      await Engagement.updateOne(
+        { _id: previousLead._id, role: 'reviewer', status: 'active' },
+        { $set: { role: 'lead' } }
+      );
+    } catch (error) {
+      // Another lead was appointed meanwhile; it stays
+      if (error.code !== 11000) {
+        console.error(`Failed to restore lead engagement ${previousLead._id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Answer the pending invitation for a token in a single update, so a token works only
+   * once even if two requests use it at the same time
+   */
+  async _consume(token, user, $set) {
+    const engagement = await Engagement.findOneAndUpdate(
+      {
+        'invitation.tokenHash': Engagement.hashToken(token),
+        ca: user._id,
+        status: 'pending',
+        'invitation.expiresAt': { $gt: new Date() }
+      },
+      { $set, $unset: { 'invitation.tokenHash': '' } },
+      { new: true }
+    );
+
+    if (!engagement) {
+      throw new AppError('Invitation not found or already answered', 404);
+    }
+
+    return engagement;
+  }
+
+  async _expire(engagement) {
+    engagement.status = 'expired';
+    engagement.endDate = engagement.invitation.expiresAt;
+    engagement.invitation.tokenHash = undefined;
+    await engagement.save();
+
+    await this._notify(engagement.grantedBy, engagement, {
+      title: 'CA invitation expired',
+      description: company => `An invitation to ${company} expired without a response`
+    });
+  }
+
+  /**
+   * Email the token to the CA (the only place it is kept) and tell them in-app without it
+   */
+  async _notifyInvitation(engagement, token) {
+    const [ca, company] = await Promise.all([
+      User.findById(engagement.ca).select('name email').lean(),
+      Company.findById(engagement.company).select('name').lean()
+    ]);
+
+    try {
+      await mailService.send('ca_invitation', ca.email, {
+        name: ca.name,
+        company: company?.name || 'a company',
+        role: engagement.role,
+        link: mailService.linkTo('/ca/invitations', token),
+        expiresIn: mailService.describeDuration(engagement.invitation.expiresAt - Date.now())
+      });
+    } catch (error) {
+      console.error('Invitation email error:', error);
+    }
+
+    await this._notify(engagement.ca, engagement, {
+      title: engagement.invitation.sendCount > 1 ? 'Invitation re-sent' : 'New company invitation',
+      description: company => `You have been invited to ${company} as ${engagement.role}. Use the link in the invitation email to answer it by ${engagement.invitation.expiresAt.toISOString().slice(0, 10)}`,
+      link: '/ca/invitations',
+      metadata: { expiresAt: engagement.invitation.expiresAt }
+    });
+  }
+
+  async _notifyAssignment(engagement) {
+    await this._notify(engagement.ca, engagement, {
+      title: 'Company assigned',
+      description: company => `You have been assigned to ${company} as ${engagement.role}`
+    });
+  }
+
+  /**
+   * Send an engagement notification. A failed notification never undoes the transition.
+   */
+  async _notify(userId, engagement, { type = 'company_assigned', title, description, link, metadata = {} }) {
+    if (!userId) return;
+
+    try {
+      const company = await Company.findById(engagement.company).select('name').lean();
+
+      await createNotification(userId, {
+        type,
+        title,
+        description: description(company?.name || 'a company'),
+        link,
+        metadata: {
+          engagementId: engagement._id,
+          companyId: engagement.company,
+          caId: engagement.ca,
+          firmId: engagement.firm,
+          role: engagement.role,
+          status: engagement.status,
+          ...metadata
+        }
+      });
+    } catch (error) {
+      console.error('Engagement notification error:', error);
+    }
+  }
+
+  _invitationStatusFilter(status) {
+    if (status === 'all') {
+      // Every engagement that came from an invitation
+      return { 'invitation.sendCount': { $gt: 0 } };
+    }
+    return { status, 'invitation.sendCount': { $gt: 0 } };
+  }
+}
+
+module.exports = new EngagementService();
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { createNotification } = require('../controllers/notification.controller');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const minutesFrom = (ms) => Math.max(1, Math.ceil(ms / 60000));
+
+/**
+ * Brute-force protection for sign-in, and alerts for unusual sign-ins.
+ *
+ * Failed attempts are counted per account (by email, whether or not it exists) and per
+ * IP within a rolling window. After a few free failures each further one delays the
+ * next attempt (doubling up to a cap); enough failures lock the account or IP for a
+ * while, and only an admin can lift a lockout early. Lockouts and sign-ins from a
+ * device the user has not used before are sent to the user as `security` notifications.
+ */
+class LoginProtectionService {
+  /**
+   * Throw a 429 (with retryAfter seconds) if the account or IP may not attempt a sign-in yet
+   */
+  async assertAllowed({ email, ip }) {
+    const now = new Date();
+    const records = await LoginThrottle.find({
+      $or: [
+        { scope: 'account', key: normalizeEmail(email) },
+        ...(ip ? [{ scope: 'ip', key: ip }] : [])
+      ]
+    });
+
+    for (const record of records) {
+      if (record.isLocked(now)) {
+        throw this._tooMany(
+          record.scope === 'ip'
+            ? `Too many failed sign-in attempts from this network. Try again in ${minutesFrom(record.lockedUntil - now)} minute(s)`
+            : `This account is temporarily locked after too many failed sign-in attempts. Try again in ${minutesFrom(record.lockedUntil - now)} minute(s) or contact an administrator`,
+          record.lockedUntil - now
+        );
+      }
+    }
+
+    for (const record of records) {
+      if (record.nextAttemptAt && record.nextAttemptAt > now) {
+        const waitMs = record.nextAttemptAt - now;
+        throw this._tooMany(`Too many failed sign-in attempts. Try again in ${Math.ceil(waitMs / 1000)} second(s)`, waitMs);
+      }
+    }
+  }
+
+  /**
+   * Count a failed sign-in (wrong password, unknown email or wrong 2FA code) against the account and IP
+   */
+  async recordFailure({ email, ip, user }) {
+    const key = normalizeEmail(email);
+    const { accountMaxFailures, ipMaxFailures } = config.loginProtection;
+
+    const account = await this._addFailure('account', key, { ip, user });
+    await this._applyPenalty(account, accountMaxFailures, { delay: true });
+
+    if (ip) {
+      const address = await this._addFailure('ip', ip, { ip });
+      await this._applyPenalty(address, ipMaxFailures, { delay: false });
+    }
+  }
+
+  /**
+   * A successful sign-in clears the account's failures (the IP's stay until they age out)
+   * and remembers the device. Returns true if the device was new to a user who had signed
+   * in before, in which case they are told about it.
+   */
+  async recordSuccess(user, { userAgent, ip } = {}) {
+    await LoginThrottle.deleteOne({ scope: 'account', key: normalizeEmail(user.email) });
+
+    return await this._rememberDevice(user, { userAgent, ip });
+  }
+
+  /**
+   * Accounts and IPs that are locked right now
+   */
+  async listLockouts() {
+    return await LoginThrottle.find({ lockedUntil: { $gt: new Date() } })
+      .populate('user', 'name email role')
+      .sort({ lockedUntil: -1 });
+  }
+
+  /**
+   * Lift a lockout (and its failures) by id. Returns the removed record, or null.
+   */
+  async unlock(lockoutId) {
+    return await LoginThrottle.findByIdAndDelete(lockoutId);
+  }
+
+  /**
+   * Lift any lockout and delay on a user's account. Returns whether there was one.
+   */
+  async unlockUser(user) {
+    const { deletedCount } = await LoginThrottle.deleteMany({
+      scope: 'account',
+      $or: [{ key: normalizeEmail(user.email) }, { user: user._id }]
+    });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Add one failure, starting a new count if the previous failure is outside the window
+   */
+  async _addFailure(scope, key, { ip, user }) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - config.loginProtection.windowMs);
+    const stale = { $or: [{ $lt: ['$lastFailureAt', windowStart] }, { $eq: [{ $type: '$lastFailureAt' }, 'missing'] }] };
+
+    return await LoginThrottle.findOneAndUpdate(
+      { scope, key },
+      [
+        {
+          $set: {
+            failures: { $cond: [stale, 1, { $add: ['$failures', 1] }] },
+            firstFailureAt: { $cond: [stale, now, '$firstFailureAt'] },
+            lastFailureAt: now,
+            lastFailureIp: { $literal: ip || null },
+            user: user ? user._id : '$user',
+            lockouts: { $ifNull: ['$lockouts', 0] },
+            expiresAt: {
+              $max: [new Date(now.getTime() + config.loginProtection.windowMs), { $ifNull: ['$lockedUntil', now] }]
+            }
+          }
+        }
+      ],
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Delay the next attempt or lock the record, depending on how many failures it has
+   */
+  async _applyPenalty(record, maxFailures, { delay }) {
+    const { freeAttempts, delayBaseMs, delayMaxMs, lockoutMs } = config.loginProtection;
+    const now = new Date();
+
+    if (record.failures >= maxFailures) {
+      const lockedUntil = new Date(now.getTime() + lockoutMs);
+      const locked = await LoginThrottle.findOneAndUpdate(
+        { _id: record._id, failures: record.failures },
+        {
+          $set: { lockedUntil, failures: 0, nextAttemptAt: null, expiresAt: lockedUntil },
+          $inc: { lockouts: 1 }
+        },
+        { new: true }
+      );
+
+      if (locked && locked.scope === 'account' && locked.user) {
+        await this._notify(locked.user, {
+          title: 'Your account was temporarily locked',
+          description: `Sign-in to your account was locked until ${lockedUntil.toUTCString()} after ${maxFailures} failed attempts${record.lastFailureIp ? ` (latest from ${record.lastFailureIp})` : ''}. If this wasn't you, reset your password.`,
+          link: '/forgot-password',
+          metadata: { lockedUntil, ip: record.lastFailureIp }
+        });
+      }
+      return;
+    }
+
+    if (delay && record.failures > freeAttempts) {
+      const waitMs = Math.min(delayBaseMs * 2 ** (record.failures - freeAttempts - 1), delayMaxMs);
+      await LoginThrottle.updateOne(
+        { _id: record._id },
+        { $set: { nextAttemptAt: new Date(now.getTime() + waitMs) } }
+      );
+    }
+  }
+
+  async _rememberDevice(user, { userAgent, ip }) {
+    if (!userAgent) return false;
+
+    const fingerprint = crypto.createHash('sha256').update(userAgent).digest('hex');
+    const now = new Date();
+
+    const { matchedCount } = await User.updateOne(
+      { _id: user._id, 'knownDevices.fingerprint': fingerprint },
+      { $set: { 'knownDevices.$.lastSeenAt': now, 'knownDevices.$.lastIp': ip } }
+    );
+    if (matchedCount === 1) return false;
+
+    // Unknown device: remember it, keeping only the most recently used ones
+    const before = await User.findOneAndUpdate(
+      { _id: user._id },
+      {
+        $push: {
+          knownDevices: {
+            $each: [{ fingerprint, userAgent, lastIp: ip, firstSeenAt: now, lastSeenAt: now }],
+            $sort: { lastSeenAt: -1 },
+            $slice: config.loginProtection.knownDevices
+          }
+        }
+      }
+    ).select('+knownDevices');
+
+    // The first device an account is used from is not news
+    if (!before || !before.knownDevices || before.knownDevices.length === 0) return false;
+
+    await this._notify(user._id, {
+      title: 'New sign-in to your account',
+      description: `Your account was signed in from a new device (${userAgent})${ip ? ` at ${ip}` : ''}. If this wasn't you, sign that session out and change your password.`,
+      link: '/profile/sessions',
+      metadata: { userAgent, ip }
+    });
+    return true;
+  }
+
+  _tooMany(message, retryAfterMs) {
+    const error = new AppError(message, 429);
+    error.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    return error;
+  }
+
+  /**
+   * Send a security notification. A failed notification never blocks sign-in.
+   */
+  async _notify(userId, { title, description, link, metadata }) {
+    try {
+      await createNotification(userId, { type: 'security', title, description, link, metadata });
+    } catch (error) {
+      console.error('Security notification error:', error);
+    }
+  }
+}
+
+module.exports = new LoginProtectionService();
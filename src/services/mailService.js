@@ -0,0 +1,138 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+const { MAIL_TEMPLATES } = require('../config/mailTemplates');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const fill = (template, values, escape = (value) => value) =>
+  template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (values[key] === undefined ? '' : escape(values[key])));
+
+/**
+ * Built-in transports. A transport is an object with `async send(message)`, where
+ * message is { from, to, subject, text, html, template }.
+ */
+const TRANSPORTS = {
+  smtp: () => {
+    const { host, port, secure, user, pass } = config.mail.smtp;
+    const transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user && { auth: { user, pass } }),
+    });
+    return {
+      send: async ({ template, ...message }) => transporter.sendMail(message),
+    };
+  },
+
+  // One JSON file per message, for inspecting mail locally
+  file: () => ({
+    send: async (message) => {
+      await fs.mkdir(config.mail.fileDir, { recursive: true });
+      const file = path.join(config.mail.fileDir, `${Date.now()}-${message.template || 'message'}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      return { file };
+    },
+  }),
+
+  // Development only: messages carry live reset and verification links
+  console: () => {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The console mail transport is not allowed in production; use smtp');
+    }
+    return {
+      send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      },
+    };
+  },
+
+  // Kept in mailService.outbox
+  memory: (service) => ({
+    send: async (message) => {
+      service.outbox.push({ ...message, sentAt: new Date() });
+    },
+  }),
+};
+
+/**
+ * Renders templated emails (config/mailTemplates.js) and hands them to the configured
+ * transport (MAIL_TRANSPORT). Other transports can be plugged in with setTransport().
+ */
+class MailService {
+  constructor() {
+    this.outbox = [];
+    this.transport = null;
+  }
+
+  /**
+   * Render and send a template to one recipient
+   */
+  async send(template, to, values = {}) {
+    const message = this.render(template, values);
+    return await this._transport().send({ from: config.mail.from, to, ...message, template });
+  }
+
+  /**
+   * Subject, text and html of a template filled with values
+   */
+  render(template, values = {}) {
+    const definition = MAIL_TEMPLATES[template];
+    if (!definition) {
+      throw new Error(`Unknown mail template: ${template}`);
+    }
+
+    return {
+      subject: fill(definition.subject, values),
+      text: fill(definition.text, values),
+      html: fill(definition.html, values, escapeHtml),
+    };
+  }
+
+  /**
+   * Frontend link carrying a single-use token
+   */
+  linkTo(path, token) {
+    return `${config.mail.appUrl.replace(/\/$/, '')}${path}?token=${token}`;
+  }
+
+  /**
+   * Human-readable duration for emails ("48 hours", "30 minutes")
+   */
+  describeDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+    const days = Math.round(hours / 24);
+    return `${days} days`;
+  }
+
+  /**
+   * Use a built-in transport by name, or a custom { send(message) } object
+   */
+  setTransport(transport) {
+    if (typeof transport === 'string') {
+      if (!TRANSPORTS[transport]) {
+        throw new Error(`Unknown mail transport: ${transport}. Valid transports: ${Object.keys(TRANSPORTS).join(', ')}`);
+      }
+      this.transport = TRANSPORTS[transport](this);
+    } else {
+      this.transport = transport;
+    }
+    return this.transport;
+  }
+
+  _transport() {
+    return this.transport || this.setTransport(config.mail.transport);
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,221 @@
+const MetricDefinition = require('../models/MetricDefinition');
+const {
+  METRIC_CATALOGUE,
+  POLARITIES,
+  getMetricDefinition,
+  resolveSignificanceThreshold
+} = require('../config/metricCatalogue');
+
+const GRADES = ['excellent', 'good', 'fair', 'poor'];
+
+// How long custom definitions are cached before being re-read (other replicas may have changed them)
+const CACHE_TTL_MS = 60 * 1000;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Registry of every metric the backend understands: the built-in catalogue plus custom
+ * metrics (e.g. NPA ratio for NBFCs) stored as MetricDefinition documents.
+ * Benchmark metric definitions are validated against it.
+ */
+class MetricRegistry {
+  constructor() {
+    this.custom = new Map();
+    this.aliases = new Map();
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Load custom definitions. Call before the synchronous lookups below.
+   */
+  async load({ force = false } = {}) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this;
+    }
+
+    const definitions = await MetricDefinition.find().lean();
+    this.custom = new Map();
+    this.aliases = new Map();
+
+    definitions.forEach(definition => {
+      this.custom.set(definition.key, definition);
+      this.aliases.set(definition.key, definition.key);
+      (definition.aliases || []).forEach(alias => this.aliases.set(alias, definition.key));
+    });
+
+    this.loadedAt = Date.now();
+    return this;
+  }
+
+  /**
+   * Drop the cache after custom definitions change
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Look up a metric by key or alias. Built-in metrics take precedence over custom ones.
+   */
+  get(name) {
+    if (name === undefined || name === null) return null;
+
+    const builtIn = getMetricDefinition(name);
+    if (builtIn) return builtIn;
+
+    const key = this.aliases.get(String(name).toLowerCase());
+    if (!key) return null;
+
+    const definition = this.custom.get(key);
+    return {
+      key,
+      label: definition.label,
+      description: definition.description,
+      category: definition.category,
+      unit: definition.unit,
+      polarity: definition.polarity,
+      aliases: definition.aliases || [],
+      builtIn: false,
+      significanceThreshold: resolveSignificanceThreshold(key, definition)
+    };
+  }
+
+  /**
+   * All known metrics, built-in first
+   */
+  list() {
+    return [
+      ...Object.keys(METRIC_CATALOGUE).map(key => this.get(key)),
+      ...[...this.custom.keys()].sort().map(key => this.get(key))
+    ];
+  }
+
+  /**
+   * Metrics a benchmark grades: the built-in ratio groups plus its custom metric definitions.
+   * A custom definition for a built-in metric overrides the group thresholds.
+   * Peer-group benchmarks only grade the metrics computed for their cohort.
+   */
+  getBenchmarkMetrics(benchmark) {
+    const metrics = new Map();
+
+    Object.entries(METRIC_CATALOGUE).forEach(([key, definition]) => {
+      if (!definition.benchmarkPath || benchmark.type === 'peer_group') return;
+
+      const thresholds = getPath(benchmark, definition.benchmarkPath);
+      if (!thresholds || GRADES.every(grade => !Number.isFinite(thresholds[grade]))) return;
+
+      metrics.set(key, {
+        key,
+        label: definition.label,
+        category: definition.category,
+        unit: definition.unit,
+        polarity: definition.polarity,
+        thresholds: GRADES.reduce((result, grade) => ({ ...result, [grade]: thresholds[grade] }), {}),
+        source: definition.benchmarkPath
+      });
+    });
+
+    (benchmark.metrics || []).forEach(metric => {
+      const definition = this.get(metric.key);
+      metrics.set(metric.key, {
+        key: metric.key,
+        label: metric.label || definition?.label || metric.key,
+        category: metric.category || definition?.category || 'other',
+        unit: metric.unit || definition?.unit || '',
+        polarity: metric.polarity || definition?.polarity,
+        thresholds: GRADES.reduce((result, grade) => ({ ...result, [grade]: metric.thresholds?.[grade] }), {}),
+        source: `metrics.${metric.key}`
+      });
+    });
+
+    return [...metrics.values()];
+  }
+
+  /**
+   * Validate and normalise benchmark metric definitions against the registry.
+   * Returns { metrics, errors }; label, category, unit and polarity default to the registry's.
+   */
+  validateBenchmarkMetrics(metrics) {
+    const errors = [];
+    const normalized = [];
+    const seen = new Set();
+
+    if (!Array.isArray(metrics)) {
+      return { metrics: [], errors: ['metrics must be an array'] };
+    }
+
+    metrics.forEach((metric, index) => {
+      const at = `metrics[${index}]`;
+
+      if (!isPlainObject(metric) || !metric.key) {
+        errors.push(`${at}.key is required`);
+        return;
+      }
+
+      const definition = this.get(metric.key);
+      if (!definition) {
+        errors.push(`${at}.key "${metric.key}" is not a registered metric`);
+        return;
+      }
+
+      if (seen.has(definition.key)) {
+        errors.push(`${at}.key "${definition.key}" is defined more than once`);
+        return;
+      }
+      seen.add(definition.key);
+
+      const polarity = metric.polarity || definition.polarity;
+      if (!POLARITIES.includes(polarity)) {
+        errors.push(`${at}.polarity must be one of: ${POLARITIES.join(', ')}`);
+        return;
+      }
+      if (polarity === 'neutral') {
+        errors.push(`${at}: "${definition.key}" is neutral and cannot be graded; set polarity explicitly`);
+        return;
+      }
+
+      const thresholds = {};
+      const supplied = isPlainObject(metric.thresholds) ? metric.thresholds : {};
+      GRADES.forEach(grade => {
+        const value = supplied[grade];
+        if (value === undefined || value === null || value === '') return;
+        if (!Number.isFinite(Number(value))) {
+          errors.push(`${at}.thresholds.${grade} must be a number`);
+          return;
+        }
+        thresholds[grade] = Number(value);
+      });
+
+      if (Object.keys(thresholds).length === 0) {
+        errors.push(`${at}.thresholds must set at least one of: ${GRADES.join(', ')}`);
+        return;
+      }
+
+      // Thresholds must get worse from excellent to poor in the metric's direction
+      const ordered = GRADES.filter(grade => grade in thresholds).map(grade => thresholds[grade]);
+      const monotonic = ordered.every((value, i) => i === 0 || (polarity === 'higher_is_better'
+        ? value <= ordered[i - 1]
+        : value >= ordered[i - 1]));
+      if (!monotonic) {
+        errors.push(`${at}.thresholds must ${polarity === 'higher_is_better' ? 'decrease' : 'increase'} from excellent to poor for a ${polarity} metric`);
+        return;
+      }
+
+      normalized.push({
+        key: definition.key,
+        label: metric.label || definition.label,
+        category: metric.category || definition.category,
+        unit: metric.unit || definition.unit,
+        polarity,
+        thresholds
+      });
+    });
+
+    return { metrics: normalized, errors };
+  }
+}
+
+module.exports = new MetricRegistry();
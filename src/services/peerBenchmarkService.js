@@ -0,0 +1,302 @@
+const Analysis = require('../models/Analysis');
+const Benchmark = require('../models/Benchmark');
+const Company = require('../models/Company');
+const benchmarkGradingService = require('./benchmarkGradingService');
+const benchmarkVersionService = require('./benchmarkVersionService');
+const metricRegistry = require('./metricRegistry');
+const { buildMetricSeries } = require('../utils/metricSeries');
+const { SIZE_BANDS, TURNOVER_FIELDS, sizeBandForTurnover } = require('../utils/companySize');
+const config = require('../config/config');
+
+const ALL_SIZES = 'all';
+const GENERAL_INDUSTRY = 'General';
+
+const ANALYSIS_FIELDS = [
+  'analysisId',
+  'company',
+  'createdAt',
+  'completedAt',
+  'consolidatedData.company_information',
+  'consolidatedData.calculated_metrics',
+  'consolidatedData.comprehensive_financial_metrics',
+  'consolidatedData.standardized_fields'
+].join(' ');
+
+/**
+ * Linear-interpolated percentile of a sorted array
+ */
+const percentile = (sorted, p) => {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  return parseFloat(value.toFixed(4));
+};
+
+const normalizeIndustry = (industry) => {
+  if (typeof industry !== 'string' || !industry.trim()) return GENERAL_INDUSTRY;
+  return industry.trim().replace(/\s+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+};
+
+/**
+ * Derives anonymised percentile benchmarks per industry and size band from the latest
+ * completed analysis of every active company. Only aggregates are stored; groups and
+ * metrics with fewer companies than the minimum cohort size are never published.
+ */
+class PeerBenchmarkService {
+  constructor() {
+    this.refreshTimer = null;
+    this.running = false;
+  }
+
+  /**
+   * Recompute all peer-group benchmarks
+   */
+  async computePeerBenchmarks() {
+    if (this.running) {
+      return { skipped: true };
+    }
+    this.running = true;
+
+    try {
+      await metricRegistry.load({ force: true });
+
+      const groups = await this._collectCohorts();
+      const minCohortSize = config.peerBenchmarks.minCohortSize;
+      const published = [];
+      const suppressed = [];
+
+      for (const group of groups.values()) {
+        if (group.companies < minCohortSize) {
+          suppressed.push(await this._suppress(group));
+          continue;
+        }
+
+        const benchmark = await this._publish(group, minCohortSize);
+        (benchmark ? published : suppressed).push(benchmark || await this._suppress(group));
+      }
+
+      // Groups that no longer have any companies
+      const stale = await Benchmark.find({
+        type: 'peer_group',
+        'peerGroup.status': 'active',
+        _id: { $nin: published.filter(Boolean).map(benchmark => benchmark._id) }
+      });
+      for (const benchmark of stale) {
+        benchmark.peerGroup.status = 'suppressed';
+        await benchmark.save();
+        suppressed.push(benchmark);
+      }
+
+      return {
+        groups: groups.size,
+        published: published.length,
+        suppressed: suppressed.filter(Boolean).length,
+        minCohortSize
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the periodic refresh
+   */
+  startScheduler() {
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setInterval(() => {
+      this.computePeerBenchmarks().catch(err => {
+        console.error('Peer benchmark refresh failed:', err);
+      });
+    }, config.peerBenchmarks.refreshIntervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    this.refreshTimer.unref();
+  }
+
+  stopScheduler() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Group the latest analysis of each active company by industry and size band.
+   * Every company also counts towards its industry-wide and the General cohorts.
+   */
+  async _collectCohorts() {
+    const activeCompanies = new Map(
+      (await Company.find({ isActive: true }).select('industry sizeBand').lean())
+        .map(company => [company._id.toString(), company])
+    );
+
+    const latest = await Analysis.aggregate([
+      { $match: { status: 'completed' } },
+      { $sort: { completedAt: -1, createdAt: -1 } },
+      { $group: { _id: '$company', analysis: { $first: '$_id' } } }
+    ]);
+
+    const analysisIds = latest
+      .filter(entry => activeCompanies.has(entry._id.toString()))
+      .map(entry => entry.analysis);
+
+    const groups = new Map();
+    const cursor = Analysis.find({ _id: { $in: analysisIds } }).select(ANALYSIS_FIELDS).lean().cursor();
+
+    for await (const analysis of cursor) {
+      // Cursors skip the model's decryption hooks
+      await Analysis.decryptFields(analysis);
+      const { industry, sizeBand } = this._classify(analysis, activeCompanies.get(analysis.company.toString()));
+      const values = this._metricValues(analysis);
+
+      const keys = new Set([
+        [industry, ALL_SIZES],
+        [GENERAL_INDUSTRY, ALL_SIZES],
+        ...(sizeBand ? [[industry, sizeBand], [GENERAL_INDUSTRY, sizeBand]] : [])
+      ].map(([groupIndustry, band]) => `${groupIndustry}|${band}`));
+
+      keys.forEach(key => {
+        const [groupIndustry, band] = key.split('|');
+        const group = groups.get(key) || { industry: groupIndustry, sizeBand: band, companies: 0, values: {} };
+        group.companies += 1;
+        Object.entries(values).forEach(([metric, value]) => {
+          (group.values[metric] = group.values[metric] || []).push(value);
+        });
+        groups.set(key, group);
+      });
+    }
+
+    return groups;
+  }
+
+  /**
+   * Industry and size band from the company profile, falling back to what the analysis reports
+   */
+  _classify(analysis, company = {}) {
+    const companyInfo = analysis.consolidatedData?.company_information || {};
+    const profileIndustry = company.industry && company.industry !== GENERAL_INDUSTRY ? company.industry : null;
+
+    return {
+      industry: profileIndustry || normalizeIndustry(companyInfo.industry || companyInfo.sector),
+      sizeBand: company.sizeBand || sizeBandForTurnover(this._turnover(analysis))
+    };
+  }
+
+  _turnover(analysis) {
+    const { series } = buildMetricSeries([analysis], { sections: ['standardized_fields'] });
+    const fields = Object.entries(series.standardized_fields);
+
+    for (const field of TURNOVER_FIELDS) {
+      const match = fields.find(([name]) => name.split('.').pop() === field);
+      const point = match?.[1].points.filter(p => p.available).pop();
+      if (point) return point.value;
+    }
+
+    return null;
+  }
+
+  _metricValues(analysis) {
+    const values = {};
+    Object.entries(benchmarkGradingService.collectMetricValues(analysis)).forEach(([key, found]) => {
+      const definition = metricRegistry.get(key);
+      if (!definition || definition.polarity === 'neutral') return;
+
+      const value = benchmarkGradingService.toBenchmarkUnit(found.value, found.unit, definition.unit);
+      if (value !== null) values[key] = value;
+    });
+    return values;
+  }
+
+  async _publish(group, minCohortSize) {
+    const percentiles = {};
+    const metrics = [];
+
+    Object.entries(group.values).forEach(([key, values]) => {
+      // Per-metric privacy guard: a metric only a few companies report could identify them
+      if (values.length < minCohortSize) return;
+
+      const sorted = [...values].sort((a, b) => a - b);
+      const stats = {
+        count: sorted.length,
+        p25: percentile(sorted, 25),
+        p50: percentile(sorted, 50),
+        p75: percentile(sorted, 75),
+        p90: percentile(sorted, 90)
+      };
+      percentiles[key] = stats;
+
+      const definition = metricRegistry.get(key);
+      metrics.push({
+        key,
+        label: definition.label,
+        category: definition.category,
+        unit: definition.unit,
+        polarity: definition.polarity,
+        // Top decile is excellent; below the bottom quartile is critical
+        thresholds: definition.polarity === 'higher_is_better'
+          ? { excellent: stats.p90, good: stats.p75, fair: stats.p50, poor: stats.p25 }
+          : { excellent: stats.p25, good: stats.p50, fair: stats.p75, poor: stats.p90 }
+      });
+    });
+
+    if (metrics.length === 0) return null;
+
+    const sizeLabel = group.sizeBand === ALL_SIZES
+      ? 'all sizes'
+      : SIZE_BANDS.find(band => band.key === group.sizeBand).label;
+    const details = {
+      name: `Peer group: ${group.industry} (${sizeLabel})`,
+      description: `Percentile benchmark derived from ${group.companies} companies on the platform`,
+      industry: group.industry,
+      metrics
+    };
+    const peerGroup = {
+      sizeBand: group.sizeBand,
+      status: 'active',
+      cohortSize: group.companies,
+      percentiles,
+      computedAt: new Date()
+    };
+
+    const existing = await Benchmark.findOne({
+      type: 'peer_group',
+      industry: group.industry,
+      'peerGroup.sizeBand': group.sizeBand
+    });
+
+    if (existing) {
+      existing.peerGroup = peerGroup;
+      await benchmarkVersionService.applyUpdate(existing, details, {
+        changeNote: `Recomputed from ${group.companies} companies`
+      });
+      return existing;
+    }
+
+    try {
+      const benchmark = await Benchmark.create({
+        ...details,
+        type: 'peer_group',
+        isDefault: false,
+        peerGroup
+      });
+      await benchmarkVersionService.recordInitialVersion(benchmark, null, `Computed from ${group.companies} companies`);
+      return benchmark;
+    } catch (error) {
+      // Another replica created this group concurrently
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  async _suppress(group) {
+    return await Benchmark.findOneAndUpdate(
+      { type: 'peer_group', industry: group.industry, 'peerGroup.sizeBand': group.sizeBand },
+      { $set: { 'peerGroup.status': 'suppressed', 'peerGroup.cohortSize': group.companies, 'peerGroup.computedAt': new Date() } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new PeerBenchmarkService();
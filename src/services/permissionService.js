@@ -0,0 +1,75 @@
+const Role = require('../models/Role');
+const { PERMISSION_KEYS, ROLE_PERMISSIONS } = require('../config/permissions');
+
+// How long custom roles are cached before being re-read (other replicas may have changed them)
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Resolves the permissions a user holds: the bundle of their built-in role, or of their
+ * custom role when one is assigned. Super Admins always hold every permission.
+ */
+class PermissionService {
+  constructor() {
+    this.roles = new Map();
+  }
+
+  /**
+   * Set of permission keys granted to a user
+   */
+  async permissionsFor(user) {
+    if (!user) return new Set();
+    if (user.role === 'SUPER_ADMIN') return new Set(PERMISSION_KEYS);
+
+    const customRoleId = user.customRole?._id || user.customRole;
+    if (customRoleId) {
+      const role = await this._loadRole(customRoleId);
+      // A role that no longer exists or no longer matches falls back to the built-in bundle
+      if (role && role.baseRole === user.role) {
+        return new Set(role.permissions);
+      }
+    }
+
+    return new Set(ROLE_PERMISSIONS[user.role] || []);
+  }
+
+  /**
+   * Whether a user holds every given permission
+   */
+  async hasPermission(user, ...permissions) {
+    const granted = await this.permissionsFor(user);
+    return permissions.every(permission => granted.has(permission));
+  }
+
+  /**
+   * The given permissions a user does not hold (e.g. to stop them granting more than they have)
+   */
+  async missingPermissions(user, permissions = []) {
+    const granted = await this.permissionsFor(user);
+    return permissions.filter(permission => !granted.has(permission));
+  }
+
+  /**
+   * Drop a cached custom role after it changes (or all of them)
+   */
+  invalidate(roleId) {
+    if (roleId) {
+      this.roles.delete(String(roleId));
+    } else {
+      this.roles.clear();
+    }
+  }
+
+  async _loadRole(roleId) {
+    const key = String(roleId);
+    const cached = this.roles.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.role;
+    }
+
+    const role = await Role.findById(roleId).select('baseRole permissions').lean();
+    this.roles.set(key, { role, loadedAt: Date.now() });
+    return role;
+  }
+}
+
+module.exports = new PermissionService();
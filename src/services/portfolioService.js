@@ -0,0 +1,181 @@
+const Analysis = require('../models/Analysis');
+const Document = require('../models/Document');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Dashboard analytics over a portfolio of client companies: a CA's clients,
+ * or all clients of a firm.
+ */
+class PortfolioService {
+  /**
+   * Build the dashboard for a list of engagements (with company populated).
+   * A company reached through several engagements counts once, in the first one's role.
+   */
+  async dashboard(engagements) {
+    const seen = new Set();
+    const assignedCompanies = [];
+    engagements.forEach(engagement => {
+      if (!engagement.company || seen.has(String(engagement.company._id))) return;
+      seen.add(String(engagement.company._id));
+      assignedCompanies.push({
+        ...engagement.company.toObject(),
+        engagementRole: engagement.role,
+        engagementStart: engagement.startDate
+      });
+    });
+
+    const companyIds = assignedCompanies.map(c => c._id);
+
+    // Get counts and metrics
+    const [
+      totalAnalyses,
+      completedAnalyses,
+      processingAnalyses,
+      failedAnalyses,
+      totalDocuments,
+      recentDocuments,
+      recentAnalyses
+    ] = await Promise.all([
+      // Total analyses for the portfolio
+      Analysis.countDocuments({ company: { $in: companyIds } }),
+
+      // Completed analyses
+      Analysis.countDocuments({ company: { $in: companyIds }, status: 'completed' }),
+
+      // Processing analyses (queued, sent or processing)
+      Analysis.countDocuments({ company: { $in: companyIds }, status: { $in: Analysis.IN_FLIGHT_STATUSES } }),
+
+      // Failed analyses (failed or timed out)
+      Analysis.countDocuments({ company: { $in: companyIds }, status: { $in: Analysis.FAILED_STATUSES } }),
+
+      // Total documents
+      Document.countDocuments({ company: { $in: companyIds } }),
+
+      // Recent documents (last 7 days)
+      Document.countDocuments({
+        company: { $in: companyIds },
+        createdAt: { $gte: new Date(Date.now() - 7 * DAY_MS) }
+      }),
+
+      // Recent analyses (last 30 days)
+      Analysis.countDocuments({
+        company: { $in: companyIds },
+        createdAt: { $gte: new Date(Date.now() - 30 * DAY_MS) }
+      })
+    ]);
+
+    // Engagements started this month
+    const monthStart = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+    const newCompaniesThisMonth = assignedCompanies
+      .filter(company => company.engagementStart >= monthStart)
+      .length;
+
+    // Get recent activities (last 10)
+    const recentActivitiesData = await Analysis.find({ company: { $in: companyIds } })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .populate('company', 'name')
+      .select('analysisId company status createdAt completedAt')
+      .lean();
+
+    // Format activities
+    const recentActivities = recentActivitiesData.map(analysis => ({
+      type: 'analysis',
+      action: analysis.status === 'completed' ? 'Analysis completed' :
+              analysis.status === 'failed' ? 'Analysis failed' :
+              analysis.status === 'timed_out' ? 'Analysis timed out' :
+              'Analysis processing',
+      company: analysis.company?.name || 'Unknown',
+      timestamp: analysis.createdAt,
+      status: analysis.status,
+      analysisId: analysis.analysisId
+    }));
+
+    // Get companies with stats
+    const companiesWithStats = await Promise.all(
+      assignedCompanies.map(async (company) => {
+        const [analysisCount, documentCount, lastAnalysis] = await Promise.all([
+          Analysis.countDocuments({ company: company._id }),
+          Document.countDocuments({ company: company._id }),
+          Analysis.findOne({ company: company._id })
+            .sort({ createdAt: -1 })
+            .select('createdAt status')
+            .lean()
+        ]);
+
+        return {
+          _id: company._id,
+          name: company.name,
+          industry: company.industry || 'General',
+          sizeBand: company.sizeBand || null,
+          role: company.engagementRole,
+          totalAnalyses: analysisCount,
+          totalDocuments: documentCount,
+          lastAnalysisDate: lastAnalysis?.createdAt || null,
+          lastAnalysisStatus: lastAnalysis?.status || null,
+          daysSinceLastActivity: lastAnalysis ?
+            Math.floor((Date.now() - new Date(lastAnalysis.createdAt).getTime()) / DAY_MS) :
+            null
+        };
+      })
+    );
+
+    // Identify companies needing attention (no activity in 30 days or failed analyses)
+    const companiesNeedingAttention = companiesWithStats.filter(company =>
+      !company.lastAnalysisDate ||
+      company.daysSinceLastActivity > 30 ||
+      Analysis.FAILED_STATUSES.includes(company.lastAnalysisStatus)
+    );
+
+    // Calculate success rate
+    const successRate = totalAnalyses > 0
+      ? Math.round((completedAnalyses / totalAnalyses) * 100)
+      : 0;
+
+    // Get analysis trend (last 30 days, grouped by day)
+    const thirtyDaysAgo = new Date(Date.now() - 30 * DAY_MS);
+    const analysisTrend = await Analysis.aggregate([
+      {
+        $match: {
+          company: { $in: companyIds },
+          createdAt: { $gte: thirtyDaysAgo }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $sort: { _id: 1 }
+      }
+    ]);
+
+    return {
+      metrics: {
+        assignedCompanies: assignedCompanies.length,
+        newCompaniesThisMonth,
+        totalAnalyses,
+        recentAnalyses,
+        totalDocuments,
+        recentDocuments,
+        analysisStatus: {
+          completed: completedAnalyses,
+          processing: processingAnalyses,
+          failed: failedAnalyses
+        },
+        successRate
+      },
+      recentActivities,
+      companies: companiesWithStats,
+      companiesNeedingAttention,
+      analysisTrend
+    };
+  }
+}
+
+module.exports = new PortfolioService();
@@ -0,0 +1,78 @@
+const ServiceCredential = require('../models/ServiceCredential');
+const ServiceNonce = require('../models/ServiceNonce');
+const { isValidSignature } = require('../utils/serviceSignature');
+
+/**
+ * Error raised when a signed service request or message cannot be verified
+ */
+class ServiceAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServiceAuthError';
+  }
+}
+
+/**
+ * Verify a signed request or message from a service credential.
+ * Checks the credential, scope, timestamp window, signature and nonce (replay) in that order.
+ * Resolves with the credential, or rejects with a ServiceAuthError.
+ */
+const verifySignature = async ({
+  keyId,
+  timestamp,
+  nonce,
+  signature,
+  method,
+  target,
+  body,
+  scope,
+  maxAgeMs,
+  reference = null,
+}) => {
+  if (!keyId || !timestamp || !nonce || !signature) {
+    throw new ServiceAuthError('Missing service signature');
+  }
+
+  if (!/^\d+$/.test(String(timestamp))) {
+    throw new ServiceAuthError('Invalid signature timestamp');
+  }
+
+  if (String(nonce).length < 16 || String(nonce).length > 128) {
+    throw new ServiceAuthError('Invalid signature nonce');
+  }
+
+  const credential = await ServiceCredential.findOne({ keyId }).select('+secret');
+
+  if (!credential || !credential.isActive) {
+    throw new ServiceAuthError('Unknown or revoked service credential');
+  }
+
+  if (scope && !credential.hasScope(scope)) {
+    throw new ServiceAuthError(`Service credential lacks the ${scope} scope`);
+  }
+
+  // Signed timestamps are unix seconds; reject anything outside the allowed window
+  const signedAt = parseInt(timestamp, 10) * 1000;
+  if (Math.abs(Date.now() - signedAt) > maxAgeMs) {
+    throw new ServiceAuthError('Signature timestamp outside the allowed window');
+  }
+
+  if (!isValidSignature(credential.secret, { timestamp, nonce, method, target, body }, signature)) {
+    throw new ServiceAuthError('Invalid service signature');
+  }
+
+  const isFresh = await ServiceNonce.consume(keyId, nonce, new Date(signedAt + maxAgeMs), reference);
+  if (!isFresh) {
+    throw new ServiceAuthError('Replayed service request');
+  }
+
+  credential.lastUsedAt = new Date();
+  await credential.save();
+
+  return credential;
+};
+
+module.exports = {
+  ServiceAuthError,
+  verifySignature,
+};
@@ -0,0 +1,173 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateTokens, verifyRefreshToken } = require('../utils/jwt');
+const { AppError } = require('../middleware/errorHandler');
+const { createNotification } = require('../controllers/notification.controller');
+
+/**
+ * Signed-in devices and their refresh tokens.
+ *
+ * Every login starts a session (one refresh-token family). Each refresh rotates the
+ * token: the new one replaces the old, which stops working. If a token that was
+ * already rotated away is presented again, someone is replaying it, so the whole
+ * session is revoked and the user is told.
+ */
+class SessionService {
+  /**
+   * Start a session for a user who just signed in. Returns { session, accessToken, refreshToken }.
+   */
+  async start(user, { userAgent, ip } = {}) {
+    const session = new Session({ user: user._id, userAgent, ip, lastUsedIp: ip });
+    const tokens = this._issue(user, session);
+    await session.save();
+
+    await this._enforceLimit(user._id);
+
+    return { session, ...tokens };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the session's refresh token
+   */
+  async refresh(refreshToken, { userAgent, ip } = {}) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw new AppError(error.message, 401);
+    }
+
+    // Tokens from before sessions existed cannot be rotated safely
+    if (!decoded.sid) {
+      throw new AppError('Invalid refresh token. Please log in again', 401);
+    }
+
+    const session = await Session.findOne({ _id: decoded.sid, user: decoded.id }).select('+tokenHash');
+    if (!session || !session.isActive()) {
+      throw new AppError('Session has expired or was signed out. Please log in again', 401);
+    }
+
+    const presentedHash = Session.hashToken(refreshToken);
+    if (presentedHash !== session.tokenHash) {
+      await this._revokeForReuse(session, ip);
+      throw new AppError('Refresh token was already used. The session has been signed out for safety', 401);
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      throw new AppError('User not found or deactivated', 401);
+    }
+
+    session.generation += 1;
+    const tokens = this._issue(user, session);
+
+    // Only the holder of the latest token may rotate; a concurrent refresh with the same token loses
+    const { modifiedCount } = await Session.updateOne(
+      { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: session.tokenHash,
+          generation: session.generation,
+          expiresAt: session.expiresAt,
+          lastUsedAt: new Date(),
+          lastUsedIp: ip,
+          ...(userAgent && { userAgent })
+        }
+      }
+    );
+    if (modifiedCount === 0) {
+      await this._revokeForReuse(session, ip);
+      throw new AppError('Refresh token was already used. The session has been signed out for safety', 401);
+    }
+
+    return { session, ...tokens };
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  async list(userId) {
+    return await Session.find({ user: userId, ...Session.activeFilter() })
+      .sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Whether a session can still be used (checked for access tokens that carry one)
+   */
+  async isActive(sessionId) {
+    return !!(await Session.exists({ _id: sessionId, ...Session.activeFilter() }));
+  }
+
+  /**
+   * Sign out one session of a user. Returns the session, or null if there was no active one.
+   */
+  async revoke(userId, sessionId, reason = 'revoked') {
+    return await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Sign out every session of a user, optionally except one. Returns how many were revoked.
+   */
+  async revokeAll(userId, { except, reason = 'revoked' } = {}) {
+    const { modifiedCount } = await Session.updateMany(
+      { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * Sign tokens for a session and record the refresh token's hash and expiry on it (unsaved)
+   */
+  _issue(user, session) {
+    const tokens = generateTokens(user, session);
+    session.tokenHash = Session.hashToken(tokens.refreshToken);
+    session.expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000);
+    return tokens;
+  }
+
+  /**
+   * Sign out the oldest sessions beyond the per-user limit
+   */
+  async _enforceLimit(userId) {
+    const excess = await Session.find({ user: userId, ...Session.activeFilter() })
+      .sort({ lastUsedAt: -1 })
+      .skip(config.sessions.maxPerUser)
+      .select('_id')
+      .lean();
+
+    if (excess.length > 0) {
+      await Session.updateMany(
+        { _id: { $in: excess.map(session => session._id) } },
+        { $set: { revokedAt: new Date(), revokedReason: 'session_limit' } }
+      );
+    }
+  }
+
+  async _revokeForReuse(session, ip) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+    );
+
+    try {
+      await createNotification(session.user, {
+        type: 'security',
+        title: 'A session was signed out for your safety',
+        description: `An old sign-in token for ${session.userAgent || 'one of your devices'} was used again${ip ? ` from ${ip}` : ''}. That session has been signed out; if this wasn't you, change your password.`,
+        link: '/profile/sessions',
+        metadata: { sessionId: session._id, ip }
+      });
+    } catch (error) {
+      console.error('Session notification error:', error);
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const config = require('../config/config');
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const loginProtectionService = require('./loginProtectionService');
+const totp = require('../utils/totp');
+const { challengeStamp, verifyChallengeToken } = require('../utils/jwt');
+const { AppError } = require('../middleware/errorHandler');
+
+// How long the security policy is cached in-process (it is read on every authenticated request)
+const POLICY_CACHE_MS = 30 * 1000;
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * TOTP two-factor authentication: enrolment, recovery codes, the second login step,
+ * and the Super Admin policy requiring it for some roles.
+ *
+ * Enrolment is two steps: setup() creates a pending secret shown as a QR code, and
+ * enable() switches 2FA on once the user confirms a code from their app. Each code
+ * is accepted once; recovery codes are single-use and stored only as hashes.
+ */
+class TwoFactorService {
+  constructor() {
+    this._policy = null;
+    this._policyLoadedAt = 0;
+  }
+
+  /**
+   * 2FA state of a user, for their own settings page
+   */
+  async status(user) {
+    const stored = await User.findById(user._id).select(TWO_FACTOR_FIELDS);
+
+    return {
+      enabled: !!stored.twoFactor?.enabled,
+      enabledAt: stored.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: stored.twoFactor?.recoveryCodes?.length || 0,
+      required: await this.isRequiredFor(stored),
+    };
+  }
+
+  /**
+   * Start enrolment: store a new pending secret and return it with its otpauth URI and QR code
+   */
+  async setup(user) {
+    const stored = await User.findById(user._id);
+    if (stored.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is already enabled. Disable it first to enrol a new device', 400);
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    const otpauthUrl = totp.keyUri({ secret, account: stored.email, issuer: config.twoFactor.issuer });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the pending secret. Returns the new recovery codes.
+   */
+  async enable(user, code) {
+    const stored = await User.findById(user._id).select(TWO_FACTOR_FIELDS);
+    if (stored.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+    if (!stored.twoFactor?.pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const step = totp.verifyCode(stored.twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const recoveryCodes = this._generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': stored.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date(),
+        },
+        $unset: { 'twoFactor.pendingSecret': '' },
+      }
+    );
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off after re-checking the password and a code. Not allowed while the policy requires it.
+   */
+  async disable(user, { password, code }) {
+    const stored = await User.findById(user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!stored.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    if (await this.isRequiredFor(stored)) {
+      throw new AppError('Two-factor authentication is required for your role and cannot be disabled', 403);
+    }
+    if (!(await stored.comparePassword(password))) {
+      throw new AppError('Password is incorrect', 401);
+    }
+    if (!(await this._checkSecondFactor(stored, { code, recoveryCode: code }))) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    await this._clear(user._id);
+  }
+
+  /**
+   * Replace the recovery codes (the old ones stop working). Requires a current code.
+   */
+  async regenerateRecoveryCodes(user, code) {
+    const stored = await User.findById(user._id).select(TWO_FACTOR_FIELDS);
+    if (!stored.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    if (!(await this._checkCode(stored, code))) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const recoveryCodes = this._generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+    );
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Second login step: check the challenge token from the password step and a TOTP or
+   * recovery code. Wrong codes count as failed sign-ins. Returns the user (and how many
+   * recovery codes are left).
+   */
+  async verifyLogin(challengeToken, { code, recoveryCode, ip }) {
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      throw new AppError(error.message, 401);
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive) {
+      throw new AppError('User not found or deactivated', 401);
+    }
+    if (!user.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled. Please log in again', 401);
+    }
+    // The password or 2FA enrolment changed after the password step
+    if (decoded.stamp !== challengeStamp(user)) {
+      throw new AppError('Sign-in challenge is no longer valid. Please log in again', 401);
+    }
+
+    await loginProtectionService.assertAllowed({ email: user.email, ip });
+
+    if (!(await this._checkSecondFactor(user, { code, recoveryCode }))) {
+      await loginProtectionService.recordFailure({ email: user.email, ip, user });
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    const signedIn = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+    return { user: signedIn, recoveryCodesRemaining: signedIn.twoFactor.recoveryCodes?.length || 0 };
+  }
+
+  /**
+   * Switch 2FA off for a user who lost their device (Super Admin action)
+   */
+  async reset(userId) {
+    const { matchedCount } = await this._clear(userId);
+    if (matchedCount === 0) {
+      throw new AppError('User not found', 404);
+    }
+  }
+
+  /**
+   * Whether the security policy requires this user to use 2FA
+   */
+  async isRequiredFor(user) {
+    const policy = await this.getPolicy();
+    return policy.twoFactorRequiredRoles.includes(user.role);
+  }
+
+  /**
+   * Whether the user still has to enrol before using the API
+   */
+  async needsEnrolment(user) {
+    return !user.twoFactor?.enabled && (await this.isRequiredFor(user));
+  }
+
+  /**
+   * Current security policy (cached briefly)
+   */
+  async getPolicy() {
+    if (!this._policy || Date.now() - this._policyLoadedAt > POLICY_CACHE_MS) {
+      this._policy = await SecurityPolicy.current();
+      this._policyLoadedAt = Date.now();
+    }
+    return this._policy;
+  }
+
+  /**
+   * Change which roles must use 2FA
+   */
+  async updatePolicy({ twoFactorRequiredRoles }, updatedBy) {
+    const policy = await SecurityPolicy.current();
+    policy.twoFactorRequiredRoles = twoFactorRequiredRoles;
+    policy.updatedBy = updatedBy;
+    await policy.save();
+
+    this._policy = policy;
+    this._policyLoadedAt = Date.now();
+    return policy;
+  }
+
+  /**
+   * Accept a TOTP code or, failing that, a recovery code
+   */
+  async _checkSecondFactor(user, { code, recoveryCode }) {
+    if (code && (await this._checkCode(user, code))) {
+      return true;
+    }
+    return !!recoveryCode && (await this._useRecoveryCode(user, recoveryCode));
+  }
+
+  /**
+   * Check a TOTP code and record its time step, so the same code is refused the second time
+   */
+  async _checkCode(user, code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code);
+    if (step === null) return false;
+
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return modifiedCount === 1;
+  }
+
+  async _useRecoveryCode(user, recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return modifiedCount === 1;
+  }
+
+  _generateRecoveryCodes() {
+    return Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  async _clear(userId) {
+    return await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.recoveryCodes': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.enabledAt': '',
+        },
+      }
+    );
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,210 @@
+/**
+ * Contract for analysis payloads sent by the Python microservice.
+ *
+ * Both ingestion paths (POST /api/analysis/store and the Redis stream consumer)
+ * validate incoming analysis data against this contract and normalise it into the
+ * same canonical shape before it is stored on the Analysis model.
+ */
+
+const CURRENT_SCHEMA_VERSION = '1.0';
+const SUPPORTED_MAJOR_VERSIONS = ['1'];
+
+// Sections stored in consolidatedData, with the default used when a section is absent.
+// Anything else in the payload (apart from financial_health_analysis, which is stored
+// as healthAnalysis) is dropped during normalisation.
+const CONSOLIDATED_SECTIONS = {
+  company_information: {},
+
+  // Dual extraction data
+  extracted_fields: {},
+  standardized_fields: {},
+  calculated_metrics: {},
+
+  // Legacy sections (kept for backward compatibility)
+  balance_sheet_data: {},
+  income_statement_data: {},
+  cash_flow_data: {},
+  comprehensive_financial_metrics: {},
+
+  trend_analysis: {},
+  risk_assessment: {},
+  industry_benchmarking: {},
+  future_outlook: {},
+  executive_summary: {},
+  detailed_analysis: {},
+  graphical_data: {},
+  strategic_recommendations: [],
+  key_findings: {},
+  analysis_metadata: {},
+  consolidation_metadata: {}
+};
+
+// At least one of these must carry data for the payload to be useful
+const FINANCIAL_SECTIONS = [
+  'extracted_fields',
+  'standardized_fields',
+  'calculated_metrics',
+  'comprehensive_financial_metrics',
+  'balance_sheet_data',
+  'income_statement_data'
+];
+
+/**
+ * Error raised when an analysis payload does not match the contract
+ */
+class AnalysisPayloadError extends Error {
+  constructor(errors) {
+    super(`Invalid analysis payload: ${errors.join('; ')}`);
+    this.name = 'AnalysisPayloadError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEmpty = (value) =>
+  value == null ||
+  (Array.isArray(value) && value.length === 0) ||
+  (isPlainObject(value) && Object.keys(value).length === 0);
+
+/**
+ * Resolve the schema version of a payload. Payloads without one predate
+ * versioning and are treated as the first version of the contract.
+ */
+const resolveSchemaVersion = (schemaVersion) => {
+  if (schemaVersion === undefined || schemaVersion === null || schemaVersion === '') {
+    return { version: CURRENT_SCHEMA_VERSION, legacy: true };
+  }
+  return { version: String(schemaVersion), legacy: false };
+};
+
+/**
+ * Validate a single calculated metric entry.
+ * Entries are either a plain number or an object with a numeric (or null) value.
+ */
+const validateMetric = (name, metric, errors) => {
+  if (typeof metric === 'number') {
+    if (!Number.isFinite(metric)) errors.push(`calculated_metrics.${name} must be a finite number`);
+    return;
+  }
+
+  if (!isPlainObject(metric)) {
+    errors.push(`calculated_metrics.${name} must be an object or number`);
+    return;
+  }
+
+  const value = metric.value !== undefined ? metric.value : metric.current_year?.value;
+  if (value !== undefined && value !== null && !Number.isFinite(value)) {
+    errors.push(`calculated_metrics.${name}.value must be a number or null`);
+  }
+  if (metric.available !== undefined && typeof metric.available !== 'boolean') {
+    errors.push(`calculated_metrics.${name}.available must be a boolean`);
+  }
+  if (metric.unit !== undefined && typeof metric.unit !== 'string') {
+    errors.push(`calculated_metrics.${name}.unit must be a string`);
+  }
+};
+
+/**
+ * Validate analysis data against the contract. Returns a list of error messages.
+ */
+const validateAnalysisData = (analysisData, schemaVersion) => {
+  const errors = [];
+  const { version } = resolveSchemaVersion(schemaVersion ?? analysisData?.schema_version);
+
+  if (!SUPPORTED_MAJOR_VERSIONS.includes(version.split('.')[0])) {
+    errors.push(`Unsupported schema_version "${version}" (supported: ${SUPPORTED_MAJOR_VERSIONS.map(v => `${v}.x`).join(', ')})`);
+    return errors;
+  }
+
+  if (!isPlainObject(analysisData)) {
+    errors.push('analysis data must be an object');
+    return errors;
+  }
+
+  Object.entries(CONSOLIDATED_SECTIONS).forEach(([section, defaultValue]) => {
+    const value = analysisData[section];
+    if (value === undefined || value === null) return;
+
+    if (Array.isArray(defaultValue) && !Array.isArray(value)) {
+      errors.push(`${section} must be an array`);
+    } else if (!Array.isArray(defaultValue) && !isPlainObject(value)) {
+      errors.push(`${section} must be an object`);
+    }
+  });
+
+  if (analysisData.financial_health_analysis != null && !isPlainObject(analysisData.financial_health_analysis)) {
+    errors.push('financial_health_analysis must be an object');
+  }
+
+  const availableYears = analysisData.company_information?.available_years;
+  if (availableYears !== undefined && !Array.isArray(availableYears)) {
+    errors.push('company_information.available_years must be an array');
+  }
+
+  if (isPlainObject(analysisData.calculated_metrics)) {
+    Object.entries(analysisData.calculated_metrics).forEach(([name, metric]) => {
+      validateMetric(name, metric, errors);
+    });
+  }
+
+  if (FINANCIAL_SECTIONS.every(section => isEmpty(analysisData[section]))) {
+    errors.push(`analysis data contains no financial data (expected one of: ${FINANCIAL_SECTIONS.join(', ')})`);
+  }
+
+  return errors;
+};
+
+/**
+ * Bring calculated metrics into the canonical { value, available, unit, category } shape
+ */
+const normalizeCalculatedMetrics = (metrics = {}) => {
+  return Object.fromEntries(Object.entries(metrics).map(([name, metric]) => {
+    if (typeof metric === 'number') {
+      return [name, { value: metric, available: true }];
+    }
+
+    const value = metric.value !== undefined ? metric.value : metric.current_year?.value;
+    return [name, {
+      ...metric,
+      value: value ?? null,
+      available: metric.available !== undefined ? metric.available : value !== null && value !== undefined
+    }];
+  }));
+};
+
+/**
+ * Validate and normalise analysis data into the canonical internal shape.
+ * Throws AnalysisPayloadError when the payload does not match the contract.
+ */
+const normalizeAnalysisPayload = (analysisData, { schemaVersion, metadata } = {}) => {
+  const errors = validateAnalysisData(analysisData, schemaVersion);
+  if (errors.length > 0) {
+    throw new AnalysisPayloadError(errors);
+  }
+
+  const { version, legacy } = resolveSchemaVersion(schemaVersion ?? analysisData.schema_version);
+
+  const consolidatedData = {};
+  Object.entries(CONSOLIDATED_SECTIONS).forEach(([section, defaultValue]) => {
+    consolidatedData[section] = analysisData[section] ?? (Array.isArray(defaultValue) ? [] : {});
+  });
+  consolidatedData.calculated_metrics = normalizeCalculatedMetrics(consolidatedData.calculated_metrics);
+
+  return {
+    schemaVersion: version,
+    legacySchema: legacy,
+    consolidatedData,
+    healthAnalysis: analysisData.financial_health_analysis || {},
+    totalPagesProcessed: metadata?.total_pages_processed ?? analysisData.metadata?.total_pages_processed ?? 0
+  };
+};
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  SUPPORTED_MAJOR_VERSIONS,
+  AnalysisPayloadError,
+  validateAnalysisData,
+  normalizeAnalysisPayload
+};
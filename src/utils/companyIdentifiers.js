@@ -0,0 +1,73 @@
+/**
+ * Format checks for Indian company identifiers.
+ *
+ *   PAN   - AAAAA9999A: 5 letters, 4 digits, check letter
+ *   GSTIN - 2-digit state code + PAN + entity number + 'Z' + check character
+ *   CIN   - listing status (L/U) + 5-digit industry code + state + year of incorporation
+ *           + ownership type + 6-digit registration number
+ */
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const CIN_PATTERN = /^[LU][0-9]{5}[A-Z]{2}[0-9]{4}[A-Z]{3}[0-9]{6}$/;
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const normalizeIdentifier = (value) =>
+  typeof value === 'string' ? value.trim().toUpperCase() : value;
+
+const isValidPan = (pan) => PAN_PATTERN.test(normalizeIdentifier(pan) || '');
+
+/**
+ * Check character of a GSTIN (mod-36 Luhn variant over the first 14 characters)
+ */
+const gstinCheckCharacter = (gstin) => {
+  const sum = gstin.slice(0, 14).split('').reduce((total, char, index) => {
+    const product = GSTIN_CHARSET.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+const isValidGstin = (gstin) => {
+  const value = normalizeIdentifier(gstin) || '';
+  return GSTIN_PATTERN.test(value) && gstinCheckCharacter(value) === value[14];
+};
+
+const isValidCin = (cin) => CIN_PATTERN.test(normalizeIdentifier(cin) || '');
+
+/**
+ * Year of incorporation encoded in a CIN
+ */
+const cinIncorporationYear = (cin) => parseInt(normalizeIdentifier(cin).slice(8, 12), 10);
+
+/**
+ * Cross-field consistency problems between identifiers and the incorporation date.
+ * Formats are assumed to be valid already. Returns a list of messages.
+ */
+const identifierConsistencyErrors = ({ gstin, pan, cin, incorporationDate }) => {
+  const errors = [];
+
+  if (gstin && pan && normalizeIdentifier(gstin).slice(2, 12) !== normalizeIdentifier(pan)) {
+    errors.push('GSTIN does not contain the company PAN');
+  }
+
+  if (cin && incorporationDate) {
+    const year = new Date(incorporationDate).getUTCFullYear();
+    if (cinIncorporationYear(cin) !== year) {
+      errors.push(`CIN records incorporation in ${cinIncorporationYear(cin)}, but the incorporation date is in ${year}`);
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  normalizeIdentifier,
+  isValidPan,
+  isValidGstin,
+  isValidCin,
+  cinIncorporationYear,
+  identifierConsistencyErrors
+};
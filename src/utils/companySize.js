@@ -0,0 +1,32 @@
+/**
+ * Company size bands, based on annual turnover (INR) as in the MSME classification.
+ */
+
+const CRORE = 10000000;
+
+const SIZE_BANDS = [
+  { key: 'micro', label: 'Micro (turnover up to ₹5 Cr)', maxTurnover: 5 * CRORE },
+  { key: 'small', label: 'Small (turnover up to ₹50 Cr)', maxTurnover: 50 * CRORE },
+  { key: 'medium', label: 'Medium (turnover up to ₹250 Cr)', maxTurnover: 250 * CRORE },
+  { key: 'large', label: 'Large (turnover above ₹250 Cr)', maxTurnover: Infinity }
+];
+
+const SIZE_BAND_KEYS = SIZE_BANDS.map(band => band.key);
+
+// standardized_fields names the Python service uses for turnover
+const TURNOVER_FIELDS = ['revenue_from_operations', 'total_revenue', 'revenue', 'turnover', 'net_sales', 'sales', 'total_income'];
+
+/**
+ * Size band for an annual turnover, or null when the turnover is unknown
+ */
+const sizeBandForTurnover = (turnover) => {
+  if (!Number.isFinite(turnover) || turnover < 0) return null;
+  return SIZE_BANDS.find(band => turnover <= band.maxTurnover).key;
+};
+
+module.exports = {
+  SIZE_BANDS,
+  SIZE_BAND_KEYS,
+  TURNOVER_FIELDS,
+  sizeBandForTurnover
+};
@@ -0,0 +1,106 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing (quoted fields, embedded commas, quotes and newlines).
+ */
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Spreadsheets evaluate cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Prefix text that would run as a formula with a quote; numbers such as -5 stay as they are
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text) && !NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the formula guard so exported files import unchanged
+const unguard = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+/**
+ * One CSV line (with its line break) for a row, in the given column order
+ */
+const toCsvRow = (columns, row) => columns.map(column => escapeField(row[column])).join(',') + '\r\n';
+
+/**
+ * Serialise rows (objects) to CSV with the given column order
+ */
+const toCsv = (columns, rows) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeField(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+/**
+ * Parse CSV text into records keyed by the (trimmed, lower-cased) header row.
+ * Each record carries the 1-based line it started on as `_line`; blank lines are skipped.
+ * A leading quote added by the formula guard is removed again.
+ */
+const parseCsv = (text) => {
+  const source = String(text).replace(/^﻿/, ''); // Excel writes a BOM
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  const [header, ...records] = rows.filter(({ values }) => values.some(value => value.trim() !== ''));
+  if (!header) return [];
+
+  const columns = header.values.map(column => column.trim().toLowerCase());
+  return records.map(({ line: recordLine, values }) => columns.reduce((record, column, index) => ({
+    ...record,
+    [column]: unguard((values[index] ?? '').trim())
+  }), { _line: recordLine }));
+};
+
+module.exports = {
+  toCsv,
+  toCsvRow,
+  parseCsv
+};
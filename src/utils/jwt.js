@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 
@@ -42,18 +43,24 @@ const verifyRefreshToken = (token) => {
 };
 
 /**
- * Generate both access and refresh tokens
+ * Generate both access and refresh tokens. With a session, both carry its id (`sid`) and
+ * the refresh token its generation (`gen`) plus a unique id, so every rotation yields a
+ * distinct token.
  */
-const generateTokens = (user) => {
+const generateTokens = (user, session) => {
   const payload = {
     id: user._id,
     email: user.email,
     role: user.role,
     company: user.company,
+    ...(session && { sid: session._id }),
   };
 
   const accessToken = generateAccessToken(payload);
-  const refreshToken = generateRefreshToken({ id: user._id });
+  const refreshToken = generateRefreshToken({
+    id: user._id,
+    ...(session && { sid: session._id, gen: session.generation, jti: crypto.randomUUID() }),
+  });
 
   return {
     accessToken,
@@ -61,10 +68,50 @@ const generateTokens = (user) => {
   };
 };
 
+// Challenge tokens use their own key so they can never pass as access tokens
+const challengeSecret = () => `${config.jwt.secret}:two-factor-challenge`;
+
+/**
+ * Stamp of the user's password and 2FA enrolment. A challenge carries the stamp from
+ * when it was issued, so changing either invalidates it.
+ */
+const challengeStamp = (user) => {
+  const passwordChangedAt = user.passwordChangedAt ? user.passwordChangedAt.getTime() : 0;
+  const twoFactorEnabledAt = user.twoFactor?.enabledAt ? user.twoFactor.enabledAt.getTime() : 0;
+  return `${passwordChangedAt}.${twoFactorEnabledAt}`;
+};
+
+/**
+ * Generate a short-lived token proving the password step of a two-factor login
+ */
+const generateChallengeToken = (user) => {
+  return jwt.sign({ id: user._id, purpose: 'two_factor', stamp: challengeStamp(user) }, challengeSecret(), {
+    expiresIn: config.twoFactor.challengeExpire,
+  });
+};
+
+/**
+ * Verify a two-factor challenge token
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, challengeSecret());
+    if (decoded.purpose !== 'two_factor') {
+      throw new Error('Wrong token purpose');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid or expired sign-in challenge');
+  }
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
   generateTokens,
+  challengeStamp,
+  generateChallengeToken,
+  verifyChallengeToken,
 };
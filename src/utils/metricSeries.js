@@ -0,0 +1,325 @@
+/**
+ * Build per-metric time series from stored analyses, keyed by fiscal year.
+ *
+ * Each analysis covers one or more reporting periods (company_information.available_years).
+ * Metric values are attributed to the fiscal year they describe rather than the date
+ * the statements were uploaded, so re-uploading an older year slots into the right place.
+ */
+
+const SERIES_SECTIONS = ['calculated_metrics', 'standardized_fields'];
+
+// Keys that mark an object as a single metric value rather than a group of fields
+const VALUE_KEYS = ['value', 'available', 'current_year', 'previous_year', 'values', 'yearly_values'];
+
+const MAX_GROUP_DEPTH = 3;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseYearLabel = (label) => {
+  if (typeof label === 'number') return label;
+  if (typeof label !== 'string') return null;
+
+  const text = label.trim();
+
+  const range = text.match(/(\d{4})\s*[-–/]\s*(\d{2,4})\b/);
+  if (range) {
+    const start = parseInt(range[1], 10);
+    let end = parseInt(range[2], 10);
+    if (range[2].length === 2) {
+      end += Math.floor(start / 100) * 100;
+      if (end < start) end += 100;
+    }
+    if (end === start + 1) return end;
+  }
+
+  const shortFy = text.match(/^FY\s*'?(\d{2})$/i);
+  if (shortFy) return 2000 + parseInt(shortFy[1], 10);
+
+  const years = text.match(/\d{4}/g);
+  if (years) return parseInt(years[years.length - 1], 10);
+
+  return null;
+};
+
+/**
+ * Parse a fiscal year label into the year it ends in.
+ * Accepts 2023, "2023", "FY2023", "FY23", "2022-23", "FY 2022-2023" and dates such as "31-03-2023".
+ * Returns null when no year can be found.
+ */
+const parseFiscalYear = (label) => {
+  const year = parseYearLabel(label);
+  return Number.isInteger(year) && year >= 1900 && year <= 2999 ? year : null;
+};
+
+/**
+ * Canonical fiscal year key, e.g. 2023 -> "FY2023"
+ */
+const fiscalYearKey = (endYear) => `FY${endYear}`;
+
+/**
+ * Fiscal years covered by an analysis, newest first.
+ * Falls back to single-period labels when available_years is missing.
+ */
+const resolveAnalysisYears = (analysis) => {
+  const companyInfo = analysis.consolidatedData?.company_information || {};
+  const labels = Array.isArray(companyInfo.available_years) && companyInfo.available_years.length > 0
+    ? companyInfo.available_years
+    : [companyInfo.fiscal_year, companyInfo.financial_year, companyInfo.reporting_period];
+
+  const years = labels.map(parseFiscalYear).filter(year => year !== null);
+  return [...new Set(years)].sort((a, b) => b - a);
+};
+
+const toEntry = (raw, meta = {}) => {
+  if (typeof raw === 'number') {
+    return { value: Number.isFinite(raw) ? raw : null, available: Number.isFinite(raw) };
+  }
+  if (!isPlainObject(raw)) {
+    return { value: null, available: false };
+  }
+
+  const value = Number.isFinite(raw.value) ? raw.value : null;
+  return {
+    value,
+    available: raw.available !== undefined ? raw.available === true && value !== null : value !== null,
+    unit: raw.unit || meta.unit,
+    category: raw.category || meta.category
+  };
+};
+
+const isYearKeyedObject = (data) => {
+  const keys = Object.keys(data);
+  return keys.length > 0 && keys.every(key => parseFiscalYear(key) !== null);
+};
+
+const isValueShape = (data) =>
+  typeof data === 'number' ||
+  (isPlainObject(data) && (VALUE_KEYS.some(key => key in data) || isYearKeyedObject(data)));
+
+/**
+ * Split a metric or field into values per fiscal year.
+ * The analysis's latest year is used for values without an explicit period.
+ */
+const extractYearValues = (data, latestYear) => {
+  const meta = isPlainObject(data) ? { unit: data.unit, category: data.category } : {};
+  const entries = [];
+
+  const push = (year, raw) => {
+    if (year === null || year === undefined) return;
+    entries.push({ endYear: year, ...toEntry(raw, meta) });
+  };
+
+  if (typeof data === 'number') {
+    push(latestYear, data);
+    return entries;
+  }
+  if (!isPlainObject(data)) return entries;
+
+  const yearly = data.values || data.yearly_values;
+  if (isPlainObject(yearly)) {
+    Object.entries(yearly).forEach(([label, raw]) => push(parseFiscalYear(label), raw));
+  } else if ('current_year' in data || 'previous_year' in data) {
+    if (data.current_year !== undefined) push(latestYear, data.current_year);
+    if (data.previous_year !== undefined && latestYear !== null) push(latestYear - 1, data.previous_year);
+  } else if ('value' in data || 'available' in data) {
+    const explicitYear = parseFiscalYear(data.fiscal_year ?? data.year);
+    push(explicitYear ?? latestYear, data);
+  } else if (isYearKeyedObject(data)) {
+    Object.entries(data).forEach(([label, raw]) => push(parseFiscalYear(label), raw));
+  }
+
+  return entries;
+};
+
+/**
+ * Flatten a section into metric name -> raw data.
+ * Nested groups (e.g. standardized_fields.balance_sheet.total_assets) become dotted names.
+ */
+const flattenSection = (section, prefix = '', depth = 0, result = {}) => {
+  if (!isPlainObject(section)) return result;
+
+  Object.entries(section).forEach(([name, data]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+
+    if (isValueShape(data)) {
+      result[key] = data;
+    } else if (isPlainObject(data) && depth < MAX_GROUP_DEPTH) {
+      flattenSection(data, key, depth + 1, result);
+    }
+  });
+
+  return result;
+};
+
+const analyzedAt = (analysis) => analysis.completedAt || analysis.createdAt;
+
+/**
+ * Pick the value reported for a period when several analyses cover it.
+ * The most recent analysis with an available value wins; an unavailable value only
+ * wins when no analysis has one. The other candidates are kept as provenance.
+ */
+const resolvePeriod = (candidates) => {
+  const ordered = [...candidates].sort((a, b) => new Date(b.analyzed_at) - new Date(a.analyzed_at));
+  const winner = ordered.find(candidate => candidate.available) || ordered[0];
+
+  return {
+    ...winner,
+    superseded: ordered
+      .filter(candidate => candidate !== winner)
+      .map(({ analysis_id, analyzed_at, value, available }) => ({ analysis_id, analyzed_at, value, available }))
+  };
+};
+
+/**
+ * Build metric time series from completed analyses.
+ *
+ * @param {Array} analyses - lean Analysis documents
+ * @param {Object} options
+ * @param {string[]} options.sections - consolidatedData sections to read
+ * @param {string[]} options.metrics - restrict to these metric names
+ * @returns {{ fiscal_years: string[], periods: Array, series: Object, undated_analyses: string[] }}
+ */
+const buildMetricSeries = (analyses, { sections = SERIES_SECTIONS, metrics = null } = {}) => {
+  const allYears = new Set();
+  const undatedAnalyses = [];
+  const coverage = {};
+  const collected = {};
+
+  sections.forEach(section => { collected[section] = {}; });
+
+  const addCoverage = (year, analysis) => {
+    allYears.add(year);
+    const sources = coverage[year] || (coverage[year] = []);
+    if (!sources.some(source => source.analysis_id === analysis.analysisId)) {
+      sources.push({ analysis_id: analysis.analysisId, analyzed_at: analyzedAt(analysis) });
+    }
+  };
+
+  analyses.forEach(analysis => {
+    const years = resolveAnalysisYears(analysis);
+    years.forEach(year => addCoverage(year, analysis));
+
+    if (years.length === 0) {
+      undatedAnalyses.push(analysis.analysisId);
+      return;
+    }
+
+    sections.forEach(section => {
+      const fields = flattenSection(analysis.consolidatedData?.[section]);
+
+      Object.entries(fields).forEach(([name, data]) => {
+        if (metrics && !metrics.includes(name)) return;
+
+        extractYearValues(data, years[0]).forEach(entry => {
+          addCoverage(entry.endYear, analysis);
+
+          const metric = collected[section][name] || (collected[section][name] = { unit: '', category: 'other', periods: {} });
+          if (entry.unit) metric.unit = entry.unit;
+          if (entry.category) metric.category = entry.category;
+
+          (metric.periods[entry.endYear] = metric.periods[entry.endYear] || []).push({
+            value: entry.value,
+            available: entry.available,
+            analysis_id: analysis.analysisId,
+            analyzed_at: analyzedAt(analysis)
+          });
+        });
+      });
+    });
+  });
+
+  // Cover every year between the first and last reported period so missing years show as gaps
+  const sortedYears = [];
+  if (allYears.size > 0) {
+    for (let year = Math.min(...allYears); year <= Math.max(...allYears); year++) {
+      sortedYears.push(year);
+    }
+  }
+
+  // The latest analysis covering a period is its primary source
+  const periods = sortedYears.map(year => {
+    const sources = [...(coverage[year] || [])].sort((a, b) => new Date(b.analyzed_at) - new Date(a.analyzed_at));
+    return {
+      fiscal_year: fiscalYearKey(year),
+      covered: sources.length > 0,
+      analysis_id: sources[0]?.analysis_id || null,
+      analyzed_at: sources[0]?.analyzed_at || null,
+      superseded: sources.slice(1)
+    };
+  });
+
+  const series = {};
+  sections.forEach(section => {
+    series[section] = {};
+
+    Object.entries(collected[section]).forEach(([name, metric]) => {
+      series[section][name] = {
+        unit: metric.unit,
+        category: metric.category,
+        points: sortedYears.map(year => {
+          const candidates = metric.periods[year];
+          if (!candidates) {
+            // Gap: no analysis reported this metric for the year
+            return { fiscal_year: fiscalYearKey(year), value: null, available: false, reported: false };
+          }
+          return { fiscal_year: fiscalYearKey(year), reported: true, ...resolvePeriod(candidates) };
+        })
+      };
+    });
+  });
+
+  return {
+    fiscal_years: sortedYears.map(fiscalYearKey),
+    periods,
+    series,
+    undated_analyses: undatedAnalyses
+  };
+};
+
+const round = (value) => (value === null ? null : parseFloat(value.toFixed(2)));
+
+/**
+ * Year-on-year change and CAGR for a metric series.
+ * YoY is only computed between consecutive fiscal years that both have a value, and
+ * CAGR between the first and last available values when both are positive.
+ */
+const computeGrowth = (points) => {
+  const available = points.filter(point => point.available && point.value !== null);
+
+  const yoy = [];
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const current = points[i];
+    const comparable = previous.available && current.available && Math.abs(previous.value) >= 0.0001;
+
+    yoy.push({
+      fiscal_year: current.fiscal_year,
+      previous_fiscal_year: previous.fiscal_year,
+      change: comparable ? round(((current.value - previous.value) / Math.abs(previous.value)) * 100) : null
+    });
+  }
+
+  if (available.length < 2) {
+    return { yoy, cagr: null, first: available[0] || null, last: available[0] || null, years: 0 };
+  }
+
+  const first = available[0];
+  const last = available[available.length - 1];
+  const years = parseFiscalYear(last.fiscal_year) - parseFiscalYear(first.fiscal_year);
+  const cagr = first.value > 0 && last.value > 0 && years > 0
+    ? round((Math.pow(last.value / first.value, 1 / years) - 1) * 100)
+    : null;
+
+  return { yoy, cagr, first, last, years };
+};
+
+module.exports = {
+  SERIES_SECTIONS,
+  parseFiscalYear,
+  fiscalYearKey,
+  resolveAnalysisYears,
+  extractYearValues,
+  buildMetricSeries,
+  computeGrowth
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC signing for service-to-service calls (Python microservice -> backend).
+ *
+ * Signature = hex(HMAC-SHA256(secret, canonical string)), where the canonical string is
+ *   <timestamp>\n<nonce>\n<METHOD>\n<target>\n<sha256 hex of body>
+ * For HTTP requests METHOD/target are the HTTP method and request path (with query);
+ * for Redis stream entries they are "STREAM" and the stream name.
+ */
+
+/**
+ * Hash a request body or message payload
+ */
+const hashBody = (body) => {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+};
+
+/**
+ * Build the string that gets signed
+ */
+const buildCanonicalString = ({ timestamp, nonce, method, target, body }) => {
+  return [timestamp, nonce, method.toUpperCase(), target, hashBody(body)].join('\n');
+};
+
+/**
+ * Sign a request or message
+ */
+const sign = (secret, parts) => {
+  return crypto.createHmac('sha256', secret).update(buildCanonicalString(parts)).digest('hex');
+};
+
+/**
+ * Compare a provided signature with the expected one in constant time
+ */
+const isValidSignature = (secret, parts, signature) => {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(secret, parts), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+  return crypto.timingSafeEqual(expected, provided);
+};
+
+/**
+ * Generate headers for a signed HTTP request (useful for tests and internal tooling)
+ */
+const signRequestHeaders = ({ keyId, secret, method, target, body }) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  return {
+    'X-Service-Key-Id': keyId,
+    'X-Service-Timestamp': timestamp,
+    'X-Service-Nonce': nonce,
+    'X-Service-Signature': sign(secret, { timestamp, nonce, method, target, body }),
+  };
+};
+
+module.exports = {
+  hashBody,
+  buildCanonicalString,
+  sign,
+  isValidSignature,
+  signRequestHeaders,
+};
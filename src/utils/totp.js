@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding), the format authenticator apps expect
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode RFC 4648 base32 (case-insensitive, padding and spaces ignored)
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random TOTP secret (160 bits, base32)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step number for a timestamp
+ */
+const timeStep = (time = Date.now(), period = 30) => Math.floor(time / 1000 / period);
+
+/**
+ * HOTP code (RFC 4226) for a base32 secret and counter
+ */
+const hotp = (secret, counter, digits = 6) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * TOTP code (RFC 6238) for a base32 secret at a time
+ */
+const generateCode = (secret, { time = Date.now(), period = 30, digits = 6 } = {}) =>
+  hotp(secret, timeStep(time, period), digits);
+
+/**
+ * Check a TOTP code, allowing `window` steps of clock drift either way.
+ * Returns the matching time step (so callers can refuse a replay), or null.
+ */
+const verifyCode = (secret, code, { time = Date.now(), period = 30, digits = 6, window = 1 } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) {
+    return null;
+  }
+
+  const current = timeStep(time, period);
+  for (let offset = -window; offset <= window; offset += 1) {
+    const expected = hotp(secret, current + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrolling the secret in an authenticator app (usually shown as a QR code)
+ */
+const keyUri = ({ secret, account, issuer, period = 30, digits = 6 }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(digits), period: String(period) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  keyUri,
+};
@@ -1,4 +1,4 @@
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 
 const registerValidator = [
   body('email')
@@ -46,9 +46,78 @@ const changePasswordValidator = [
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
 ];
 
+const sessionIdValidator = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+];
+
+const tokenValidator = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Token is required'),
+];
+
+const forgotPasswordValidator = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+];
+
+const resetPasswordValidator = [
+  ...tokenValidator,
+  body('newPassword')
+    .isLength({ min: 8 })
+    .withMessage('New password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+];
+
+const twoFactorCodeValidator = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+];
+
+const twoFactorLoginValidator = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .trim(),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim(),
+  body()
+    .custom((value) => !!(value.code || value.recoveryCode))
+    .withMessage('An authentication code or a recovery code is required'),
+];
+
+const disableTwoFactorValidator = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidator,
+];
+
 module.exports = {
   registerValidator,
   loginValidator,
   refreshTokenValidator,
   changePasswordValidator,
+  sessionIdValidator,
+  tokenValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+  twoFactorCodeValidator,
+  twoFactorLoginValidator,
+  disableTwoFactorValidator,
 };
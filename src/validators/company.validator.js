@@ -1,4 +1,51 @@
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const { SIZE_BAND_KEYS } = require('../utils/companySize');
+const { isValidPan, isValidGstin, isValidCin } = require('../utils/companyIdentifiers');
+
+// Profile fields shared by create and update
+const companyProfileValidator = [
+  body('industry')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Industry cannot be empty'),
+  body('sizeBand')
+    .optional({ values: 'null' })
+    .isIn(SIZE_BAND_KEYS)
+    .withMessage(`Size band must be one of: ${SIZE_BAND_KEYS.join(', ')}`),
+  body('fiscalYearEnd.month')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Fiscal year end month must be between 1 and 12'),
+  body('fiscalYearEnd.day')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Fiscal year end day must be between 1 and 31'),
+  body('incorporationDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Incorporation date must be a valid date')
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage('Incorporation date cannot be in the future'),
+  body('gstin')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('Invalid GSTIN (expected 15 characters, e.g. 27AAPFU0939F1ZV, with a valid check character)'),
+  body('pan')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidPan)
+    .withMessage('Invalid PAN (expected format AAAAA9999A)'),
+  body('cin')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidCin)
+    .withMessage('Invalid CIN (expected 21 characters, e.g. L17110MH1973PLC019786)'),
+];
 
 const createCompanyValidator = [
   body('name')
@@ -20,6 +67,7 @@ const createCompanyValidator = [
     .optional(),
   body('contactInfo')
     .optional(),
+  ...companyProfileValidator,
 ];
 
 const updateCompanyValidator = [
@@ -41,6 +89,7 @@ const updateCompanyValidator = [
     .optional(),
   body('contactInfo')
     .optional(),
+  ...companyProfileValidator,
 ];
 
 const companyIdValidator = [
@@ -58,6 +107,38 @@ const inviteCAValidator = [
     .withMessage('CA user ID is required')
     .isMongoId()
     .withMessage('Invalid CA user ID'),
+  body('role')
+    .optional()
+    .isIn(['lead', 'reviewer'])
+    .withMessage('Role must be lead or reviewer'),
+];
+
+const invitationIdValidator = [
+  param('companyId')
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID'),
+];
+
+const revokeInvitationValidator = [
+  ...invitationIdValidator,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
+
+const listInvitationsValidator = [
+  param('companyId')
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'declined', 'revoked', 'expired', 'all'])
+    .withMessage('Status must be one of: pending, accepted, declined, revoked, expired, all'),
 ];
 
 const addCompanyAdminValidator = [
@@ -76,5 +157,8 @@ module.exports = {
   updateCompanyValidator,
   companyIdValidator,
   inviteCAValidator,
+  invitationIdValidator,
+  revokeInvitationValidator,
+  listInvitationsValidator,
   addCompanyAdminValidator,
 };
@@ -0,0 +1,146 @@
+const { body, param } = require('express-validator');
+
+const FIRM_ROLES = ['partner', 'manager', 'staff'];
+
+const firmIdParam = param('firmId')
+  .isMongoId()
+  .withMessage('Invalid firm ID');
+
+// Profile fields shared by create and update
+const firmProfileValidator = [
+  body('description')
+    .optional()
+    .trim(),
+  body('registrationNumber')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase(),
+  body('address')
+    .optional(),
+  body('contactInfo')
+    .optional(),
+];
+
+const createFirmValidator = [
+  body('name')
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Firm name must be at least 2 characters long'),
+  body('partnerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid partner user ID'),
+  ...firmProfileValidator,
+];
+
+const updateFirmValidator = [
+  firmIdParam,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Firm name must be at least 2 characters long'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  ...firmProfileValidator,
+];
+
+const firmIdValidator = [firmIdParam];
+
+const inviteMemberValidator = [
+  firmIdParam,
+  body('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('firmRole')
+    .optional()
+    .isIn(FIRM_ROLES)
+    .withMessage('Firm role must be partner, manager or staff'),
+];
+
+const invitationIdParam = param('invitationId')
+  .isMongoId()
+  .withMessage('Invalid invitation ID');
+
+const invitationIdValidator = [invitationIdParam];
+
+const firmInvitationValidator = [firmIdParam, invitationIdParam];
+
+const memberIdValidator = [
+  firmIdParam,
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+const updateMemberValidator = [
+  ...memberIdValidator,
+  body('firmRole')
+    .isIn(FIRM_ROLES)
+    .withMessage('Firm role must be partner, manager or staff'),
+];
+
+const addClientsValidator = [
+  firmIdParam,
+  body('companyIds')
+    .isArray({ min: 1 })
+    .withMessage('Company IDs array is required'),
+  body('companyIds.*')
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  body('role')
+    .optional()
+    .isIn(['lead', 'reviewer'])
+    .withMessage('Role must be lead or reviewer'),
+];
+
+const companyIdParam = param('companyId')
+  .isMongoId()
+  .withMessage('Invalid company ID');
+
+const removeClientValidator = [
+  firmIdParam,
+  companyIdParam,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
+
+const assignClientValidator = [
+  firmIdParam,
+  companyIdParam,
+  body('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+const unassignClientValidator = [
+  firmIdParam,
+  companyIdParam,
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+module.exports = {
+  createFirmValidator,
+  updateFirmValidator,
+  firmIdValidator,
+  inviteMemberValidator,
+  invitationIdValidator,
+  firmInvitationValidator,
+  memberIdValidator,
+  updateMemberValidator,
+  addClientsValidator,
+  removeClientValidator,
+  assignClientValidator,
+  unassignClientValidator,
+};
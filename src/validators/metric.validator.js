@@ -0,0 +1,87 @@
+const { body, param } = require('express-validator');
+const { POLARITIES } = require('../config/metricCatalogue');
+
+const SNAKE_CASE = /^[a-z][a-z0-9_]*$/;
+
+const metricKeyParam = param('key')
+  .trim()
+  .toLowerCase()
+  .matches(SNAKE_CASE)
+  .withMessage('Metric key must be snake_case');
+
+// Fields shared by create and update; required ones are made optional for updates
+const metricFields = ({ optional }) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('label')
+      .isString()
+      .withMessage('Label must be a string')
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage('Label is required'),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string')
+      .trim(),
+    field('category')
+      .isString()
+      .withMessage('Category must be a string')
+      .bail()
+      .trim()
+      .toLowerCase()
+      .matches(SNAKE_CASE)
+      .withMessage('Category must be snake_case, e.g. liquidity or cash_flow'),
+    field('unit')
+      .isString()
+      .withMessage('Unit must be a string')
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Unit must be 1-20 characters, e.g. x, %, days or currency'),
+    field('polarity')
+      .isIn(POLARITIES)
+      .withMessage(`Polarity must be one of: ${POLARITIES.join(', ')}`),
+    body('aliases')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Aliases must be an array of at most 20 names'),
+    body('aliases.*')
+      .custom(alias => typeof alias === 'string' && SNAKE_CASE.test(alias.trim().toLowerCase()))
+      .withMessage('Each alias must be a snake_case name')
+      .trim()
+      .toLowerCase(),
+    body('significanceThreshold')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Significance threshold must be a non-negative number')
+      .toFloat(),
+  ];
+};
+
+const createMetricValidator = [
+  body('key')
+    .isString()
+    .withMessage('Metric key is required')
+    .bail()
+    .trim()
+    .toLowerCase()
+    .matches(SNAKE_CASE)
+    .withMessage('Metric key must be snake_case'),
+  ...metricFields({ optional: false }),
+];
+
+const updateMetricValidator = [
+  metricKeyParam,
+  ...metricFields({ optional: true }),
+];
+
+const metricKeyValidator = [metricKeyParam];
+
+module.exports = {
+  createMetricValidator,
+  updateMetricValidator,
+  metricKeyValidator,
+};
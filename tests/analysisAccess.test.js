@@ -0,0 +1,229 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const Company = require('../src/models/Company');
+const Engagement = require('../src/models/Engagement');
+const Analysis = require('../src/models/Analysis');
+const AnalysisNote = require('../src/models/AnalysisNote');
+const sessionService = require('../src/services/sessionService');
+
+describe('Analysis Access Tests', () => {
+  let ownUser;
+  let otherUser;
+  let invitedCA;
+  let outsideCA;
+  let superAdmin;
+  let ownCompany;
+  let otherCompany;
+  let otherAnalysis;
+  let otherNote;
+
+  const tokenFor = async (user) => `Bearer ${(await sessionService.start(user)).accessToken}`;
+
+  beforeEach(async () => {
+    superAdmin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123',
+      name: 'Super Admin',
+      role: 'SUPER_ADMIN',
+    });
+
+    ownUser = await User.create({
+      email: 'own@example.com',
+      password: 'Password123',
+      name: 'Own User',
+      role: 'COMPANY_USER',
+    });
+
+    otherUser = await User.create({
+      email: 'other@example.com',
+      password: 'Password123',
+      name: 'Other User',
+      role: 'COMPANY_USER',
+    });
+
+    ownCompany = await Company.create({
+      name: 'Own Company',
+      representative: ownUser._id,
+      createdBy: superAdmin._id,
+    });
+
+    otherCompany = await Company.create({
+      name: 'Other Company',
+      representative: otherUser._id,
+      createdBy: superAdmin._id,
+    });
+
+    ownUser.company = ownCompany._id;
+    await ownUser.save();
+    otherUser.company = otherCompany._id;
+    await otherUser.save();
+
+    invitedCA = await User.create({
+      email: 'ca@example.com',
+      password: 'Password123',
+      name: 'Invited CA',
+      role: 'CA',
+    });
+    await Engagement.create({
+      ca: invitedCA._id,
+      company: otherCompany._id,
+      role: 'reviewer',
+      grantedBy: superAdmin._id,
+    });
+
+    outsideCA = await User.create({
+      email: 'outside-ca@example.com',
+      password: 'Password123',
+      name: 'Outside CA',
+      role: 'CA',
+    });
+
+    otherAnalysis = await Analysis.create({
+      analysisId: 'other-analysis',
+      company: otherCompany._id,
+      uploadedBy: otherUser._id,
+      status: 'completed',
+    });
+
+    otherNote = await AnalysisNote.create({
+      analysis: otherAnalysis._id,
+      analysisId: otherAnalysis.analysisId,
+      company: otherCompany._id,
+      createdBy: invitedCA._id,
+      title: 'Review',
+      content: 'Working capital looks tight',
+    });
+  });
+
+  describe('GET /api/analysis/:analysisId', () => {
+    it('should deny access to another company\'s analysis', async () => {
+      const response = await request(app)
+        .get(`/api/analysis/${otherAnalysis.analysisId}`)
+        .set('Authorization', await tokenFor(ownUser))
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should allow access to the company\'s own analysis', async () => {
+      const response = await request(app)
+        .get(`/api/analysis/${otherAnalysis.analysisId}`)
+        .set('Authorization', await tokenFor(otherUser))
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should allow access to a CA invited to the company', async () => {
+      await request(app)
+        .get(`/api/analysis/${otherAnalysis.analysisId}`)
+        .set('Authorization', await tokenFor(invitedCA))
+        .expect(200);
+    });
+
+    it('should deny access to a CA not invited to the company', async () => {
+      await request(app)
+        .get(`/api/analysis/${otherAnalysis.analysisId}`)
+        .set('Authorization', await tokenFor(outsideCA))
+        .expect(403);
+    });
+
+    it('should allow super admin access', async () => {
+      await request(app)
+        .get(`/api/analysis/${otherAnalysis.analysisId}`)
+        .set('Authorization', await tokenFor(superAdmin))
+        .expect(200);
+    });
+  });
+
+  describe('Company analysis routes', () => {
+    it('should deny history of another company', async () => {
+      const response = await request(app)
+        .get(`/api/analysis/history/company/${otherCompany._id}`)
+        .set('Authorization', await tokenFor(ownUser))
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should deny comparison of another company', async () => {
+      await request(app)
+        .get(`/api/analysis/compare/company/${otherCompany._id}`)
+        .set('Authorization', await tokenFor(ownUser))
+        .expect(403);
+    });
+
+    it('should deny triggering analysis for another company', async () => {
+      await request(app)
+        .post('/api/analysis/trigger')
+        .set('Authorization', await tokenFor(ownUser))
+        .send({ companyId: otherCompany._id.toString(), documentIds: [] })
+        .expect(403);
+    });
+  });
+
+  describe('Analysis note routes', () => {
+    it('should deny notes of another company\'s analysis', async () => {
+      await request(app)
+        .get(`/api/analysis-notes/analysis/${otherAnalysis.analysisId}`)
+        .set('Authorization', await tokenFor(ownUser))
+        .expect(403);
+    });
+
+    it('should deny notes of another company', async () => {
+      await request(app)
+        .get(`/api/analysis-notes/company/${otherCompany._id}`)
+        .set('Authorization', await tokenFor(ownUser))
+        .expect(403);
+    });
+
+    it('should return non-private notes to the company\'s own users', async () => {
+      const response = await request(app)
+        .get(`/api/analysis-notes/analysis/${otherAnalysis.analysisId}`)
+        .set('Authorization', await tokenFor(otherUser))
+        .expect(200);
+
+      expect(response.body.data.notes).toHaveLength(1);
+    });
+
+    it('should deny a CA adding notes to a company they are not invited to', async () => {
+      await request(app)
+        .post('/api/analysis-notes')
+        .set('Authorization', await tokenFor(outsideCA))
+        .send({ analysisId: otherAnalysis.analysisId, title: 'Note', content: 'Content' })
+        .expect(403);
+    });
+
+    it('should deny a CA updating a note once removed from the company', async () => {
+      await Engagement.updateOne(
+        { ca: invitedCA._id, company: otherCompany._id },
+        { $set: { status: 'ended', endDate: new Date() } }
+      );
+
+      await request(app)
+        .put(`/api/analysis-notes/${otherNote._id}`)
+        .set('Authorization', await tokenFor(invitedCA))
+        .send({ content: 'Updated' })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/pdf/analysis/:analysisId/export', () => {
+    it('should deny exporting another company\'s analysis', async () => {
+      await request(app)
+        .post(`/api/pdf/analysis/${otherAnalysis.analysisId}/export`)
+        .set('Authorization', await tokenFor(ownUser))
+        .send({})
+        .expect(403);
+    });
+
+    it('should return 404 for an unknown analysis', async () => {
+      await request(app)
+        .post('/api/pdf/analysis/unknown-analysis/export')
+        .set('Authorization', await tokenFor(ownUser))
+        .send({})
+        .expect(404);
+    });
+  });
+});
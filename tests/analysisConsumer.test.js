@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Analysis = require('../src/models/Analysis');
+const ServiceCredential = require('../src/models/ServiceCredential');
+const analysisConsumer = require('../src/services/analysisConsumer');
+const analysisJobService = require('../src/services/analysisJobService');
+const { sign } = require('../src/utils/serviceSignature');
+const config = require('../src/config/config');
+
+describe('Analysis Stream Consumer Tests', () => {
+  const streams = config.analysisStreams;
+  const companyId = new mongoose.Types.ObjectId();
+  let credential;
+  let client;
+  let job;
+
+  // Stream entry signed the way the Python service signs them
+  const entryFor = (stream, data, id = '1700000000000-0', { secret = credential.secret } = {}) => {
+    const payload = JSON.stringify(data);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    return {
+      id,
+      message: {
+        payload,
+        key_id: credential.keyId,
+        timestamp,
+        nonce,
+        signature: sign(secret, { timestamp, nonce, method: 'STREAM', target: stream, body: payload }),
+      },
+    };
+  };
+
+  const resultFor = (analysisJob) => ({
+    job_id: 'py-job-1',
+    analysis_id: analysisJob.analysisId,
+    company_id: companyId.toString(),
+    analysis_data: {
+      schema_version: '1.0',
+      calculated_metrics: { current_ratio: { value: 1.8, available: true } },
+    },
+  });
+
+  const deadLetters = () => client.xAdd.mock.calls.filter(([stream]) => stream === streams.deadLetter);
+
+  beforeEach(async () => {
+    const { keyId, secret } = ServiceCredential.generateKeyPair();
+    await ServiceCredential.create({
+      name: 'Python analysis service',
+      keyId,
+      secret,
+      scopes: ['analysis:write'],
+      createdBy: new mongoose.Types.ObjectId(),
+    });
+    credential = { keyId, secret };
+
+    job = await analysisJobService.createJob({ companyId, requestedBy: new mongoose.Types.ObjectId(), documents: [] });
+
+    client = {
+      xAck: jest.fn().mockResolvedValue(1),
+      xAdd: jest.fn().mockResolvedValue('1700000000001-0'),
+      xPendingRange: jest.fn().mockResolvedValue([]),
+      xClaim: jest.fn().mockResolvedValue([]),
+      xInfoConsumers: jest.fn().mockResolvedValue([]),
+      xGroupDelConsumer: jest.fn().mockResolvedValue(0),
+    };
+    analysisConsumer.client = client;
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    analysisConsumer.client = null;
+  });
+
+  it('should store a result and acknowledge the entry', async () => {
+    const entry = entryFor(streams.completed, resultFor(job));
+
+    await analysisConsumer.processEntry(streams.completed, entry, 1);
+
+    const stored = await Analysis.findById(job._id);
+    expect(stored.status).toBe('completed');
+    expect(stored.jobId).toBe('py-job-1');
+    expect(stored.consolidatedData.calculated_metrics.current_ratio.value).toBe(1.8);
+    expect(client.xAck).toHaveBeenCalledWith(streams.completed, streams.consumerGroup, entry.id);
+    expect(deadLetters()).toHaveLength(0);
+  });
+
+  it('should leave an entry pending when storing it fails, so it is retried', async () => {
+    jest.spyOn(analysisJobService, 'findJob').mockRejectedValueOnce(new Error('connection reset'));
+
+    await analysisConsumer.processEntry(streams.completed, entryFor(streams.completed, resultFor(job)), 1);
+
+    expect(client.xAck).not.toHaveBeenCalled();
+    expect(deadLetters()).toHaveLength(0);
+    expect((await Analysis.findById(job._id)).status).toBe('queued');
+  });
+
+  it('should dead-letter an entry after the last delivery and fail the job', async () => {
+    jest.spyOn(analysisJobService, 'findJob').mockRejectedValueOnce(new Error('connection reset'));
+    const entry = entryFor(streams.completed, resultFor(job));
+
+    await analysisConsumer.processEntry(streams.completed, entry, streams.maxDeliveries);
+
+    expect(deadLetters()).toHaveLength(1);
+    expect(deadLetters()[0][2]).toMatchObject({
+      stream: streams.completed,
+      entryId: entry.id,
+      payload: entry.message.payload,
+      error: 'connection reset',
+      deliveries: String(streams.maxDeliveries),
+    });
+    expect(client.xAck).toHaveBeenCalledWith(streams.completed, streams.consumerGroup, entry.id);
+
+    const stored = await Analysis.findById(job._id);
+    expect(stored.status).toBe('failed');
+    expect(stored.failureStage).toBe('storage');
+  });
+
+  it('should dead-letter entries that can never be processed at once', async () => {
+    const entry = entryFor(streams.completed, { ...resultFor(job), analysis_id: undefined });
+
+    await analysisConsumer.processEntry(streams.completed, entry, 1);
+
+    expect(deadLetters()).toHaveLength(1);
+    expect(deadLetters()[0][2].error).toBe('Missing analysis_id in message');
+    expect(client.xAck).toHaveBeenCalledWith(streams.completed, streams.consumerGroup, entry.id);
+    expect((await Analysis.findById(job._id)).status).toBe('queued');
+  });
+
+  it('should dead-letter results without a tracked job instead of creating an analysis', async () => {
+    const analysisId = 'untracked-analysis';
+    const entry = entryFor(streams.completed, { ...resultFor(job), job_id: 'py-job-2', analysis_id: analysisId });
+
+    await analysisConsumer.processEntry(streams.completed, entry, 1);
+
+    expect(deadLetters()).toHaveLength(1);
+    expect(deadLetters()[0][2].error).toBe(`No analysis job found for ${analysisId}`);
+    expect(client.xAck).toHaveBeenCalledWith(streams.completed, streams.consumerGroup, entry.id);
+    expect(await Analysis.findOne({ analysisId })).toBeNull();
+  });
+
+  it('should dead-letter entries with a bad signature at once without acting on them', async () => {
+    const entry = entryFor(streams.completed, resultFor(job), undefined, { secret: 'not-the-secret' });
+
+    await analysisConsumer.processEntry(streams.completed, entry, 1);
+
+    expect(deadLetters()).toHaveLength(1);
+    expect(deadLetters()[0][2].error).toMatch(/^Rejected unsigned or invalid entry/);
+    expect(client.xAck).toHaveBeenCalledWith(streams.completed, streams.consumerGroup, entry.id);
+
+    // Untrusted contents must not fail the job they name
+    expect((await Analysis.findById(job._id)).status).toBe('queued');
+  });
+
+  it('should claim entries left pending by another consumer and retry them', async () => {
+    const entry = entryFor(streams.completed, resultFor(job), '1700000000000-0');
+    client.xPendingRange.mockImplementation(async (stream) => (stream === streams.completed
+      ? [
+        { id: entry.id, consumer: 'old-host-123', deliveriesCounter: 2 },
+        { id: '1600000000000-0', consumer: 'old-host-123', deliveriesCounter: 1 },
+      ]
+      : []));
+    // The second entry was trimmed from the stream meanwhile
+    client.xClaim.mockImplementation(async (stream, group, consumer, minIdle, id) => [id === entry.id ? entry : null]);
+
+    await analysisConsumer.reclaimPending();
+
+    expect(client.xClaim).toHaveBeenCalledWith(
+      streams.completed, streams.consumerGroup, streams.consumerName, streams.claimIdleMs, entry.id
+    );
+    expect((await Analysis.findById(job._id)).status).toBe('completed');
+    expect(client.xAck).toHaveBeenCalledWith(streams.completed, streams.consumerGroup, entry.id);
+    expect(client.xAck).toHaveBeenCalledWith(streams.completed, streams.consumerGroup, '1600000000000-0');
+  });
+
+  it('should remove idle consumers of stopped replicas once nothing is pending for them', async () => {
+    client.xInfoConsumers.mockResolvedValue([
+      { name: streams.consumerName, pending: 0, idle: streams.consumerIdleMs * 2 },
+      { name: 'old-host-123', pending: 0, idle: streams.consumerIdleMs + 1 },
+      { name: 'old-host-456', pending: 3, idle: streams.consumerIdleMs + 1 },
+      { name: 'other-host-789', pending: 0, idle: 1000 },
+    ]);
+
+    await analysisConsumer.reclaimPending();
+
+    const removed = client.xGroupDelConsumer.mock.calls;
+    expect(removed).toHaveLength(analysisConsumer.streams.length);
+    removed.forEach(([, group, consumer]) => {
+      expect(group).toBe(streams.consumerGroup);
+      expect(consumer).toBe('old-host-123');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Analysis = require('../src/models/Analysis');
+const Document = require('../src/models/Document');
+const Notification = require('../src/models/Notification');
+const analysisJobService = require('../src/services/analysisJobService');
+const config = require('../src/config/config');
+
+describe('Analysis Job Lifecycle Tests', () => {
+  const companyId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  let document;
+
+  const createJob = () => analysisJobService.createJob({
+    companyId,
+    requestedBy: userId,
+    documents: [document],
+  });
+
+  beforeEach(async () => {
+    document = await Document.create({
+      filename: 'balance-sheet.pdf',
+      originalName: 'balance-sheet.pdf',
+      fileType: 'pdf',
+      mimeType: 'application/pdf',
+      size: 1024,
+      storagePath: 'uploads/balance-sheet.pdf',
+      company: companyId,
+      uploadedBy: userId,
+    });
+  });
+
+  it('should move a queued job through sent and processing to completed', async () => {
+    let job = await createJob();
+    expect(job.status).toBe('queued');
+
+    job = await analysisJobService.markSent(job, 'py-job-1');
+    expect(job.status).toBe('sent');
+    expect(job.jobId).toBe('py-job-1');
+    expect(job.sentAt).toBeInstanceOf(Date);
+    expect((await Document.findById(document._id)).status).toBe('processing');
+
+    job = await analysisJobService.markProgress(job, { percent: 150, stage: 'extraction' });
+    expect(job.status).toBe('processing');
+    expect(job.progress.percent).toBe(100);
+    const { processingStartedAt } = job;
+    expect(processingStartedAt).toBeInstanceOf(Date);
+
+    job = await analysisJobService.markProgress(job, { percent: 60 });
+    expect(job.progress.stage).toBe('extraction');
+    expect(job.processingStartedAt).toEqual(processingStartedAt);
+
+    job.transitionTo('completed');
+    await job.save();
+    expect(job.completedAt).toBeInstanceOf(Date);
+  });
+
+  it('should not move a job that completed while it was being sent', async () => {
+    const job = await createJob();
+    await Analysis.updateOne({ _id: job._id }, { status: 'completed', completedAt: new Date() });
+    await Document.updateOne({ _id: document._id }, { status: 'analyzed' });
+
+    // The in-memory job is still queued
+    const current = await analysisJobService.markSent(job, 'py-job-1');
+
+    expect(current.status).toBe('completed');
+    expect(current.sentAt).toBeUndefined();
+    expect((await Document.findById(document._id)).status).toBe('analyzed');
+  });
+
+  it('should ignore progress and failures for finished jobs', async () => {
+    const job = await createJob();
+    await Analysis.updateOne({ _id: job._id }, { status: 'completed', completedAt: new Date() });
+
+    expect((await analysisJobService.markProgress(job, { percent: 10 })).status).toBe('completed');
+    expect((await analysisJobService.markFailed(job, 'Late failure')).status).toBe('completed');
+
+    const stored = await Analysis.findById(job._id);
+    expect(stored.error).toBeNull();
+    expect(await Notification.countDocuments({ type: 'analysis_failed' })).toBe(0);
+  });
+
+  it('should mark failed jobs and their documents and notify the requester', async () => {
+    const job = await analysisJobService.markSent(await createJob(), 'py-job-1');
+
+    const failed = await analysisJobService.markFailed(job, 'Extraction failed', { stage: 'extraction' });
+
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toBe('Extraction failed');
+    expect(failed.failureStage).toBe('extraction');
+    expect((await Document.findById(document._id)).status).toBe('failed');
+    expect(await Notification.countDocuments({ user: userId, type: 'analysis_failed' })).toBe(1);
+  });
+
+  it('should not allow a terminal job to change status', async () => {
+    const job = await createJob();
+
+    for (const status of Analysis.TERMINAL_STATUSES) {
+      job.status = status;
+      expect(() => job.transitionTo('processing')).toThrow(`already ${status}`);
+      expect(() => job.transitionTo('completed')).toThrow(`already ${status}`);
+    }
+  });
+
+  it('should time out only stale in-flight jobs', async () => {
+    const stale = new Date(Date.now() - config.analysis.jobTimeoutMs - 60 * 1000);
+
+    const [staleQueued, staleProcessing, staleCompleted, recent] = await Promise.all([
+      createJob(), createJob(), createJob(), createJob(),
+    ]);
+    await Analysis.updateMany(
+      { _id: { $in: [staleQueued._id, staleProcessing._id, staleCompleted._id] } },
+      { queuedAt: stale }
+    );
+    await Analysis.updateOne({ _id: staleProcessing._id }, { status: 'processing' });
+    await Analysis.updateOne({ _id: staleCompleted._id }, { status: 'completed' });
+
+    expect(await analysisJobService.sweepTimedOutJobs()).toBe(2);
+
+    const statuses = Object.fromEntries((await Analysis.find()).map(job => [job._id.toString(), job.status]));
+    expect(statuses[staleQueued._id.toString()]).toBe('timed_out');
+    expect(statuses[staleProcessing._id.toString()]).toBe('timed_out');
+    expect(statuses[staleCompleted._id.toString()]).toBe('completed');
+    expect(statuses[recent._id.toString()]).toBe('queued');
+  });
+});
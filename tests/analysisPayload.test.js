@@ -0,0 +1,103 @@
+const {
+  CURRENT_SCHEMA_VERSION,
+  AnalysisPayloadError,
+  normalizeAnalysisPayload,
+} = require('../src/utils/analysisPayload');
+
+describe('Analysis Payload Contract Tests', () => {
+  const analysisData = (overrides = {}) => ({
+    company_information: { available_years: ['FY2023'] },
+    calculated_metrics: { current_ratio: { value: 1.8, available: true } },
+    ...overrides,
+  });
+
+  const errorsFor = (data, options) => {
+    try {
+      normalizeAnalysisPayload(data, options);
+    } catch (error) {
+      expect(error).toBeInstanceOf(AnalysisPayloadError);
+      return error.errors;
+    }
+    throw new Error('Expected the payload to be rejected');
+  };
+
+  it('should treat payloads without a schema version as the first, legacy version', () => {
+    const payload = normalizeAnalysisPayload(analysisData());
+
+    expect(payload.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(payload.legacySchema).toBe(true);
+  });
+
+  it('should accept any minor version of a supported major version', () => {
+    expect(normalizeAnalysisPayload(analysisData({ schema_version: '1.3' })).schemaVersion).toBe('1.3');
+
+    // An explicit version wins over the one in the data
+    const payload = normalizeAnalysisPayload(analysisData({ schema_version: '1.3' }), { schemaVersion: '1.0' });
+    expect(payload.schemaVersion).toBe('1.0');
+    expect(payload.legacySchema).toBe(false);
+  });
+
+  it('should reject unsupported major versions', () => {
+    expect(errorsFor(analysisData(), { schemaVersion: '2.0' })).toEqual([
+      'Unsupported schema_version "2.0" (supported: 1.x)',
+    ]);
+  });
+
+  it('should report every field error at once', () => {
+    const errors = errorsFor(analysisData({
+      company_information: { available_years: 'FY2023' },
+      strategic_recommendations: { first: 'Cut costs' },
+      risk_assessment: ['high'],
+      financial_health_analysis: 'healthy',
+      calculated_metrics: {
+        current_ratio: { value: '1.8' },
+        quick_ratio: { value: 1.2, available: 'yes', unit: 2 },
+        debt_to_equity: Infinity,
+        roe: 'n/a',
+      },
+    }));
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'company_information.available_years must be an array',
+      'strategic_recommendations must be an array',
+      'risk_assessment must be an object',
+      'financial_health_analysis must be an object',
+      'calculated_metrics.current_ratio.value must be a number or null',
+      'calculated_metrics.quick_ratio.available must be a boolean',
+      'calculated_metrics.quick_ratio.unit must be a string',
+      'calculated_metrics.debt_to_equity must be a finite number',
+      'calculated_metrics.roe must be an object or number',
+    ]));
+    expect(errors).toHaveLength(9);
+  });
+
+  it('should reject payloads without financial data', () => {
+    expect(errorsFor({ company_information: { name: 'Acme' } })).toEqual([
+      expect.stringMatching(/^analysis data contains no financial data/),
+    ]);
+    expect(errorsFor(null, { schemaVersion: '1.0' })).toEqual(['analysis data must be an object']);
+  });
+
+  it('should normalise the payload into the canonical shape', () => {
+    const payload = normalizeAnalysisPayload(analysisData({
+      calculated_metrics: {
+        current_ratio: 1.8,
+        quick_ratio: { current_year: { value: 1.1 }, unit: 'x' },
+        roe: { value: null },
+      },
+      financial_health_analysis: { score: 72 },
+      unexpected_section: { dropped: true },
+    }), { metadata: { total_pages_processed: 12 } });
+
+    expect(payload.consolidatedData.calculated_metrics).toEqual({
+      current_ratio: { value: 1.8, available: true },
+      quick_ratio: { current_year: { value: 1.1 }, unit: 'x', value: 1.1, available: true },
+      roe: { value: null, available: false },
+    });
+    expect(payload.consolidatedData.strategic_recommendations).toEqual([]);
+    expect(payload.consolidatedData.risk_assessment).toEqual({});
+    expect(payload.consolidatedData).not.toHaveProperty('unexpected_section');
+    expect(payload.healthAnalysis).toEqual({ score: 72 });
+    expect(payload.totalPagesProcessed).toBe(12);
+  });
+});
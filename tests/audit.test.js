@@ -0,0 +1,79 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const AuditLog = require('../src/models/AuditLog');
+const auditService = require('../src/services/auditService');
+const sessionService = require('../src/services/sessionService');
+
+describe('Audit Log Tests', () => {
+  let superAdmin;
+  let adminToken;
+  let user;
+
+  beforeEach(async () => {
+    superAdmin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123',
+      name: 'Super Admin',
+      role: 'SUPER_ADMIN',
+    });
+    ({ accessToken: adminToken } = await sessionService.start(superAdmin));
+
+    user = await User.create({
+      email: 'user@example.com',
+      password: 'Password123',
+      name: 'Test User',
+      role: 'COMPANY_USER',
+    });
+  });
+
+  it('should record a role change with who made it and what changed', async () => {
+    await request(app)
+      .put(`/api/users/${user._id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('User-Agent', 'Audit Test')
+      .send({ role: 'CA' })
+      .expect(200);
+    await auditService.idle();
+
+    const response = await request(app)
+      .get('/api/admin/audit-logs')
+      .query({ action: 'user.role_change', targetId: user._id.toString() })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.data.entries).toHaveLength(1);
+    const [entry] = response.body.data.entries;
+    expect(entry.actor.email).toBe('admin@example.com');
+    expect(entry.userAgent).toBe('Audit Test');
+    expect(entry.changes).toEqual({ before: { role: 'COMPANY_USER' }, after: { role: 'CA' } });
+  });
+
+  it('should detect entries that were tampered with', async () => {
+    for (const role of ['CA', 'COMPANY_ADMIN']) {
+      await request(app)
+        .put(`/api/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role })
+        .expect(200);
+    }
+    await auditService.idle();
+
+    const intact = await request(app)
+      .get('/api/admin/audit-logs/verify')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(intact.body.data).toMatchObject({ valid: true, checked: 2 });
+
+    // Entries can't be changed through the model
+    await expect(AuditLog.updateOne({ seq: 1 }, { $set: { action: 'user.view' } })).rejects.toThrow();
+
+    await AuditLog.collection.updateOne({ seq: 1 }, { $set: { 'changes.after.role': 'COMPANY_USER' } });
+
+    const tampered = await request(app)
+      .get('/api/admin/audit-logs/verify')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(tampered.body.data).toMatchObject({ valid: false, brokenAt: 1 });
+  });
+});
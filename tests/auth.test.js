@@ -1,6 +1,10 @@
 const request = require('supertest');
 const app = require('../src/server');
 const User = require('../src/models/User');
+const mailService = require('../src/services/mailService');
+const accountService = require('../src/services/accountService');
+const config = require('../src/config/config');
+const { generateTokens } = require('../src/utils/jwt');
 
 describe('Authentication Tests', () => {
   describe('POST /api/auth/register', () => {
@@ -176,6 +180,189 @@ describe('Authentication Tests', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
+
+      // The access token of the signed-out session no longer works
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+    });
+  });
+
+  describe('Sessions', () => {
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'Password123' });
+
+    beforeEach(async () => {
+      await User.create({
+        email: 'test@example.com',
+        password: 'Password123',
+        name: 'Test User',
+        role: 'CA',
+      });
+    });
+
+    it('should keep one session per device', async () => {
+      const first = await login();
+      const second = await login();
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${second.body.data.accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.sessions).toHaveLength(2);
+      expect(response.body.data.sessions.filter(session => session.current)).toHaveLength(1);
+
+      // Signing in again did not invalidate the first device
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(200);
+    });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      const { body } = await login();
+      const oldToken = body.data.refreshToken;
+
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: oldToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: oldToken })
+        .expect(401);
+
+      // The whole family is gone, including the latest token
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should reject access tokens that do not belong to a session', async () => {
+      const user = await User.findOne({ email: 'test@example.com' });
+      const legacyToken = generateTokens(user).accessToken;
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .expect(401);
+      expect(response.body.message).toBe('Session required. Please log in again.');
+
+      // Still honoured during a configured cut-over period
+      config.sessions.legacyTokensUntil = new Date(Date.now() + 60 * 1000);
+      try {
+        await request(app)
+          .get('/api/auth/profile')
+          .set('Authorization', `Bearer ${legacyToken}`)
+          .expect(200);
+      } finally {
+        config.sessions.legacyTokensUntil = null;
+      }
+    });
+  });
+
+  describe('Email verification and password reset', () => {
+    // Token from the link in the latest email sent to an address
+    const tokenFrom = (to) => {
+      const message = mailService.outbox.filter(mail => mail.to === to).pop();
+      return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    };
+
+    beforeEach(() => {
+      mailService.outbox.length = 0;
+    });
+
+    it('should verify the email address from the registration email once', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'new@example.com', password: 'Password123', name: 'New User', role: 'CA' })
+        .expect(201);
+      await accountService.idle();
+
+      const token = tokenFrom('new@example.com');
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+
+      const user = await User.findOne({ email: 'new@example.com' });
+      expect(user.emailVerified).toBe(true);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+    });
+
+    it('should register even when the verification email cannot be sent', async () => {
+      jest.spyOn(mailService, 'send').mockRejectedValueOnce(new Error('SMTP unavailable'));
+      const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        await request(app)
+          .post('/api/auth/register')
+          .send({ email: 'new@example.com', password: 'Password123', name: 'New User', role: 'CA' })
+          .expect(201);
+        await accountService.idle();
+
+        expect(logged).toHaveBeenCalledWith('Verification email error:', expect.any(Error));
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+
+    it('should reset the password with a single-use token and sign out sessions', async () => {
+      await User.create({
+        email: 'test@example.com',
+        password: 'Password123',
+        name: 'Test User',
+        role: 'CA',
+      });
+
+      const { body } = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'Password123' })
+        .expect(200);
+
+      // Unknown addresses get the same response
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+      await accountService.idle();
+
+      const token = tokenFrom('test@example.com');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'NewPassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'OtherPassword123' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'NewPassword123' })
+        .expect(200);
     });
   });
 });
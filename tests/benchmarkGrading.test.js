@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Benchmark = require('../src/models/Benchmark');
+const benchmarkGradingService = require('../src/services/benchmarkGradingService');
+
+describe('Benchmark Grading Tests', () => {
+  const thresholds = { excellent: 2.5, good: 2, fair: 1.5, poor: 1 };
+  const inverted = { excellent: 0.5, good: 1, fair: 1.5, poor: 2 };
+
+  it('should grade values in the direction of the metric', () => {
+    expect(benchmarkGradingService.gradeValue(2.5, thresholds, 'higher_is_better')).toBe('excellent');
+    expect(benchmarkGradingService.gradeValue(1.7, thresholds, 'higher_is_better')).toBe('fair');
+    expect(benchmarkGradingService.gradeValue(0.9, thresholds, 'higher_is_better')).toBe('critical');
+
+    expect(benchmarkGradingService.gradeValue(0.5, inverted, 'lower_is_better')).toBe('excellent');
+    expect(benchmarkGradingService.gradeValue(1.2, inverted, 'lower_is_better')).toBe('fair');
+    expect(benchmarkGradingService.gradeValue(2.1, inverted, 'lower_is_better')).toBe('critical');
+
+    // Without a polarity the direction follows the thresholds
+    expect(benchmarkGradingService.gradeValue(0.8, inverted)).toBe('good');
+  });
+
+  it('should skip grades without a threshold', () => {
+    expect(benchmarkGradingService.gradeValue(1.8, { excellent: 3, fair: 1.5 }, 'higher_is_better')).toBe('fair');
+  });
+
+  it.each([
+    [100, 'excellent'],
+    [85, 'excellent'],
+    [84.9, 'good'],
+    [65, 'good'],
+    [45, 'fair'],
+    [44.9, 'poor'],
+    [25, 'poor'],
+    [24.9, 'critical'],
+    [0, 'critical'],
+  ])('should band a score of %p as %p', (score, grade) => {
+    expect(benchmarkGradingService.gradeScore(score)).toBe(grade);
+  });
+
+  it('should scale values reported as fractions to percentage thresholds', () => {
+    expect(benchmarkGradingService.toBenchmarkUnit(0.12, 'fraction', '%')).toBe(12);
+    expect(benchmarkGradingService.toBenchmarkUnit(1.5, 'Ratio', '%')).toBe(150);
+    expect(benchmarkGradingService.toBenchmarkUnit(0.5, '%', '%')).toBe(0.5);
+    expect(benchmarkGradingService.toBenchmarkUnit(0.5, undefined, 'x')).toBe(0.5);
+  });
+
+  it('should take values without a unit to be in the unit the registry declares', () => {
+    // 0.8% stays 0.8%, however small it looks
+    expect(benchmarkGradingService.toBenchmarkUnit(0.8, undefined, '%')).toBe(0.8);
+    expect(benchmarkGradingService.toBenchmarkUnit(18, '', '%')).toBe(18);
+  });
+
+  it('should not convert percentages reported in an unknown unit', () => {
+    expect(benchmarkGradingService.toBenchmarkUnit(1200, 'bps', '%')).toBeNull();
+  });
+
+  it('should score categories by points and weight graded categories equally', async () => {
+    const benchmark = new Benchmark({ name: 'General', createdBy: new mongoose.Types.ObjectId() });
+    const analysis = {
+      analysisId: 'analysis-1',
+      consolidatedData: {
+        company_information: { available_years: ['FY2024'] },
+        calculated_metrics: {
+          current_ratio: { value: 2.6 }, // excellent: 4
+          quick_ratio: { value: 1.0 }, // fair: 2
+          cash_ratio: { value: null, available: false },
+          debt_to_equity: { value: 1.2 }, // fair: 2
+          debt_to_assets: { value: 0.7, unit: 'ratio' }, // 70%, worse than poor: 0
+          net_margin: { value: 12, unit: '%' }, // good: 3
+          roe: { value: 1500, unit: 'bps' }, // can't be converted, so not graded
+        },
+      },
+    };
+
+    const report = await benchmarkGradingService.gradeAnalysis(analysis, benchmark);
+
+    expect(report.fiscal_year).toBe('FY2024');
+    expect(report.categories.liquidity).toMatchObject({ score: 75, grade: 'good', graded: 2, total: 3 });
+    expect(report.categories.leverage).toMatchObject({ score: 25, grade: 'poor', graded: 2 });
+    expect(report.categories.profitability).toMatchObject({ score: 75, grade: 'good', graded: 1 });
+    expect(report.categories.efficiency).toMatchObject({ score: null, grade: 'insufficient_data', graded: 0 });
+
+    // (75 + 25 + 75) / 3; categories without data do not count
+    expect(report.overall).toMatchObject({ score: 58.3, grade: 'fair', graded_ratios: 5 });
+
+    const debtToAssets = report.ratios.find(ratio => ratio.metric === 'debt_to_assets');
+    expect(debtToAssets).toMatchObject({ value: 70, grade: 'critical', points: 0 });
+
+    const roe = report.ratios.find(ratio => ratio.metric === 'roe');
+    expect(roe).toMatchObject({ value: null, grade: null, available: false, reported_unit: 'bps' });
+  });
+
+  it('should grade nothing without values', async () => {
+    const benchmark = new Benchmark({ name: 'General', createdBy: new mongoose.Types.ObjectId() });
+
+    const report = await benchmarkGradingService.gradeAnalysis({ analysisId: 'empty', consolidatedData: {} }, benchmark);
+
+    expect(report.overall).toMatchObject({ score: null, grade: 'insufficient_data', graded_ratios: 0 });
+  });
+});
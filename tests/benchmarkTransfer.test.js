@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const Benchmark = require('../src/models/Benchmark');
+const benchmarkTransferService = require('../src/services/benchmarkTransferService');
+const sessionService = require('../src/services/sessionService');
+
+describe('Benchmark Import Tests', () => {
+  let superAdmin;
+  let authorization;
+
+  const tokenFor = async (user) => `Bearer ${(await sessionService.start(user)).accessToken}`;
+
+  const HEADER = 'name,industry,metric,polarity,excellent,good,fair,poor';
+
+  const importCsv = (csv, query = '') => request(app)
+    .post(`/api/benchmarks/import${query}`)
+    .set('Authorization', authorization)
+    .send({ csv });
+
+  beforeEach(async () => {
+    superAdmin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123',
+      name: 'Super Admin',
+      role: 'SUPER_ADMIN',
+    });
+    authorization = await tokenFor(superAdmin);
+  });
+
+  it('should reject thresholds that do not get worse from excellent to poor', async () => {
+    const entries = benchmarkTransferService.parse('csv', [
+      HEADER,
+      'Retail,Retail,current_ratio,,2.5,2,1.5,1',
+      'Retail,Retail,debt_to_equity,,0.5,1,1.5,2',
+      'Steel,Manufacturing,current_ratio,,1,2,,',
+      'Steel,Manufacturing,debt_to_equity,,2,1,,',
+    ].join('\n'));
+
+    const { benchmarks, errors } = await benchmarkTransferService.validate(entries);
+
+    expect(benchmarks.map(benchmark => benchmark.name)).toEqual(['Retail', 'Steel']);
+    expect(errors).toEqual([
+      { row: 4, field: 'metric', message: 'metric.thresholds must decrease from excellent to poor for a higher_is_better metric' },
+      { row: 5, field: 'metric', message: 'metric.thresholds must increase from excellent to poor for a lower_is_better metric' },
+    ]);
+  });
+
+  it('should report every invalid row and change nothing', async () => {
+    const response = await importCsv([
+      HEADER,
+      'Retail,Retail,current_ratio,,2.5,2,1.5,1',
+      ',Retail,current_ratio,,2.5,2,1.5,1',
+      'Retail,Retail,not_a_metric,,1,,,',
+      'Retail,Retail,current_ratio,,abc,,,',
+    ].join('\n')).expect(400);
+
+    expect(response.body.message).toBe('Import has 3 error(s); no benchmarks were changed');
+    expect(response.body.data.errors.map(error => [error.row, error.field])).toEqual([
+      [3, 'name'],
+      [4, 'metric'],
+      [5, 'metric'],
+    ]);
+    expect(await Benchmark.countDocuments()).toBe(0);
+  });
+
+  it('should preview an import without writing on a dry run', async () => {
+    const existing = await Benchmark.create({ name: 'Retail', industry: 'Retail', createdBy: superAdmin._id });
+
+    const response = await importCsv([
+      HEADER,
+      'Retail,Retail,current_ratio,,3,2,1.5,1',
+      'Steel,Manufacturing,debt_to_equity,,0.5,1,1.5,2',
+    ].join('\n'), '?dryRun=true').expect(200);
+
+    expect(response.body.data.dryRun).toBe(true);
+    expect(response.body.data.benchmarks).toEqual([
+      expect.objectContaining({ name: 'Retail', action: 'update', rows: [2], benchmarkId: existing._id.toString() }),
+      expect.objectContaining({ name: 'Steel', action: 'create', rows: [3] }),
+    ]);
+
+    expect(await Benchmark.countDocuments()).toBe(1);
+    const stored = await Benchmark.findById(existing._id);
+    expect(stored.version).toBe(1);
+    expect(stored.liquidityRatios.currentRatio.excellent).toBe(2.5);
+  });
+});
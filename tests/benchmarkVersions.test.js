@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const Benchmark = require('../src/models/Benchmark');
+const BenchmarkVersion = require('../src/models/BenchmarkVersion');
+const benchmarkVersionService = require('../src/services/benchmarkVersionService');
+const benchmarkGradingService = require('../src/services/benchmarkGradingService');
+
+describe('Benchmark Version Tests', () => {
+  const authorId = new mongoose.Types.ObjectId();
+  let benchmark;
+
+  const analysis = {
+    analysisId: 'analysis-1',
+    consolidatedData: {
+      company_information: { available_years: ['FY2023'] },
+      calculated_metrics: { current_ratio: { value: 2.6, available: true } },
+    },
+  };
+
+  const currentRatioGrade = (report) => report.ratios.find(ratio => ratio.metric === 'current_ratio').grade;
+
+  beforeEach(async () => {
+    benchmark = await Benchmark.create({
+      name: 'Manufacturing Benchmark',
+      industry: 'Manufacturing',
+      createdBy: authorId,
+    });
+    await benchmarkVersionService.recordInitialVersion(benchmark, authorId);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should record each change as a new version with a field-level diff', async () => {
+    const { benchmark: updated, version } = await benchmarkVersionService.applyUpdate(
+      benchmark,
+      { liquidityRatios: { currentRatio: { excellent: 3 } } },
+      { author: authorId, changeNote: 'Tighter liquidity' }
+    );
+
+    expect(updated.version).toBe(2);
+    expect(version.version).toBe(2);
+    expect(version.changeNote).toBe('Tighter liquidity');
+    expect(version.changes.map(change => change.toObject())).toEqual([
+      { path: 'liquidityRatios.currentRatio.excellent', from: 2.5, to: 3 },
+    ]);
+
+    // Partial updates keep the rest of the group
+    const stored = await Benchmark.findById(benchmark._id);
+    expect(stored.version).toBe(2);
+    expect(stored.liquidityRatios.currentRatio.good).toBe(2);
+    expect(await BenchmarkVersion.countDocuments({ benchmark: benchmark._id })).toBe(2);
+  });
+
+  it('should not create a version when nothing changed', async () => {
+    const { version } = await benchmarkVersionService.applyUpdate(benchmark, {
+      liquidityRatios: { currentRatio: { excellent: 2.5 } },
+    }, { author: authorId });
+
+    expect(version).toBeNull();
+    expect((await Benchmark.findById(benchmark._id)).version).toBe(1);
+  });
+
+  it('should diff two stored versions', async () => {
+    await benchmarkVersionService.applyUpdate(benchmark, {
+      description: 'Revised',
+      leverageRatios: { debtToEquity: { poor: 2.5 } },
+    }, { author: authorId });
+
+    const [first, second] = await Promise.all([
+      benchmarkVersionService.getVersion(benchmark._id, 1),
+      benchmarkVersionService.getVersion(benchmark._id, 2),
+    ]);
+
+    expect(benchmarkVersionService.diff(first, second)).toEqual([
+      { path: 'description', from: null, to: 'Revised' },
+      { path: 'leverageRatios.debtToEquity.poor', from: 2, to: 2.5 },
+    ]);
+  });
+
+  it('should reject a concurrent update of the same version', async () => {
+    const [first, second] = await Promise.all([
+      Benchmark.findById(benchmark._id),
+      Benchmark.findById(benchmark._id),
+    ]);
+
+    await benchmarkVersionService.applyUpdate(first, { liquidityRatios: { currentRatio: { excellent: 3 } } }, { author: authorId });
+
+    await expect(
+      benchmarkVersionService.applyUpdate(second, { liquidityRatios: { currentRatio: { excellent: 4 } } }, { author: authorId })
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    const stored = await Benchmark.findById(benchmark._id);
+    expect(stored.version).toBe(2);
+    expect(stored.liquidityRatios.currentRatio.excellent).toBe(3);
+    expect(await BenchmarkVersion.countDocuments({ benchmark: benchmark._id })).toBe(2);
+  });
+
+  it('should remove the version record when saving the benchmark fails', async () => {
+    jest.spyOn(benchmark, 'save').mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(
+      benchmarkVersionService.applyUpdate(benchmark, { liquidityRatios: { currentRatio: { excellent: 3 } } }, { author: authorId })
+    ).rejects.toThrow('write failed');
+    expect(await BenchmarkVersion.countDocuments({ benchmark: benchmark._id })).toBe(1);
+
+    // The version number is free again for the retry
+    const { version } = await benchmarkVersionService.applyUpdate(
+      await Benchmark.findById(benchmark._id),
+      { liquidityRatios: { currentRatio: { excellent: 3 } } },
+      { author: authorId }
+    );
+    expect(version.version).toBe(2);
+  });
+
+  it('should grade against the thresholds of a historical version', async () => {
+    await benchmarkVersionService.applyUpdate(benchmark, {
+      liquidityRatios: { currentRatio: { excellent: 3 } },
+    }, { author: authorId });
+
+    const current = await benchmarkGradingService.resolveBenchmark({ benchmarkId: benchmark._id });
+    const historical = await benchmarkGradingService.resolveBenchmark({ benchmarkId: benchmark._id, benchmarkVersion: 1 });
+
+    const currentReport = await benchmarkGradingService.gradeAnalysis(analysis, current);
+    const historicalReport = await benchmarkGradingService.gradeAnalysis(analysis, historical);
+
+    expect(currentReport.benchmark.version).toBe(2);
+    expect(currentRatioGrade(currentReport)).toBe('good');
+    expect(historicalReport.benchmark.version).toBe(1);
+    expect(currentRatioGrade(historicalReport)).toBe('excellent');
+
+    // An analysis run with version 1 is graded against it by default
+    const runWithV1 = await benchmarkGradingService.resolveBenchmark({
+      analysis: { benchmark: benchmark._id, benchmarkVersion: 1 },
+    });
+    expect(runWithV1.version).toBe(1);
+  });
+});
@@ -0,0 +1,50 @@
+const { toCsv, toCsvRow, parseCsv } = require('../src/utils/csv');
+
+describe('CSV Tests', () => {
+  it('should parse quoted fields with commas, quotes and line breaks', () => {
+    const records = parseCsv('Name,Description\r\n"Acme, Inc","Says ""hi""\non two lines"\r\nPlain,text\r\n');
+
+    expect(records).toEqual([
+      { _line: 2, name: 'Acme, Inc', description: 'Says "hi"\non two lines' },
+      { _line: 4, name: 'Plain', description: 'text' },
+    ]);
+  });
+
+  it('should strip a BOM, skip blank lines and fill missing columns', () => {
+    const records = parseCsv('﻿name,industry\n\nFirst\n  ,  \nSecond,Retail');
+
+    expect(records).toEqual([
+      { _line: 3, name: 'First', industry: '' },
+      { _line: 5, name: 'Second', industry: 'Retail' },
+    ]);
+  });
+
+  it('should report an unterminated quoted field with its line', () => {
+    expect(() => parseCsv('name\nok\n"broken\nstill broken')).toThrow('Unterminated quoted field starting on line 3');
+  });
+
+  it('should prefix text that a spreadsheet would run as a formula', () => {
+    const columns = ['value'];
+    const rows = ['=HYPERLINK("http://evil")', '+91 98', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd']
+      .map(value => ({ value }));
+
+    expect(toCsv(columns, rows).split('\r\n').slice(1, -1)).toEqual([
+      '"\'=HYPERLINK(""http://evil"")"',
+      "'+91 98",
+      "'-2+3",
+      "'@SUM(A1)",
+      "'\tcmd",
+      '"\'\rcmd"',
+    ]);
+  });
+
+  it('should leave numbers alone', () => {
+    expect(toCsvRow(['a', 'b', 'c', 'd'], { a: -5, b: '-1.5', c: '+2e3', d: 0 })).toBe('-5,-1.5,+2e3,0\r\n');
+  });
+
+  it('should read guarded values back unchanged', () => {
+    const rows = [{ name: '=1+1', note: '- see notes' }];
+
+    expect(parseCsv(toCsv(['name', 'note'], rows))).toEqual([{ _line: 2, ...rows[0] }]);
+  });
+});
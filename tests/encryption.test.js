@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Analysis = require('../src/models/Analysis');
+const AnalysisNote = require('../src/models/AnalysisNote');
+const encryptionService = require('../src/services/encryptionService');
+
+describe('Field Encryption Tests', () => {
+  const companyId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  const consolidatedData = {
+    company_information: { company_name: 'Acme Ltd', industry: 'Manufacturing' },
+    calculated_metrics: { current_ratio: { value: 1.8, available: true } },
+  };
+
+  const createAnalysis = () => Analysis.create({
+    analysisId: 'analysis-1',
+    company: companyId,
+    uploadedBy: userId,
+    consolidatedData,
+    healthAnalysis: { confidence_score: 0.9 },
+    status: 'completed',
+  });
+
+  // Data keys are removed between tests, so don't reuse cached ones
+  beforeEach(() => {
+    encryptionService.clearCache();
+  });
+
+  it('should store analysis results and notes encrypted and read them back transparently', async () => {
+    const analysis = await createAnalysis();
+    expect(analysis.consolidatedData).toEqual(consolidatedData);
+
+    const note = await AnalysisNote.create({
+      analysis: analysis._id,
+      analysisId: analysis.analysisId,
+      company: companyId,
+      createdBy: userId,
+      title: 'Liquidity',
+      content: 'Working capital is tight',
+    });
+    expect(note.content).toBe('Working capital is tight');
+
+    const [storedAnalysis, storedNote] = await Promise.all([
+      Analysis.collection.findOne({ _id: analysis._id }),
+      AnalysisNote.collection.findOne({ _id: note._id }),
+    ]);
+    expect(encryptionService.isEncrypted(storedAnalysis.consolidatedData)).toBe(true);
+    expect(encryptionService.isEncrypted(storedAnalysis.healthAnalysis)).toBe(true);
+    expect(storedAnalysis.consolidatedData).not.toContain('Acme');
+    expect(encryptionService.isEncrypted(storedNote.content)).toBe(true);
+
+    const loaded = await Analysis.findById(analysis._id);
+    expect(loaded.healthAnalysis).toEqual({ confidence_score: 0.9 });
+
+    // Sub-path selections still work on lean queries
+    const [selected] = await Analysis.find({ company: companyId })
+      .select('consolidatedData.company_information')
+      .lean();
+    expect(selected.consolidatedData).toEqual({ company_information: consolidatedData.company_information });
+
+    const loadedNote = await AnalysisNote.findById(note._id).lean();
+    expect(loadedNote.title).toBe('Liquidity');
+    expect(loadedNote.content).toBe('Working capital is tight');
+  });
+
+  it('should re-encrypt records under a rotated data key', async () => {
+    const analysis = await createAnalysis();
+    const before = await Analysis.collection.findOne({ _id: analysis._id });
+
+    const dataKey = await encryptionService.rotateDataKey(companyId);
+    expect(dataKey.version).toBe(2);
+    expect(await Analysis.reencryptFields(companyId)).toBe(1);
+
+    const after = await Analysis.collection.findOne({ _id: analysis._id });
+    expect(encryptionService.keyIdOf(before.consolidatedData)).not.toBe(dataKey._id.toString());
+    expect(encryptionService.keyIdOf(after.consolidatedData)).toBe(dataKey._id.toString());
+
+    const loaded = await Analysis.findById(analysis._id).lean();
+    expect(loaded.consolidatedData).toEqual(consolidatedData);
+  });
+});
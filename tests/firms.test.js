@@ -0,0 +1,195 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const Company = require('../src/models/Company');
+const Firm = require('../src/models/Firm');
+const Benchmark = require('../src/models/Benchmark');
+const sessionService = require('../src/services/sessionService');
+
+describe('Firm Tests', () => {
+  let superAdmin;
+  let partner;
+  let staff;
+  let firm;
+  let company;
+
+  const tokenFor = async (user) => `Bearer ${(await sessionService.start(user)).accessToken}`;
+
+  beforeEach(async () => {
+    superAdmin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123',
+      name: 'Super Admin',
+      role: 'SUPER_ADMIN',
+    });
+
+    firm = await Firm.create({ name: 'Sharma & Associates', createdBy: superAdmin._id });
+
+    partner = await User.create({
+      email: 'partner@example.com',
+      password: 'Password123',
+      name: 'Partner CA',
+      role: 'CA',
+      firm: firm._id,
+      firmRole: 'partner',
+    });
+
+    staff = await User.create({
+      email: 'staff@example.com',
+      password: 'Password123',
+      name: 'Staff CA',
+      role: 'CA',
+      firm: firm._id,
+      firmRole: 'staff',
+    });
+
+    company = await Company.create({
+      name: 'Client Company',
+      representative: superAdmin._id,
+      createdBy: superAdmin._id,
+    });
+
+    await request(app)
+      .post(`/api/firms/${firm._id}/clients`)
+      .set('Authorization', await tokenFor(superAdmin))
+      .send({ companyIds: [company._id] })
+      .expect(200);
+  });
+
+  it('should give partners access to firm clients and staff only once assigned', async () => {
+    await request(app)
+      .get(`/api/companies/${company._id}`)
+      .set('Authorization', await tokenFor(partner))
+      .expect(200);
+
+    await request(app)
+      .get(`/api/companies/${company._id}`)
+      .set('Authorization', await tokenFor(staff))
+      .expect(403);
+
+    await request(app)
+      .post(`/api/firms/${firm._id}/clients/${company._id}/assignments`)
+      .set('Authorization', await tokenFor(partner))
+      .send({ userId: staff._id })
+      .expect(201);
+
+    await request(app)
+      .get(`/api/companies/${company._id}`)
+      .set('Authorization', await tokenFor(staff))
+      .expect(200);
+  });
+
+  it('should not let staff assign clients', async () => {
+    await request(app)
+      .post(`/api/firms/${firm._id}/clients/${company._id}/assignments`)
+      .set('Authorization', await tokenFor(staff))
+      .send({ userId: staff._id })
+      .expect(403);
+  });
+
+  it('should not remove the last partner', async () => {
+    await request(app)
+      .delete(`/api/firms/${firm._id}/members/${partner._id}`)
+      .set('Authorization', await tokenFor(partner))
+      .expect(400);
+  });
+
+  it('should only add a CA to the firm once they accept the invitation', async () => {
+    const invitee = await User.create({
+      email: 'invitee@example.com',
+      password: 'Password123',
+      name: 'Invited CA',
+      role: 'CA',
+    });
+
+    const response = await request(app)
+      .post(`/api/firms/${firm._id}/members`)
+      .set('Authorization', await tokenFor(partner))
+      .send({ userId: invitee._id, firmRole: 'manager' })
+      .expect(201);
+    const invitationId = response.body.data.invitation._id;
+
+    expect((await User.findById(invitee._id)).firm).toBeFalsy();
+
+    // Only the invited CA can answer
+    await request(app)
+      .post(`/api/firms/invitations/${invitationId}/accept`)
+      .set('Authorization', await tokenFor(staff))
+      .expect(404);
+
+    await request(app)
+      .post(`/api/firms/invitations/${invitationId}/accept`)
+      .set('Authorization', await tokenFor(invitee))
+      .expect(200);
+
+    const member = await User.findById(invitee._id);
+    expect(member.firm.toString()).toBe(firm._id.toString());
+    expect(member.firmRole).toBe('manager');
+
+    await request(app)
+      .post(`/api/firms/invitations/${invitationId}/accept`)
+      .set('Authorization', await tokenFor(invitee))
+      .expect(404);
+  });
+
+  it('should give the same answer for users who cannot be invited', async () => {
+    const messages = [];
+
+    for (const user of [staff, superAdmin]) {
+      const response = await request(app)
+        .post(`/api/firms/${firm._id}/members`)
+        .set('Authorization', await tokenFor(partner))
+        .send({ userId: user._id })
+        .expect(400);
+      messages.push(response.body.message);
+    }
+
+    expect(messages[0]).toBe(messages[1]);
+  });
+
+  it('should keep firm benchmarks within the firm', async () => {
+    const outsider = await User.create({
+      email: 'outsider@example.com',
+      password: 'Password123',
+      name: 'Outside CA',
+      role: 'CA',
+    });
+    const benchmark = await Benchmark.create({
+      name: 'Firm Benchmark',
+      industry: 'Manufacturing',
+      createdBy: partner._id,
+      firm: firm._id,
+    });
+
+    await request(app)
+      .get(`/api/benchmarks/${benchmark._id}`)
+      .set('Authorization', await tokenFor(staff))
+      .expect(200);
+
+    await request(app)
+      .get(`/api/benchmarks/${benchmark._id}`)
+      .set('Authorization', await tokenFor(outsider))
+      .expect(403);
+
+    await request(app)
+      .get(`/api/benchmarks/${benchmark._id}/versions`)
+      .set('Authorization', await tokenFor(outsider))
+      .expect(403);
+
+    await request(app)
+      .get(`/api/benchmarks/export?ids=${benchmark._id}`)
+      .set('Authorization', await tokenFor(outsider))
+      .expect(403);
+  });
+
+  it('should show the firm dashboard to partners', async () => {
+    const response = await request(app)
+      .get(`/api/firms/${firm._id}/dashboard`)
+      .set('Authorization', await tokenFor(partner))
+      .expect(200);
+
+    expect(response.body.data.metrics.assignedCompanies).toBe(1);
+    expect(response.body.data.members).toHaveLength(2);
+    expect(response.body.data.unassignedClients).toHaveLength(1);
+  });
+});
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const Company = require('../src/models/Company');
+const Engagement = require('../src/models/Engagement');
+const Firm = require('../src/models/Firm');
+const Notification = require('../src/models/Notification');
+const engagementService = require('../src/services/engagementService');
+const mailService = require('../src/services/mailService');
+const { AppError } = require('../src/middleware/errorHandler');
+const sessionService = require('../src/services/sessionService');
+
+describe('CA Invitation Tests', () => {
+  let superAdmin;
+  let companyAdmin;
+  let ca;
+  let company;
+
+  const tokenFor = async (user) => `Bearer ${(await sessionService.start(user)).accessToken}`;
+
+  // Token from the link in the latest email sent to an address
+  const invitationTokenFor = (to) => {
+    const message = mailService.outbox.filter(mail => mail.to === to).pop();
+    return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  };
+
+  const invite = async (role = 'reviewer') => request(app)
+    .post(`/api/companies/${company._id}/invite-ca`)
+    .set('Authorization', await tokenFor(companyAdmin))
+    .send({ caId: ca._id, role })
+    .expect(201);
+
+  beforeEach(async () => {
+    mailService.outbox.length = 0;
+
+    superAdmin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123',
+      name: 'Super Admin',
+      role: 'SUPER_ADMIN',
+    });
+
+    ca = await User.create({
+      email: 'ca@example.com',
+      password: 'Password123',
+      name: 'Invited CA',
+      role: 'CA',
+    });
+
+    company = await Company.create({
+      name: 'Client Company',
+      representative: superAdmin._id,
+      createdBy: superAdmin._id,
+    });
+
+    companyAdmin = await User.create({
+      email: 'company-admin@example.com',
+      password: 'Password123',
+      name: 'Company Admin',
+      role: 'COMPANY_ADMIN',
+      company: company._id,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should email the token and keep it out of the notification', async () => {
+    await invite();
+
+    expect(invitationTokenFor('ca@example.com')).toMatch(/^[a-f0-9]{64}$/);
+
+    const notification = await Notification.findOne({ user: ca._id });
+    expect(notification.link).toBe('/ca/invitations');
+    expect(JSON.stringify(notification.toObject())).not.toContain(invitationTokenFor('ca@example.com'));
+  });
+
+  it('should accept an invitation only once, even when the token is used twice at the same time', async () => {
+    await invite();
+    const token = invitationTokenFor('ca@example.com');
+    const authorization = await tokenFor(ca);
+
+    const responses = await Promise.all([1, 2].map(() => request(app)
+      .post('/api/ca/invitations/accept')
+      .set('Authorization', authorization)
+      .send({ token })));
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 404]);
+    expect(await Engagement.countDocuments({ ca: ca._id, company: company._id, status: 'active' })).toBe(1);
+
+    await request(app)
+      .post('/api/ca/invitations/decline')
+      .set('Authorization', await tokenFor(ca))
+      .send({ token })
+      .expect(404);
+  });
+
+  it('should keep the current lead when accepting as lead fails', async () => {
+    const leadCA = await User.create({
+      email: 'lead-ca@example.com',
+      password: 'Password123',
+      name: 'Lead CA',
+      role: 'CA',
+    });
+    const { engagement: lead } = await engagementService.grant({
+      caId: leadCA._id,
+      companyId: company._id,
+      role: 'lead',
+      grantedBy: superAdmin._id,
+    });
+
+    await invite('lead');
+    // The token is used up by another request between the lookup and the update
+    jest.spyOn(engagementService, '_consume')
+      .mockRejectedValueOnce(new AppError('Invitation not found or already answered', 404));
+
+    await request(app)
+      .post('/api/ca/invitations/accept')
+      .set('Authorization', await tokenFor(ca))
+      .send({ token: invitationTokenFor('ca@example.com') })
+      .expect(404);
+
+    expect((await Engagement.findById(lead._id)).role).toBe('lead');
+  });
+
+  it('should not let another CA use the token', async () => {
+    await invite();
+    const otherCA = await User.create({
+      email: 'other-ca@example.com',
+      password: 'Password123',
+      name: 'Other CA',
+      role: 'CA',
+    });
+
+    await request(app)
+      .post('/api/ca/invitations/accept')
+      .set('Authorization', await tokenFor(otherCA))
+      .send({ token: invitationTokenFor('ca@example.com') })
+      .expect(403);
+  });
+
+  it('should revoke an open invitation when the CA is assigned the company through their firm', async () => {
+    const firm = await Firm.create({ name: 'Sharma & Associates', createdBy: superAdmin._id });
+    ca.firm = firm._id;
+    ca.firmRole = 'staff';
+    await ca.save();
+
+    await invite();
+    const token = invitationTokenFor('ca@example.com');
+
+    await engagementService.grantFirm({ firmId: firm._id, companyId: company._id, grantedBy: superAdmin._id });
+    await engagementService.assignFirmClient({ firmId: firm._id, companyId: company._id, caId: ca._id, assignedBy: superAdmin._id });
+
+    const invitation = await Engagement.findOne({ ca: ca._id, company: company._id, 'invitation.sendCount': { $gt: 0 } });
+    expect(invitation.status).toBe('revoked');
+
+    await request(app)
+      .post('/api/ca/invitations/accept')
+      .set('Authorization', await tokenFor(ca))
+      .send({ token })
+      .expect(404);
+  });
+});
@@ -0,0 +1,56 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const Notification = require('../src/models/Notification');
+const sessionService = require('../src/services/sessionService');
+
+describe('Login Protection Tests', () => {
+  let user;
+
+  const login = (password, userAgent = 'Browser A') => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: 'ca@example.com', password });
+
+  beforeEach(async () => {
+    user = await User.create({
+      email: 'ca@example.com',
+      password: 'Password123',
+      name: 'Test CA',
+      role: 'CA',
+    });
+  });
+
+  it('should delay attempts after repeated failures until an admin unlocks the account', async () => {
+    // Free attempts, then the first delayed one
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      await login('WrongPassword1').expect(401);
+    }
+
+    const throttled = await login('Password123').expect(429);
+    expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+
+    const superAdmin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123',
+      name: 'Super Admin',
+      role: 'SUPER_ADMIN',
+    });
+
+    await request(app)
+      .post(`/api/admin/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${(await sessionService.start(superAdmin)).accessToken}`)
+      .expect(200);
+
+    await login('Password123').expect(200);
+  });
+
+  it('should notify the user of sign-ins from a new device', async () => {
+    await login('Password123', 'Browser A').expect(200);
+    await login('Password123', 'Browser A').expect(200);
+    expect(await Notification.countDocuments({ user: user._id, type: 'security' })).toBe(0);
+
+    await login('Password123', 'Browser B').expect(200);
+    expect(await Notification.countDocuments({ user: user._id, type: 'security' })).toBe(1);
+  });
+});
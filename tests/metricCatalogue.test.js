@@ -0,0 +1,54 @@
+const config = require('../src/config/config');
+const { getMetricDefinition, classifyMetricChange } = require('../src/config/metricCatalogue');
+
+describe('Metric Catalogue Tests', () => {
+  const { significanceThresholdPct } = config.analysis;
+
+  it('should look metrics up by key or alias', () => {
+    expect(getMetricDefinition('Current_Ratio')).toMatchObject({ key: 'current_ratio', polarity: 'higher_is_better', builtIn: true });
+    expect(getMetricDefinition('debtor_days').key).toBe('days_sales_outstanding');
+    expect(getMetricDefinition('not_a_metric')).toBeNull();
+  });
+
+  it('should treat a rise as improving for higher-is-better metrics', () => {
+    expect(classifyMetricChange('current_ratio', 12)).toBe('improving');
+    expect(classifyMetricChange('current_ratio', -12)).toBe('declining');
+  });
+
+  it('should treat a fall as improving for lower-is-better metrics', () => {
+    expect(classifyMetricChange('debt_to_equity', -12)).toBe('improving');
+    expect(classifyMetricChange('debt_to_equity', 12)).toBe('declining');
+    expect(classifyMetricChange('dso', -25)).toBe('improving');
+  });
+
+  it('should report neutral and unknown metrics without a judgement', () => {
+    expect(classifyMetricChange('days_payable_outstanding', 25)).toBe('increased');
+    expect(classifyMetricChange('days_payable_outstanding', -25)).toBe('decreased');
+    expect(classifyMetricChange('custom_metric', significanceThresholdPct + 1)).toBe('increased');
+  });
+
+  it('should call changes below the significance threshold stable', () => {
+    expect(classifyMetricChange('current_ratio', significanceThresholdPct - 0.1)).toBe('stable');
+    expect(classifyMetricChange('current_ratio', significanceThresholdPct)).toBe('improving');
+
+    // Days sales outstanding sets its own, higher threshold
+    expect(getMetricDefinition('days_sales_outstanding').significanceThreshold).toBe(10);
+    expect(classifyMetricChange('days_sales_outstanding', -9)).toBe('stable');
+  });
+
+  it('should let configured thresholds override the catalogue', () => {
+    config.analysis.metricThresholds.current_ratio = 20;
+    try {
+      expect(classifyMetricChange('current_ratio', 15)).toBe('stable');
+      expect(classifyMetricChange('current_ratio', 25)).toBe('improving');
+    } finally {
+      delete config.analysis.metricThresholds.current_ratio;
+    }
+  });
+
+  it('should not classify missing changes', () => {
+    expect(classifyMetricChange('current_ratio', null)).toBeNull();
+    expect(classifyMetricChange('current_ratio', undefined)).toBeNull();
+    expect(classifyMetricChange('current_ratio', NaN)).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const MetricDefinition = require('../src/models/MetricDefinition');
+const sessionService = require('../src/services/sessionService');
+
+describe('Metric Definition Tests', () => {
+  let authorization;
+
+  const tokenFor = async (user) => `Bearer ${(await sessionService.start(user)).accessToken}`;
+
+  const metric = (overrides = {}) => ({
+    key: 'Order_Backlog_Cover',
+    label: 'Order Backlog Cover',
+    category: 'Efficiency',
+    unit: 'months',
+    polarity: 'higher_is_better',
+    aliases: ['backlog_cover'],
+    ...overrides,
+  });
+
+  const create = (body) => request(app)
+    .post('/api/benchmarks/metrics')
+    .set('Authorization', authorization)
+    .send(body);
+
+  const fieldsOf = (response) => response.body.errors.map(error => error.field);
+
+  beforeEach(async () => {
+    const ca = await User.create({
+      email: 'ca@example.com',
+      password: 'Password123',
+      name: 'Test CA',
+      role: 'CA',
+    });
+    authorization = await tokenFor(ca);
+  });
+
+  it('should register a custom metric with normalised names', async () => {
+    const response = await create(metric()).expect(201);
+
+    expect(response.body.data.metric).toMatchObject({
+      key: 'order_backlog_cover',
+      category: 'efficiency',
+      aliases: ['backlog_cover'],
+    });
+  });
+
+  it('should reject aliases that are not an array of snake_case names', async () => {
+    // A string used to be spread into single characters, and an object crashed the handler
+    expect(fieldsOf(await create(metric({ aliases: 'backlog_cover' })).expect(400))).toEqual(['aliases']);
+    expect(fieldsOf(await create(metric({ aliases: { name: 'backlog_cover' } })).expect(400))).toEqual(['aliases']);
+    expect(fieldsOf(await create(metric({ aliases: ['backlog_cover', 'Backlog Cover', 3] })).expect(400)))
+      .toEqual(['aliases[1]', 'aliases[2]']);
+
+    expect(await MetricDefinition.countDocuments()).toBe(0);
+  });
+
+  it('should validate key, polarity, unit and category', async () => {
+    const response = await create({
+      key: '1st metric',
+      label: 'First',
+      category: { name: 'liquidity' },
+      unit: '',
+      polarity: 'up',
+    }).expect(400);
+
+    expect(fieldsOf(response).sort()).toEqual(['category', 'key', 'polarity', 'unit']);
+    expect(fieldsOf(await create(metric({ key: undefined })).expect(400))).toEqual(['key']);
+  });
+
+  it('should validate updates without requiring every field', async () => {
+    await create(metric()).expect(201);
+
+    await request(app)
+      .put('/api/benchmarks/metrics/order_backlog_cover')
+      .set('Authorization', authorization)
+      .send({ aliases: 'order_cover' })
+      .expect(400);
+
+    const response = await request(app)
+      .put('/api/benchmarks/metrics/order_backlog_cover')
+      .set('Authorization', authorization)
+      .send({ aliases: ['order_cover'], polarity: 'lower_is_better' })
+      .expect(200);
+
+    expect(response.body.data.metric).toMatchObject({ aliases: ['order_cover'], polarity: 'lower_is_better', unit: 'months' });
+  });
+});
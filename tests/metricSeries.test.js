@@ -0,0 +1,157 @@
+const { parseFiscalYear, buildMetricSeries, computeGrowth } = require('../src/utils/metricSeries');
+
+describe('Metric Series Tests', () => {
+  const analysis = (analysisId, completedAt, consolidatedData) => ({
+    analysisId,
+    completedAt: new Date(completedAt),
+    consolidatedData,
+  });
+
+  describe('parseFiscalYear', () => {
+    it.each([
+      [2023, 2023],
+      ['2023', 2023],
+      ['FY2023', 2023],
+      ['FY23', 2023],
+      ['2022-23', 2023],
+      ['2022/23', 2023],
+      ['FY 2022-2023', 2023],
+      ['31-03-2023', 2023],
+      ['1999-00', 2000],
+    ])('should read %p as the year ending in %p', (label, year) => {
+      expect(parseFiscalYear(label)).toBe(year);
+    });
+
+    it.each([['Current year'], [''], [null], [undefined], [1800], [{ year: 2023 }]])(
+      'should return null for %p',
+      (label) => {
+        expect(parseFiscalYear(label)).toBeNull();
+      }
+    );
+  });
+
+  describe('buildMetricSeries', () => {
+    const older = analysis('older', '2024-01-01', {
+      company_information: { available_years: ['FY2023', 'FY2022'] },
+      calculated_metrics: {
+        current_ratio: { current_year: { value: 1.5 }, previous_year: { value: 1.2 }, unit: 'x', category: 'liquidity' },
+        roe: { value: 12, available: true },
+      },
+      standardized_fields: {
+        balance_sheet: { total_assets: { values: { '2022-23': 500, '2021-22': 450 } } },
+      },
+    });
+    const reupload = analysis('reupload', '2024-07-01', {
+      company_information: { available_years: ['2022-23'] },
+      calculated_metrics: { roe: { value: 14 } },
+    });
+    const earliest = analysis('earliest', '2024-06-01', {
+      company_information: { available_years: ['2019-20'] },
+      calculated_metrics: { current_ratio: 1.1, roe: { value: null, available: false } },
+    });
+    const undated = analysis('undated', '2024-08-01', {
+      company_information: {},
+      calculated_metrics: { roe: { value: 20 } },
+    });
+
+    const pointsOf = (series) => series.points.map(({ fiscal_year, value, reported }) => [fiscal_year, value, reported]);
+
+    it('should place values by fiscal year and show missing years as gaps', () => {
+      const result = buildMetricSeries([older, earliest]);
+
+      expect(result.fiscal_years).toEqual(['FY2020', 'FY2021', 'FY2022', 'FY2023']);
+      expect(result.periods.find(period => period.fiscal_year === 'FY2021')).toMatchObject({ covered: false, analysis_id: null });
+
+      const currentRatio = result.series.calculated_metrics.current_ratio;
+      expect(currentRatio.unit).toBe('x');
+      expect(currentRatio.category).toBe('liquidity');
+      expect(pointsOf(currentRatio)).toEqual([
+        ['FY2020', 1.1, true],
+        ['FY2021', null, false],
+        ['FY2022', 1.2, true],
+        ['FY2023', 1.5, true],
+      ]);
+
+      // Nested groups become dotted names, with values keyed by period
+      expect(pointsOf(result.series.standardized_fields['balance_sheet.total_assets']).slice(2)).toEqual([
+        ['FY2022', 450, true],
+        ['FY2023', 500, true],
+      ]);
+    });
+
+    it('should prefer the latest analysis for a period and keep the others as provenance', () => {
+      const result = buildMetricSeries([older, reupload]);
+
+      const roe = result.series.calculated_metrics.roe.points.find(point => point.fiscal_year === 'FY2023');
+      expect(roe).toMatchObject({ value: 14, analysis_id: 'reupload' });
+      expect(roe.superseded).toEqual([
+        { analysis_id: 'older', analyzed_at: older.completedAt, value: 12, available: true },
+      ]);
+
+      const period = result.periods.find(entry => entry.fiscal_year === 'FY2023');
+      expect(period.analysis_id).toBe('reupload');
+      expect(period.superseded.map(source => source.analysis_id)).toEqual(['older']);
+    });
+
+    it('should keep an available value over a newer unavailable one', () => {
+      const missing = analysis('missing', '2024-09-01', {
+        company_information: { available_years: ['FY2023'] },
+        calculated_metrics: { roe: { value: null, available: false } },
+      });
+
+      const roe = buildMetricSeries([older, missing]).series.calculated_metrics.roe.points.pop();
+      expect(roe).toMatchObject({ value: 12, analysis_id: 'older' });
+    });
+
+    it('should skip analyses without a fiscal year and filter metrics', () => {
+      const result = buildMetricSeries([older, undated], { sections: ['calculated_metrics'], metrics: ['roe'] });
+
+      expect(result.undated_analyses).toEqual(['undated']);
+      expect(Object.keys(result.series)).toEqual(['calculated_metrics']);
+      expect(Object.keys(result.series.calculated_metrics)).toEqual(['roe']);
+      expect(result.series.calculated_metrics.roe.points.map(point => point.value)).toEqual([null, 12]);
+    });
+  });
+
+  describe('computeGrowth', () => {
+    const point = (fiscalYear, value) => ({ fiscal_year: fiscalYear, value, available: value !== null });
+    const changes = (growth) => growth.yoy.map(entry => entry.change);
+
+    it('should compute YoY only between consecutive available years and CAGR across gaps', () => {
+      const growth = computeGrowth([point('FY2020', 100), point('FY2021', 110), point('FY2022', null), point('FY2023', 133.1)]);
+
+      expect(growth.yoy[0]).toEqual({ fiscal_year: 'FY2021', previous_fiscal_year: 'FY2020', change: 10 });
+      expect(changes(growth)).toEqual([10, null, null]);
+      expect(growth.cagr).toBe(10);
+      expect(growth.years).toBe(3);
+      expect(growth.first.fiscal_year).toBe('FY2020');
+      expect(growth.last.fiscal_year).toBe('FY2023');
+    });
+
+    it('should not compute YoY from a zero base', () => {
+      expect(changes(computeGrowth([point('FY2022', 0), point('FY2023', 50)]))).toEqual([null]);
+    });
+
+    it('should measure YoY from a negative base by its size', () => {
+      // A loss shrinking from -10 to -5 is a 50% improvement, not a 50% decline
+      expect(changes(computeGrowth([point('FY2022', -10), point('FY2023', -5)]))).toEqual([50]);
+      expect(changes(computeGrowth([point('FY2022', -20), point('FY2023', 10)]))).toEqual([150]);
+      expect(changes(computeGrowth([point('FY2022', 50), point('FY2023', -10)]))).toEqual([-120]);
+    });
+
+    it('should leave CAGR empty unless both ends are positive', () => {
+      expect(computeGrowth([point('FY2021', 0), point('FY2023', 50)]).cagr).toBeNull();
+      expect(computeGrowth([point('FY2021', -20), point('FY2023', 10)]).cagr).toBeNull();
+      expect(computeGrowth([point('FY2021', 20), point('FY2023', -10)]).cagr).toBeNull();
+    });
+
+    it('should need two available values for CAGR', () => {
+      const growth = computeGrowth([point('FY2022', null), point('FY2023', 10)]);
+
+      expect(growth.cagr).toBeNull();
+      expect(growth.years).toBe(0);
+      expect(growth.first).toEqual(growth.last);
+      expect(computeGrowth([]).first).toBeNull();
+    });
+  });
+});
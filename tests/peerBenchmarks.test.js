@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Analysis = require('../src/models/Analysis');
+const Benchmark = require('../src/models/Benchmark');
+const Company = require('../src/models/Company');
+const encryptionService = require('../src/services/encryptionService');
+const peerBenchmarkService = require('../src/services/peerBenchmarkService');
+const permissionService = require('../src/services/permissionService');
+const config = require('../src/config/config');
+
+describe('Peer Benchmark Tests', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const { minCohortSize } = config.peerBenchmarks;
+
+  const addCompany = async (name, { industry, sizeBand, reportedIndustry, metrics }) => {
+    const company = await Company.create({ name, industry, sizeBand, representative: userId, createdBy: userId });
+    await Analysis.create({
+      analysisId: `analysis-${name}`,
+      company: company._id,
+      uploadedBy: userId,
+      status: 'completed',
+      completedAt: new Date(),
+      consolidatedData: {
+        company_information: { available_years: ['FY2024'], industry: reportedIndustry },
+        calculated_metrics: Object.fromEntries(Object.entries(metrics).map(([key, value]) => [key, { value }])),
+      },
+    });
+    return company;
+  };
+
+  const peerGroup = (industry, sizeBand) => Benchmark.findOne({ type: 'peer_group', industry, 'peerGroup.sizeBand': sizeBand });
+
+  beforeEach(async () => {
+    // Data keys are removed between tests, so don't reuse cached ones
+    encryptionService.clearCache();
+    config.peerBenchmarks.minCohortSize = 3;
+
+    await addCompany('A', { industry: 'Manufacturing', sizeBand: 'small', metrics: { current_ratio: 1, debt_to_equity: 0.5 } });
+    await addCompany('B', { industry: 'Manufacturing', sizeBand: 'small', metrics: { current_ratio: 2, debt_to_equity: 1 } });
+    await addCompany('C', { industry: 'Manufacturing', sizeBand: 'small', metrics: { current_ratio: 3, debt_to_equity: 1.5 } });
+    await addCompany('D', { industry: 'Manufacturing', sizeBand: 'small', metrics: { current_ratio: 4 } });
+    // No industry on the profile: the one the analysis reports is used
+    await addCompany('E', { sizeBand: 'medium', reportedIndustry: 'retail', metrics: { current_ratio: 5 } });
+  });
+
+  afterEach(() => {
+    config.peerBenchmarks.minCohortSize = minCohortSize;
+  });
+
+  it('should publish interpolated percentiles per industry and size band', async () => {
+    const result = await peerBenchmarkService.computePeerBenchmarks();
+
+    expect(result).toMatchObject({ groups: 7, published: 4, minCohortSize: 3 });
+
+    const manufacturing = await peerGroup('Manufacturing', 'all');
+    expect(manufacturing.peerGroup.status).toBe('active');
+    expect(manufacturing.peerGroup.cohortSize).toBe(4);
+    expect(manufacturing.peerGroup.percentiles.get('current_ratio').toObject()).toEqual({
+      count: 4, p25: 1.75, p50: 2.5, p75: 3.25, p90: 3.7,
+    });
+
+    const general = await peerGroup('General', 'all');
+    expect(general.peerGroup.cohortSize).toBe(5);
+    expect(general.peerGroup.percentiles.get('current_ratio').toObject()).toEqual({
+      count: 5, p25: 2, p50: 3, p75: 4, p90: 4.6,
+    });
+    expect(await peerGroup('Manufacturing', 'small')).not.toBeNull();
+  });
+
+  it('should turn percentiles into thresholds in the direction of each metric', async () => {
+    await peerBenchmarkService.computePeerBenchmarks();
+
+    const { metrics } = (await peerGroup('Manufacturing', 'all')).toObject();
+    const thresholdsOf = (key) => metrics.find(metric => metric.key === key).thresholds;
+
+    expect(thresholdsOf('current_ratio')).toMatchObject({ excellent: 3.7, good: 3.25, fair: 2.5, poor: 1.75 });
+    expect(thresholdsOf('debt_to_equity')).toMatchObject({ excellent: 0.75, good: 1, fair: 1.25, poor: 1.4 });
+  });
+
+  it('should not publish groups or metrics below the minimum cohort size', async () => {
+    await addCompany('F', { industry: 'Manufacturing', sizeBand: 'large', metrics: { current_ratio: 2, roe: 18 } });
+
+    await peerBenchmarkService.computePeerBenchmarks();
+
+    // One company per group: nothing about it may be published
+    expect(await peerGroup('Retail', 'all')).toBeNull();
+    expect(await peerGroup('Retail', 'medium')).toBeNull();
+    expect(await peerGroup('Manufacturing', 'large')).toBeNull();
+
+    // Only F reports ROE, so the metric is left out even though the group is large enough
+    const manufacturing = await peerGroup('Manufacturing', 'all');
+    expect(manufacturing.peerGroup.cohortSize).toBe(5);
+    expect(manufacturing.metrics.map(metric => metric.key).sort()).toEqual(['current_ratio', 'debt_to_equity']);
+    expect(manufacturing.peerGroup.percentiles.has('roe')).toBe(false);
+  });
+
+  it('should suppress a published group once its cohort drops below the minimum', async () => {
+    await peerBenchmarkService.computePeerBenchmarks();
+
+    config.peerBenchmarks.minCohortSize = 5;
+    const result = await peerBenchmarkService.computePeerBenchmarks();
+
+    expect(result.published).toBe(1);
+    expect((await peerGroup('General', 'all')).peerGroup.status).toBe('active');
+
+    const manufacturing = await peerGroup('Manufacturing', 'all');
+    expect(manufacturing.peerGroup.status).toBe('suppressed');
+    expect(manufacturing.peerGroup.cohortSize).toBe(4);
+    // Suppressed groups are hidden from everyone but benchmark administrators
+    const ca = { role: 'CA', _id: userId };
+    const permissions = await permissionService.permissionsFor(ca);
+    expect(Benchmark.isVisibleTo(manufacturing, ca, permissions)).toBe(false);
+  });
+});
@@ -0,0 +1,261 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const Company = require('../src/models/Company');
+const Role = require('../src/models/Role');
+const Firm = require('../src/models/Firm');
+const sessionService = require('../src/services/sessionService');
+
+describe('Permission Tests', () => {
+  let superAdmin;
+  let ca;
+  let companyAdmin;
+  let firm;
+
+  const tokenFor = async (user) => `Bearer ${(await sessionService.start(user)).accessToken}`;
+
+  beforeEach(async () => {
+    superAdmin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123',
+      name: 'Super Admin',
+      role: 'SUPER_ADMIN',
+    });
+
+    firm = await Firm.create({ name: 'Acme & Co', createdBy: superAdmin._id });
+
+    ca = await User.create({
+      email: 'ca@example.com',
+      password: 'Password123',
+      name: 'Firm CA',
+      role: 'CA',
+      firm: firm._id,
+      firmRole: 'staff',
+    });
+
+    const company = await Company.create({
+      name: 'Client Company',
+      representative: superAdmin._id,
+      createdBy: superAdmin._id,
+    });
+
+    companyAdmin = await User.create({
+      email: 'company-admin@example.com',
+      password: 'Password123',
+      name: 'Company Admin',
+      role: 'COMPANY_ADMIN',
+      company: company._id,
+    });
+  });
+
+  describe('GET /api/roles/permissions', () => {
+    it('should return the built-in permissions of the caller', async () => {
+      const response = await request(app)
+        .get('/api/roles/permissions')
+        .set('Authorization', await tokenFor(ca))
+        .expect(200);
+
+      expect(response.body.data.myPermissions).toContain('notes:write');
+      expect(response.body.data.myPermissions).not.toContain('admin:access');
+    });
+  });
+
+  describe('Custom roles', () => {
+    it('should replace the built-in permissions of users it is assigned to', async () => {
+      const { body } = await request(app)
+        .post('/api/roles')
+        .set('Authorization', await tokenFor(superAdmin))
+        .send({ name: 'Junior CA', baseRole: 'CA', firm: firm._id, permissions: ['notes:write'] })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/users/${ca._id}/custom-role`)
+        .set('Authorization', await tokenFor(superAdmin))
+        .send({ roleId: body.data.role._id })
+        .expect(200);
+
+      // Rejected on the missing permission before the analysis is looked up
+      const response = await request(app)
+        .post('/api/pdf/analysis/any-analysis/export')
+        .set('Authorization', await tokenFor(ca))
+        .send({})
+        .expect(403);
+
+      expect(response.body.message).toContain('reports:export');
+    });
+
+    it('should not assign a role made for another base role', async () => {
+      const role = await Role.create({
+        name: 'Company Reviewer',
+        baseRole: 'COMPANY_USER',
+        permissions: ['reports:export'],
+        createdBy: superAdmin._id,
+      });
+
+      await request(app)
+        .put(`/api/users/${ca._id}/custom-role`)
+        .set('Authorization', await tokenFor(superAdmin))
+        .send({ roleId: role._id })
+        .expect(400);
+    });
+
+    it('should reject unknown permissions', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', await tokenFor(superAdmin))
+        .send({ name: 'Broken', baseRole: 'CA', permissions: ['everything:all'] })
+        .expect(400);
+    });
+
+    it('should deny managing roles without roles:manage', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', await tokenFor(companyAdmin))
+        .send({ name: 'Escalated', baseRole: 'COMPANY_ADMIN', permissions: ['admin:access'] })
+        .expect(403);
+    });
+
+    it('should only list the holders of a role to role assigners in their own company', async () => {
+      const role = await Role.create({
+        name: 'Platform Reviewer',
+        baseRole: 'CA',
+        permissions: ['notes:write'],
+        createdBy: superAdmin._id,
+      });
+      ca.customRole = role._id;
+      await ca.save();
+
+      const asCA = await request(app)
+        .get(`/api/roles/${role._id}`)
+        .set('Authorization', await tokenFor(ca))
+        .expect(200);
+      expect(asCA.body.data.users).toBeUndefined();
+
+      const assigner = await Role.create({
+        name: 'User Manager',
+        baseRole: 'COMPANY_ADMIN',
+        permissions: ['users:manage', 'roles:assign'],
+        createdBy: superAdmin._id,
+      });
+      companyAdmin.customRole = assigner._id;
+      await companyAdmin.save();
+
+      const asAssigner = await request(app)
+        .get(`/api/roles/${role._id}`)
+        .set('Authorization', await tokenFor(companyAdmin))
+        .expect(200);
+      expect(asAssigner.body.data.users).toEqual([]);
+
+      const asSuperAdmin = await request(app)
+        .get(`/api/roles/${role._id}`)
+        .set('Authorization', await tokenFor(superAdmin))
+        .expect(200);
+      expect(asSuperAdmin.body.data.users.map(user => user.email)).toEqual(['ca@example.com']);
+    });
+
+    it('should close the CA workspace to CA roles without ca_workspace:access', async () => {
+      await request(app)
+        .get('/api/ca/dashboard')
+        .set('Authorization', await tokenFor(companyAdmin))
+        .expect(403);
+
+      const role = await Role.create({
+        name: 'Notes Only',
+        baseRole: 'CA',
+        permissions: ['notes:write'],
+        createdBy: superAdmin._id,
+      });
+      ca.customRole = role._id;
+      await ca.save();
+
+      const response = await request(app)
+        .get('/api/ca/invitations')
+        .set('Authorization', await tokenFor(ca))
+        .expect(403);
+      expect(response.body.message).toContain('ca_workspace:access');
+    });
+
+    it('should let any role with benchmarks:manage list and read the benchmarks it creates', async () => {
+      const role = await Role.create({
+        name: 'Benchmark Editor',
+        baseRole: 'COMPANY_ADMIN',
+        permissions: ['benchmarks:manage'],
+        createdBy: superAdmin._id,
+      });
+      companyAdmin.customRole = role._id;
+      await companyAdmin.save();
+      const authorization = await tokenFor(companyAdmin);
+
+      const { body } = await request(app)
+        .post('/api/benchmarks')
+        .set('Authorization', authorization)
+        .send({ name: 'Client Benchmark', industry: 'Retail' })
+        .expect(201);
+      const benchmarkId = body.data.benchmark._id;
+
+      await request(app)
+        .get(`/api/benchmarks/${benchmarkId}`)
+        .set('Authorization', authorization)
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/benchmarks')
+        .set('Authorization', authorization)
+        .expect(200);
+      expect(list.body.data.benchmarks.map(benchmark => benchmark._id)).toContain(benchmarkId);
+
+      // Default benchmarks still need benchmarks:manage_all
+      const response = await request(app)
+        .post('/api/benchmarks')
+        .set('Authorization', authorization)
+        .send({ name: 'New Default', isDefault: true })
+        .expect(403);
+      expect(response.body.message).toContain('benchmarks:manage_all');
+    });
+
+    it('should not let a role assigner create super admins', async () => {
+      const role = await Role.create({
+        name: 'User Manager',
+        baseRole: 'COMPANY_ADMIN',
+        permissions: ['users:manage', 'roles:assign'],
+        createdBy: superAdmin._id,
+      });
+      companyAdmin.customRole = role._id;
+      await companyAdmin.save();
+
+      await request(app)
+        .put(`/api/users/${ca._id}/role`)
+        .set('Authorization', await tokenFor(companyAdmin))
+        .send({ role: 'SUPER_ADMIN' })
+        .expect(403);
+    });
+
+    it('should not let a role assigner grant a role with permissions they do not hold', async () => {
+      const role = await Role.create({
+        name: 'User Manager',
+        baseRole: 'COMPANY_ADMIN',
+        permissions: ['users:manage', 'roles:assign'],
+        createdBy: superAdmin._id,
+      });
+      companyAdmin.customRole = role._id;
+      await companyAdmin.save();
+
+      const companyUser = await User.create({
+        email: 'company-user@example.com',
+        password: 'Password123',
+        name: 'Company User',
+        role: 'COMPANY_USER',
+        company: companyAdmin.company,
+      });
+
+      // The built-in company admin bundle includes permissions the custom role leaves out
+      const response = await request(app)
+        .put(`/api/users/${companyUser._id}/role`)
+        .set('Authorization', await tokenFor(companyAdmin))
+        .send({ role: 'COMPANY_ADMIN' })
+        .expect(403);
+      expect(response.body.message).toContain('engagements:manage');
+      expect((await User.findById(companyUser._id)).role).toBe('COMPANY_USER');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const Company = require('../src/models/Company');
+const Analysis = require('../src/models/Analysis');
+const ServiceCredential = require('../src/models/ServiceCredential');
+const sessionService = require('../src/services/sessionService');
+const analysisJobService = require('../src/services/analysisJobService');
+const { sign, signRequestHeaders } = require('../src/utils/serviceSignature');
+const config = require('../src/config/config');
+
+describe('Service Authentication Tests', () => {
+  const TARGET = '/api/analysis/store';
+  const BODY = {};
+
+  let superAdmin;
+  let authorization;
+  let keyId;
+  let secret;
+
+  const headersFor = (overrides = {}) => signRequestHeaders({
+    keyId,
+    secret,
+    method: 'POST',
+    target: TARGET,
+    body: JSON.stringify(BODY),
+    ...overrides,
+  });
+
+  const store = (headers) => request(app).post(TARGET).set(headers).send(BODY);
+
+  const createCredential = (scopes) => request(app)
+    .post('/api/admin/service-credentials')
+    .set('Authorization', authorization)
+    .send({ name: 'Python analysis service', scopes });
+
+  beforeEach(async () => {
+    superAdmin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123',
+      name: 'Super Admin',
+      role: 'SUPER_ADMIN',
+    });
+    authorization = `Bearer ${(await sessionService.start(superAdmin)).accessToken}`;
+
+    const response = await createCredential(['analysis:write']).expect(201);
+    ({ secret } = response.body.data);
+    ({ keyId } = response.body.data.credential);
+  });
+
+  it('should let a correctly signed request through', async () => {
+    // Authenticated: the empty payload is then rejected by the controller itself
+    const response = await store(headersFor()).expect(400);
+    expect(response.body.message).toMatch(/Missing required fields/);
+
+    expect((await ServiceCredential.findOne({ keyId })).lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('should reject a bad signature', async () => {
+    const wrongSecret = await store(headersFor({ secret: 'not-the-secret' })).expect(401);
+    expect(wrongSecret.body.message).toBe('Invalid service signature');
+
+    // Signed for a different body than the one sent
+    const tampered = await store(headersFor({ body: JSON.stringify({ jobId: 'other' }) })).expect(401);
+    expect(tampered.body.message).toBe('Invalid service signature');
+  });
+
+  it('should reject a stale timestamp', async () => {
+    const timestamp = Math.floor((Date.now() - config.serviceAuth.requestMaxAgeMs - 60 * 1000) / 1000).toString();
+    const headers = headersFor();
+    headers['X-Service-Timestamp'] = timestamp;
+    headers['X-Service-Signature'] = sign(secret, {
+      timestamp,
+      nonce: headers['X-Service-Nonce'],
+      method: 'POST',
+      target: TARGET,
+      body: JSON.stringify(BODY),
+    });
+
+    const response = await store(headers).expect(401);
+    expect(response.body.message).toBe('Signature timestamp outside the allowed window');
+  });
+
+  it('should reject a replayed nonce', async () => {
+    const headers = headersFor();
+
+    await store(headers).expect(400);
+    const response = await store(headers).expect(401);
+    expect(response.body.message).toBe('Replayed service request');
+  });
+
+  it('should reject a revoked credential', async () => {
+    const credential = await ServiceCredential.findOne({ keyId });
+    await request(app)
+      .delete(`/api/admin/service-credentials/${credential._id}`)
+      .set('Authorization', authorization)
+      .expect(200);
+
+    const response = await store(headersFor()).expect(401);
+    expect(response.body.message).toBe('Unknown or revoked service credential');
+  });
+
+  it('should reject a credential without the required scope', async () => {
+    await ServiceCredential.updateOne({ keyId }, { scopes: [] });
+
+    const response = await store(headersFor()).expect(401);
+    expect(response.body.message).toBe('Service credential lacks the analysis:write scope');
+  });
+
+  it('should only create credentials with known scopes', async () => {
+    await createCredential(['analysis:read']).expect(400);
+    await createCredential(ServiceCredential.SCOPES).expect(201);
+  });
+
+  it('should reject a result for a different company than the job was started for', async () => {
+    const [ownCompany, otherCompany] = await Company.create([
+      { name: 'Own Company', representative: superAdmin._id, createdBy: superAdmin._id },
+      { name: 'Other Company', representative: superAdmin._id, createdBy: superAdmin._id },
+    ]);
+    const job = await analysisJobService.createJob({
+      companyId: ownCompany._id,
+      requestedBy: superAdmin._id,
+      documents: [],
+    });
+    await analysisJobService.markSent(job, 'py-job-1');
+
+    const body = {
+      jobId: 'py-job-1',
+      analysisId: job.analysisId,
+      companyId: otherCompany._id.toString(),
+      analysisData: {
+        company_information: { available_years: ['FY2023'] },
+        calculated_metrics: { current_ratio: { value: 1.8, available: true } },
+      },
+    };
+    const response = await request(app)
+      .post(TARGET)
+      .set(headersFor({ body: JSON.stringify(body) }))
+      .send(body)
+      .expect(409);
+
+    expect(response.body.message).toMatch(/does not match/);
+    expect((await Analysis.findById(job._id)).status).toBe('sent');
+  });
+});
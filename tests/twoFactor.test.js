@@ -0,0 +1,137 @@
+const request = require('supertest');
+const app = require('../src/server');
+const User = require('../src/models/User');
+const totp = require('../src/utils/totp');
+const sessionService = require('../src/services/sessionService');
+
+describe('Two-Factor Authentication Tests', () => {
+  let user;
+
+  const tokenFor = async (account) => `Bearer ${(await sessionService.start(account)).accessToken}`;
+
+  // Enrol the user and return their secret and recovery codes
+  const enrol = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', await tokenFor(user))
+      .expect(200);
+
+    const { secret } = setup.body.data;
+    expect(setup.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+
+    // The code used to enable is spent, so log in with the next time step's code
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', await tokenFor(user))
+      .send({ code: totp.generateCode(secret, { time: Date.now() - 30 * 1000 }) })
+      .expect(200);
+
+    return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+  };
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'ca@example.com', password: 'Password123' })
+    .expect(200);
+
+  beforeEach(async () => {
+    user = await User.create({
+      email: 'ca@example.com',
+      password: 'Password123',
+      name: 'Test CA',
+      role: 'CA',
+    });
+  });
+
+  it('should require a code after the password once enabled', async () => {
+    const { secret } = await enrol();
+
+    const first = await login();
+    expect(first.body.data.twoFactorRequired).toBe(true);
+    expect(first.body.data.accessToken).toBeUndefined();
+
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: first.body.data.challengeToken, code: '000000' })
+      .expect(401);
+
+    const code = totp.generateCode(secret);
+    const second = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: first.body.data.challengeToken, code })
+      .expect(200);
+    expect(second.body.data.accessToken).toBeDefined();
+    expect(second.body.data.user.twoFactor.secret).toBeUndefined();
+
+    // The same code cannot be used twice
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: first.body.data.challengeToken, code })
+      .expect(401);
+  });
+
+  it('should accept each recovery code once', async () => {
+    const { recoveryCodes } = await enrol();
+    const { body } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: body.data.challengeToken, recoveryCode: recoveryCodes[0] })
+      .expect(200);
+    expect(response.body.data.recoveryCodesRemaining).toBe(recoveryCodes.length - 1);
+
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: body.data.challengeToken, recoveryCode: recoveryCodes[0] })
+      .expect(401);
+  });
+
+  it('should reject a challenge issued before the password changed', async () => {
+    const { secret } = await enrol();
+    const { body } = await login();
+
+    const stored = await User.findById(user._id);
+    stored.password = 'NewPassword123';
+    await stored.save();
+
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: body.data.challengeToken, code: totp.generateCode(secret) })
+      .expect(401);
+    expect(response.body.message).toBe('Sign-in challenge is no longer valid. Please log in again');
+  });
+
+  it('should hold users of required roles at enrolment', async () => {
+    const superAdmin = await User.create({
+      email: 'admin@example.com',
+      password: 'Password123',
+      name: 'Super Admin',
+      role: 'SUPER_ADMIN',
+    });
+
+    await request(app)
+      .put('/api/admin/security-policy')
+      .set('Authorization', await tokenFor(superAdmin))
+      .send({ twoFactorRequiredRoles: ['CA'] })
+      .expect(200);
+
+    const blocked = await request(app)
+      .get('/api/companies')
+      .set('Authorization', await tokenFor(user))
+      .expect(403);
+    expect(blocked.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+
+    await enrol();
+
+    await request(app)
+      .get('/api/companies')
+      .set('Authorization', await tokenFor(user))
+      .expect(200);
+
+    await request(app)
+      .put('/api/admin/security-policy')
+      .set('Authorization', await tokenFor(superAdmin))
+      .send({ twoFactorRequiredRoles: [] })
+      .expect(200);
+  });
+});